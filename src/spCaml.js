@@ -0,0 +1,569 @@
+import spHelperError from './spHelperError';
+import spXml from './spXml';
+import spTimeZone from './spTimeZone';
+
+// Shorthand for the spHelperError codes.
+const errorCodes = spHelperError.codes;
+
+// The CAML Value Type of each SP.FieldType number (the 'fieldType' of the getListDetails columns).
+const valueTypes =
+{
+    1  : 'Integer',
+    2  : 'Text',
+    3  : 'Note',
+    4  : 'DateTime',
+    5  : 'Counter',
+    6  : 'Choice',
+    7  : 'Lookup',
+    8  : 'Boolean',
+    9  : 'Number',
+    10 : 'Currency',
+    11 : 'URL',
+    12 : 'Computed',
+    14 : 'Guid',
+    15 : 'MultiChoice',
+    17 : 'Calculated',
+    18 : 'File',
+    19 : 'Attachments',
+    20 : 'User',
+    25 : 'ContentTypeId',
+};
+
+// The View Scopes of a query.
+const viewScopes = ['Default', 'Recursive', 'RecursiveAll', 'FilesOnly'];
+
+export default class spCaml
+{
+    /**
+     * A fluent builder for CAML queries (View XML). Conditions are combined from left to right, groups (a function passed to
+     * where, and or or) are used for precedence. The result can be passed as the 'query' of getListData and loadListData.
+     * Created with spHelper.caml ().
+     *
+     * PARAMETERS
+     *    'fields' - [OBJECT] : Optional. The field metadata used to infer the Value Type of each condition. Either the result
+     *                          (or columns) of getListDetails, or an object of column name/Value Type pairs.
+     *
+     * EXAMPLES
+     *    spHelper.caml(listDetails)
+     *        .where('Status').eq('Open')
+     *        .and( q => q.where('Priority').eq('High').or('DueDate').lt(new Date()) )
+     *        .orderBy('Modified', false)
+     *        .rowLimit(500);
+     */
+    constructor (fields = null)
+    {
+        this.fields     = spCaml.fieldTypes(fields);
+        this.tree       = null;
+        this.operator   = 'And';
+        this.orders     = [];
+        this.selected   = null;
+        this.limit      = null;
+        this.viewScope  = 'RecursiveAll';
+    }
+
+    /**
+     * Starts the first condition, or a group of conditions when a function is passed.
+     *
+     * PARAMETERS
+     *      column - [STRING|FUNC (spCaml group)] : The column internal name, or a function that builds a group.
+     */
+    where (column)
+    {
+        return this.condition('And', column);
+    }
+
+    /**
+     * Adds a condition (or group) that must also be true.
+     *
+     * PARAMETERS
+     *      column - [STRING|FUNC (spCaml group)] : The column internal name, or a function that builds a group.
+     */
+    and (column)
+    {
+        return this.condition('And', column);
+    }
+
+    /**
+     * Adds a condition (or group) where either side may be true.
+     *
+     * PARAMETERS
+     *      column - [STRING|FUNC (spCaml group)] : The column internal name, or a function that builds a group.
+     */
+    or (column)
+    {
+        return this.condition('Or', column);
+    }
+
+    /**
+     * Adds a sort column. Can be called more than once.
+     *
+     * PARAMETERS
+     *      column    - [STRING] : The column internal name.
+     *      ascending - [BOOL]   : Sort ascending (default) or descending.
+     */
+    orderBy (column, ascending = true)
+    {
+        this.orders.push({ column : spCaml.columnName(column), ascending : ascending !== false });
+
+        return this;
+    }
+
+    /**
+     * Sets the maximum number of items returned (per page).
+     *
+     * PARAMETERS
+     *      limit - [INTEGER] : The row limit.
+     */
+    rowLimit (limit)
+    {
+        if (!(parseInt(limit) > 0))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid CAML row limit '${limit}'. The row limit must be a positive number.`, { method : 'caml' });
+        }
+
+        this.limit = parseInt(limit);
+
+        return this;
+    }
+
+    /**
+     * Sets the columns returned (ViewFields). By default the 'listColumns' of the request are used.
+     *
+     * PARAMETERS
+     *      columns - [ARRAY] : The column internal names.
+     */
+    viewFields (columns)
+    {
+        this.selected = columns.map( column => spCaml.columnName(column) );
+
+        return this;
+    }
+
+    /**
+     * Sets the View Scope. Defaults to 'RecursiveAll' (items of every folder), like the queries generated by getListData.
+     *
+     * PARAMETERS
+     *      scope - [STRING] : 'Default', 'Recursive', 'RecursiveAll' or 'FilesOnly' (case insensitive).
+     */
+    scope (scope)
+    {
+        let viewScope = viewScopes.find( name => name.toLowerCase() === String(scope).toLowerCase() );
+
+        if (typeof viewScope === 'undefined')
+        {
+            throw new spHelperError(errorCodes.CONFIGURATION, `Invalid CAML scope '${scope}'. Use ${viewScopes.join(', ')}.`, { method : 'caml' });
+        }
+
+        this.viewScope = viewScope;
+
+        return this;
+    }
+
+    /**
+     * Builds the View XML.
+     *
+     * PARAMETERS
+     *      listColumns - [ARRAY]   : Optional. The ViewFields used when viewFields () was not called.
+     *      rowLimit    - [INTEGER] : Optional. The row limit used when rowLimit () was not called.
+     */
+    toXml (listColumns, rowLimit)
+    {
+        let columns = this.selected || listColumns || [];
+        let xml     = `<View Scope='${spXml.escape(this.viewScope)}'>`;
+
+        if (columns.length > 0)
+        {
+            xml += '<ViewFields>' + columns.map( column => `<FieldRef Name='${spXml.escape(column)}' />` ).join('') + '</ViewFields>';
+        }
+
+        xml += '<Query>';
+
+        if (this.tree !== null)
+        {
+            xml += `<Where>${this.render(this.tree)}</Where>`;
+        }
+
+        if (this.orders.length > 0)
+        {
+            xml += '<OrderBy>' + this.orders.map( order => `<FieldRef Name='${spXml.escape(order.column)}' Ascending='${order.ascending ? 'TRUE' : 'FALSE'}' />` ).join('') + '</OrderBy>';
+        }
+
+        xml += '</Query>';
+
+        let limit = (this.limit !== null) ? this.limit : rowLimit;
+
+        if (typeof limit !== 'undefined' && limit !== null)
+        {
+            xml += `<RowLimit Paged='TRUE'>${limit}</RowLimit>`;
+        }
+
+        return xml + '</View>';
+    }
+
+    /**
+     * The View XML (without ViewFields unless viewFields () was called).
+     */
+    toString ()
+    {
+        return this.toXml();
+    }
+
+    /**
+     * Starts a condition combined with the current conditions by an operator.
+     *
+     * PARAMETERS
+     *      operator - [STRING]        : 'And' or 'Or'.
+     *      column   - [STRING|FUNC]   : The column internal name, or a function that builds a group.
+     */
+    condition (operator, column)
+    {
+        this.operator = operator;
+
+        if (typeof column === 'function')
+        {
+            let group = new spCaml();
+
+            group.fields = this.fields;
+
+            column(group);
+
+            if (group.tree === null)
+            {
+                throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid CAML group. A group must contain at least one condition.', { method : 'caml' });
+            }
+
+            return this.add(group.tree);
+        }
+
+        return new spCamlCondition(this, spCaml.columnName(column));
+    }
+
+    /**
+     * Adds a condition (or group) node to the where tree. CAML And/Or elements take exactly two conditions, so the tree
+     * is binary.
+     *
+     * PARAMETERS
+     *      node - [OBJECT] : The condition or group node.
+     */
+    add (node)
+    {
+        this.tree = (this.tree === null) ? node : { operator : this.operator, left : this.tree, right : node };
+
+        return this;
+    }
+
+    /**
+     * Renders a node of the where tree.
+     *
+     * PARAMETERS
+     *      node - [OBJECT] : The condition or group node.
+     */
+    render (node)
+    {
+        if (typeof node.operator !== 'undefined')
+        {
+            return `<${node.operator}>${this.render(node.left)}${this.render(node.right)}</${node.operator}>`;
+        }
+
+        let type     = this.valueType(node);
+        let byId     = (type === 'Lookup' || type === 'User') && node.values.length > 0 && node.values.every( value => typeof value === 'number' || /^\d+$/.test(value) );
+        let fieldRef = `<FieldRef Name='${spXml.escape(node.column)}'${byId ? " LookupId='TRUE'" : ''} />`;
+
+        // Lookups and users compared by ID use Integer values.
+        if (byId)
+        {
+            type = (type === 'User') ? 'Integer' : 'Lookup';
+        }
+
+        if (node.values.length === 0)
+        {
+            return `<${node.comparison}>${fieldRef}</${node.comparison}>`;
+        }
+
+        let values = node.values.map( value => spCaml.value(type, value) );
+
+        // SharePoint allows at most 60 values in an In element, larger value lists are split over nested Or elements.
+        if (node.comparison === 'In')
+        {
+            let inElements = [];
+
+            for (let i = 0; i < values.length; i += 60)
+            {
+                inElements.push(`<In>${fieldRef}<Values>${values.slice(i, i + 60).join('')}</Values></In>`);
+            }
+
+            return inElements.reduceRight( (right, left) => `<Or>${left}${right}</Or>` );
+        }
+
+        // Between is inclusive on both ends.
+        if (node.comparison === 'Between')
+        {
+            return `<And><Geq>${fieldRef}${values[0]}</Geq><Leq>${fieldRef}${values[1]}</Leq></And>`;
+        }
+
+        return `<${node.comparison}>${fieldRef}${values[0]}</${node.comparison}>`;
+    }
+
+    /**
+     * Works out the Value Type of a condition: the explicit type, the field metadata or the JS type of the value.
+     *
+     * PARAMETERS
+     *      node - [OBJECT] : The condition node.
+     */
+    valueType (node)
+    {
+        if (node.type !== null)
+        {
+            return node.type;
+        }
+
+        if (typeof this.fields[node.column] !== 'undefined')
+        {
+            return this.fields[node.column];
+        }
+
+        let value = node.values[0];
+
+        if (value instanceof Date || spCaml.todayOffset(value) !== null)
+        {
+            return 'DateTime';
+        }
+
+        if (typeof value === 'number')
+        {
+            return 'Number';
+        }
+
+        if (typeof value === 'boolean')
+        {
+            return 'Boolean';
+        }
+
+        return 'Text';
+    }
+
+    /**
+     * Builds a Value element.
+     *
+     * PARAMETERS
+     *      type  - [STRING] : The Value Type.
+     *      value - [ANY]    : The value.
+     */
+    static value (type, value)
+    {
+        if (type === 'DateTime')
+        {
+            return spCaml.dateValue(value);
+        }
+
+        if (type === 'Boolean')
+        {
+            value = (value === true || value === 1 || String(value).toLowerCase() === 'true' || value === '1') ? 1 : 0;
+        }
+
+        return `<Value Type='${spXml.escape(type)}'>${spXml.escape(value)}</Value>`;
+    }
+
+    /**
+     * Builds a DateTime Value element. A Date (or an ISO string with a time zone) is a moment in UTC (StorageTZ), a string
+     * without a time zone is the site's local time. 'Today' and { today : offsetDays } are the current date of the site,
+     * 'Now' is the current time. SharePoint compares the date only, unless the time is included.
+     *
+     * PARAMETERS
+     *      value       - [DATE|STRING|OBJECT] : The value.
+     *      includeTime - [BOOL]               : Compares the time as well. Null (default) compares the time unless the value
+     *                                           is a date only ('YYYY-MM-DD', 'Today' or { today }).
+     *      method      - [STRING]             : The method reported with the error. Defaults to 'caml'.
+     *      timeZone    - [spTimeZone]         : The time zone of the site. Needed to compare the date only of a moment.
+     */
+    static dateValue (value, includeTime = null, method = 'caml', timeZone = null)
+    {
+        let today = spCaml.todayOffset(value);
+
+        if (today !== null)
+        {
+            if (!Number.isInteger(today))
+            {
+                throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid CAML date value. The days from today '${value.today}' must be a whole number.`, { method : method });
+            }
+
+            return `<Value Type='DateTime'${includeTime === true ? " IncludeTimeValue='TRUE'" : ''}><Today${today !== 0 ? ` OffsetDays='${today}'` : ''} /></Value>`;
+        }
+
+        if (value === 'Now')
+        {
+            return `<Value Type='DateTime'${includeTime !== false ? " IncludeTimeValue='TRUE'" : ''}><Now /></Value>`;
+        }
+
+        // The site's local time is written as it is, SharePoint reads it in the time zone of the site.
+        if (spTimeZone.isLocalTime(value))
+        {
+            let withTime = (includeTime === null) ? value.trim().length > 10 : includeTime;
+
+            return `<Value Type='DateTime'${withTime ? " IncludeTimeValue='TRUE'" : ''}>${spXml.escape(value.trim())}</Value>`;
+        }
+
+        let date = (value instanceof Date) ? value : new Date(value);
+
+        if (isNaN(date.getTime()))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid CAML date value '${value}'.`, { method : method });
+        }
+
+        // Without the time the calendar day is compared. SharePoint reads the date in the time zone of the site, so the day of
+        // a moment is its local day on the site (not the UTC or the browser's day).
+        if (includeTime === false)
+        {
+            if (timeZone === null)
+            {
+                throw new spHelperError(errorCodes.CONFIGURATION, `Unable to compare the date of '${(value instanceof Date) ? value.toISOString() : value}' without the time zone of the site. Read it first with getSiteTimeZone, or use a local date ('YYYY-MM-DD').`, { method : method });
+            }
+
+            return `<Value Type='DateTime'>${timeZone.toSiteTime(date).substring(0, 10)}</Value>`;
+        }
+
+        return `<Value Type='DateTime' IncludeTimeValue='TRUE' StorageTZ='TRUE'>${date.toISOString()}</Value>`;
+    }
+
+    /**
+     * Returns the days from today of a 'Today' or { today : offsetDays } value, or null for any other value.
+     *
+     * PARAMETERS
+     *      value - [ANY] : The value.
+     */
+    static todayOffset (value)
+    {
+        if (value === 'Today')
+        {
+            return 0;
+        }
+
+        if (value !== null && typeof value === 'object' && !(value instanceof Date) && typeof value.today !== 'undefined')
+        {
+            return Number(value.today);
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks a column name. Column names are written into the CAML as they are, so only internal names (letters, digits and
+     * underscores, special characters encoded like '_x0020_') are accepted.
+     *
+     * PARAMETERS
+     *      column - [STRING] : The column internal name.
+     *      method - [STRING] : The method reported with the error. Defaults to 'caml'.
+     */
+    static columnName (column, method = 'caml')
+    {
+        if (typeof column !== 'string' || column.trim() === '')
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid CAML column. A column internal name is required.', { method : method });
+        }
+
+        if (!spCaml.isColumnName(column))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid CAML column '${column}'. Use the column internal name (letters, digits and underscores).`, { method : method });
+        }
+
+        return column;
+    }
+
+    /**
+     * Checks if a value is a valid column internal name.
+     *
+     * PARAMETERS
+     *      column - [STRING] : The column name.
+     */
+    static isColumnName (column)
+    {
+        return typeof column === 'string' && /^[A-Za-z_][A-Za-z0-9_]{0,254}$/.test(column);
+    }
+
+    /**
+     * Turns the field metadata into an object of column name/Value Type pairs.
+     *
+     * PARAMETERS
+     *      fields - [OBJECT] : See constructor.
+     */
+    static fieldTypes (fields)
+    {
+        let types = {};
+
+        if (fields === null || typeof fields === 'undefined')
+        {
+            return types;
+        }
+
+        // The getListDetails result, or its columns.
+        let columns = Array.isArray(fields) ? fields : fields.columns;
+
+        if (!Array.isArray(columns))
+        {
+            return Object.assign(types, fields);
+        }
+
+        columns.forEach( function (column)
+        {
+            let type = valueTypes[column.fieldType] || 'Text';
+
+            // Calculated columns are compared by the type of their result.
+            if (type === 'Calculated')
+            {
+                type = column.resultType || 'Text';
+            }
+
+            types[column.internalName] = type;
+        });
+
+        return types;
+    }
+}
+
+/**
+ * A condition of a spCaml query waiting for its comparison. Every comparison returns the query builder.
+ */
+class spCamlCondition
+{
+    constructor (query, column)
+    {
+        this.query  = query;
+        this.column = column;
+    }
+
+    eq (value, type)            { return this.compare('Eq', [value], type); }
+    neq (value, type)           { return this.compare('Neq', [value], type); }
+    gt (value, type)            { return this.compare('Gt', [value], type); }
+    geq (value, type)           { return this.compare('Geq', [value], type); }
+    lt (value, type)            { return this.compare('Lt', [value], type); }
+    leq (value, type)           { return this.compare('Leq', [value], type); }
+    contains (value, type)      { return this.compare('Contains', [value], type); }
+    beginsWith (value, type)    { return this.compare('BeginsWith', [value], type); }
+    includes (value, type)      { return this.compare('Includes', [value], type); }
+    notIncludes (value, type)   { return this.compare('NotIncludes', [value], type); }
+    isNull ()                   { return this.compare('IsNull', [], null); }
+    isNotNull ()                { return this.compare('IsNotNull', [], null); }
+    before (value)              { return this.compare('Lt', [value], 'DateTime'); }
+    after (value)               { return this.compare('Gt', [value], 'DateTime'); }
+    between (start, end)        { return this.compare('Between', [start, end], 'DateTime'); }
+
+    in (values, type)
+    {
+        if (!Array.isArray(values) || values.length === 0)
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid CAML In values for '${this.column}'. At least one value is required.`, { method : 'caml' });
+        }
+
+        return this.compare('In', values, type);
+    }
+
+    compare (comparison, values, type)
+    {
+        if (values.some( value => value === null || typeof value === 'undefined' ))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid CAML value for '${this.column}'. Use isNull () to find empty values.`, { method : 'caml' });
+        }
+
+        return this.query.add({ comparison : comparison, column : this.column, values : values, type : type || null });
+    }
+}
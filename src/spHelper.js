@@ -1,3 +1,70 @@
+import spHelperError from './spHelperError';
+import spXml from './spXml';
+import spRest from './spRest';
+import spHelperBatch from './spHelperBatch';
+import spListMirror from './spListMirror';
+import spCaml from './spCaml';
+import spTimeZone from './spTimeZone';
+import spRecurrence from './spRecurrence';
+
+// Shorthand for the spHelperError codes.
+const errorCodes = spHelperError.codes;
+
+// The most values SharePoint allows in a CAML In element.
+const camlInLimit = 60;
+
+// The most In values sent in a single query. getListData splits larger value lists into queries that run in parallel.
+const camlQueryValueLimit = 500;
+
+// The comparison operations of where conditions.
+const camlOperations = ['Eq', 'Neq', 'Gt', 'Geq', 'Lt', 'Leq', 'IsNull', 'IsNotNull', 'BeginsWith', 'Contains', 'In', 'Includes', 'NotIncludes', 'DateRangesOverlap'];
+
+// The date operations of where conditions and the comparisons they are built with. Between includes both ends.
+const dateOperations = { Before : ['Lt'], After : ['Gt'], Between : ['Geq', 'Leq'] };
+
+// The SP.ChangeType values of list item changes read by getListChanges.
+const changeTypes = { add : 1, update : 2, deleteObject : 3, restore : 7 };
+
+// The most changes read with a single change query. getListChanges reads larger change logs in further requests.
+const changeFetchLimit = 1000;
+
+// The EventType values of calendar (Events list) items. Deleted and changed occurrences of a series are exceptions.
+const eventTypes = { single : 0, recurring : 1, deleted : 3, exception : 4 };
+
+// The columns the calendar mode of getListData reads to place every occurrence.
+const calendarColumns = ['ID', 'EventDate', 'EndDate', 'fAllDayEvent', 'fRecurrence', 'RecurrenceData', 'RecurrenceID', 'EventType', 'MasterSeriesItemID', 'Duration'];
+
+// The columns of a calendar row that are returned even when they are not requested.
+const occurrenceColumns = ['ID', 'EventDate', 'EndDate', 'RecurrenceID', 'MasterSeriesItemID'];
+
+// The DateRangesOverlap periods of the calendar mode.
+const calendarPeriods = ['Day', 'Week', 'Month', 'Year'];
+
+// The rows per page of a search query unless the 'rowLimit' option is set.
+const searchPageSize = 50;
+
+// The most rows SharePoint Search returns per page.
+const searchRowLimit = 500;
+
+// The exceptions thrown by user callbacks (see userCallback). Kept per exception, so requests running at once on one
+// spHelper object never see each other's exceptions.
+const callbackErrors = new WeakSet();
+
+// The functions of an aggregate query and their CAML Aggregations types.
+const aggregateTypes = { count : 'COUNT', sum : 'SUM', avg : 'AVG', min : 'MIN', max : 'MAX' };
+
+// The field types (SP.FieldType) SharePoint sums and averages: Integer, Counter, Number and Currency.
+const numericFieldTypes = [1, 5, 9, 10];
+
+// The field types an aggregate query groups by on the server: Text, Choice, Lookup and User. Their group values are read from the rows.
+const groupFieldTypes = [2, 6, 7, 20];
+
+// The most groups read per RenderListDataAsStream request.
+const aggregateGroupLimit = 5000;
+
+// The list view threshold used when the site does not return its MaxItemsPerThrottledOperation.
+const defaultListViewThreshold = 5000;
+
 export default class spHelper
 {
     /**
@@ -7,16 +74,43 @@ export default class spHelper
      *    'options' - [OBJECT] : List of class options and option settings.
      *
      * OPTIONS
-     *    'crossDomain' - [BOOL]   : Configures the class for cross domain communication.
-     *    'targetSite'  - [STRING] : Full URL path to the SharePoint Site to communicate with.
+     *    'crossDomain'    - [BOOL]   : Configures the class for cross domain communication.
+     *    'targetSite'     - [STRING] : Full URL path to the SharePoint Site to communicate with.
+     *    'transport'      - [STRING] : 'jsom' (default) or 'rest'. The REST transport sends _api requests and does not need sp.js.
+     *    'fetch'          - [FUNC]   : The fetch function used by the REST transport. Defaults to the global fetch.
+     *    'requestHeaders' - [OBJECT] : Extra headers sent with every REST request (e.g. Authorization).
+     *    'retry'          - [OBJECT] : Retries requests that fail with a throttling or transient error. Set to true for the defaults.
+     *    'normalizeValues' - [BOOL]  : Returns list data as plain JSON (see spHelper.normalizeValue). Defaults to false.
+     *    'timeZone'       - [STRING] : The IANA name of the site's time zone (e.g. 'Europe/Amsterdam'). Lets getSiteTimeZone
+     *                                  convert dates with the daylight saving rules of the time zone. Required for the date
+     *                                  conversions of a site time zone with daylight saving time.
+     *
+     * RETRY OPTIONS
+     *    'maxAttempts' - [INTEGER] : The most attempts of a request (including the first). Defaults to 4.
+     *    'baseDelay'   - [INTEGER] : The delay (ms) before the first retry, doubled for every further retry. Defaults to 1000.
+     *    'maxDelay'    - [INTEGER] : The longest delay (ms) between two attempts. Defaults to 30000.
+     *    'retryable'   - [FUNC ([spHelperError] error, [INTEGER] attempt, [BOOL] write)] : Returns true when a failed request
+     *                                can be retried. 'write' is true for requests that change items (add, update, delete and
+     *                                batches with changes). Defaults to spHelper.isRetryable (THROTTLED & TIMEOUT errors, HTTP
+     *                                502/503/504; writes only when THROTTLED, a timed out write may have been saved).
+     *    'onRetry'     - [FUNC ([spHelperError] error, [INTEGER] attempt, [INTEGER] delay)] : Called before each retry.
      */
     constructor (options)
     {
         // Class member defaults.
-        this.crossDomain = false;
-        this.targetSite  = '';
-        this.appContext  = {};
-        this.spWeb       = {};
+        this.crossDomain   = false;
+        this.targetSite    = '';
+        this.appContext    = {};
+        this.spWeb         = {};
+        this.rest          = null;
+        this.retry         = { maxAttempts : 1, baseDelay : 1000, maxDelay : 30000, retryable : spHelper.isRetryable, onRetry : null };
+        this.normalize     = false;
+        this.listFields    = {};
+        this.listViews     = {};
+        this.timeZone      = null;
+        this.siteZone      = null;
+        this.siteNumbers   = null;
+        this.siteThreshold = null;
 
         // Initialize the class with options.
         this.initializeOptions(options);
@@ -44,8 +138,37 @@ export default class spHelper
             }
             else
             {
-                throw 'spHelper Error: Configuration error. Cannot set cross domain communication without a target site.';
+                throw new spHelperError(errorCodes.CONFIGURATION, 'Configuration error. Cannot set cross domain communication without a target site.', { method : 'initializeOptions' });
+            }
+        }
+
+        // Retries are disabled (a single attempt) unless the retry option is set.
+        if (typeof options.retry !== 'undefined' && options.retry !== false)
+        {
+            this.retry = Object.assign(this.retry, { maxAttempts : 4 }, (options.retry === true) ? {} : options.retry);
+        }
+
+        if (typeof options.normalizeValues !== 'undefined')
+        {
+            this.normalize = (options.normalizeValues === true);
+        }
+
+        if (typeof options.timeZone !== 'undefined' && options.timeZone !== null)
+        {
+            this.timeZone = options.timeZone;
+        }
+
+        // The REST transport replaces the JSOM client context.
+        if (typeof options.transport !== 'undefined' && options.transport.toLowerCase() === 'rest')
+        {
+            if (this.crossDomain === true)
+            {
+                throw new spHelperError(errorCodes.CONFIGURATION, 'Configuration error. Cross domain communication is not supported by the REST transport.', { method : 'initializeOptions' });
             }
+
+            this.rest = new spRest(this.targetSite, options);
+
+            return;
         }
 
         // Create the necessary context's and objects.
@@ -104,460 +227,4032 @@ export default class spHelper
 	 */
 	refreshConnection ()
 	{
+        // Only the methods with a REST implementation can be used with the REST transport.
+        if (this.rest !== null)
+        {
+            throw new spHelperError(errorCodes.CONFIGURATION, 'This request requires JSOM and is not available with the REST transport.');
+        }
+
         this.setClientContext();
         this.setWeb();
 	}
 
     /**
-     * Retrieves one or more SPWeb properties of a SharePoint site. If the property is successfully received from the server
-     * it will be passed back to the users 'onSuccess' callback function. Similarly, if an error occures, the error message
-     * will be passed back to the users 'onFailure' callback function.
+     * Wraps a callback based request in a Promise. Used by every public method when the user does not supply callbacks.
+     * Any error thrown while the request is being set up (validation, JSOM object creation) rejects the Promise.
      *
      * PARAMETERS
-     *      siteProperty  - [ARRAY]                         : An array of [STRING] that represent a spWeb property. Case sensitive.
-     *      onSuccessUser - [FUNC ([OBJECT] result)]        : A callback function that is executed when the property is successfully received.
-     *      onFailureUser - [FUNC ([STRING] errorMessage)]  : A callback function that is executed when the property cannot be received.
+     *      request - [FUNC (resolve, reject)] : A function that runs the callback version of the request.
+     */
+    promiseRequest (request)
+    {
+        return new Promise( ( resolve, reject ) =>
+        {
+            request(resolve, reject);
+        });
+    }
+
+    /**
+     * Checks if the user supplied any callback functions. If not, the calling method will return a Promise instead.
      *
-     * OPTIONS
-     *      siteProperty : 'Title', 'Url', 'ServerRelativeUrl', 'MasterUrl'
+     * PARAMETERS
+     *      onSuccessUser - [FUNC] : The users success callback.
+     *      onFailureUser - [FUNC] : The users failure callback.
      */
-    getSiteProperty (siteProperty, onSuccessUser, onFailureUser)
+    usePromise (onSuccessUser, onFailureUser)
     {
-        if (typeof siteProperty == 'undefined')
+        return (typeof onSuccessUser !== 'function' && typeof onFailureUser !== 'function');
+    }
+
+    /**
+     * Wraps the success callback of a request so an exception thrown by the user's own code is told apart from a failed
+     * request. executeQuery & executeRest rethrow it (see rethrowCallbackError) instead of passing it to the failure
+     * callback, so only one of the callbacks runs. spHelperErrors are left out: they are the failures of spHelper's own
+     * callbacks, which are passed to public methods as well. The exception itself is marked, not the spHelper object, so
+     * every request only rethrows its own. Thrown values that are not objects cannot be marked and are reported as failures.
+     *
+     * PARAMETERS
+     *      callback - [FUNC] : The success callback.
+     */
+    userCallback (callback)
+    {
+        if (typeof callback !== 'function' || callback.userCallback === true)
         {
-            throw 'spHelper Error: Unable to get the site property. Ensure the siteProperty [ARRAY] is correctly configured.';
+            return callback;
         }
 
-        try
+        let wrapped = (...parameters) =>
         {
-            // Refresh connections.
-            this.refreshConnection();
-
-            // Setup the request. Limits the returned data to only the requested properties.
-            this.appContext.load(this.spWeb, siteProperty);
-
-            // Create a local 'this' for the callback functions.
-            let classThis = this;
-
-            // Callback function when the request (promise) has succeeded. This callback is used to collect the requested spWeb properties
-            // in a object then return to them to the user with their call back.
-            let resolve = function ()
+            try
             {
-                let results = {};
-
-                if (siteProperty.includes('Title'))
+                return callback(...parameters);
+            }
+            catch (error)
+            {
+                if (!(error instanceof spHelperError) && error !== null && (typeof error === 'object' || typeof error === 'function'))
                 {
-                    results.Title = classThis.spWeb.get_title();
+                    callbackErrors.add(error);
                 }
 
-                if (siteProperty.includes('ServerRelativeUrl'))
-                {
-                    results.ServerRelativeUrl = classThis.spWeb.get_serverRelativeUrl();
-                }
+                throw error;
+            }
+        };
 
-                if (siteProperty.includes('MasterUrl'))
-                {
-                    results.MasterUrl = classThis.spWeb.get_masterUrl();
-                }
+        wrapped.userCallback = true;
 
-                onSuccessUser(results);
-            };
+        return wrapped;
+    }
 
-            // Callback function when the request (promise) has rejected.
-            let reject = function (sender, args)
-            {
-                onFailureUser( args.get_message() );
-            };
+    /**
+     * Rethrows an exception of a user callback (see userCallback) that was caught while a response was being processed.
+     * Other errors are left to the caller.
+     *
+     * PARAMETERS
+     *      error - [ANY] : The caught exception.
+     */
+    rethrowCallbackError (error)
+    {
+        let callbackError = (error instanceof spHelperError) ? error.innerError : error;
 
-            // Execute the request.
-            this.appContext.executeQueryAsync( resolve, reject );
-        }
-        catch (error)
+        if (callbackError !== null && (typeof callbackError === 'object' || typeof callbackError === 'function') && callbackErrors.has(callbackError))
         {
-            throw 'spHelper Error: Unable to get the site property. Validate the request details.' + error;
+            callbackErrors.delete(callbackError);
+
+            throw callbackError;
         }
     }
 
     /**
-     * Retreive all data from a SharePoint list library. This method will use the loadListData method which has a item limit of 5000.
-     * If the quantity of items returned by the server equals 5000 the loadListData method will be executed again to see if there are
-     * more items in the list. This process will repeat until all items have been received. Only then will the data be returned to the
-     * users call back.
+     * Checks if a request should be run through retryRequest. Requests are only wrapped once: the failure callback of a
+     * retried request is marked as a retry handler.
      *
      * PARAMETERS
-     *      queryDetails  - [OBJECT]                        : A key/value pair object with details of the query request.
-     *      onSuccessUser - [FUNC ([ARRAY][OBJECT] result)] : A callback function that is executed when the data is successfully received.
-     *      onFailureUser - [FUNC ([STRING] errorMessage)]  : A callback function that is executed when the data cannot be received.
-     *
-     * OPTIONS
-     *      queryDetails
-     *          'listName'     - [STRING]  : The name/title of the list to query.
-     *          'listColumns'  - [ARRAY]   : Array of columns you want to retrieve.
-     *          'query'        - [STRING]  : A full CAML query to define which items to retrieve. Leave empty for all items.
-     *                                     : "<View Scope='RecursiveAll'><Query> ..... </Query><RowLimit>5000</RowLimit></View>"
-     *          'where'        - [OBJECT]  : A object containing key/values detailing the WHERE clause.
-     *                                     : "where : { column : 'tableName', operation : 'Eq', value : 'myValue', type : 'Text'}"
-     *          'pagePosition' - [INTEGER] : Starting item position to retrieve. Set to 0 for all items.
+     *      onFailureUser - [FUNC] : The users failure callback.
      */
-    getListData(queryDetails, onSuccessUser, onFailureUser)
+    useRetry (onFailureUser)
     {
-        // Set the default page position to 0 (first item) if undefined.
-        if (typeof queryDetails.pagePosition == 'undefined')
-        {
-            queryDetails.pagePosition = 0;
-        }
-
-        // Refresh connections.
-        this.refreshConnection();
-
-        // This array will be the final array returned to the users callback once all data is collected.
-        let listData = [];
-
-        // Create a local 'this' for the callback functions.
-        let classThis = this;
+        return (this.retry.maxAttempts > 1 && !(typeof onFailureUser === 'function' && onFailureUser.retryHandler === true));
+    }
 
-        // This function will run more than once if the 5000 item cap is hit.
-        let resolve = function (results)
+    /**
+     * Runs a request and runs it again, after a delay, when it fails with a retryable error. The whole request is sent again
+     * because JSOM discards the queued operations of a failed executeQueryAsync. The final error has an 'attempts' property.
+     *
+     * PARAMETERS
+     *      request   - [FUNC (onSuccess, onFailure)]    : A function that runs the callback version of the request.
+     *      onSuccess - [FUNC ([ANY] result)]            : A callback function that is executed when the request succeeds.
+     *      onFailure - [FUNC ([spHelperError] error)]   : A callback function that is executed when the request fails for good.
+     *      write     - [BOOL]                           : The request changes items. Passed on to the 'retryable' option.
+     *      attempt   - [INTEGER]                        : The attempt number.
+     */
+    retryRequest (request, onSuccess, onFailure, write = false, attempt = 1)
+    {
+        let onRetryFailure = (error) =>
         {
-            listData = listData.concat(results);
+            let retry = this.retry;
 
-            // There is a default 5000 limit in SharePoint. If reached, run the request again to collect additional items.
-            if (results.length == 5000)
+            if (attempt >= retry.maxAttempts || !retry.retryable(error, attempt, write))
             {
-                // Since the page position starts at 0 it needs to be incremented by the value of 5001 for the first page.
-                if (listData.length == 5000)
+                if (error instanceof spHelperError)
                 {
-                    queryDetails.pagePosition = queryDetails.pagePosition + 1;
+                    error.attempts = attempt;
                 }
 
-                // Increase the page position by 5000.
-                queryDetails.pagePosition = queryDetails.pagePosition + 5000;
+                onFailure(error);
 
-                // Request for more data.
-                classThis.loadListData(queryDetails, resolve, reject);
+                return;
             }
-            else
+
+            let delay = this.retryDelay(error, attempt);
+
+            if (typeof retry.onRetry === 'function')
             {
-                // All the data is collected. Run the users callback.
-                onSuccessUser(listData);
+                retry.onRetry(error, attempt, delay);
             }
+
+            setTimeout( () =>
+            {
+                // There is no caller to throw to once the request is retried.
+                try
+                {
+                    this.retryRequest(request, onSuccess, onFailure, write, attempt + 1);
+                }
+                catch (retryError)
+                {
+                    this.rethrowCallbackError(retryError);
+
+                    onFailure( spHelperError.from(retryError, errorCodes.UNKNOWN, 'Unable to retry the request ...') );
+                }
+            }, delay );
         };
 
-        let reject = function (errorMessage)
+        onRetryFailure.retryHandler = true;
+
+        request(onSuccess, onRetryFailure);
+    }
+
+    /**
+     * Works out the delay (ms) before the next attempt of a failed request. A Retry-After sent by SharePoint (REST transport)
+     * is respected, otherwise the delay grows exponentially from the base delay.
+     *
+     * PARAMETERS
+     *      error   - [spHelperError] : The error of the failed attempt.
+     *      attempt - [INTEGER]       : The number of the failed attempt.
+     */
+    retryDelay (error, attempt)
+    {
+        if (error && typeof error.retryAfter === 'number' && !isNaN(error.retryAfter))
         {
-        	onFailureUser(errorMessage);
+            return error.retryAfter * 1000;
         }
 
-        // Run the request for data. This initial attempt will cap at 5000 items.
-        this.loadListData(queryDetails, resolve, reject);
+        return Math.min(this.retry.maxDelay, this.retry.baseDelay * Math.pow(2, attempt - 1));
     }
 
     /**
-     * Retrieve a maximum of 5000 items from a SharePoint list library. Use method 'getListData' to get all list items.
+     * The default 'retryable' retry option. Throttled and timed out requests, as well as the transient HTTP errors of the
+     * REST transport (502, 503, 504), are retried. Writes are only retried when throttled (HTTP 429/503): SharePoint refused
+     * them, while a write that timed out or failed at the gateway may have been saved and would be saved twice.
      *
      * PARAMETERS
-     *      queryDetails  - [OBJECT]                        : A key/value pair object with details of the query request.
-     *      onSuccess     - [FUNC ([ARRAY][OBJECT] result)] : A callback function that is executed when the data is successfully received.
-     *      onFailure     - [FUNC ([STRING] errorMessage)]  : A callback function that is executed when the data cannot be received.
-     *
-     * OPTIONS
-     *      queryDetails : See getListData ().
+     *      error   - [spHelperError] : The error of the failed attempt.
+     *      attempt - [INTEGER]       : The number of the failed attempt.
+     *      write   - [BOOL]          : The request changes items.
      */
-    loadListData(queryDetails, onSuccess, onFailure)
+    static isRetryable (error, attempt, write = false)
     {
-        if ((typeof queryDetails.listName == 'undefined' && typeof queryDetails.listGuid == 'undefined') || typeof queryDetails.listColumns == 'undefined' || typeof queryDetails.pagePosition == 'undefined')
+        if (!(error instanceof spHelperError))
         {
-            throw 'spHelper Error: Invalid query details. Minimum query details must include list title, columns and page position.';
+            return false;
         }
 
-        try
+        if (write)
         {
-            let spList = '';
+            return (error.code === errorCodes.THROTTLED);
+        }
 
-            if (typeof(queryDetails.listName) !== 'undefined')
+        return (error.code === errorCodes.THROTTLED || error.code === errorCodes.TIMEOUT || [502, 503, 504].includes(error.status));
+    }
+
+    /**
+     * Executes the pending JSOM requests of the client context. Errors thrown while the successful response is being
+     * processed are passed to the failure callback instead of escaping from the JSOM callback. Every failure is passed
+     * on as a spHelperError. Exceptions thrown by the user's success callback are rethrown, they are not request failures.
+     *
+     * PARAMETERS
+     *      onSuccess - [FUNC ()]                        : A callback function that is executed when the request succeeds.
+     *      onFailure - [FUNC ([spHelperError] error)]   : A callback function that is executed when the request fails.
+     *      details   - [OBJECT]                         : Request details (method, list, itemID, caml) added to the error.
+     */
+    executeQuery (onSuccess, onFailure, details = {})
+    {
+        let resolve = () =>
+        {
+            try
             {
-                // Will store the spList object when request is complete.
-                spList = this.spWeb.get_lists().getByTitle(queryDetails.listName);
+                onSuccess();
             }
-            else
+            catch (error)
             {
-                // Will store the spList object when request is complete.
-                spList = this.spWeb.get_lists().getById(queryDetails.listGuid);
+                this.rethrowCallbackError(error);
+
+                onFailure( spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to process the SharePoint response ...', details) );
             }
+        };
 
-            // Generate the Caml query for the request.
-            let camlQuery = new SP.CamlQuery();
+        let reject = function (sender, args)
+        {
+            onFailure( spHelperError.fromRequest(args, details) );
+        };
 
-            if (typeof queryDetails.query !== 'undefined')
+        this.appContext.executeQueryAsync( resolve, reject );
+    }
+
+    /**
+     * Waits for a REST transport request. Same as executeQuery, errors thrown while the response is being processed are
+     * passed to the failure callback, every failure is passed on as a spHelperError and the exceptions of the user's
+     * success callback are rethrown.
+     *
+     * PARAMETERS
+     *      request   - [PROMISE]                        : The REST request.
+     *      onSuccess - [FUNC ([ANY] result)]            : A callback function that is executed when the request succeeds.
+     *      onFailure - [FUNC ([spHelperError] error)]   : A callback function that is executed when the request fails.
+     *      details   - [OBJECT]                         : Request details (method, list, itemID, caml) added to the error.
+     */
+    executeRest (request, onSuccess, onFailure, details = {})
+    {
+        let resolve = (result) =>
+        {
+            try
             {
-                camlQuery.set_viewXml(queryDetails.query);
+                onSuccess(result);
             }
-            // Create Custom Query
-            else
+            catch (error)
             {
-                let customQuery = "<View Scope='RecursiveAll'>";
+                this.rethrowCallbackError(error);
 
-                customQuery += '<ViewFields>';
+                onFailure( spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to process the SharePoint response ...', details) );
+            }
+        };
 
-                //FieldRef defines which columns are returned.
-                for (let column in queryDetails.listColumns)
-                {
-                    customQuery += `<FieldRef Name='${ queryDetails.listColumns[column] }' />`;
-                }
+        let reject = function (error)
+        {
+            onFailure( spHelperError.from(error, errorCodes.REQUEST_FAILED, 'SharePoint REST request failed.', details) );
+        };
 
-                customQuery += '</ViewFields>';
+        request.then( resolve, reject );
+    }
 
-                // Check if a WHERE clause has been provided.
-                if (typeof(queryDetails.where) !== 'undefined')
-                {
-                    let camlWhereInFix  = false;
-                    let multiWhereValue = false;
-                    let batches         = 0;
+    /**
+     * Retrieves one or more SPWeb properties of a SharePoint site. If the property is successfully received from the server
+     * it will be passed back to the users 'onSuccess' callback function. Similarly, if an error occures, the error message
+     * will be passed back to the users 'onFailure' callback function. If no callbacks are supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      siteProperty  - [ARRAY]                         : An array of [STRING] that represent a spWeb property. Case sensitive.
+     *      onSuccessUser - [FUNC ([OBJECT] result)]        : A callback function that is executed when the property is successfully received.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the property cannot be received.
+     *
+     * OPTIONS
+     *      siteProperty : 'Title', 'Url', 'ServerRelativeUrl', 'MasterUrl'
+     */
+    getSiteProperty (siteProperty, onSuccessUser, onFailureUser)
+    {
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getSiteProperty(siteProperty, resolve, reject) );
+        }
 
-                    // If there is no Where.Value then set it to null (vs. undefined) so it can still be used later.
-                    if (typeof(queryDetails.where.value) === 'undefined')
-                    {
-                        queryDetails.where.value = '';
-                    }
+        onSuccessUser = this.userCallback(onSuccessUser);
 
-                    customQuery += '<Query> <Where>';
+        if (this.useRetry(onFailureUser))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.getSiteProperty(siteProperty, onSuccess, onFailure), onSuccessUser, onFailureUser );
+        }
 
-                    // Check if the keyword "values" was used. This is intended for WHERE clauses that use operations like AND/OR
-                    // that are comparing columns with their own values/operations. The 'values' property should be an array of
-                    // objects [ {column: 'myColumn', operation: 'Eq', value: 'something', type: 'lookup' }, ..... ]
-                    if (typeof(queryDetails.where.values) !== 'undefined')
-                    {
-                        customQuery += `<${queryDetails.where.operation}>`;
+        if (typeof siteProperty == 'undefined')
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Unable to get the site property. Ensure the siteProperty [ARRAY] is correctly configured.', { method : 'getSiteProperty' });
+        }
 
-                        queryDetails.where.values.forEach ( function (value)
-                        {
-                            customQuery += `<${value.operation}>`;
+        try
+        {
+            // Callback function when the request (promise) has succeeded. Returns the requested spWeb properties to the user.
+            let resolve = (spWeb) =>
+            {
+                onSuccessUser(this.siteProperties(spWeb, siteProperty));
+            };
 
-                            // This checks for lookup. If the value is a number then adds the LookupID = 'TRUE' tag. If not,
-                            // any lookups will be compared to the lookup value itself.
-                            if (value.type.toLowerCase() === 'lookup' && !isNaN(value.value))
-                            {
-                                customQuery += `<FieldRef Name='${value.column}' LookupId='TRUE'/> <Value Type='${value.type}'>${value.value}</Value>`;
-                            }
-                            else
-                            {
-                                customQuery += `<FieldRef Name='${value.column}'/> <Value Type='${value.type}'>${value.value}</Value>`;
-                            }
+            if (this.rest !== null)
+            {
+                this.executeRest( this.rest.getWeb({ method : 'getSiteProperty' }), resolve, onFailureUser, { method : 'getSiteProperty' } );
 
-                            customQuery += `</${value.operation}>`;
-                        })
+                return;
+            }
 
-                        customQuery += `</${queryDetails.where.operation}>`;
-                    }
-                    else
-                    {
-                        // Check if more than one value was sent. If true then it is necessary to use <values><value></value></values> later.
-                        if (queryDetails.where.value.constructor.name === 'Array')
-                        {
-                            multiWhereValue   = true;
-                        }
+            // Refresh connections.
+            this.refreshConnection();
 
-                        // Check if the operation is a IN operation.
-                        if (queryDetails.where.operation.toLowerCase() === 'in')
-                        {
-                            // Check the count of the items. This is necessary because a multi-value WHERE clause will need many <value></value> tags.
-                            // SharePoint only allows a maximum of 60 of these to be used in a single statement. The workaround for over 60 is to
-                            // batch the <value></value> tags in multiple <Or></Or> tags.
-                            if (multiWhereValue && queryDetails.where.value.length > 60)
-                            {
-                                // SharePoint CAML <WHERE/IN> Fix Required.
-                                camlWhereInFix = true;
+            // Setup the request. Limits the returned data to only the requested properties.
+            this.appContext.load(this.spWeb, siteProperty);
 
-                                // Calculate number of batches.
-                                batches = Math.ceil(queryDetails.where.value.length / 60);
-                            }
-                        }
+            // Execute the request.
+            this.executeQuery( () => resolve(this.spWeb), onFailureUser, { method : 'getSiteProperty' } );
+        }
+        catch (error)
+        {
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to get the site property. Validate the request details.', { method : 'getSiteProperty' });
+        }
+    }
 
-                        // Create a more complex query by creating batches of <values></values> within a <Or></Or> tag.
-                        if (camlWhereInFix)
-                        {
-                            customQuery += '<Or>';
+    /**
+     * Collects the requested spWeb properties in a object.
+     *
+     * PARAMETERS
+     *      spWeb        - [OBJECT] : The loaded SP.Web (or REST web).
+     *      siteProperty - [ARRAY]  : See getSiteProperty ().
+     */
+    siteProperties (spWeb, siteProperty)
+    {
+        let results = {};
 
-                            for (let i = 0; i < batches; i++)
-                            {
-                                customQuery += `<In> <FieldRef Name='${queryDetails.where.column}' /> <Values>`;
+        if (siteProperty.includes('Title'))
+        {
+            results.Title = spWeb.get_title();
+        }
+
+        if (siteProperty.includes('Url'))
+        {
+            results.Url = spWeb.get_url();
+        }
+
+        if (siteProperty.includes('ServerRelativeUrl'))
+        {
+            results.ServerRelativeUrl = spWeb.get_serverRelativeUrl();
+        }
+
+        if (siteProperty.includes('MasterUrl'))
+        {
+            results.MasterUrl = spWeb.get_masterUrl();
+        }
+
+        return results;
+    }
+
+    /**
+     * Reads the time zone of the site (RegionalSettings.TimeZone) once and returns it as a spTimeZone, which converts dates
+     * between UTC, the site's local time and the browser's local time. If no callbacks are supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      onSuccessUser - [FUNC ([spTimeZone] timeZone)]  : A callback function that is executed with the time zone.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the time zone cannot be read.
+     *
+     * RESULT
+     *      spTimeZone : { id, description, bias, standardBias, daylightBias, name } with toSiteTime, fromSiteTime,
+     *                   toBrowserTime, fromBrowserTime, convert and today.
+     *
+     * EXAMPLES
+     *      dataConnection.getSiteTimeZone().then( timeZone => timeZone.toSiteTime(new Date()) );
+     */
+    getSiteTimeZone (onSuccessUser, onFailureUser)
+    {
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getSiteTimeZone(resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        if (this.useRetry(onFailureUser))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.getSiteTimeZone(onSuccess, onFailure), onSuccessUser, onFailureUser );
+        }
+
+        if (this.siteZone !== null)
+        {
+            onSuccessUser(this.siteZone);
+
+            return;
+        }
+
+        // Details of the request that are added to any error.
+        let errorDetails = { method : 'getSiteTimeZone' };
+
+        try
+        {
+            let resolve = (timeZone) =>
+            {
+                this.siteZone = spTimeZone.fromRegionalSettings(timeZone, this.timeZone);
+
+                onSuccessUser(this.siteZone);
+            };
+
+            if (this.rest !== null)
+            {
+                this.executeRest( this.rest.getTimeZone(errorDetails), resolve, onFailureUser, errorDetails );
+
+                return;
+            }
+
+            // Refresh connections.
+            this.refreshConnection();
+
+            let timeZone = this.spWeb.get_regionalSettings().get_timeZone();
+
+            this.appContext.load(timeZone);
+
+            this.executeQuery( () => resolve(timeZone), onFailureUser, errorDetails );
+        }
+        catch (error)
+        {
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to get the site time zone.', errorDetails);
+        }
+    }
+
+    /**
+     * Retreive all data from a SharePoint list library. This method will use the getListDataPage method which reads a page of up to
+     * 5000 items. While the server returns a paging position for a next page, getListDataPage is executed again starting at that
+     * position. This process will repeat until all items have been received. Only then will the data be returned to the users call
+     * back. If no callbacks are supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      queryDetails  - [OBJECT]                        : A key/value pair object with details of the query request.
+     *      onSuccessUser - [FUNC ([ARRAY][OBJECT] result)] : A callback function that is executed when the data is successfully received.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the data cannot be received.
+     *
+     * OPTIONS
+     *      queryDetails
+     *          'listName'     - [STRING]  : The name/title of the list to query.
+     *          'listColumns'  - [ARRAY]   : Array of columns you want to retrieve.
+     *          'viewName'     - [STRING]  : Reads the items of a list view (its ViewQuery, ViewFields, RowLimit and Scope). The
+     *                                     : listColumns, where, orderBy, groupBy and rowLimit are added on top of the view.
+     *          'viewId'       - [STRING]  : The GUID of the list view (instead of the viewName).
+     *          'folder'       - [STRING]  : Server relative URL of the folder to read. Defaults to the root folder of the list.
+     *          'scope'        - [STRING]  : 'Default' (the items and folders of the folder), 'Recursive' (the items of the folder
+     *                                     : and its sub folders), 'RecursiveAll' (items and folders of all levels, the default)
+     *                                     : or 'FilesOnly' (the items of the folder).
+     *          'query'        - [STRING]  : A full CAML query to define which items to retrieve. Leave empty for all items.
+     *                                     : "<View Scope='RecursiveAll'><Query> ..... </Query><RowLimit>5000</RowLimit></View>"
+     *                 [spCaml]  : Or a query built with spHelper.caml (). The listColumns are used as ViewFields unless
+     *                             the builder sets its own.
+     *          'where'        - [OBJECT]  : A object containing key/values detailing the WHERE clause.
+     *                                     : "where : { column : 'tableName', operation : 'Eq', value : 'myValue', type : 'Text'}"
+     *                                     : Or a group of any number of conditions and groups, nested to any depth.
+     *                                     : "where : { operation : 'Or', values : [ {...}, { operation : 'And', values : [...] } ] }"
+     *                                     : Dates use Before, After or Between (and 'Today', { today : offsetDays }, 'Now' values),
+     *                                     : the date only is compared unless 'includeTime' is set.
+     *                                     : "where : { column : 'DueDate', operation : 'Between', value : ['Today', { today : 7 }] }"
+     *          'orderBy'      - [STRING|OBJECT|ARRAY] : The sort order. A column name, { column, ascending } or an array of either.
+     *                                     : "orderBy : [ 'Status', { column : 'Modified', ascending : false } ]"
+     *          'groupBy'      - [STRING|ARRAY|OBJECT] : One or two columns to group by, or { columns, collapse }.
+     *          'rowLimit'     - [INTEGER] : The number of items read per request (page). Defaults to the 5000 item cap.
+     *          'top'          - [INTEGER] : The maximum number of items returned.
+     *          'pagePosition' - [INTEGER] : Starting item ID to retrieve items after. Set to 0 for all items.
+     *          'pagingInfo'   - [STRING]  : A paging position returned by getListDataPage to start after. Overrides pagePosition.
+     *          'onPage'       - [FUNC ([OBJECT] page)] : Streams the items one page at a time ({ items, pageNumber, total, pagingInfo }).
+     *                                     : The pagingInfo is null when the list is read in windows of item IDs (thresholdSafe).
+     *                                     : The pages are not kept, the result is the number of items read. Return false to stop reading.
+     *          'onProgress'   - [FUNC ([OBJECT] progress)] : Executed after each page with the running total ({ pageNumber, total }).
+     *          'signal'       - [AbortSignal] : Cancels the read before the next page. The request fails with a CANCELLED error.
+     *          'thresholdSafe' - [BOOL]   : Checks the query against the list view threshold first and reads large lists that are
+     *                                     : filtered on columns that are not indexed in windows of item IDs. See planListQuery ().
+     *                                     : { threshold : 5000 } sets the threshold, which defaults to the site's
+     *                                     : MaxItemsPerThrottledOperation (5000 when the site does not return it).
+     *          'normalizeValues' - [BOOL] : Returns the values as plain JSON (see normalizeValue). Defaults to the class option.
+     *          'join'         - [ARRAY]   : Lists joined through lookup columns (see listJoins ()). The projected fields are
+     *                                     : added to the rows.
+     *                                     : "join : [ { list : 'Customers', joinColumn : 'Customer', fields : ['Title'],
+     *                                     :             joins : [ { list : 'Cities', joinColumn : 'City', type : 'inner', fields : [{ field : 'Title', alias : 'City' }] } ] } ]"
+     *          'calendar'     - [BOOL|STRING|OBJECT] : Reads a calendar (Events list) with one row per occurrence of its recurring
+     *                                     : events. A period of today ('Day', 'Week', 'Month' or 'Year'), { period, date } or
+     *                                     : a custom range { start, end }. See readCalendar ().
+     *                                     : "calendar : { period : 'Month', date : '2026-10-01' }"
+     */
+    getListData(queryDetails, onSuccessUser, onFailureUser)
+    {
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getListData(queryDetails, resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        // Calendars are read one period at a time and their occurrences are merged (see readCalendar).
+        if (typeof queryDetails.calendar !== 'undefined' && queryDetails.calendar !== null && queryDetails.calendar !== false)
+        {
+            this.readCalendar(queryDetails, onSuccessUser, onFailureUser);
+
+            return;
+        }
+
+        // This array will be the final array returned to the users callback once all data is collected.
+        let listData = [];
+
+        // Create a local 'this' for the callback functions.
+        let classThis = this;
+
+        // Every page starts after the paging position returned by the server with the previous page, so paging works with
+        // any sort order and filter. The user's query details are not changed.
+        let pageQuery  = Object.assign({}, queryDetails);
+        let readPage   = (onPage, onFailure) => classThis.getListDataPage(pageQuery, onPage, onFailure);
+        let top        = (typeof queryDetails.top !== 'undefined' && queryDetails.top !== null) ? parseInt(queryDetails.top) : Infinity;
+        let streaming  = (typeof queryDetails.onPage === 'function');
+        let total      = 0;
+        let pageNumber = 0;
+
+        // This function will run once for every page.
+        let resolve = function (page)
+        {
+            let items    = page.items.slice(0, top - total);
+            let readMore = true;
+
+            total      += items.length;
+            pageNumber += 1;
+
+            let nextPagingInfo = (page.pagingInfo !== null && total < top) ? page.pagingInfo : null;
+
+            try
+            {
+                // Streamed pages are passed on and not kept. Returning false from onPage stops reading.
+                if (streaming)
+                {
+                    readMore = queryDetails.onPage({ items : items, pageNumber : pageNumber, total : total, pagingInfo : (page.resumable === false) ? null : nextPagingInfo }) !== false;
+                }
+                else
+                {
+                    listData = listData.concat(items);
+                }
+
+                if (typeof queryDetails.onProgress === 'function')
+                {
+                    queryDetails.onProgress({ pageNumber : pageNumber, total : total });
+                }
+            }
+            catch (error)
+            {
+                onFailureUser(spHelperError.from(error, errorCodes.UNKNOWN, 'The onPage or onProgress callback failed.', { method : 'getListData' }));
+
+                return;
+            }
+
+            // If there are more items, run the request again to collect the next page.
+            if (nextPagingInfo !== null && readMore)
+            {
+                if (spHelper.isCancelled(queryDetails.signal))
+                {
+                    reject(spHelper.cancelledError('getListData', queryDetails));
+
+                    return;
+                }
+
+                pageQuery.pagingInfo = nextPagingInfo;
+
+                // Request for more data.
+                readPage(resolve, reject);
+            }
+            else
+            {
+                // All the data is collected. Run the users callback.
+                onSuccessUser(streaming ? total : listData);
+            }
+        };
+
+        let reject = function (error)
+        {
+        	onFailureUser(error);
+        }
+
+        if (spHelper.isCancelled(queryDetails.signal))
+        {
+            reject(spHelper.cancelledError('getListData', queryDetails));
+
+            return;
+        }
+
+        // Value lists too large for a single query are read with parallel queries. The merged items are one page.
+        let queries = this.splitListQuery(queryDetails);
+
+        if (queries.length > 1)
+        {
+            this.getListDataParallel(queries, queryDetails.listColumns, items => resolve({ items : items, pagingInfo : null }), reject);
+
+            return;
+        }
+
+        // Refresh connections.
+        if (this.rest === null)
+        {
+            this.refreshConnection();
+        }
+
+        // In threshold safe mode the query is checked first. Queries that filter on columns that are not indexed are read
+        // in windows of item IDs.
+        if (queryDetails.thresholdSafe)
+        {
+            let onPlan = function (plan)
+            {
+                if (plan.mode === 'windows')
+                {
+                    readPage = classThis.listWindowReader(queryDetails, plan);
+                }
+
+                readPage(resolve, reject);
+            };
+
+            this.planListQuery(queryDetails, onPlan, reject);
+
+            return;
+        }
+
+        // Run the request for the first page of data.
+        readPage(resolve, reject);
+    }
+
+    /**
+     * Reads a calendar (Events list) with one row per occurrence of its events (the 'calendar' option of getListData). The
+     * items are read with ExpandRecurrence for every period (month or year) of the range, and merged into the occurrences
+     * that overlap the range, sorted by their start. If no callbacks are supplied a Promise is returned.
+     *
+     *      Recurring events       : One row per occurrence. The ID and MasterSeriesItemID are the ID of the series, the
+     *                               RecurrenceID is the original start of the occurrence. Series that the server returns
+     *                               unexpanded are expanded from their RecurrenceData (see spRecurrence).
+     *      Changed occurrences    : The exception item (its own ID, EventDate and EndDate) replaces the occurrence.
+     *      Deleted occurrences    : Left out.
+     *
+     * Days, weeks (starting on Sunday), months and years are those of the site's time zone (see getSiteTimeZone). The rows
+     * have the listColumns plus the ID, EventDate, EndDate, RecurrenceID and MasterSeriesItemID.
+     *
+     * PARAMETERS
+     *      queryDetails  - [OBJECT]                        : See getListData (). The 'calendar' option is required.
+     *      onSuccessUser - [FUNC ([ARRAY][OBJECT] result)] : A callback function that is executed with the occurrences.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the calendar cannot be read.
+     *
+     * OPTIONS
+     *      queryDetails.calendar
+     *          true                   : The month of today.
+     *          'period'  - [STRING]   : 'Day', 'Week', 'Month' or 'Year' of today.
+     *          { period, date }       : The period of a date (a local date of the site, 'YYYY-MM-DD', or a Date).
+     *          { start, end }         : A custom range. Local times of the site ('YYYY-MM-DD' ends include the whole day),
+     *                                   Dates or ISO strings with a time zone.
+     *
+     * EXAMPLES
+     *      let events = await dataConnection.getListData(
+     *      {
+     *          listName    : 'Events',
+     *          listColumns : ['Title', 'Location'],
+     *          calendar    : { start : '2026-10-01', end : '2026-12-31' },
+     *      });
+     */
+    readCalendar (queryDetails, onSuccessUser, onFailureUser)
+    {
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.readCalendar(queryDetails, resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        // Details of the request that are added to any error.
+        let errorDetails =
+        {
+            method : 'getListData',
+            list   : (typeof(queryDetails.listName) !== 'undefined') ? queryDetails.listName : queryDetails.listGuid,
+        };
+
+        if (typeof queryDetails.onPage === 'function' || typeof queryDetails.query !== 'undefined')
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid query details. The calendar mode cannot be combined with onPage or a full query.', errorDetails);
+        }
+
+        let listColumns = queryDetails.listColumns || [];
+        let normalize   = (typeof queryDetails.normalizeValues !== 'undefined') ? (queryDetails.normalizeValues === true) : this.normalize;
+        let top         = (typeof queryDetails.top !== 'undefined' && queryDetails.top !== null) ? parseInt(queryDetails.top) : Infinity;
+        let columns     = listColumns.concat(calendarColumns.filter( column => !listColumns.includes(column) ));
+
+        let onTimeZone = (timeZone) =>
+        {
+            let calendar = null;
+
+            try
+            {
+                calendar = spHelper.calendarQueries(queryDetails.calendar, timeZone);
+            }
+            catch (error)
+            {
+                onFailureUser(spHelperError.from(error, errorCodes.INVALID_ARGUMENT, 'Invalid calendar.', errorDetails));
+
+                return;
+            }
+
+            let results   = new Array(calendar.queries.length);
+            let remaining = calendar.queries.length;
+            let failed    = false;
+
+            let resolve = function ()
+            {
+                let rows = null;
+
+                try
+                {
+                    rows = spHelper.calendarRows([].concat(...results), calendar.range, timeZone, listColumns, normalize);
+                }
+                catch (error)
+                {
+                    onFailureUser(spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to expand the calendar events.', errorDetails));
+
+                    return;
+                }
+
+                onSuccessUser(rows.slice(0, top));
+            };
+
+            let reject = function (error)
+            {
+                // Only the first failure is reported.
+                if (!failed)
+                {
+                    failed = true;
+
+                    onFailureUser(error);
+                }
+            };
+
+            // The periods are read in parallel.
+            calendar.queries.forEach( (calendarPeriod, index) =>
+            {
+                let periodQuery = Object.assign({}, queryDetails, { calendar : null, calendarPeriod : calendarPeriod, listColumns : columns, top : null, onProgress : undefined });
+
+                let onSuccess = function (rows)
+                {
+                    results[index] = rows;
+
+                    remaining--;
+
+                    if (remaining === 0 && !failed)
+                    {
+                        resolve();
+                    }
+                };
+
+                try
+                {
+                    this.getListData(periodQuery, onSuccess, reject);
+                }
+                catch (error)
+                {
+                    reject(spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to read list data. Validate query details ...', errorDetails));
+                }
+            });
+        };
+
+        this.getSiteTimeZone(onTimeZone, onFailureUser);
+    }
+
+    /**
+     * Returns the range ({ start, end } in ms) of the 'calendar' option of getListData and the periods that are queried
+     * to read it ([{ period, date }], the DateRangesOverlap period and the CalendarDate of each query). Custom ranges are
+     * read by month, or by year when they span more than a year.
+     *
+     * PARAMETERS
+     *      calendar - [BOOL|STRING|OBJECT] : See readCalendar ().
+     *      timeZone - [spTimeZone]         : The time zone of the site.
+     */
+    static calendarQueries (calendar, timeZone)
+    {
+        let details = (calendar === true) ? { period : 'Month' } : (typeof calendar === 'string') ? { period : calendar } : calendar;
+
+        let invalid = message => new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid calendar. ${message}`, { method : 'getListData' });
+
+        // Local dates of the site are handled as the ms of the same date in UTC.
+        let siteDate = function (value)
+        {
+            if (value instanceof Date || (typeof value === 'string' && spTimeZone.hasTimeZone(value)))
+            {
+                return Date.parse(timeZone.toSiteTime(value).substring(0, 10) + 'T00:00:00Z');
+            }
+
+            return Date.parse(spTimeZone.format(new Date(spTimeZone.localTime(value, 'getListData'))).substring(0, 10) + 'T00:00:00Z');
+        };
+
+        let midnight = date => timeZone.fromSiteTime(spTimeZone.format(new Date(date))).getTime();
+
+        if (typeof details !== 'object' || details === null)
+        {
+            throw invalid('Use a period, { period, date } or { start, end }.');
+        }
+
+        // A custom range. A local end date includes the whole day.
+        if (typeof details.start !== 'undefined' || typeof details.end !== 'undefined')
+        {
+            let moment = function (value, isEnd)
+            {
+                if (typeof value === 'undefined' || value === null)
+                {
+                    throw invalid('A custom range needs a start and an end.');
+                }
+
+                if (spTimeZone.isLocalTime(value))
+                {
+                    return (isEnd && value.trim().length === 10) ? midnight(siteDate(value) + 86400000) - 1 : timeZone.fromSiteTime(value).getTime();
+                }
+
+                return spTimeZone.instant(value, 'getListData').getTime();
+            };
+
+            let start = moment(details.start, false);
+            let end   = moment(details.end, true);
+
+            if (end < start)
+            {
+                throw invalid('The end of the range is before its start.');
+            }
+
+            let first   = new Date(siteDate(new Date(start)));
+            let last    = new Date(siteDate(new Date(end)));
+            let months  = (last.getUTCFullYear() - first.getUTCFullYear()) * 12 + last.getUTCMonth() - first.getUTCMonth() + 1;
+            let queries = [];
+
+            for (let index = 0; index < ((months > 12) ? last.getUTCFullYear() - first.getUTCFullYear() + 1 : months); index++)
+            {
+                let date = (months > 12) ? Date.UTC(first.getUTCFullYear() + index, 0, 1) : Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + index, 1);
+
+                queries.push({ period : (months > 12) ? 'Year' : 'Month', date : spTimeZone.format(new Date(date)).substring(0, 10) });
+            }
+
+            return { range : { start : start, end : end }, queries : queries };
+        }
+
+        let period = calendarPeriods.find( name => name.toLowerCase() === String(details.period || 'Month').toLowerCase() );
+
+        if (typeof period === 'undefined')
+        {
+            throw invalid(`'${details.period}' is not a calendar period. Use ${calendarPeriods.join(', ')}.`);
+        }
+
+        let date    = new Date((typeof details.date === 'undefined' || details.date === null) ? siteDate(timeZone.today()) : siteDate(details.date));
+        let year    = date.getUTCFullYear();
+        let month   = date.getUTCMonth();
+        let day     = date.getUTCDate();
+        let weekday = date.getUTCDay();
+
+        let bounds =
+        {
+            Day   : [Date.UTC(year, month, day), Date.UTC(year, month, day + 1)],
+            Week  : [Date.UTC(year, month, day - weekday), Date.UTC(year, month, day - weekday + 7)],
+            Month : [Date.UTC(year, month, 1), Date.UTC(year, month + 1, 1)],
+            Year  : [Date.UTC(year, 0, 1), Date.UTC(year + 1, 0, 1)],
+        }[period];
+
+        return {
+            range   : { start : midnight(bounds[0]), end : midnight(bounds[1]) - 1 },
+            queries : [{ period : period, date : spTimeZone.format(date).substring(0, 10) }],
+        };
+    }
+
+    /**
+     * Turns the items of a calendar read with ExpandRecurrence into one row per occurrence that overlaps a range, sorted by
+     * start (see readCalendar). Deleted occurrences are left out and changed occurrences replace the occurrence of their
+     * series. Series returned unexpanded are expanded from their RecurrenceData.
+     *
+     * PARAMETERS
+     *      rows        - [ARRAY]       : The items (getListData rows with the calendarColumns).
+     *      range       - [OBJECT]      : { start, end } in ms.
+     *      timeZone    - [spTimeZone]  : The time zone of the site.
+     *      listColumns - [ARRAY]       : The columns requested by the user.
+     *      normalize   - [BOOL]        : Returns the dates as ISO strings instead of Dates.
+     */
+    static calendarRows (rows, range, timeZone, listColumns, normalize)
+    {
+        let moment = value => (value instanceof Date) ? value : (value !== null && typeof value !== 'undefined' && value !== '') ? new Date(value) : null;
+        let flag   = value => value === true || value === 1 || String(value).toLowerCase() === 'true' || String(value) === '1';
+        let key    = (id, date) => `${id}|${date.getTime()}`;
+
+        // Expanded occurrences have IDs like '5.0.2026-10-20T07:00:00Z' on some servers. The item ID comes first.
+        let itemId = value => (value !== null && typeof value === 'object') ? parseInt(value.id) : parseInt(value);
+
+        // All day events are floating: their dates are the site's local dates, whatever the time zone.
+        let siteMoment = (date, allDay) => allDay ? timeZone.fromSiteTime(spTimeZone.format(date)) : date;
+
+        // Occurrences that were changed or deleted, by series and original start.
+        let replaced = new Set();
+
+        rows.forEach( function (row)
+        {
+            let eventType = parseInt(row.EventType);
+
+            if ((eventType === eventTypes.deleted || eventType === eventTypes.exception) && moment(row.RecurrenceID) !== null)
+            {
+                replaced.add(key(itemId(row.MasterSeriesItemID), moment(row.RecurrenceID)));
+            }
+        });
+
+        let found       = new Set();
+        let occurrences = [];
+
+        let add = function (row, details)
+        {
+            let allDay = flag(row.fAllDayEvent);
+            let start  = siteMoment(details.start, allDay).getTime();
+            let end    = siteMoment(details.end || details.start, allDay).getTime();
+
+            if (found.has(key(details.id, details.start)) || start > range.end || end < range.start)
+            {
+                return;
+            }
+
+            found.add(key(details.id, details.start));
+
+            let occurrence = {};
+
+            Object.keys(row).forEach( function (column)
+            {
+                if (listColumns.includes(column) || !calendarColumns.includes(column))
+                {
+                    occurrence[column] = row[column];
+                }
+            });
+
+            let dates =
+            {
+                EventDate    : details.start,
+                EndDate      : details.end || details.start,
+                RecurrenceID : details.recurrenceId,
+            };
+
+            Object.keys(dates).forEach( column => occurrence[column] = (dates[column] !== null && normalize) ? dates[column].toISOString() : dates[column] );
+
+            occurrence.ID                 = details.id;
+            occurrence.MasterSeriesItemID = details.masterId;
+
+            occurrences.push({ start : details.start.getTime(), row : occurrence });
+        };
+
+        rows.forEach( function (row)
+        {
+            let eventType = parseInt(row.EventType) || eventTypes.single;
+            let id        = itemId(row.ID);
+            let start     = moment(row.EventDate);
+
+            if (eventType === eventTypes.deleted || start === null)
+            {
+                return;
+            }
+
+            if (eventType === eventTypes.exception)
+            {
+                add(row, { id : id, start : start, end : moment(row.EndDate), recurrenceId : moment(row.RecurrenceID), masterId : itemId(row.MasterSeriesItemID) });
+
+                return;
+            }
+
+            if (eventType !== eventTypes.recurring || !flag(row.fRecurrence))
+            {
+                add(row, { id : id, start : start, end : moment(row.EndDate), recurrenceId : null, masterId : null });
+
+                return;
+            }
+
+            let duration = (parseInt(row.Duration) || 0) * 1000;
+            let starts   = [];
+
+            // Occurrences expanded by the server start at their RecurrenceID.
+            if (moment(row.RecurrenceID) !== null)
+            {
+                starts = [moment(row.RecurrenceID)];
+            }
+            else
+            {
+                try
+                {
+                    starts = spRecurrence.occurrences(row.RecurrenceData, { start : start, duration : duration, rangeStart : new Date(range.start - 86400000), rangeEnd : new Date(range.end + 86400000), timeZone : timeZone, allDay : flag(row.fAllDayEvent) });
+                }
+                catch (error)
+                {
+                    // A series that cannot be expanded is returned as is, like SharePoint does.
+                    add(row, { id : id, start : start, end : moment(row.EndDate), recurrenceId : null, masterId : null });
+
+                    return;
+                }
+            }
+
+            starts.filter( date => !replaced.has(key(id, date)) ).forEach( date => add(row, { id : id, start : date, end : new Date(date.getTime() + duration), recurrenceId : date, masterId : id }) );
+        });
+
+        occurrences.sort( (occurrenceA, occurrenceB) => (occurrenceA.start - occurrenceB.start) || (occurrenceA.row.ID - occurrenceB.row.ID) );
+
+        return occurrences.map( occurrence => occurrence.row );
+    }
+
+    /**
+     * Counts the items of a list and sums, averages or finds the lowest and highest values of its columns, for all items and
+     * per group of one or more columns, without returning the items. If no callbacks are supplied a Promise is returned.
+     *
+     * SharePoint does the work where it can:
+     *
+     *      ItemCount              : A count of all items (no where, folder, scope, groups or columns) is the ItemCount of the list.
+     *      RenderListDataAsStream : The totals (Aggregations) of a view grouped by up to two Text, Choice, Lookup or User
+     *                               columns. Sum, avg, min and max of Number, Currency and Integer columns, one function per column.
+     *      Client                 : Otherwise the items are streamed page by page (the onPage option of getListData) and only the
+     *                               running totals of every group are kept. Lists are read threshold safe (see planListQuery)
+     *                               unless 'thresholdSafe' is false. Also used when the server query exceeds the list view threshold.
+     *
+     * PARAMETERS
+     *      queryDetails  - [OBJECT]                        : A key/value pair object with details of the query request.
+     *      onSuccessUser - [FUNC ([OBJECT] result)]        : A callback function that is executed with the totals.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the totals cannot be read.
+     *
+     * OPTIONS
+     *      queryDetails
+     *          'listName'    - [STRING]        : The name/title of the list.
+     *          'listGuid'    - [STRING]        : The GUID of the list (used when there is no listName).
+     *          'aggregates'  - [OBJECT]        : The functions per column: 'count' (items with a value), 'sum', 'avg', 'min' or
+     *                                          : 'max'. "aggregates : { Amount : ['sum', 'avg'], DueDate : 'max' }"
+     *          'groupBy'     - [STRING|ARRAY]  : One or more columns to group by.
+     *          'mode'        - [STRING]        : 'auto' (default), 'server' (fails when SharePoint cannot aggregate the request)
+     *                                          : or 'client'.
+     *          'where', 'folder', 'scope', 'join', 'thresholdSafe', 'signal', 'onProgress' : See getListData ().
+     *          'normalizeValues' - [BOOL]      : Returns the min and max of dates as ISO strings. Defaults to the class option.
+     *
+     * RESULT
+     *      'count'      - [INTEGER] : The number of items.
+     *      'aggregates' - [OBJECT]  : The result of every function per column: { Amount : { sum : 1200, avg : 100 } }. Avg, min
+     *                                 and max are null when the column has no values.
+     *      'groups'     - [ARRAY]   : { key, count, aggregates } per group, sorted by the group values. The key holds the value of
+     *                                 every groupBy column: lookups and users by their lookup value, empty values as null.
+     *      'source'     - [STRING]  : 'itemCount', 'server' or 'client'.
+     *
+     * EXAMPLES
+     *      let perTeam = await dataConnection.aggregate(
+     *      {
+     *          listName   : 'Tickets',
+     *          where      : { column : 'Status', operation : 'Eq', value : 'Open' },
+     *          groupBy    : 'Team',
+     *          aggregates : { Hours : ['sum', 'avg'] },
+     *      });
+     *
+     *      perTeam.groups.forEach( group => console.log(group.key.Team, group.count, group.aggregates.Hours.sum) );
+     */
+    aggregate (queryDetails, onSuccessUser, onFailureUser)
+    {
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.aggregate(queryDetails, resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        let list = (typeof(queryDetails.listName) !== 'undefined') ? queryDetails.listName : queryDetails.listGuid;
+
+        // Details of the request that are added to any error.
+        let errorDetails = { method : 'aggregate', list : list };
+
+        let plan      = spHelper.aggregatePlan(queryDetails);
+        let normalize = (typeof queryDetails.normalizeValues !== 'undefined') ? (queryDetails.normalizeValues === true) : this.normalize;
+
+        // Dates compared without the time are the site's day of a moment. The time zone of the site is read once.
+        if (this.needsSiteZone(queryDetails.where))
+        {
+            this.getSiteTimeZone( () => this.aggregate(queryDetails, onSuccessUser, onFailureUser), onFailureUser );
+
+            return;
+        }
+
+        // Invalid where conditions fail before any request is sent.
+        if (typeof queryDetails.where !== 'undefined')
+        {
+            this.buildWhere(queryDetails.where);
+        }
+
+        let resolve = (result) =>
+        {
+            if (normalize)
+            {
+                [result].concat(result.groups).forEach( totals => Object.keys(totals.aggregates).forEach( column => Object.keys(totals.aggregates[column]).forEach( function (type)
+                {
+                    let value = totals.aggregates[column][type];
+
+                    totals.aggregates[column][type] = (value instanceof Date) ? value.toISOString() : value;
+                })));
+            }
+
+            onSuccessUser(result);
+        };
+
+        let scope = String(queryDetails.scope || 'RecursiveAll').toLowerCase();
+
+        // Counting all the items of a list needs no query.
+        if (plan.mode !== 'client' && plan.groupBy.length === 0 && plan.aggregates.length === 0 && typeof queryDetails.where === 'undefined' && !queryDetails.folder && scope === 'recursiveall' && !queryDetails.join)
+        {
+            this.getListDetails(list, listDetails => resolve({ count : listDetails.settings.itemCount, aggregates : {}, groups : [], source : 'itemCount' }), onFailureUser, false);
+
+            return;
+        }
+
+        let onFields = (fields) =>
+        {
+            try
+            {
+                let problem = spHelper.aggregateColumns(queryDetails, plan, fields);
+
+                if (problem !== null)
+                {
+                    onFailureUser(problem);
+
+                    return;
+                }
+
+                let reason = spHelper.serverAggregation(queryDetails, plan, fields);
+
+                if (plan.mode === 'server' && reason !== null)
+                {
+                    onFailureUser(new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid aggregate. SharePoint cannot aggregate the request, ${reason}`, errorDetails));
+
+                    return;
+                }
+
+                if (plan.mode === 'client' || reason !== null)
+                {
+                    this.aggregateOnClient(queryDetails, plan, resolve, onFailureUser);
+
+                    return;
+                }
+
+                // Queries above the list view threshold are aggregated on the client.
+                let onServerFailure = (error) =>
+                {
+                    if (plan.mode === 'auto' && error.code === errorCodes.THRESHOLD_EXCEEDED)
+                    {
+                        this.aggregateOnClient(queryDetails, plan, resolve, onFailureUser);
+                    }
+                    else
+                    {
+                        onFailureUser(error);
+                    }
+                };
+
+                this.aggregateOnServer(queryDetails, plan, resolve, onServerFailure);
+            }
+            catch (error)
+            {
+                onFailureUser(spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to aggregate the list data.', errorDetails));
+            }
+        };
+
+        this.loadListFields(list, onFields, onFailureUser);
+    }
+
+    /**
+     * Checks the query details of an aggregate query and returns its plan: { groupBy, aggregates : [{ column, type }], mode }.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See aggregate ().
+     */
+    static aggregatePlan (queryDetails)
+    {
+        let list         = (typeof(queryDetails.listName) !== 'undefined') ? queryDetails.listName : queryDetails.listGuid;
+        let errorDetails = { method : 'aggregate', list : list };
+        let invalid      = message => new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid aggregate. ${message}`, errorDetails);
+        let mode         = (typeof queryDetails.mode !== 'undefined') ? queryDetails.mode : 'auto';
+        let aggregates   = [];
+
+        if (typeof list !== 'string' || list === '')
+        {
+            throw invalid('The listName (or listGuid) is required.');
+        }
+
+        let unsupported = ['query', 'viewName', 'viewId', 'calendar', 'onPage'].find( option => typeof queryDetails[option] !== 'undefined' && queryDetails[option] !== null && queryDetails[option] !== false );
+
+        if (typeof unsupported !== 'undefined')
+        {
+            throw invalid(`The '${unsupported}' option cannot be used with an aggregate query. Use the where option.`);
+        }
+
+        if (!['auto', 'server', 'client'].includes(mode))
+        {
+            throw invalid(`'${mode}' is not a mode. Use auto, server or client.`);
+        }
+
+        if (typeof queryDetails.aggregates !== 'undefined' && (queryDetails.aggregates === null || typeof queryDetails.aggregates !== 'object' || Array.isArray(queryDetails.aggregates)))
+        {
+            throw invalid("The aggregates are the functions per column, e.g. { Amount : ['sum', 'avg'] }.");
+        }
+
+        Object.keys(queryDetails.aggregates || {}).forEach( function (column)
+        {
+            spCaml.columnName(column, 'aggregate');
+
+            [].concat(queryDetails.aggregates[column]).forEach( function (type)
+            {
+                let name = String(type).toLowerCase();
+
+                if (typeof aggregateTypes[name] === 'undefined')
+                {
+                    throw invalid(`'${type}' is not an aggregate function (column '${column}'). Use ${Object.keys(aggregateTypes).join(', ')}.`);
+                }
+
+                if (!aggregates.some( aggregate => aggregate.column === column && aggregate.type === name ))
+                {
+                    aggregates.push({ column : column, type : name });
+                }
+            });
+        });
+
+        let groupBy = [].concat((typeof queryDetails.groupBy !== 'undefined' && queryDetails.groupBy !== null) ? queryDetails.groupBy : []);
+
+        groupBy.forEach( column => spCaml.columnName(column, 'aggregate') );
+
+        return { groupBy : groupBy, aggregates : aggregates, mode : mode };
+    }
+
+    /**
+     * Checks the columns of an aggregate query against the list fields. Returns the error of a missing column or of a function
+     * the column type does not support, or null. Joined columns can be counted and grouped by.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See aggregate ().
+     *      plan         - [OBJECT] : See aggregatePlan ().
+     *      fields       - [OBJECT] : The list fields by internal name (see loadListFields).
+     */
+    static aggregateColumns (queryDetails, plan, fields)
+    {
+        let list         = (typeof(queryDetails.listName) !== 'undefined') ? queryDetails.listName : queryDetails.listGuid;
+        let errorDetails = { method : 'aggregate', list : list };
+        let joined       = (typeof queryDetails.join !== 'undefined' && queryDetails.join !== null);
+
+        let missing = plan.groupBy.concat(plan.aggregates.filter( aggregate => !joined || aggregate.type !== 'count' ).map( aggregate => aggregate.column ))
+            .find( column => typeof fields[column] === 'undefined' && (!joined || !plan.groupBy.includes(column) || plan.aggregates.some( aggregate => aggregate.column === column && aggregate.type !== 'count' )) );
+
+        if (typeof missing !== 'undefined')
+        {
+            return new spHelperError(errorCodes.COLUMN_NOT_FOUND, `The column '${missing}' of '${list}' does not exist.`, errorDetails);
+        }
+
+        let invalid = plan.aggregates.find( function (aggregate)
+        {
+            let field = fields[aggregate.column];
+
+            if (aggregate.type === 'count' || typeof field === 'undefined')
+            {
+                return false;
+            }
+
+            let numeric = numericFieldTypes.includes(field.fieldType) || (field.fieldType === 17 && ['Number', 'Currency', 'Integer'].includes(field.resultType));
+            let date    = field.fieldType === 4 || (field.fieldType === 17 && field.resultType === 'DateTime');
+
+            return (aggregate.type === 'sum' || aggregate.type === 'avg') ? !numeric : !(numeric || date);
+        });
+
+        if (typeof invalid !== 'undefined')
+        {
+            let types = (invalid.type === 'sum' || invalid.type === 'avg') ? 'number' : 'number or date';
+
+            return new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid aggregate. The ${invalid.type} of column '${invalid.column}' needs a ${types} column.`, errorDetails);
+        }
+
+        return null;
+    }
+
+    /**
+     * Returns why SharePoint cannot aggregate a query with RenderListDataAsStream, or null when it can.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See aggregate ().
+     *      plan         - [OBJECT] : See aggregatePlan ().
+     *      fields       - [OBJECT] : The list fields by internal name (see loadListFields).
+     */
+    static serverAggregation (queryDetails, plan, fields)
+    {
+        if (typeof queryDetails.join !== 'undefined' && queryDetails.join !== null)
+        {
+            return 'joined lists are aggregated on the client.';
+        }
+
+        if (plan.groupBy.length > 2)
+        {
+            return 'it groups by one or two columns.';
+        }
+
+        let group = plan.groupBy.find( column => !groupFieldTypes.includes(fields[column].fieldType) || fields[column].allowMultipleValues === true );
+
+        if (typeof group !== 'undefined')
+        {
+            return `it cannot group by column '${group}'. Group by Text, Choice, Lookup or User columns.`;
+        }
+
+        let number = plan.aggregates.find( aggregate => aggregate.type !== 'count' && !numericFieldTypes.includes(fields[aggregate.column].fieldType) );
+
+        if (typeof number !== 'undefined')
+        {
+            return `it only calculates the ${number.type} of Number, Currency and Integer columns ('${number.column}').`;
+        }
+
+        // The item count is the COUNT of the ID column.
+        let functions = spHelper.aggregateFunctions(plan);
+        let repeated  = functions.find( (aggregate, index) => functions.findIndex( other => other.column === aggregate.column ) !== index );
+
+        if (typeof repeated !== 'undefined')
+        {
+            return `it returns one function per column ('${repeated.column}').`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Returns the Aggregations of a server aggregate query: the COUNT of the ID column (the item count) and the functions of the plan.
+     *
+     * PARAMETERS
+     *      plan - [OBJECT] : See aggregatePlan ().
+     */
+    static aggregateFunctions (plan)
+    {
+        return [{ column : 'ID', type : 'count' }].concat(plan.aggregates.filter( aggregate => aggregate.column !== 'ID' || aggregate.type !== 'count' ));
+    }
+
+    /**
+     * Aggregates a query with RenderListDataAsStream. The View XML is grouped (collapsed) by the groupBy columns and has the
+     * Aggregations of the plan. SharePoint returns the totals with the first page and one row per group, pages of groups are
+     * read until all groups are read. The formatted numbers are read with the number format of the site.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT]                         : See aggregate ().
+     *      plan         - [OBJECT]                         : See aggregatePlan ().
+     *      onSuccess    - [FUNC ([OBJECT] result)]         : A callback function that is executed with the totals.
+     *      onFailure    - [FUNC ([spHelperError] error)]   : A callback function that is executed when the query fails.
+     */
+    aggregateOnServer (queryDetails, plan, onSuccess, onFailure)
+    {
+        let grouped = plan.groupBy.length > 0;
+        let columns = spHelper.aggregateListColumns(plan);
+
+        let viewXml = this.buildListQuery(Object.assign({}, queryDetails,
+        {
+            listColumns : columns,
+            groupBy     : grouped ? { columns : plan.groupBy, collapse : true } : undefined,
+            orderBy     : undefined,
+            top         : undefined,
+            rowLimit    : grouped ? aggregateGroupLimit : 1,
+        }));
+
+        let aggregations = spHelper.aggregateFunctions(plan).map( aggregate => `<FieldRef Name='${aggregate.column}' Type='${aggregateTypes[aggregate.type]}' />` ).join('');
+
+        viewXml = viewXml.replace('<RowLimit', `<Aggregations Value='On'>${aggregations}</Aggregations><RowLimit`);
+
+        // Second level groups have their own count and aggregates ('Status.COUNT.group2', 'Amount.SUM.agg2').
+        let level  = (plan.groupBy.length > 1) ? '2' : '';
+        let last   = plan.groupBy[plan.groupBy.length - 1];
+        let result = null;
+        let groups = [];
+
+        let onPage = (listData) =>
+        {
+            let format = this.siteNumbers;
+
+            if (result === null)
+            {
+                result = { count : spHelper.aggregateNumber(listData['ID.COUNT'], format) || 0, aggregates : spHelper.serverAggregates(plan, listData, '', format), groups : groups, source : 'server' };
+            }
+
+            if (!grouped)
+            {
+                onSuccess(result);
+
+                return;
+            }
+
+            (listData.Row || []).forEach( function (row)
+            {
+                let key = {};
+
+                plan.groupBy.forEach( column => key[column] = spHelper.groupValue(row[column]) );
+
+                groups.push({ key : key, count : spHelper.aggregateNumber(row[`${last}.COUNT.group${level}`], format) || 0, aggregates : spHelper.serverAggregates(plan, row, `.agg${level}`, format) });
+            });
+
+            if (typeof listData.NextHref === 'string' && listData.NextHref !== '')
+            {
+                this.renderListData(queryDetails, viewXml, listData.NextHref.replace(/^\?/, ''), onPage, onFailure);
+
+                return;
+            }
+
+            spHelper.sortGroups(groups, plan.groupBy);
+
+            onSuccess(result);
+        };
+
+        this.loadNumberFormat( () => this.renderListData(queryDetails, viewXml, null, onPage, onFailure), onFailure );
+    }
+
+    /**
+     * Reads the aggregates of the plan from the totals of a ListData or from a group row ('Amount.SUM', 'Amount.SUM.agg').
+     *
+     * PARAMETERS
+     *      plan   - [OBJECT] : See aggregatePlan ().
+     *      values - [OBJECT] : The ListData or group row.
+     *      suffix - [STRING] : '' for the totals, '.agg' or '.agg2' for first and second level groups.
+     *      format - [OBJECT] : The number format of the site (see loadNumberFormat).
+     */
+    static serverAggregates (plan, values, suffix, format)
+    {
+        let aggregates = {};
+
+        plan.aggregates.forEach( function (aggregate)
+        {
+            let value = spHelper.aggregateNumber(values[`${aggregate.column}.${aggregateTypes[aggregate.type]}${suffix}`], format);
+
+            aggregates[aggregate.column] = aggregates[aggregate.column] || {};
+
+            aggregates[aggregate.column][aggregate.type] = (value === null && (aggregate.type === 'count' || aggregate.type === 'sum')) ? 0 : value;
+        });
+
+        return aggregates;
+    }
+
+    /**
+     * Aggregates a query on the client. The items are streamed with getListData (onPage) and added to the running totals of
+     * the list and of their group, so no more than a page of items is held at a time.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT]                         : See aggregate ().
+     *      plan         - [OBJECT]                         : See aggregatePlan ().
+     *      onSuccess    - [FUNC ([OBJECT] result)]         : A callback function that is executed with the totals.
+     *      onFailure    - [FUNC ([spHelperError] error)]   : A callback function that is executed when the items cannot be read.
+     */
+    aggregateOnClient (queryDetails, plan, onSuccess, onFailure)
+    {
+        let totals = spHelper.aggregateState(plan);
+        let groups = new Map();
+
+        let onPage = function (page)
+        {
+            page.items.forEach( function (row)
+            {
+                spHelper.addAggregateRow(totals, row);
+
+                if (plan.groupBy.length > 0)
+                {
+                    let values = plan.groupBy.map( column => spHelper.groupValue(row[column]) );
+                    let id     = JSON.stringify(values);
+
+                    if (!groups.has(id))
+                    {
+                        groups.set(id, Object.assign(spHelper.aggregateState(plan), { values : values }));
+                    }
+
+                    spHelper.addAggregateRow(groups.get(id), row);
+                }
+            });
+        };
+
+        let onRead = function ()
+        {
+            let result = { count : totals.count, aggregates : spHelper.clientAggregates(plan, totals), groups : [], source : 'client' };
+
+            groups.forEach( function (group)
+            {
+                let key = {};
+
+                plan.groupBy.forEach( (column, index) => key[column] = group.values[index] );
+
+                result.groups.push({ key : key, count : group.count, aggregates : spHelper.clientAggregates(plan, group) });
+            });
+
+            spHelper.sortGroups(result.groups, plan.groupBy);
+
+            onSuccess(result);
+        };
+
+        let readQuery = Object.assign({}, queryDetails,
+        {
+            listColumns     : spHelper.aggregateListColumns(plan),
+            onPage          : onPage,
+            groupBy         : undefined,
+            orderBy         : undefined,
+            top             : undefined,
+            normalizeValues : false,
+            thresholdSafe   : (typeof queryDetails.thresholdSafe !== 'undefined') ? queryDetails.thresholdSafe : true,
+        });
+
+        this.getListData(readQuery, onRead, onFailure);
+    }
+
+    /**
+     * Returns the columns read by an aggregate query: the groupBy columns and the aggregated columns, or the ID.
+     *
+     * PARAMETERS
+     *      plan - [OBJECT] : See aggregatePlan ().
+     */
+    static aggregateListColumns (plan)
+    {
+        let columns = [];
+
+        plan.groupBy.concat(plan.aggregates.map( aggregate => aggregate.column )).forEach( function (column)
+        {
+            if (!columns.includes(column))
+            {
+                columns.push(column);
+            }
+        });
+
+        return (columns.length > 0) ? columns : ['ID'];
+    }
+
+    /**
+     * Returns the empty running totals of the list or of a group: { count, columns : { column : { count, sum, numbers, min, max } } }.
+     *
+     * PARAMETERS
+     *      plan - [OBJECT] : See aggregatePlan ().
+     */
+    static aggregateState (plan)
+    {
+        let state = { count : 0, columns : {} };
+
+        plan.aggregates.forEach( aggregate => state.columns[aggregate.column] = { count : 0, sum : 0, numbers : 0, min : null, max : null } );
+
+        return state;
+    }
+
+    /**
+     * Adds a row to running totals (see aggregateState). Empty values are not counted, numbers are summed and numbers and
+     * dates are compared for the min and max.
+     *
+     * PARAMETERS
+     *      state - [OBJECT] : The running totals.
+     *      row   - [OBJECT] : The row of getListData.
+     */
+    static addAggregateRow (state, row)
+    {
+        state.count += 1;
+
+        Object.keys(state.columns).forEach( function (column)
+        {
+            let value  = row[column];
+            let totals = state.columns[column];
+
+            if (value === null || typeof value === 'undefined' || value === '' || (Array.isArray(value) && value.length === 0))
+            {
+                return;
+            }
+
+            totals.count += 1;
+
+            if (typeof value === 'number')
+            {
+                totals.sum     += value;
+                totals.numbers += 1;
+            }
+
+            if (typeof value === 'number' || value instanceof Date)
+            {
+                totals.min = (totals.min === null || value < totals.min) ? value : totals.min;
+                totals.max = (totals.max === null || value > totals.max) ? value : totals.max;
+            }
+        });
+    }
+
+    /**
+     * Returns the aggregates of the plan from running totals (see aggregateState).
+     *
+     * PARAMETERS
+     *      plan  - [OBJECT] : See aggregatePlan ().
+     *      state - [OBJECT] : The running totals.
+     */
+    static clientAggregates (plan, state)
+    {
+        let aggregates = {};
+
+        plan.aggregates.forEach( function (aggregate)
+        {
+            let totals = state.columns[aggregate.column];
+            let values = { count : totals.count, sum : totals.sum, avg : (totals.numbers > 0) ? totals.sum / totals.numbers : null, min : totals.min, max : totals.max };
+
+            aggregates[aggregate.column] = aggregates[aggregate.column] || {};
+
+            aggregates[aggregate.column][aggregate.type] = values[aggregate.type];
+        });
+
+        return aggregates;
+    }
+
+    /**
+     * Returns the value a row is grouped by: the lookup value of lookups and users (JSOM values and the rows of
+     * RenderListDataAsStream), the URL of links, an ISO string for dates and null for empty values. Multiple values are
+     * joined with '; '.
+     *
+     * PARAMETERS
+     *      value - [ANY] : The field value.
+     */
+    static groupValue (value)
+    {
+        if (Array.isArray(value))
+        {
+            let values = value.map( entry => spHelper.groupValue(entry) ).filter( entry => entry !== null );
+
+            return (values.length > 0) ? values.join('; ') : null;
+        }
+
+        if (value === null || typeof value === 'undefined' || value === '')
+        {
+            return null;
+        }
+
+        if (value instanceof Date)
+        {
+            return value.toISOString();
+        }
+
+        if (typeof value !== 'object')
+        {
+            return value;
+        }
+
+        if (typeof value.get_lookupValue === 'function')
+        {
+            return value.get_lookupValue();
+        }
+
+        if (typeof value.get_url === 'function')
+        {
+            return value.get_url();
+        }
+
+        if (typeof value.get_label === 'function')
+        {
+            return value.get_label();
+        }
+
+        // RenderListDataAsStream rows: lookups are { lookupId, lookupValue }, users { id, title, email }.
+        if (typeof value.lookupValue !== 'undefined')
+        {
+            return value.lookupValue;
+        }
+
+        return (typeof value.title !== 'undefined') ? value.title : String(value);
+    }
+
+    /**
+     * Sorts groups by the values of their keys (empty values first).
+     *
+     * PARAMETERS
+     *      groups  - [ARRAY] : The groups ({ key }).
+     *      columns - [ARRAY] : The groupBy columns.
+     */
+    static sortGroups (groups, columns)
+    {
+        return groups.sort( (groupA, groupB) => columns.reduce( (result, column) => result || spHelper.compareValues(groupA.key[column], groupB.key[column]), 0 ) );
+    }
+
+    /**
+     * Reads a number formatted by SharePoint with the decimal and thousand separators of the site ('1,234.50', '1.234,5',
+     * '($12.00)'). Returns null for an empty value.
+     *
+     * PARAMETERS
+     *      value  - [STRING|NUMBER] : The formatted number.
+     *      format - [OBJECT]        : { decimalSeparator, thousandSeparator } (see loadNumberFormat).
+     */
+    static aggregateNumber (value, format)
+    {
+        if (typeof value === 'number')
+        {
+            return value;
+        }
+
+        if (typeof value !== 'string' || value.trim() === '')
+        {
+            return null;
+        }
+
+        let text = (format.thousandSeparator !== '') ? value.split(format.thousandSeparator).join('') : value;
+
+        text = text.split(format.decimalSeparator).join('.').replace(/\s/g, '');
+
+        let number   = parseFloat(text.replace(/[^\d.]/g, ''));
+        let negative = /-/.test(text) || /^\(.*\)$/.test(text);
+
+        return isNaN(number) ? null : (negative ? -number : number);
+    }
+
+    /**
+     * Reads the number format (RegionalSettings decimal and thousand separators) of the site once.
+     *
+     * PARAMETERS
+     *      onSuccess - [FUNC ([OBJECT] format)]         : A callback function that is executed with { decimalSeparator, thousandSeparator }.
+     *      onFailure - [FUNC ([spHelperError] error)]   : A callback function that is executed when the settings cannot be read.
+     */
+    loadNumberFormat (onSuccess, onFailure)
+    {
+        if (this.useRetry(onFailure))
+        {
+            return this.retryRequest( (onSuccessRetry, onFailureRetry) => this.loadNumberFormat(onSuccessRetry, onFailureRetry), onSuccess, onFailure );
+        }
+
+        if (this.siteNumbers !== null)
+        {
+            onSuccess(this.siteNumbers);
+
+            return;
+        }
+
+        // Details of the request that are added to any error.
+        let errorDetails = { method : 'loadNumberFormat' };
+
+        let resolve = (regionalSettings) =>
+        {
+            this.siteNumbers = { decimalSeparator : regionalSettings.get_decimalSeparator(), thousandSeparator : regionalSettings.get_thousandSeparator() };
+
+            onSuccess(this.siteNumbers);
+        };
+
+        if (this.rest !== null)
+        {
+            this.executeRest( this.rest.getRegionalSettings(errorDetails), resolve, onFailure, errorDetails );
+
+            return;
+        }
+
+        // Refresh connections.
+        this.refreshConnection();
+
+        let regionalSettings = this.spWeb.get_regionalSettings();
+
+        this.appContext.load(regionalSettings, 'DecimalSeparator', 'ThousandSeparator');
+
+        this.executeQuery( () => resolve(regionalSettings), onFailure, errorDetails );
+    }
+
+    /**
+     * Reads the list view threshold of the site collection (SP.Site MaxItemsPerThrottledOperation) once. Falls back to 5000
+     * when the site does not return it.
+     *
+     * PARAMETERS
+     *      onSuccess - [FUNC ([INTEGER] threshold)]     : A callback function that is executed with the threshold.
+     *      onFailure - [FUNC ([spHelperError] error)]   : A callback function that is executed when the site cannot be read.
+     */
+    loadListViewThreshold (onSuccess, onFailure)
+    {
+        if (this.useRetry(onFailure))
+        {
+            return this.retryRequest( (onSuccessRetry, onFailureRetry) => this.loadListViewThreshold(onSuccessRetry, onFailureRetry), onSuccess, onFailure );
+        }
+
+        if (this.siteThreshold !== null)
+        {
+            onSuccess(this.siteThreshold);
+
+            return;
+        }
+
+        // Details of the request that are added to any error.
+        let errorDetails = { method : 'loadListViewThreshold' };
+
+        let resolve = (spSite) =>
+        {
+            let threshold = parseInt(spSite.get_maxItemsPerThrottledOperation());
+
+            this.siteThreshold = (threshold > 0) ? threshold : defaultListViewThreshold;
+
+            onSuccess(this.siteThreshold);
+        };
+
+        if (this.rest !== null)
+        {
+            this.executeRest( this.rest.getSiteThreshold(errorDetails), resolve, onFailure, errorDetails );
+
+            return;
+        }
+
+        // Refresh connections.
+        this.refreshConnection();
+
+        let spSite = this.appContext.get_site();
+
+        this.appContext.load(spSite, 'MaxItemsPerThrottledOperation');
+
+        this.executeQuery( () => resolve(spSite), onFailure, errorDetails );
+    }
+
+    /**
+     * Renders a page of a CAML query with RenderListDataAsStream (SP.List.renderListDataAsStream) and returns its ListData:
+     * { Row, NextHref, ... } plus the totals of the view's Aggregations. Used by aggregate queries. If no callbacks are
+     * supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT]                         : The listName (or listGuid) and folder. See getListData ().
+     *      viewXml      - [STRING]                         : The CAML (View XML) to render.
+     *      paging       - [STRING]                         : The NextHref of the previous page (without the '?'), or null.
+     *      onSuccess    - [FUNC ([OBJECT] listData)]       : A callback function that is executed with the ListData.
+     *      onFailure    - [FUNC ([spHelperError] error)]   : A callback function that is executed when the query fails.
+     */
+    renderListData (queryDetails, viewXml, paging, onSuccess, onFailure)
+    {
+        if (this.usePromise(onSuccess, onFailure))
+        {
+            return this.promiseRequest( (resolve, reject) => this.renderListData(queryDetails, viewXml, paging, resolve, reject) );
+        }
+
+        onSuccess = this.userCallback(onSuccess);
+
+        if (this.useRetry(onFailure))
+        {
+            return this.retryRequest( (onSuccessRetry, onFailureRetry) => this.renderListData(queryDetails, viewXml, paging, onSuccessRetry, onFailureRetry), onSuccess, onFailure );
+        }
+
+        // Details of the request that are added to any error.
+        let errorDetails =
+        {
+            method : 'renderListData',
+            list   : (typeof(queryDetails.listName) !== 'undefined') ? queryDetails.listName : queryDetails.listGuid,
+            caml   : viewXml,
+        };
+
+        if (this.rest !== null)
+        {
+            this.executeRest( this.rest.renderListData(queryDetails, viewXml, paging, errorDetails), onSuccess, onFailure, errorDetails );
+
+            return;
+        }
+
+        try
+        {
+            // Refresh connections.
+            this.refreshConnection();
+
+            let spList     = (typeof(queryDetails.listName) !== 'undefined') ? this.spWeb.get_lists().getByTitle(queryDetails.listName) : this.spWeb.get_lists().getById(queryDetails.listGuid);
+            let parameters = new SP.RenderListDataParameters();
+
+            parameters.set_viewXml(viewXml);
+            parameters.set_renderOptions(SP.RenderListDataOptions.listData);
+
+            if (typeof queryDetails.folder === 'string' && queryDetails.folder !== '')
+            {
+                parameters.set_folderServerRelativeUrl(queryDetails.folder);
+            }
+
+            if (paging !== null)
+            {
+                parameters.set_paging(paging);
+            }
+
+            let result = spList.renderListDataAsStream(parameters, null);
+
+            // The ListData is returned as an object or as JSON text.
+            this.executeQuery( () => onSuccess((typeof result.get_value() === 'string') ? JSON.parse(result.get_value()) : result.get_value()), onFailure, errorDetails );
+        }
+        catch (error)
+        {
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to render list data. Validate query details ...', errorDetails);
+        }
+    }
+
+    /**
+     * Works out how a getListData request can be read from a list that is larger than the list view threshold. Uses the
+     * indexed columns and item count of getListDetails. If no callbacks are supplied a Promise is returned.
+     *
+     * The request runs as is ('query' mode) when the list is not above the threshold, or when it only filters and sorts
+     * on indexed columns. When it filters on columns that are not indexed the list is read in windows of item IDs of at
+     * most the threshold ('windows' mode): every window is filtered on the indexed ID first, so no query scans more items
+     * than the threshold. When there is no safe plan (sorting on a column that is not indexed, or a full 'query' that
+     * cannot be split) the request fails with a THRESHOLD_EXCEEDED error whose 'explanation' lists the problems.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT]                         : See getListData (). 'thresholdSafe' may be { threshold : 5000 }, by
+     *                                                        default the threshold of the site is read (see loadListViewThreshold).
+     *      onSuccess    - [FUNC ([OBJECT] plan)]           : A callback function that is executed with the plan.
+     *      onFailure    - [FUNC ([spHelperError] error)]   : A callback function that is executed when there is no safe plan.
+     *
+     * RESULT
+     *      'mode'      - [STRING]  : 'query' or 'windows'.
+     *      'threshold' - [INTEGER] : The list view threshold (and window size).
+     *      'itemCount' - [INTEGER] : The number of items in the list.
+     *      'maxID'     - [INTEGER] : The highest item ID (windows mode).
+     */
+    planListQuery (queryDetails, onSuccess, onFailure)
+    {
+        if (this.usePromise(onSuccess, onFailure))
+        {
+            return this.promiseRequest( (resolve, reject) => this.planListQuery(queryDetails, resolve, reject) );
+        }
+
+        onSuccess = this.userCallback(onSuccess);
+
+        // The threshold of the site is read first unless one is given.
+        if (!(typeof queryDetails.thresholdSafe === 'object' && queryDetails.thresholdSafe.threshold > 0))
+        {
+            this.loadListViewThreshold( threshold => this.planListQuery(Object.assign({}, queryDetails, { thresholdSafe : { threshold : threshold } }), onSuccess, onFailure), onFailure );
+
+            return;
+        }
+
+        let list      = (typeof(queryDetails.listName) !== 'undefined') ? queryDetails.listName : queryDetails.listGuid;
+        let threshold = queryDetails.thresholdSafe.threshold;
+
+        let onDetails = (listDetails) =>
+        {
+            let itemCount = listDetails.settings.itemCount;
+            let indexed   = listDetails.columns.filter( column => column.indexed || column.internalName === 'ID' ).map( column => column.internalName );
+            let problems  = [];
+
+            if (itemCount <= threshold)
+            {
+                onSuccess({ mode : 'query', threshold : threshold, itemCount : itemCount });
+
+                return;
+            }
+
+            if (typeof queryDetails.query !== 'undefined')
+            {
+                problems.push({ column : null, usage : 'query', reason : 'A full CAML query cannot be split into ID windows. Use the where, orderBy and groupBy options.' });
+            }
+
+            if (spHelper.usesView(queryDetails))
+            {
+                problems.push({ column : null, usage : 'view', reason : 'The query of a list view cannot be checked or split into ID windows. Use the where, orderBy and groupBy options.' });
+            }
+
+            let sortColumns  = this.listOrderBy(queryDetails).map( order => ({ column : order.column, usage : 'orderBy' }) )
+                .concat((this.listGroupBy(queryDetails) || { columns : [] }).columns.map( column => ({ column : column, usage : 'groupBy' }) ));
+            let whereColumns = (typeof queryDetails.where !== 'undefined') ? spHelper.whereColumns(queryDetails.where) : [];
+            let needsWindows = whereColumns.some( column => !indexed.includes(column) );
+
+            sortColumns.filter( sort => !indexed.includes(sort.column) ).forEach( function (sort)
+            {
+                problems.push({ column : sort.column, usage : sort.usage, reason : `The list is sorted by column '${sort.column}', which is not indexed.` });
+            });
+
+            // ID windows are read in ID order, so only a sort on ID can be combined with them.
+            if (needsWindows)
+            {
+                sortColumns.filter( sort => sort.column !== 'ID' && indexed.includes(sort.column) ).forEach( function (sort)
+                {
+                    problems.push({ column : sort.column, usage : sort.usage, reason : `The filter uses columns that are not indexed, so the list is read in ID windows and cannot be sorted by '${sort.column}'.` });
+                });
+            }
+
+            if (problems.length > 0)
+            {
+                let message     = `No threshold safe plan for list '${list}' (${itemCount} items, threshold ${threshold}). ` + problems.map( problem => problem.reason ).join(' ');
+                let explanation = { itemCount : itemCount, threshold : threshold, indexedColumns : indexed, problems : problems };
+
+                onFailure(new spHelperError(errorCodes.THRESHOLD_EXCEEDED, message, { method : 'planListQuery', list : list, explanation : explanation }));
+
+                return;
+            }
+
+            if (!needsWindows)
+            {
+                onSuccess({ mode : 'query', threshold : threshold, itemCount : itemCount });
+
+                return;
+            }
+
+            // The highest item ID is read with a query on the (indexed) ID only.
+            let maxQuery = { listName : queryDetails.listName, listGuid : queryDetails.listGuid, listColumns : ['ID'], orderBy : { column : 'ID', ascending : false }, rowLimit : 1 };
+
+            this.getListDataPage(maxQuery, page => onSuccess({ mode : 'windows', threshold : threshold, itemCount : itemCount, maxID : (page.items.length > 0) ? page.items[0].ID : 0 }), onFailure);
+        };
+
+        this.getListDetails(list, onDetails, onFailure, false);
+    }
+
+    /**
+     * Returns a page reader for getListData that reads a list in windows of item IDs (see planListQuery). Every window is
+     * filtered on ID first and then on the request's where. Pages report a paging position until the last window is read.
+     * The position only continues this reader (it is relative to a window), so the pages are marked as not resumable and
+     * getListData and iterateListData do not pass it on to the caller.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData ().
+     *      plan         - [OBJECT] : The 'windows' plan of planListQuery.
+     */
+    listWindowReader (queryDetails, plan)
+    {
+        let descending = this.listOrderBy(queryDetails).some( order => order.column === 'ID' && !order.ascending );
+        let windows    = [];
+        let index      = 0;
+        let pagingInfo = null;
+
+        for (let start = 0; start < plan.maxID; start += plan.threshold)
+        {
+            windows.push({ start : start, end : start + plan.threshold });
+        }
+
+        if (descending)
+        {
+            windows.reverse();
+        }
+
+        return (onPage, onFailure) =>
+        {
+            // An empty list has no windows.
+            if (windows.length === 0)
+            {
+                onPage({ items : [], pagingInfo : null, resumable : false });
+
+                return;
+            }
+
+            let window = windows[index];
+            let where  =
+            {
+                operation : 'And',
+                values    :
+                [
+                    { column : 'ID', operation : 'Gt', value : window.start, type : 'Counter' },
+                    { column : 'ID', operation : 'Leq', value : window.end, type : 'Counter' },
+                ].concat(typeof queryDetails.where !== 'undefined' ? [queryDetails.where] : []),
+            };
+
+            let onWindowPage = function (page)
+            {
+                pagingInfo = page.pagingInfo;
+
+                if (pagingInfo === null)
+                {
+                    index++;
+                }
+
+                let more = (pagingInfo !== null || index < windows.length);
+
+                onPage({ items : page.items, pagingInfo : more ? (pagingInfo || `Paged=TRUE&p_ID=${descending ? window.start + 1 : window.end}`) : null, resumable : false });
+            };
+
+            this.getListDataPage(Object.assign({}, queryDetails, { where : where, pagingInfo : pagingInfo, pagePosition : undefined }), onWindowPage, onFailure);
+        };
+    }
+
+    /**
+     * Returns the column names used by a where tree.
+     *
+     * PARAMETERS
+     *      where - [OBJECT] : A where group or condition. See getListData ().
+     */
+    static whereColumns (where)
+    {
+        if (typeof where.values !== 'undefined')
+        {
+            return [].concat(...where.values.map( value => spHelper.whereColumns(value) ));
+        }
+
+        return [].concat(where.column);
+    }
+
+    /**
+     * Reads the items of a SharePoint list one page at a time as an async iterator. Only the current page is kept in memory.
+     * Stop early with 'break', or cancel with the 'signal' option.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData (). The page size is the 'rowLimit'.
+     *
+     * PAGES
+     *      'items'      - [ARRAY]   : The rows of the page.
+     *      'pageNumber' - [INTEGER] : The page number, starting at 1.
+     *      'total'      - [INTEGER] : The number of items read so far.
+     *      'pagingInfo' - [STRING]  : The paging position of the next page (see getListDataPage), or null after the last page.
+     *                                 Always null when the list is read in windows of item IDs (thresholdSafe, see planListQuery).
+     *
+     * EXAMPLES
+     *      for await (const page of dataConnection.iterateListData({ listName : 'Tasks', listColumns : ['Title'] }))
+     *      {
+     *          render(page.items);
+     *      }
+     */
+    iterateListData (queryDetails)
+    {
+        return new spListDataIterator(this, queryDetails);
+    }
+
+    /**
+     * Checks if an AbortSignal (the 'signal' option) has been aborted.
+     *
+     * PARAMETERS
+     *      signal - [AbortSignal] : The signal, or undefined.
+     */
+    static isCancelled (signal)
+    {
+        return (typeof signal !== 'undefined' && signal !== null && signal.aborted === true);
+    }
+
+    /**
+     * Creates the error of a list read cancelled with the 'signal' option.
+     *
+     * PARAMETERS
+     *      method       - [STRING] : The cancelled method.
+     *      queryDetails - [OBJECT] : See getListData ().
+     */
+    static cancelledError (method, queryDetails)
+    {
+        let list = (typeof(queryDetails.listName) !== 'undefined') ? queryDetails.listName : queryDetails.listGuid;
+
+        return new spHelperError(errorCodes.CANCELLED, 'The list read was cancelled.', { method : method, list : list });
+    }
+
+    /**
+     * Retrieve a maximum of 5000 items from a SharePoint list library. Use method 'getListData' to get all list items. If no callbacks
+     * are supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      queryDetails  - [OBJECT]                        : A key/value pair object with details of the query request.
+     *      onSuccess     - [FUNC ([ARRAY][OBJECT] result)] : A callback function that is executed when the data is successfully received.
+     *      onFailure     - [FUNC ([spHelperError] error)]  : A callback function that is executed when the data cannot be received.
+     *
+     * OPTIONS
+     *      queryDetails : See getListData ().
+     */
+    loadListData(queryDetails, onSuccess, onFailure)
+    {
+        if (this.usePromise(onSuccess, onFailure))
+        {
+            return this.promiseRequest( (resolve, reject) => this.loadListData(queryDetails, resolve, reject) );
+        }
+
+        onSuccess = this.userCallback(onSuccess);
+
+        if ((typeof queryDetails.listName == 'undefined' && typeof queryDetails.listGuid == 'undefined') || (typeof queryDetails.listColumns == 'undefined' && !spHelper.usesView(queryDetails)) || typeof queryDetails.pagePosition == 'undefined')
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid query details. Minimum query details must include list title, columns and page position.', { method : 'loadListData' });
+        }
+
+        this.getListDataPage(queryDetails, page => onSuccess(page.items), onFailure);
+    }
+
+    /**
+     * Retrieve a single page of items from a SharePoint list library, together with the paging position of the next page.
+     * Pass the returned 'pagingInfo' as the 'pagingInfo' of the query details to read the next page. The position is a plain
+     * string, so paging can be resumed later (e.g. after a 'Load more' click). If no callbacks are supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      queryDetails  - [OBJECT]                        : A key/value pair object with details of the query request.
+     *      onSuccess     - [FUNC ([OBJECT] page)]          : A callback function that is executed when the page is successfully received.
+     *      onFailure     - [FUNC ([spHelperError] error)]  : A callback function that is executed when the page cannot be received.
+     *
+     * OPTIONS
+     *      queryDetails : See getListData (). The page size is the 'rowLimit' (or the RowLimit of a full query).
+     *
+     * RESULT
+     *      'items'      - [ARRAY]  : The rows of the page.
+     *      'pagingInfo' - [STRING] : The paging position of the next page, or null when this is the last page.
+     *
+     * EXAMPLES
+     *      let page = await dataConnection.getListDataPage({ listName : 'Tasks', listColumns : ['Title'], rowLimit : 100 });
+     *
+     *      page = await dataConnection.getListDataPage({ listName : 'Tasks', listColumns : ['Title'], rowLimit : 100, pagingInfo : page.pagingInfo });
+     */
+    getListDataPage (queryDetails, onSuccess, onFailure)
+    {
+        if (this.usePromise(onSuccess, onFailure))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getListDataPage(queryDetails, resolve, reject) );
+        }
+
+        onSuccess = this.userCallback(onSuccess);
+
+        if (this.useRetry(onFailure))
+        {
+            return this.retryRequest( (onSuccessRetry, onFailureRetry) => this.getListDataPage(queryDetails, onSuccessRetry, onFailureRetry), onSuccess, onFailure );
+        }
+
+        if ((typeof queryDetails.listName == 'undefined' && typeof queryDetails.listGuid == 'undefined') || (typeof queryDetails.listColumns == 'undefined' && !spHelper.usesView(queryDetails)))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid query details. Minimum query details must include list title and columns.', { method : 'getListDataPage' });
+        }
+
+        if (spHelper.usesView(queryDetails) && typeof queryDetails.query !== 'undefined')
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid query details. A list view cannot be combined with a full query.', { method : 'getListDataPage' });
+        }
+
+        // Details of the request that are added to any error.
+        let errorDetails =
+        {
+            method : 'getListDataPage',
+            list   : (typeof(queryDetails.listName) !== 'undefined') ? queryDetails.listName : queryDetails.listGuid,
+        };
+
+        let normalize = (typeof queryDetails.normalizeValues !== 'undefined') ? (queryDetails.normalizeValues === true) : this.normalize;
+
+        // Normalized values are converted by field type. The field types of a list are read once with getListDetails.
+        if (normalize && typeof queryDetails.listName !== 'undefined' && typeof this.listFields[queryDetails.listName] === 'undefined')
+        {
+            this.loadListFields(queryDetails.listName, () => this.getListDataPage(queryDetails, onSuccess, onFailure), onFailure);
+
+            return;
+        }
+
+        // The query of a list view is read once and kept (see getListView).
+        if (this.needsListView(queryDetails))
+        {
+            this.getListView(queryDetails, () => this.getListDataPage(queryDetails, onSuccess, onFailure), onFailure);
+
+            return;
+        }
+
+        // Dates compared without the time are the site's day of a moment. The time zone of the site is read once.
+        if (this.needsSiteZone(queryDetails.where))
+        {
+            this.getSiteTimeZone( () => this.getListDataPage(queryDetails, onSuccess, onFailure), onFailure );
+
+            return;
+        }
+
+        try
+        {
+            // Generate the Caml query for the request.
+            let viewXml = this.buildListQuery(queryDetails);
+
+            errorDetails.caml = viewXml;
+
+            // Start after the given paging position, or after an item ID (pagePosition). Otherwise start at the first item.
+            let pagingInfo = null;
+
+            if (typeof queryDetails.pagingInfo === 'string' && queryDetails.pagingInfo !== '')
+            {
+                pagingInfo = queryDetails.pagingInfo;
+            }
+            else if (typeof queryDetails.pagePosition !== 'undefined')
+            {
+                pagingInfo = `Paged=TRUE&p_ID=${queryDetails.pagePosition}`;
+            }
+
+            // Callback function when the request (promise) is resolved. Turns the returned item objects into an [ARRAY] of JS [OBJECTS].
+            let resolve = (listItems, nextPagingInfo) =>
+            {
+                let columns = this.listQueryColumns(queryDetails);
+                let items   = listItems.map( listItem => this.listItemRow(listItem, columns, errorDetails) );
+
+                if (normalize)
+                {
+                    let fields = this.listFields[queryDetails.listName] || {};
+
+                    items = items.map( item => spHelper.normalizeRow(item, fields) );
+                }
+
+                onSuccess({ items : items, pagingInfo : nextPagingInfo || null });
+            };
+
+            if (this.rest !== null)
+            {
+                if (this.listJoins(queryDetails).length > 0)
+                {
+                    throw new spHelperError(errorCodes.CONFIGURATION, 'Joins are not supported by the REST transport.', errorDetails);
+                }
+
+                this.executeRest( this.rest.getListItems(Object.assign({}, queryDetails, { listColumns : this.listQueryColumns(queryDetails) }), viewXml, pagingInfo, errorDetails), page => resolve(page.items, page.pagingInfo), onFailure, errorDetails );
+
+                return;
+            }
+
+            // Will store the spListItemCollection object when request is complete.
+            let spListItemCollection = this.queueListItems(queryDetails, viewXml, pagingInfo);
+
+            let onQuerySuccess = () =>
+            {
+                let position = spListItemCollection.get_listItemCollectionPosition();
+
+                resolve(this.enumerateItems(spListItemCollection), position ? position.get_pagingInfo() : null);
+            };
+
+            this.executeQuery( onQuerySuccess, onFailure, errorDetails );
+        }
+        catch (error)
+        {
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to read list data. Validate query details ...', errorDetails);
+        }
+    }
+
+    /**
+     * Retrieve a single item of a list by its ID (SP.List.getItemById). Returns the same row as getListData, with the
+     * requested columns or all fields of the item. Values are converted into plain JSON with the 'normalizeValues' option.
+     * A missing item fails with an ITEM_NOT_FOUND error. If no callbacks are supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      list      - [STRING]                        : The title or GUID of the list.
+     *      id        - [INTEGER]                       : The item ID.
+     *      columns   - [ARRAY]                         : The internal names of the columns to read. All fields when not set.
+     *                                                    May be left out when callbacks are supplied.
+     *      onSuccess - [FUNC ([OBJECT] row)]           : A callback function that is executed with the item.
+     *      onFailure - [FUNC ([spHelperError] error)]  : A callback function that is executed when the item cannot be read.
+     *
+     * EXAMPLES
+     *      let task = await dataConnection.getListItemById('Tasks', 12, ['Title', 'Status']);
+     */
+    getListItemById (list, id, columns, onSuccess, onFailure)
+    {
+        // The columns may be left out: getListItemById(list, id, onSuccess, onFailure).
+        if (typeof columns === 'function')
+        {
+            return this.getListItemById(list, id, null, columns, onSuccess);
+        }
+
+        if (this.usePromise(onSuccess, onFailure))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getListItemById(list, id, columns, resolve, reject) );
+        }
+
+        onSuccess = this.userCallback(onSuccess);
+
+        if (this.useRetry(onFailure))
+        {
+            return this.retryRequest( (onSuccessRetry, onFailureRetry) => this.getListItemById(list, id, columns, onSuccessRetry, onFailureRetry), onSuccess, onFailure );
+        }
+
+        let resolve = (results) =>
+        {
+            if (results[0].error !== null)
+            {
+                onFailure(results[0].error);
+
+                return;
+            }
+
+            onSuccess(results[0].row);
+        };
+
+        this.readListItemsByIds(list, [id], columns, { method : 'getListItemById', list : list, itemID : id }, resolve, onFailure);
+    }
+
+    /**
+     * Retrieve a set of items of a list by ID (SP.List.getItemById) in a single request. More than 500 IDs are read with
+     * parallel requests of 500 IDs each. Returns the rows in the order of the IDs, null for items that do not exist. See
+     * getListItemById (). If no callbacks are supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      list      - [STRING]                        : The title or GUID of the list.
+     *      ids       - [ARRAY]                         : The item IDs.
+     *      columns   - [ARRAY]                         : The internal names of the columns to read. All fields when not set.
+     *                                                    May be left out when callbacks are supplied.
+     *      onSuccess - [FUNC ([ARRAY] rows)]           : A callback function that is executed with the items.
+     *      onFailure - [FUNC ([spHelperError] error)]  : A callback function that is executed when the items cannot be read.
+     *
+     * EXAMPLES
+     *      let tasks = await dataConnection.getListItemsByIds('Tasks', [12, 15, 17]);
+     */
+    getListItemsByIds (list, ids, columns, onSuccess, onFailure)
+    {
+        // The columns may be left out: getListItemsByIds(list, ids, onSuccess, onFailure).
+        if (typeof columns === 'function')
+        {
+            return this.getListItemsByIds(list, ids, null, columns, onSuccess);
+        }
+
+        if (this.usePromise(onSuccess, onFailure))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getListItemsByIds(list, ids, columns, resolve, reject) );
+        }
+
+        onSuccess = this.userCallback(onSuccess);
+
+        if (this.useRetry(onFailure))
+        {
+            return this.retryRequest( (onSuccessRetry, onFailureRetry) => this.getListItemsByIds(list, ids, columns, onSuccessRetry, onFailureRetry), onSuccess, onFailure );
+        }
+
+        if (!Array.isArray(ids))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid item IDs. The IDs must be an array.', { method : 'getListItemsByIds', list : list });
+        }
+
+        // Missing items are returned as null. Any other error fails the request.
+        let resolve = (results) =>
+        {
+            let failed = results.find( result => result.error !== null && result.error.code !== errorCodes.ITEM_NOT_FOUND );
+
+            if (typeof failed !== 'undefined')
+            {
+                onFailure(failed.error);
+
+                return;
+            }
+
+            onSuccess(results.map( result => result.row ));
+        };
+
+        this.readListItemsByIds(list, ids, columns, { method : 'getListItemsByIds', list : list }, resolve, onFailure);
+    }
+
+    /**
+     * Reads list items by ID. Every item is read in its own SP.ExceptionHandlingScope, so a missing item does not fail the
+     * others. Calls onSuccess with a { row, error } result for each ID. The distinct IDs are read in slices of the single
+     * query limit (500 IDs, in In elements of 60 with the REST transport), in parallel.
+     *
+     * PARAMETERS
+     *      list         - [STRING]                        : The title or GUID of the list.
+     *      ids          - [ARRAY]                         : The item IDs.
+     *      columns      - [ARRAY]                         : The columns to read, or all fields when not set.
+     *      errorDetails - [OBJECT]                        : Request details added to any error.
+     *      onSuccess    - [FUNC ([ARRAY] results)]        : A callback function that is executed with the results.
+     *      onFailure    - [FUNC ([spHelperError] error)]  : A callback function that is executed when the request fails.
+     */
+    readListItemsByIds (list, ids, columns, errorDetails, onSuccess, onFailure)
+    {
+        let isGuid    = spHelper.isGuid(list);
+        let allFields = !Array.isArray(columns) || columns.length === 0;
+
+        if (typeof list !== 'string' || list === '' || ids.some( id => !(parseInt(id) > 0) ))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid item details. A list title or GUID and positive item IDs are required.', errorDetails);
+        }
+
+        if (this.normalize && !isGuid && typeof this.listFields[list] === 'undefined')
+        {
+            this.loadListFields(list, () => this.readListItemsByIds(list, ids, columns, errorDetails, onSuccess, onFailure), onFailure);
+
+            return;
+        }
+
+        // The fields of a list given by GUID are not loaded, its values are normalized by their type like getListDataPage does.
+        let fields = this.normalize ? ((isGuid ? null : this.listFields[list]) || {}) : null;
+
+        // Turns a loaded item into a row like getListData.
+        let row = (listItem, id) =>
+        {
+            let itemRow = this.listItemRow(listItem, allFields ? Object.keys(listItem.get_fieldValues()) : columns, Object.assign({}, errorDetails, { itemID : id }));
+
+            return (fields !== null) ? spHelper.normalizeRow(itemRow, fields) : itemRow;
+        };
+
+        if (ids.length === 0)
+        {
+            onSuccess([]);
+
+            return;
+        }
+
+        let itemIDs = ids.map( id => parseInt(id) ).filter( (id, index, all) => all.indexOf(id) === index );
+
+        if (itemIDs.length > camlQueryValueLimit)
+        {
+            this.readListItemSlices(list, ids, itemIDs, columns, errorDetails, onSuccess, onFailure);
+
+            return;
+        }
+
+        try
+        {
+            if (this.rest !== null)
+            {
+                let listDetails = isGuid ? { listGuid : list } : { listName : list };
+                let idCondition = this.buildWhereCondition({ column : 'ID', operation : 'In', value : ids.map( id => parseInt(id) ), type : 'Counter' });
+                let viewXml     = `<View Scope='RecursiveAll'><Query><Where>${idCondition}</Where></Query><RowLimit>${ids.length}</RowLimit></View>`;
+                let onItems     = (items) => onSuccess(items.map( (item, index) => (item.error !== null) ? { row : null, error : item.error } : { row : row(item.item, ids[index]), error : null } ));
+
+                this.executeRest( this.rest.getListItemsByIds(listDetails, ids, viewXml, allFields ? null : columns, errorDetails), onItems, onFailure, errorDetails );
+
+                return;
+            }
+
+            // Refresh connections.
+            this.refreshConnection();
+
+            let spList  = isGuid ? this.spWeb.get_lists().getById(list) : this.spWeb.get_lists().getByTitle(list);
+            let entries = ids.map( (id) =>
+            {
+                let scope      = new SP.ExceptionHandlingScope(this.appContext);
+                let scopeStart = scope.startScope();
+                let scopeTry   = scope.startTry();
+                let spItem     = spList.getItemById(id);
+
+                if (allFields)
+                {
+                    this.appContext.load(spItem);
+                }
+                else
+                {
+                    this.appContext.load(spItem, ...columns);
+                }
+
+                scopeTry.dispose();
+
+                let scopeCatch = scope.startCatch();
+
+                scopeCatch.dispose();
+                scopeStart.dispose();
+
+                return { id : id, scope : scope, spItem : spItem };
+            });
+
+            let onQuerySuccess = () =>
+            {
+                let results = [];
+
+                try
+                {
+                    results = entries.map( (entry) =>
+                    {
+                        if (entry.scope.get_hasException())
+                        {
+                            return { row : null, error : spHelperError.fromScope(entry.scope, Object.assign({}, errorDetails, { itemID : entry.id })) };
+                        }
+
+                        return { row : row(entry.spItem, entry.id), error : null };
+                    });
+                }
+                catch (error)
+                {
+                    onFailure(spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to read the list items ...', errorDetails));
+
+                    return;
+                }
+
+                onSuccess(results);
+            };
+
+            this.executeQuery( onQuerySuccess, onFailure, errorDetails );
+        }
+        catch (error)
+        {
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to read the list items. Validate the item details ...', errorDetails);
+        }
+    }
+
+    /**
+     * Reads the items of more IDs than a single query holds (see readListItemsByIds) with parallel requests of a slice of
+     * the IDs each. The results are merged in the order of the requested IDs.
+     *
+     * PARAMETERS
+     *      list         - [STRING]                        : The title or GUID of the list.
+     *      ids          - [ARRAY]                         : The requested item IDs.
+     *      itemIDs      - [ARRAY]                         : The distinct item IDs (numbers).
+     *      columns      - [ARRAY]                         : The columns to read, or all fields when not set.
+     *      errorDetails - [OBJECT]                        : Request details added to any error.
+     *      onSuccess    - [FUNC ([ARRAY] results)]        : A callback function that is executed with the results.
+     *      onFailure    - [FUNC ([spHelperError] error)]  : A callback function that is executed when a request fails.
+     */
+    readListItemSlices (list, ids, itemIDs, columns, errorDetails, onSuccess, onFailure)
+    {
+        let slices    = [];
+        let results   = {};
+        let remaining = 0;
+        let failed    = false;
+
+        for (let i = 0; i < itemIDs.length; i += camlQueryValueLimit)
+        {
+            slices.push(itemIDs.slice(i, i + camlQueryValueLimit));
+        }
+
+        remaining = slices.length;
+
+        let reject = function (error)
+        {
+            // Only the first failure is reported.
+            if (!failed)
+            {
+                failed = true;
+
+                onFailure(error);
+            }
+        };
+
+        slices.forEach( (slice) =>
+        {
+            let resolve = function (sliceResults)
+            {
+                slice.forEach( (id, index) => results[id] = sliceResults[index] );
+
+                remaining--;
+
+                if (remaining === 0 && !failed)
+                {
+                    onSuccess(ids.map( id => results[parseInt(id)] ));
+                }
+            };
+
+            try
+            {
+                this.readListItemsByIds(list, slice, columns, errorDetails, resolve, reject);
+            }
+            catch (error)
+            {
+                reject(spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to read the list items. Validate the item details ...', errorDetails));
+            }
+        });
+    }
+
+    /**
+     * Reads the item changes of a list since a change token (SP.List.getChanges). Returns the IDs of the added, updated and
+     * deleted items and a new change token to pass to the next call. An item changed many times is listed once: an item added
+     * and later updated is 'added', a deleted item is 'deleted'. Without a change token no changes are returned, only the
+     * current change token of the list (read the list with getListData first). A change token older than the list change
+     * log fails with a CHANGE_TOKEN_INVALID error, the list must be read again. If no callbacks are supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      list       - [STRING]                        : The title or GUID of the list.
+     *      sinceToken - [STRING]                        : The change token returned by the previous call, or null.
+     *      onSuccess  - [FUNC ([OBJECT] changes)]       : A callback function that is executed with { added, updated, deleted, changeToken }.
+     *      onFailure  - [FUNC ([spHelperError] error)]  : A callback function that is executed when the changes cannot be read.
+     *
+     * EXAMPLES
+     *      let changes = await dataConnection.getListChanges('Tasks', lastToken);
+     *
+     *      changes.deleted.forEach( id => delete tasks[id] );
+     *
+     *      lastToken = changes.changeToken;
+     */
+    getListChanges (list, sinceToken, onSuccess, onFailure)
+    {
+        if (this.usePromise(onSuccess, onFailure))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getListChanges(list, sinceToken, resolve, reject) );
+        }
+
+        onSuccess = this.userCallback(onSuccess);
+
+        if (this.useRetry(onFailure))
+        {
+            return this.retryRequest( (onSuccessRetry, onFailureRetry) => this.getListChanges(list, sinceToken, onSuccessRetry, onFailureRetry), onSuccess, onFailure );
+        }
+
+        let errorDetails = { method : 'getListChanges', list : list };
+
+        if (typeof list !== 'string' || list === '' || (typeof sinceToken !== 'undefined' && sinceToken !== null && (typeof sinceToken !== 'string' || sinceToken === '')))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid change details. A list title or GUID is required and the change token must be a string.', errorDetails);
+        }
+
+        let changes = [];
+
+        // Changes are read in pages of changeFetchLimit, each page starts after the last change of the previous page.
+        let onPage = (page) =>
+        {
+            changes = changes.concat(page.changes);
+
+            if (page.changes.length === changeFetchLimit)
+            {
+                this.readListChanges(list, page.changes[page.changes.length - 1].changeToken, errorDetails, onPage, onFailure);
+
+                return;
+            }
+
+            let changeToken = page.changeToken;
+
+            if (changeToken === null)
+            {
+                changeToken = (changes.length > 0) ? changes[changes.length - 1].changeToken : sinceToken;
+            }
+
+            onSuccess(Object.assign(spHelper.itemChanges(changes), { changeToken : changeToken }));
+        };
+
+        this.readListChanges(list, (typeof sinceToken === 'string') ? sinceToken : null, errorDetails, onPage, onFailure);
+    }
+
+    /**
+     * Reads a page of item changes of a list and calls onSuccess with { changes, changeToken }. Each change is
+     * { changeType, itemId, changeToken }. Without a change token no changes are read and changeToken is the current change
+     * token of the list, otherwise it is null.
+     *
+     * PARAMETERS
+     *      list         - [STRING]                        : The title or GUID of the list.
+     *      sinceToken   - [STRING]                        : The change token to read the changes after, or null.
+     *      errorDetails - [OBJECT]                        : Request details added to any error.
+     *      onSuccess    - [FUNC ([OBJECT] page)]          : A callback function that is executed with the changes.
+     *      onFailure    - [FUNC ([spHelperError] error)]  : A callback function that is executed when the request fails.
+     */
+    readListChanges (list, sinceToken, errorDetails, onSuccess, onFailure)
+    {
+        try
+        {
+            if (this.rest !== null)
+            {
+                let listDetails = spHelper.isGuid(list) ? { listGuid : list } : { listName : list };
+
+                this.executeRest( this.rest.getListChanges(listDetails, sinceToken, changeFetchLimit, errorDetails), onSuccess, onFailure, errorDetails );
+
+                return;
+            }
+
+            // Refresh connections.
+            this.refreshConnection();
+
+            let spList = spHelper.isGuid(list) ? this.spWeb.get_lists().getById(list) : this.spWeb.get_lists().getByTitle(list);
+
+            if (sinceToken === null)
+            {
+                this.appContext.load(spList, 'CurrentChangeToken');
+
+                this.executeQuery( () => onSuccess({ changes : [], changeToken : spList.get_currentChangeToken().get_stringValue() }), onFailure, errorDetails );
+
+                return;
+            }
+
+            let changeQuery = new SP.ChangeQuery(false, false);
+            let tokenStart  = new SP.ChangeToken();
+
+            tokenStart.set_stringValue(sinceToken);
+
+            changeQuery.set_item(true);
+            changeQuery.set_add(true);
+            changeQuery.set_update(true);
+            changeQuery.set_deleteObject(true);
+            changeQuery.set_fetchLimit(changeFetchLimit);
+            changeQuery.set_changeTokenStart(tokenStart);
+
+            let spChanges = spList.getChanges(changeQuery);
+
+            this.appContext.load(spChanges);
+
+            let onQuerySuccess = () =>
+            {
+                let changes    = [];
+                let enumerator = spChanges.getEnumerator();
+
+                while (enumerator.moveNext())
+                {
+                    let change = enumerator.get_current();
+
+                    changes.push({ changeType : change.get_changeType(), itemId : change.get_itemId(), changeToken : change.get_changeToken().get_stringValue() });
+                }
+
+                onSuccess({ changes : changes, changeToken : null });
+            };
+
+            this.executeQuery( onQuerySuccess, onFailure, errorDetails );
+        }
+        catch (error)
+        {
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to read the list changes. Validate the list details ...', errorDetails);
+        }
+    }
+
+    /**
+     * Sorts list item changes into the IDs of the added, updated and deleted items. Every item is listed once, by its
+     * latest state.
+     *
+     * PARAMETERS
+     *      changes - [ARRAY] : The changes ({ changeType, itemId }) in the order they were made.
+     */
+    static itemChanges (changes)
+    {
+        let states = {};
+        let order  = [];
+
+        changes.forEach( function (change)
+        {
+            let state = states[change.itemId];
+
+            if (typeof state === 'undefined')
+            {
+                order.push(change.itemId);
+            }
+
+            if (change.changeType === changeTypes.add || change.changeType === changeTypes.restore)
+            {
+                state = 'added';
+            }
+            else if (change.changeType === changeTypes.deleteObject)
+            {
+                state = 'deleted';
+            }
+            else if (state !== 'added')
+            {
+                state = 'updated';
+            }
+
+            states[change.itemId] = state;
+        });
+
+        return {
+            added   : order.filter( id => states[id] === 'added' ),
+            updated : order.filter( id => states[id] === 'updated' ),
+            deleted : order.filter( id => states[id] === 'deleted' ),
+        };
+    }
+
+    /**
+     * Reads the items changed since the last getListChanges call (see getListItemsByIds) with the requested columns. The
+     * rows always include the ID. Items deleted after the changes were read are added to 'deleted'. If no callbacks are
+     * supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      list      - [STRING]                        : The title or GUID of the list.
+     *      changes   - [OBJECT]                        : The result of getListChanges.
+     *      columns   - [ARRAY]                         : The internal names of the columns to read. All fields when not set.
+     *      onSuccess - [FUNC ([OBJECT] result)]        : A callback function that is executed with { items, deleted, changeToken }.
+     *      onFailure - [FUNC ([spHelperError] error)]  : A callback function that is executed when the items cannot be read.
+     *
+     * EXAMPLES
+     *      let changes = await dataConnection.getListChanges('Tasks', lastToken);
+     *      let synced  = await dataConnection.getChangedListItems('Tasks', changes, ['Title', 'Status']);
+     *
+     *      synced.items.forEach( row => tasks[row.ID] = row );
+     *      synced.deleted.forEach( id => delete tasks[id] );
+     */
+    getChangedListItems (list, changes, columns, onSuccess, onFailure)
+    {
+        if (this.usePromise(onSuccess, onFailure))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getChangedListItems(list, changes, columns, resolve, reject) );
+        }
+
+        onSuccess = this.userCallback(onSuccess);
+
+        if (this.useRetry(onFailure))
+        {
+            return this.retryRequest( (onSuccessRetry, onFailureRetry) => this.getChangedListItems(list, changes, columns, onSuccessRetry, onFailureRetry), onSuccess, onFailure );
+        }
+
+        let errorDetails = { method : 'getChangedListItems', list : list };
+
+        if (changes === null || typeof changes !== 'object' || !Array.isArray(changes.added) || !Array.isArray(changes.updated) || !Array.isArray(changes.deleted))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid changes. Pass the result of getListChanges.', errorDetails);
+        }
+
+        let ids = changes.added.concat(changes.updated);
+
+        if (Array.isArray(columns) && columns.length > 0 && !columns.includes('ID'))
+        {
+            columns = ['ID'].concat(columns);
+        }
+
+        let resolve = (results) =>
+        {
+            let failed = results.find( result => result.error !== null && result.error.code !== errorCodes.ITEM_NOT_FOUND );
+
+            if (typeof failed !== 'undefined')
+            {
+                onFailure(failed.error);
+
+                return;
+            }
+
+            onSuccess({
+                items       : results.filter( result => result.row !== null ).map( result => result.row ),
+                deleted     : changes.deleted.concat(ids.filter( (id, index) => results[index].row === null )),
+                changeToken : changes.changeToken,
+            });
+        };
+
+        this.readListItemsByIds(list, ids, columns, errorDetails, resolve, onFailure);
+    }
+
+    /**
+     * Reads the field types of a list once (see getListDetails) and keeps them by internal name for normalizeValue.
+     *
+     * PARAMETERS
+     *      listName  - [STRING]                        : The list title.
+     *      onSuccess - [FUNC ([OBJECT] fields)]        : A callback function that is executed with the fields.
+     *      onFailure - [FUNC ([spHelperError] error)]  : A callback function that is executed when the list cannot be read.
+     */
+    loadListFields (listName, onSuccess, onFailure)
+    {
+        if (typeof this.listFields[listName] !== 'undefined')
+        {
+            onSuccess(this.listFields[listName]);
+
+            return;
+        }
+
+        let onDetails = (listDetails) =>
+        {
+            let fields = {};
+
+            listDetails.columns.forEach( column => fields[column.internalName] = column );
+
+            this.listFields[listName] = fields;
+
+            onSuccess(fields);
+        };
+
+        this.getListDetails(listName, onDetails, onFailure, false);
+    }
+
+    /**
+     * Checks if a value is a GUID (with or without braces).
+     *
+     * PARAMETERS
+     *      value - [STRING] : The value.
+     */
+    static isGuid (value)
+    {
+        return /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i.test(String(value));
+    }
+
+    /**
+     * Reads the query of a list view: its ViewQuery (Where, OrderBy & GroupBy), ViewFields, RowLimit and Scope. getListData
+     * runs the view when the query details have a 'viewName' or 'viewId'. The view is kept by the spHelper object, so it is
+     * read once (call getListView again to read the changes of a view). If no callbacks are supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT]                         : The listName (or listGuid) and the viewName (or viewId).
+     *      onSuccess    - [FUNC ([OBJECT] view)]           : A callback function that is executed with the view.
+     *      onFailure    - [FUNC ([spHelperError] error)]   : A callback function that is executed when the view cannot be read.
+     *
+     * RESULT
+     *      'query'    - [STRING]  : The ViewQuery (CAML without the Query element).
+     *      'fields'   - [ARRAY]   : The internal names of the ViewFields.
+     *      'rowLimit' - [INTEGER] : The number of items per page.
+     *      'scope'    - [STRING]  : 'Default', 'Recursive', 'RecursiveAll' or 'FilesOnly'.
+     *
+     * EXAMPLES
+     *      let view = await dataConnection.getListView({ listName : 'Tasks', viewName : 'Open Tasks' });
+     */
+    getListView (queryDetails, onSuccess, onFailure)
+    {
+        if (this.usePromise(onSuccess, onFailure))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getListView(queryDetails, resolve, reject) );
+        }
+
+        onSuccess = this.userCallback(onSuccess);
+
+        if (this.useRetry(onFailure))
+        {
+            return this.retryRequest( (onSuccessRetry, onFailureRetry) => this.getListView(queryDetails, onSuccessRetry, onFailureRetry), onSuccess, onFailure );
+        }
+
+        if ((typeof queryDetails.listName == 'undefined' && typeof queryDetails.listGuid == 'undefined') || !spHelper.usesView(queryDetails))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid view details. Minimum view details must include list title and view name or ID.', { method : 'getListView' });
+        }
+
+        let errorDetails =
+        {
+            method : 'getListView',
+            list   : (typeof(queryDetails.listName) !== 'undefined') ? queryDetails.listName : queryDetails.listGuid,
+        };
+
+        let resolve = (view) =>
+        {
+            this.listViews[spHelper.viewKey(queryDetails)] = view;
+
+            onSuccess(view);
+        };
+
+        try
+        {
+            if (this.rest !== null)
+            {
+                this.executeRest( this.rest.getListView(queryDetails, errorDetails), resolve, onFailure, errorDetails );
+
+                return;
+            }
+
+            // Refresh connections.
+            this.refreshConnection();
+
+            let spList  = (typeof(queryDetails.listName) !== 'undefined') ? this.spWeb.get_lists().getByTitle(queryDetails.listName) : this.spWeb.get_lists().getById(queryDetails.listGuid);
+            let spViews = spList.get_views();
+            let spView  = (typeof(queryDetails.viewId) !== 'undefined') ? spViews.getById(queryDetails.viewId) : spViews.getByTitle(queryDetails.viewName);
+
+            let spViewFields = spView.get_viewFields();
+
+            this.appContext.load(spView, 'ViewQuery', 'RowLimit', 'Scope');
+            this.appContext.load(spViewFields);
+
+            let onQuerySuccess = () =>
+            {
+                let fields     = [];
+                let enumerator = spViewFields.getEnumerator();
+
+                while (enumerator.moveNext())
+                {
+                    fields.push(enumerator.get_current());
+                }
+
+                resolve({ query : spView.get_viewQuery() || '', fields : fields, rowLimit : spView.get_rowLimit(), scope : spHelper.viewScopes[spView.get_scope()] || 'Default' });
+            };
+
+            this.executeQuery( onQuerySuccess, onFailure, errorDetails );
+        }
+        catch (error)
+        {
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to read the list view. Validate the view details ...', errorDetails);
+        }
+    }
+
+    /**
+     * Checks if getListData query details read a list view ('viewName' or 'viewId').
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData ().
+     */
+    static usesView (queryDetails)
+    {
+        return (typeof queryDetails.viewName !== 'undefined' || typeof queryDetails.viewId !== 'undefined');
+    }
+
+    /**
+     * Returns the key of a list view in the views kept by spHelper (see getListView).
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData ().
+     */
+    static viewKey (queryDetails)
+    {
+        let list = (typeof(queryDetails.listName) !== 'undefined') ? queryDetails.listName : String(queryDetails.listGuid).replace(/[{}]/g, '').toLowerCase();
+        let view = (typeof(queryDetails.viewId) !== 'undefined') ? String(queryDetails.viewId).replace(/[{}]/g, '').toLowerCase() : queryDetails.viewName;
+
+        return `${list}|${view}`;
+    }
+
+    /**
+     * Returns the list view of query details that read a view (see getListView). Fails when the view has not been read.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData ().
+     */
+    listView (queryDetails)
+    {
+        if (!spHelper.usesView(queryDetails))
+        {
+            return null;
+        }
+
+        let view = this.listViews[spHelper.viewKey(queryDetails)];
+
+        if (typeof view === 'undefined')
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'The list view has not been read. Read it first with getListView.', { method : 'buildListQuery', list : queryDetails.listName });
+        }
+
+        return view;
+    }
+
+    /**
+     * Queues a CAML query of a list in the client context. The returned SP.ListItemCollection is available once the request
+     * is executed.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData ().
+     *      viewXml      - [STRING] : The CAML (View XML) of the query.
+     *      pagingInfo   - [STRING] : The paging position of the query (or null for the first page).
+     */
+    queueListItems (queryDetails, viewXml, pagingInfo)
+    {
+        let spList = '';
+
+        if (typeof(queryDetails.listName) !== 'undefined')
+        {
+            // Will store the spList object when request is complete.
+            spList = this.spWeb.get_lists().getByTitle(queryDetails.listName);
+        }
+        else
+        {
+            // Will store the spList object when request is complete.
+            spList = this.spWeb.get_lists().getById(queryDetails.listGuid);
+        }
+
+        let camlQuery = new SP.CamlQuery();
+
+        camlQuery.set_viewXml(viewXml);
+
+        // Read the items of a folder instead of the list's root folder.
+        if (typeof queryDetails.folder === 'string' && queryDetails.folder !== '')
+        {
+            camlQuery.set_folderServerRelativeUrl(queryDetails.folder);
+        }
+
+        // Configure the CAML query paging position.
+        if (pagingInfo !== null)
+        {
+            let position = new SP.ListItemCollectionPosition();
+
+            position.set_pagingInfo(pagingInfo);
+
+            camlQuery.set_listItemCollectionPosition(position);
+        }
+
+        // Will store the spListItemCollection object when request is complete.
+        let spListItemCollection = spList.getItems(camlQuery);
+
+        // Load the request into the client context with only the specific columns.
+        this.appContext.load(spListItemCollection, `Include(${this.listQueryColumns(queryDetails).toString()})`);
+
+        return spListItemCollection;
+    }
+
+    /**
+     * Returns the items of a loaded SP.ListItemCollection as an [ARRAY].
+     *
+     * PARAMETERS
+     *      spListItemCollection - [OBJECT] : The loaded SP.ListItemCollection.
+     */
+    enumerateItems (spListItemCollection)
+    {
+        let itemsEnumeration = spListItemCollection.getEnumerator();
+        let listItems        = [];
+
+        // Cycle through each item returned in the item collection.
+        while (itemsEnumeration.moveNext())
+        {
+            listItems.push(itemsEnumeration.get_current());
+        }
+
+        return listItems;
+    }
+
+    /**
+     * Turns a returned list item into a JS [OBJECT] with a property for each requested column.
+     *
+     * PARAMETERS
+     *      listItem     - [OBJECT] : The SP.ListItem (or REST list item) returned by the server.
+     *      listColumns  - [ARRAY]  : The requested column names.
+     *      errorDetails - [OBJECT] : Request details added to any error.
+     */
+    listItemRow (listItem, listColumns, errorDetails)
+    {
+        let itemRow = {};
+
+        // Foreach column requested from the user, create a property in the itemRow object.
+        // This creates a complete object for each row of data.
+        for (let columnName of listColumns)
+        {
+            // Try & Catch is required because a request for list items will still be successful if the user
+            // requests a column name that doesn't exist. The returned items will simply not contain the unknown
+            // column data. However SPHelper will throw notifying the user.
+            try
+            {
+                itemRow[columnName] = listItem.get_item(columnName);
+            }
+            catch (error)
+            {
+                throw new spHelperError(errorCodes.COLUMN_NOT_FOUND, `The column '${columnName}' requested from '${errorDetails.list}' does not exist! Error: ${error}`, Object.assign({ innerError : error }, errorDetails));
+            }
+        }
+
+        return itemRow;
+    }
+
+    /**
+     * Returns a copy of a list data row with every value converted into plain JSON (see normalizeValue).
+     *
+     * PARAMETERS
+     *      itemRow - [OBJECT] : A row of list data (see listItemRow).
+     *      fields  - [OBJECT] : The list columns of getListDetails by internal name.
+     */
+    static normalizeRow (itemRow, fields)
+    {
+        let row = {};
+
+        Object.keys(itemRow).forEach( columnName => row[columnName] = spHelper.normalizeValue(itemRow[columnName], fields[columnName]) );
+
+        return row;
+    }
+
+    /**
+     * Converts a field value returned by SharePoint into plain JSON. The conversion uses the field type of the column when
+     * it is known, and the type of the value otherwise (e.g. columns that are not part of the list's content type).
+     *
+     *      Lookup              : { id, title }
+     *      User                : { id, title, email }
+     *      URL                 : { url, description }
+     *      Managed metadata    : { id, label, wssId }
+     *      Date                : ISO string (UTC)
+     *      Multiple values     : An array of the above.
+     *
+     * PARAMETERS
+     *      value - [ANY]    : The field value.
+     *      field - [OBJECT] : The list column of getListDetails (optional).
+     */
+    static normalizeValue (value, field)
+    {
+        let fieldType = (typeof field !== 'undefined' && field !== null) ? field.fieldType : null;
+
+        if (value === null || typeof value === 'undefined')
+        {
+            return null;
+        }
+
+        if (Array.isArray(value))
+        {
+            return value.map( entry => spHelper.normalizeValue(entry, field) );
+        }
+
+        if (value instanceof Date)
+        {
+            return value.toISOString();
+        }
+
+        if (typeof value !== 'object')
+        {
+            return (fieldType === 4 && typeof value === 'string' && value !== '') ? new Date(value).toISOString() : value;
+        }
+
+        // SP.Taxonomy.TaxonomyFieldValueCollection
+        if (typeof value.getEnumerator === 'function')
+        {
+            let values     = [];
+            let enumerator = value.getEnumerator();
+
+            while (enumerator.moveNext())
+            {
+                values.push(spHelper.normalizeValue(enumerator.get_current(), field));
+            }
+
+            return values;
+        }
+
+        if (typeof value.get_termGuid === 'function')
+        {
+            return { id : value.get_termGuid(), label : value.get_label(), wssId : value.get_wssId() };
+        }
+
+        // Managed metadata values read through REST.
+        if (typeof value.TermGuid !== 'undefined')
+        {
+            return { id : value.TermGuid, label : value.Label, wssId : (typeof value.WssId !== 'undefined') ? value.WssId : null };
+        }
+
+        if (typeof value.get_url === 'function')
+        {
+            return { url : value.get_url(), description : value.get_description() };
+        }
+
+        if (typeof value.get_lookupId === 'function')
+        {
+            let email = (typeof value.get_email === 'function') ? value.get_email() : undefined;
+
+            if (fieldType === 20 || (fieldType === null && typeof email !== 'undefined'))
+            {
+                return { id : value.get_lookupId(), title : value.get_lookupValue(), email : (typeof email !== 'undefined') ? email : null };
+            }
+
+            return { id : value.get_lookupId(), title : value.get_lookupValue() };
+        }
+
+        return value;
+    }
+
+    /**
+     * Splits a getListData request with In conditions larger than a single query can hold (500 values) into requests for
+     * slices of the values. Returns the original request when no split is needed. Values are de-duplicated first.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData ().
+     */
+    splitListQuery (queryDetails)
+    {
+        if (typeof queryDetails.where === 'undefined' || typeof queryDetails.query !== 'undefined' || !Array.isArray(queryDetails.listColumns))
+        {
+            return [queryDetails];
+        }
+
+        // Splits the first oversized In condition of a where tree, then the next one of every part, until none are left.
+        // And/Or only combine their conditions, so the items of the original query are the union of the items of the parts.
+        let splitWhere = function (where)
+        {
+            if (typeof where.values !== 'undefined')
+            {
+                for (let i = 0; i < where.values.length; i++)
+                {
+                    let parts = splitWhere(where.values[i]);
+
+                    if (parts.length > 1)
+                    {
+                        return parts.map( part => Object.assign({}, where, { values : where.values.map( (value, index) => (index === i) ? part : value ) }) );
+                    }
+                }
+
+                return [where];
+            }
+
+            if (String(where.operation).toLowerCase() === 'in' && Array.isArray(where.value))
+            {
+                let values = where.value.filter( (value, index) => where.value.indexOf(value) === index );
+                let parts  = [];
+
+                for (let i = 0; i < values.length; i += camlQueryValueLimit)
+                {
+                    parts.push(Object.assign({}, where, { value : values.slice(i, i + camlQueryValueLimit) }));
+                }
+
+                if (parts.length > 1)
+                {
+                    return [].concat(...parts.map( part => splitWhere(part) ));
+                }
+            }
+
+            return [where];
+        };
+
+        let wheres = splitWhere(queryDetails.where);
+
+        if (wheres.length === 1)
+        {
+            return [queryDetails];
+        }
+
+        return wheres.map( where => Object.assign({}, queryDetails, { where : where }) );
+    }
+
+    /**
+     * Runs the queries of a split getListData request in parallel and merges the results. Items returned by more than
+     * one query are only returned once. The merged items are sorted like SharePoint sorts a single query: by the groupBy
+     * and orderBy columns, then by ID, so the 'top' items are the same.
+     *
+     * PARAMETERS
+     *      queries       - [ARRAY]                         : The queryDetails of each query (see splitListQuery).
+     *      listColumns   - [ARRAY]                         : The columns requested by the user.
+     *      onSuccessUser - [FUNC ([ARRAY][OBJECT] result)] : A callback function that is executed when all the data is received.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when any query fails.
+     */
+    getListDataParallel (queries, listColumns, onSuccessUser, onFailureUser)
+    {
+        let groupBy   = this.listGroupBy(queries[0]);
+        let sortOrder = (groupBy !== null ? groupBy.columns.map( column => ({ column : column, ascending : true }) ) : []).concat(this.listOrderBy(queries[0]), { column : 'ID', ascending : true });
+
+        // The ID is needed to find duplicates and the sort columns to merge the items, they are removed again when they were not requested.
+        let addColumns = sortOrder.map( order => order.column ).filter( (column, index, columns) => !listColumns.includes(column) && columns.indexOf(column) === index );
+        let results    = new Array(queries.length);
+        let remaining  = queries.length;
+        let failed     = false;
+
+        let compare = (rowA, rowB) => sortOrder.reduce( (result, order) => result || spHelper.compareValues(spHelper.groupValue(rowA[order.column]), spHelper.groupValue(rowB[order.column])) * (order.ascending ? 1 : -1), 0 );
+
+        let resolve = function ()
+        {
+            let itemIDs  = new Set();
+            let listData = [];
+
+            results.forEach( rows => rows.forEach( function (row)
+            {
+                if (!itemIDs.has(row.ID))
+                {
+                    itemIDs.add(row.ID);
+
+                    listData.push(row);
+                }
+            }));
+
+            listData.sort(compare);
+
+            listData.forEach( row => addColumns.forEach( column => delete row[column] ) );
+
+            onSuccessUser(listData);
+        };
+
+        let reject = function (error)
+        {
+            // Only the first failure is reported.
+            if (!failed)
+            {
+                failed = true;
+
+                onFailureUser(error);
+            }
+        };
+
+        queries.forEach( (query, index) =>
+        {
+            let queryDetails = Object.assign({}, query, { listColumns : listColumns.concat(addColumns), onPage : undefined, onProgress : undefined, top : undefined });
+
+            let onSuccess = function (rows)
+            {
+                results[index] = rows;
+
+                remaining--;
+
+                if (remaining === 0 && !failed)
+                {
+                    resolve();
+                }
+            };
+
+            try
+            {
+                this.getListData(queryDetails, onSuccess, reject);
+            }
+            catch (error)
+            {
+                reject(spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to read list data. Validate query details ...', { method : 'getListData' }));
+            }
+        });
+    }
+
+    /**
+     * Compares two values the way SharePoint sorts them: empty values (null) first, numbers by value and other values as
+     * text. Used with the values of spHelper.groupValue.
+     *
+     * PARAMETERS
+     *      valueA - [ANY] : The first value.
+     *      valueB - [ANY] : The second value.
+     */
+    static compareValues (valueA, valueB)
+    {
+        if (valueA === valueB)
+        {
+            return 0;
+        }
+
+        if (valueA === null || valueB === null)
+        {
+            return (valueA === null) ? -1 : 1;
+        }
+
+        return (typeof valueA === 'number' && typeof valueB === 'number') ? valueA - valueB : String(valueA).localeCompare(String(valueB));
+    }
+
+    /**
+     * Creates a fluent CAML query builder (see spCaml). The result can be passed as the 'query' of getListData and loadListData.
+     *
+     * PARAMETERS
+     *      fields - [OBJECT] : Optional. The getListDetails result (or its columns) used to infer the Value Type of each condition.
+     *
+     * EXAMPLES
+     *      let listDetails = await dataConnection.getListDetails('Tasks');
+     *
+     *      let query = spHelper.caml(listDetails).where('Status').eq('Open').and('AssignedTo').eq(12).orderBy('Modified', false);
+     *
+     *      let items = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title', 'Status'], query : query });
+     */
+    static caml (fields = null)
+    {
+        return new spCaml(fields);
+    }
+
+    /**
+     * Builds the CAML (View XML) of a getListData/loadListData request. A full 'query' is used as is (a spCaml builder is
+     * turned into View XML, with the RowLimit of the request when the builder sets none, so it is read in pages), otherwise
+     * the View is generated from the listColumns, where and join details.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData ().
+     */
+    buildListQuery (queryDetails)
+    {
+        if (queryDetails.query instanceof spCaml)
+        {
+            return queryDetails.query.toXml(queryDetails.listColumns, this.listRowLimit(queryDetails));
+        }
+
+        if (typeof queryDetails.query !== 'undefined')
+        {
+            return queryDetails.query;
+        }
+
+        let view    = this.listView(queryDetails);
+        let parts   = (view !== null) ? spHelper.viewQueryParts(view.query) : { where : null, orderBy : null, groupBy : null };
+        let joins   = this.listJoins(queryDetails);
+        let columns = this.listQueryColumns(queryDetails);
+
+        let scope   = this.listScope(queryDetails, (view !== null) ? view.scope : 'RecursiveAll');
+
+        let customQuery = (scope === 'Default') ? '<View>' : `<View Scope='${scope}'>`;
+
+        customQuery += '<ViewFields>';
+
+        //FieldRef defines which columns are returned.
+        for (let column in columns)
+        {
+            customQuery += `<FieldRef Name='${ spCaml.columnName(columns[column], 'buildListQuery') }' />`;
+        }
+
+        customQuery += '</ViewFields>';
+
+        let orderBy  = this.listOrderBy(queryDetails);
+        let groupBy  = this.listGroupBy(queryDetails);
+        let rowLimit = this.listRowLimit(queryDetails, (view !== null) ? view.rowLimit : undefined);
+
+        // The where of the query details is added to the where of a list view. Its sort order replaces the view's.
+        let where = (typeof(queryDetails.where) !== 'undefined') ? this.buildWhere(queryDetails.where) : null;
+
+        if (parts.where !== null)
+        {
+            where = (where !== null) ? `<And>${parts.where}${where}</And>` : parts.where;
+        }
+
+        // A period of the calendar mode (see readCalendar). The recurring events are expanded around its CalendarDate.
+        let calendarPeriod = (typeof queryDetails.calendarPeriod !== 'undefined') ? queryDetails.calendarPeriod : null;
+
+        if (calendarPeriod !== null)
+        {
+            let overlap = `<DateRangesOverlap><FieldRef Name='EventDate' /><FieldRef Name='EndDate' /><FieldRef Name='RecurrenceID' /><Value Type='DateTime'><${(calendarPeriod.period === 'Day') ? 'Today' : calendarPeriod.period} /></Value></DateRangesOverlap>`;
+
+            where = (where !== null) ? `<And>${overlap}${where}</And>` : overlap;
+        }
+
+        if (where !== null || orderBy.length > 0 || groupBy !== null || parts.orderBy !== null || parts.groupBy !== null)
+        {
+            customQuery += '<Query>';
+
+            // Check if a WHERE clause has been provided. A single condition or a group of conditions ('values').
+            if (where !== null)
+            {
+                customQuery += `<Where>${where}</Where>`;
+            }
+
+            if (groupBy !== null)
+            {
+                customQuery += `<GroupBy Collapse='${groupBy.collapse ? 'TRUE' : 'FALSE'}'>`;
+                customQuery += groupBy.columns.map( column => `<FieldRef Name='${spCaml.columnName(column, 'buildListQuery')}' />` ).join('');
+                customQuery += '</GroupBy>';
+            }
+            else if (parts.groupBy !== null)
+            {
+                customQuery += parts.groupBy;
+            }
+
+            if (orderBy.length > 0)
+            {
+                customQuery += '<OrderBy>';
+                customQuery += orderBy.map( order => `<FieldRef Name='${spCaml.columnName(order.column, 'buildListQuery')}' Ascending='${order.ascending ? 'TRUE' : 'FALSE'}' />` ).join('');
+                customQuery += '</OrderBy>';
+            }
+            else if (parts.orderBy !== null)
+            {
+                customQuery += parts.orderBy;
+            }
+
+            customQuery += '</Query>';
+        }
+
+        if (joins.length > 0)
+        {
+            customQuery += '<Joins>';
+
+            // Chained joins reference the lookup column of their parent join's list.
+            for (let join of joins)
+            {
+                let parentList = (join.parent !== null) ? ` List="${spXml.escape(join.parent)}"` : '';
+
+                customQuery += `<Join Type="${join.type}" ListAlias="${spXml.escape(join.alias)}">`;
+                customQuery += `<Eq><FieldRef${parentList} Name="${join.joinColumn}" RefType="Id" /><FieldRef List="${spXml.escape(join.alias)}" Name="ID" /></Eq>`;
+                customQuery += '</Join>';
+            }
+
+            customQuery += '</Joins>';
+
+            customQuery += '<ProjectedFields>';
+
+            for (let join of joins)
+            {
+                for (let field of join.fields)
+                {
+                    customQuery += `<Field ShowField="${field.field}" Type="Lookup" Name="${field.name}" List="${spXml.escape(join.alias)}" />`;
+                }
+            }
+
+            customQuery += '</ProjectedFields>';
+        }
+
+        if (calendarPeriod !== null)
+        {
+            customQuery += `<QueryOptions><ExpandRecurrence>TRUE</ExpandRecurrence><CalendarDate>${spXml.escape(calendarPeriod.date)}</CalendarDate></QueryOptions>`;
+        }
+
+        customQuery += `<RowLimit Paged='TRUE'>${rowLimit}</RowLimit>`;
+
+        customQuery += '</View>';
+
+        return customQuery;
+    }
+
+    /**
+     * Returns the joins of a getListData/loadListData request as a flat array, parents before the joins chained to them:
+     * [{ list, alias, parent, joinColumn, type, fields : [{ field, name }] }]. The 'join' option is an array of join
+     * definitions (or a single one):
+     *
+     *      'list'       - [STRING] : The title of the joined list.
+     *      'alias'      - [STRING] : The name of the join in the query. Defaults to the list title. Use different aliases to
+     *                                join the same list twice.
+     *      'joinColumn' - [STRING] : The lookup column (of the queried list, or of the parent join's list) to join on.
+     *      'parent'     - [STRING] : The alias of the join whose list holds the lookup column (chained joins).
+     *      'type'       - [STRING] : 'left' (default) or 'inner'. Inner joins leave out the items without a joined item.
+     *      'fields'     - [ARRAY]  : The fields of the joined list to return. A field name, or { field, alias }. The value is
+     *                                returned under the alias, by default '<join alias>_<field>'.
+     *      'joins'      - [ARRAY]  : Joins chained through the lookup columns of this join's list (their parent is this join).
+     *
+     * The earlier single join ({ direction, list, joinColumn, getColumns }) is still supported. Its fields are returned
+     * under their own names.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData ().
+     */
+    listJoins (queryDetails)
+    {
+        let joins  = [];
+        let fields = [];
+
+        if (typeof queryDetails.join === 'undefined' || queryDetails.join === null)
+        {
+            return joins;
+        }
+
+        let invalid = (message) => new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid join details. ${message}`, { method : 'listJoins', list : queryDetails.listName });
+
+        let addJoin = function (definition, parent)
+        {
+            // The earlier single join format.
+            if (typeof definition.getColumns !== 'undefined' || typeof definition.direction !== 'undefined')
+            {
+                definition = { list : definition.list, joinColumn : definition.joinColumn, type : definition.direction, fields : (definition.getColumns || []).map( column => ({ field : column, alias : column }) ) };
+            }
+
+            if (typeof definition.list !== 'string' || definition.list === '' || typeof definition.joinColumn !== 'string' || definition.joinColumn === '')
+            {
+                throw invalid('Every join needs a list and a joinColumn.');
+            }
+
+            let join =
+            {
+                list       : definition.list,
+                alias      : definition.alias || definition.list,
+                parent     : (typeof definition.parent !== 'undefined') ? definition.parent : parent,
+                joinColumn : definition.joinColumn,
+                type       : String(definition.type || 'left').toUpperCase(),
+                fields     : [],
+            };
+
+            if (join.type !== 'LEFT' && join.type !== 'INNER')
+            {
+                throw invalid(`Join type '${definition.type}' is not supported. Use 'left' or 'inner'.`);
+            }
+
+            spCaml.columnName(join.joinColumn, 'listJoins');
+
+            if (joins.some( entry => entry.alias === join.alias ))
+            {
+                throw invalid(`The alias '${join.alias}' is used by more than one join.`);
+            }
+
+            if (join.parent !== null && !joins.some( entry => entry.alias === join.parent ))
+            {
+                throw invalid(`The parent '${join.parent}' of join '${join.alias}' is not an earlier join.`);
+            }
+
+            join.fields = (definition.fields || []).map( function (field)
+            {
+                let projected = (typeof field === 'string') ? { field : field, name : `${join.alias}_${field}` } : { field : field.field, name : field.alias || `${join.alias}_${field.field}` };
+
+                // The projected field name is used as a column of the query, so it must be a valid internal name as well.
+                spCaml.columnName(projected.field, 'listJoins');
+
+                if (typeof projected.name !== 'string' || !spCaml.isColumnName(projected.name))
+                {
+                    throw invalid(`The projected field name '${projected.name}' is not a valid column name. Set an alias of letters, digits and underscores.`);
+                }
+
+                if (fields.includes(projected.name))
+                {
+                    throw invalid(`The field name '${projected.name}' is used by more than one projected field. Set an alias.`);
+                }
+
+                fields.push(projected.name);
+
+                return projected;
+            });
+
+            joins.push(join);
+
+            (definition.joins || []).forEach( child => addJoin(child, join.alias) );
+        };
+
+        [].concat(queryDetails.join).forEach( definition => addJoin(definition, null) );
+
+        return joins;
+    }
+
+    /**
+     * Returns the columns read by a getListData/loadListData request: the fields of the list view, the listColumns and the
+     * projected fields of the joins.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData ().
+     */
+    listQueryColumns (queryDetails)
+    {
+        let view    = this.listView(queryDetails);
+        let columns = (view !== null) ? view.fields.slice() : [];
+
+        (queryDetails.listColumns || []).forEach( function (column)
+        {
+            if (!columns.includes(column))
+            {
+                columns.push(column);
+            }
+        });
+
+        this.listJoins(queryDetails).forEach( join => join.fields.forEach( function (field)
+        {
+            if (!columns.includes(field.name))
+            {
+                columns.push(field.name);
+            }
+        }));
+
+        return columns;
+    }
+
+    /**
+     * Returns the View Scope of a getListData/loadListData request: the 'scope' option (case insensitive), otherwise the
+     * scope of the list view or 'RecursiveAll'.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData ().
+     *      defaultScope - [STRING] : The scope used when the 'scope' option is not set.
+     */
+    listScope (queryDetails, defaultScope)
+    {
+        if (typeof queryDetails.scope === 'undefined' || queryDetails.scope === null)
+        {
+            return defaultScope;
+        }
+
+        let scope = spHelper.viewScopes.find( name => name.toLowerCase() === String(queryDetails.scope).toLowerCase() );
+
+        if (typeof scope === 'undefined')
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid scope '${queryDetails.scope}'. Use ${spHelper.viewScopes.join(', ')}.`, { method : 'buildListQuery' });
+        }
+
+        return scope;
+    }
+
+    /**
+     * Splits the ViewQuery of a list view into the contents of its Where and its OrderBy and GroupBy elements (CAML strings,
+     * or null when the view does not have them).
+     *
+     * PARAMETERS
+     *      viewQuery - [STRING] : The ViewQuery of a list view.
+     */
+    static viewQueryParts (viewQuery)
+    {
+        let query = spXml.parse(`<Query>${viewQuery || ''}</Query>`).documentElement;
+        let where = query.childElement('Where');
+        let part  = (name) => (query.childElement(name) !== null) ? spXml.serialize(query.childElement(name)) : null;
+
+        return {
+            where   : (where !== null && where.children.length > 0) ? spXml.serialize(where.children[0]) : null,
+            orderBy : part('OrderBy'),
+            groupBy : part('GroupBy'),
+        };
+    }
+
+    /**
+     * Returns the sort order of a getListData/loadListData request as an array of { column, ascending }. The 'orderBy'
+     * option may be a column name, a { column, ascending } object or an array of either.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData ().
+     */
+    listOrderBy (queryDetails)
+    {
+        if (typeof queryDetails.orderBy === 'undefined' || queryDetails.orderBy === null)
+        {
+            return [];
+        }
+
+        let orderBy = Array.isArray(queryDetails.orderBy) ? queryDetails.orderBy : [queryDetails.orderBy];
 
-                                queryDetails.where.value.forEach( function (value)
-                                {
-                                    customQuery += `<Value Type='${queryDetails.where.type}'>${value}</Value>`;
-                                });
+        return orderBy.map( function (order)
+        {
+            if (typeof order === 'string')
+            {
+                return { column : order, ascending : true };
+            }
 
-                                customQuery += `</Values></In>`;
-                            }
-                        }
-                        else
-                        {
-                            customQuery += `<${queryDetails.where.operation}>`;
+            if (order === null || typeof order.column !== 'string')
+            {
+                throw new spHelperError(errorCodes.INVALID_ARGUMENT, "Invalid orderBy. Each sort order must be a column name or an object with a 'column' key.", { method : 'buildListQuery' });
+            }
 
-                            if (multiWhereValue)
-                            {
-                                // This checks for lookup. If the value is a number then adds the LookupID = 'TRUE' tag. If not,
-                                // any lookups will be compared to the lookup value itself.
-                                if (queryDetails.where.type.toLowerCase() === 'lookup' && !isNaN(queryDetails.where.value[0]))
-                                {
-                                    customQuery += ` <FieldRef Name='${queryDetails.where.column}' LookupId='TRUE'/>`;
-                                }
-                                else
-                                {
-                                    customQuery += ` <FieldRef Name='${queryDetails.where.column}' />`;
-                                }
+            return { column : order.column, ascending : order.ascending !== false };
+        });
+    }
 
-                                customQuery += '<Values>';
+    /**
+     * Returns the grouping of a getListData/loadListData request as { columns, collapse }, or null. The 'groupBy' option
+     * may be a column name, an array of column names or a { column(s), collapse } object.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData ().
+     */
+    listGroupBy (queryDetails)
+    {
+        let groupBy = queryDetails.groupBy;
 
-                                queryDetails.where.value.forEach( function (value)
-                                {
-                                    customQuery += `<Value Type='${queryDetails.where.type}'>${value}</Value>`;
-                                });
+        if (typeof groupBy === 'undefined' || groupBy === null)
+        {
+            return null;
+        }
 
-                                customQuery += '</Values>';
-                            }
-                            else
-                            {
-                                // This checks for lookup. If the value is a number then adds the LookupID = 'TRUE' tag. If not,
-                                // any lookups will be compared to the lookup value itself.
-                                if (typeof(queryDetails.where.type) !== 'undefined' && queryDetails.where.type.toLowerCase() === 'lookup' && !isNaN(queryDetails.where.value))
-                                {
-                                    customQuery += ` <FieldRef Name='${queryDetails.where.column}' LookupId='TRUE'/>`;
-                                }
-                                else
-                                {
-                                    customQuery += ` <FieldRef Name='${queryDetails.where.column}' />`;
-                                }
+        if (typeof groupBy === 'string' || Array.isArray(groupBy))
+        {
+            groupBy = { columns : groupBy };
+        }
 
-                                if (typeof(queryDetails.where.type) !== 'undefined' && typeof(queryDetails.where.value) !== 'undefined')
-                                {
-                                    customQuery += `<Value Type='${queryDetails.where.type}'>${queryDetails.where.value}</Value>`;
-                                }
-                            }
+        let columns = [].concat(groupBy.columns || groupBy.column || []);
 
-                            customQuery += `</${queryDetails.where.operation}>`;
-                        }
+        // CAML groups by one or two columns.
+        if (columns.length === 0 || columns.length > 2 || columns.some( column => typeof column !== 'string' ))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid groupBy. Group by one or two column names.', { method : 'buildListQuery' });
+        }
 
-                        if (camlWhereInFix)
-                        {
-                            customQuery += '</Or>';
-                        }
-                    }
+        return { columns : columns, collapse : groupBy.collapse === true };
+    }
 
-                    customQuery += '</Where></Query>';
-                }
+    /**
+     * Returns the RowLimit (items per request) of a getListData/loadListData request. The smaller of the 'rowLimit' and
+     * 'top' options is used, the RowLimit of the list view or the 5000 item cap by default.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT]  : See getListData ().
+     *      viewRowLimit - [INTEGER] : The RowLimit of the list view (optional).
+     */
+    listRowLimit (queryDetails, viewRowLimit)
+    {
+        let rowLimit = (typeof queryDetails.rowLimit !== 'undefined' && queryDetails.rowLimit !== null) ? queryDetails.rowLimit : viewRowLimit;
+        let limits   = [rowLimit, queryDetails.top].filter( limit => typeof limit !== 'undefined' && limit !== null );
 
-                if (typeof(queryDetails.join) !== 'undefined')
-                {
-                    customQuery += `
-                    <Joins>
-                        <Join Type="${queryDetails.join.direction}" ListAlias="${queryDetails.join.list}">
-                            <Eq>
-                                <FieldRef Name="${queryDetails.join.joinColumn}" RefType="Id" />
-                                <FieldRef Name="ID" List="${queryDetails.join.list}" />
-                            </Eq>
-                        </Join>
-                    </Joins>`;
+        if (limits.some( limit => !(parseInt(limit) > 0) ))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid rowLimit or top. The limit must be a positive number.', { method : 'buildListQuery' });
+        }
 
-                    customQuery += '<ProjectedFields>';
+        return (limits.length > 0) ? Math.min(...limits.map( limit => parseInt(limit) )) : 5000;
+    }
 
-                    for (let column in queryDetails.join.getColumns)
-                    {
-                        customQuery += `<Field ShowField="${ queryDetails.join.getColumns[column] }" Type="Lookup" Name="${ queryDetails.join.getColumns[column] }" List="${queryDetails.join.list}" />`;
-                    }
+    /**
+     * Checks if the list view of getListData query details must be read (see getListView) before the query is built.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See getListData ().
+     */
+    needsListView (queryDetails)
+    {
+        return spHelper.usesView(queryDetails) && typeof this.listViews[spHelper.viewKey(queryDetails)] === 'undefined';
+    }
 
-                    customQuery += '</ProjectedFields>';
-                }
+    /**
+     * Checks if the time zone of the site must be read before a where tree is built. A DateTime condition that compares the
+     * date only of a moment (a Date or an ISO string with a time zone) compares the site's local day of the moment.
+     *
+     * PARAMETERS
+     *      where - [OBJECT] : A where group or condition. See getListData ().
+     */
+    needsSiteZone (where)
+    {
+        if (this.siteZone !== null || where === null || typeof where !== 'object')
+        {
+            return false;
+        }
 
-                customQuery += '</View>';
+        if (Array.isArray(where.values))
+        {
+            return where.values.some( value => this.needsSiteZone(value) );
+        }
 
-                camlQuery.set_viewXml(customQuery);
-            }
+        let moment = value => value instanceof Date || (typeof value === 'string' && spTimeZone.hasTimeZone(value));
 
-            // Configure the CAML query paging position.
-            var position = new SP.ListItemCollectionPosition();
+        return where.includeTime !== true && (typeof where.type === 'undefined' || where.type === 'DateTime') && String(where.operation).toLowerCase() !== 'daterangesoverlap' && [].concat(where.value).some(moment);
+    }
 
-            // Set to initial pull of data to start at the first item (position 0);
-            position.set_pagingInfo(`Paged=TRUE&p_ID=${queryDetails.pagePosition}`);
+    /**
+     * Builds the CAML of a where tree. A group ({ operation : 'And'/'Or', values : [...] }) may hold any number of conditions
+     * and groups. CAML And/Or elements take exactly two conditions, so the children are folded into nested elements:
+     * [a, b, c] becomes <And>a<And>b c</And></And>.
+     *
+     * PARAMETERS
+     *      where - [OBJECT] : A where group or condition. See getListData ().
+     */
+    buildWhere (where)
+    {
+        if (typeof where.values === 'undefined')
+        {
+            return this.buildWhereCondition(where);
+        }
 
-            camlQuery.set_listItemCollectionPosition(position);
+        let operation = String(where.operation || 'And').toLowerCase() === 'or' ? 'Or' : 'And';
 
-            // Will store the spListItemCollection object when request is complete.
-            let spListItemCollection = spList.getItems(camlQuery);
+        if (!Array.isArray(where.values) || where.values.length === 0)
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid where group. An '${operation}' group must contain at least one condition.`, { method : 'buildListQuery' });
+        }
 
-            // Load the request into the client context with only the specific columns.
-            this.appContext.load(spListItemCollection, `Include(${queryDetails.listColumns.toString()})`);
+        let conditions = where.values.map( value => this.buildWhere(value) );
 
-            // Create a local 'this' for the callback functions.
-            let classThis = this;
+        return conditions.reduceRight( (right, left) => `<${operation}>${left}${right}</${operation}>` );
+    }
 
-            // Callback function when the request (promise) is resolved. Turns the returned item objects into an [ARRAY] of JS [OBJECTS].
-            let resolve = function ()
-            {
-                let itemsEnumeration = spListItemCollection.getEnumerator();
-                let returnedItems    = [];
+    /**
+     * Builds the CAML of a single where condition ({ column, operation, value, type }).
+     *
+     * PARAMETERS
+     *      condition - [OBJECT] : The where condition. See getListData ().
+     */
+    buildWhereCondition (condition)
+    {
+        let operations = camlOperations.concat(Object.keys(dateOperations));
+        let operation  = operations.find( name => name.toLowerCase() === String(condition.operation).toLowerCase() );
+        let value      = condition.value;
+        let type       = condition.type;
 
-                // Cycle through each item returned in the item collection.
-                while (itemsEnumeration.moveNext())
-                {
-                    let currentListItem = itemsEnumeration.get_current();
-                    let itemRow         = {};
+        if (typeof value === 'undefined')
+        {
+            value = '';
+        }
 
-                    // Foreach column requested from the user, create a property in the itemRow object.
-                    // This creates a complete object for each row of data.
-                    for(let columnName of queryDetails.listColumns)
-                    {
-                        // Try & Catch is required because a request for list items will still be successful if the user
-                        // requests a column name that doesn't exist. The returned items will simply not contain the unknown
-                        // column data. However SPHelper will throw notifying the user.
-                        try
-                        {
-                            itemRow[columnName] = currentListItem.get_item(columnName);
-                            
-                        }
-                        catch (error)
-                        {
-                            if (typeof(queryDetails.listName) !== 'undefined')
-                            {
-                                throw `spHelper Error: The column '${columnName}' requested from '${queryDetails.listName}' does not exist! Error: ${error}`;
-                            }
-                            else
-                            {
-                                throw `spHelper Error: The column '${columnName}' requested from '${queryDetails.listGuid}' does not exist! Error: ${error}`;
-                            }
-                        }
-                    }
+        // Date operations and { today : offsetDays } values compare dates unless another type is set.
+        if (typeof type === 'undefined')
+        {
+            type = (typeof dateOperations[operation] !== 'undefined' || spCaml.todayOffset(value) !== null) ? 'DateTime' : 'Text';
+        }
 
-                    returnedItems.push(itemRow);
-                }
+        if (typeof condition.operation !== 'string' || typeof condition.column === 'undefined')
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid where condition. A condition must include a column and an operation.', { method : 'buildListQuery' });
+        }
 
-                onSuccess( returnedItems );
-            };
+        // The operation, column names and value type are written into the CAML as they are, so they are checked. Values are escaped.
+        if (typeof operation === 'undefined')
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid where condition. The operation '${condition.operation}' is not supported. Use ${operations.join(', ')}.`, { method : 'buildListQuery' });
+        }
 
-            // Callback function when the request (promise) has rejected.
-            let reject = function (sender, args)
+        if (typeof type !== 'string' || !/^[A-Za-z]+$/.test(type))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid where condition. The value type '${type}' of column '${condition.column}' is not a CAML Value Type.`, { method : 'buildListQuery' });
+        }
+
+        // Items of a calendar (with recurrences) overlapping a period. The column is the start, end and recurrence ID columns
+        // (EventDate, EndDate & RecurrenceID by default), the value is 'Now', 'Today', 'Week', 'Month' or 'Year' (or a date).
+        if (operation === 'DateRangesOverlap')
+        {
+            let columns = Array.isArray(condition.column) ? condition.column : ['EventDate', 'EndDate', 'RecurrenceID'];
+            let period  = ['Now', 'Today', 'Week', 'Month', 'Year'].includes(value) ? `<${value} />` : spXml.escape((value instanceof Date) ? value.toISOString() : value);
+
+            return `<DateRangesOverlap>${columns.map( column => `<FieldRef Name='${spCaml.columnName(column, 'buildListQuery')}' />` ).join('')}<Value Type='DateTime'>${period}</Value></DateRangesOverlap>`;
+        }
+
+        // This checks for lookup. If the value is a number then adds the LookupID = 'TRUE' tag. If not,
+        // any lookups will be compared to the lookup value itself.
+        let values   = Array.isArray(value) ? value : [value];
+        let byId     = ['lookup', 'user'].includes(type.toLowerCase()) && values.length > 0 && values.every( entry => entry !== '' && !isNaN(entry) );
+        let column   = spCaml.columnName(condition.column, 'buildListQuery');
+        let fieldRef = byId ? `<FieldRef Name='${column}' LookupId='TRUE'/>` : `<FieldRef Name='${column}'/>`;
+
+        // Users compared by ID use Integer values.
+        if (byId && type.toLowerCase() === 'user')
+        {
+            type = 'Integer';
+        }
+
+        // Dates are compared by the date only, unless includeTime is set ('Now' includes the time by default).
+        let includeTime  = (typeof condition.includeTime === 'boolean') ? condition.includeTime : (value === 'Now') ? null : false;
+        let valueElement = (entry) =>
+        {
+            if (type === 'DateTime')
             {
-                onFailure( args.get_message() );
-            };
+                return spCaml.dateValue(entry, includeTime, 'buildListQuery', this.siteZone);
+            }
+
+            return `<Value Type='${type}'>${spXml.escape((entry instanceof Date) ? entry.toISOString() : entry)}</Value>`;
+        };
 
-            this.appContext.executeQueryAsync( resolve, reject );
+        if (operation === 'IsNull' || operation === 'IsNotNull')
+        {
+            return `<${operation}>${fieldRef}</${operation}>`;
         }
-        catch (error)
+
+        // Before, After and Between are built from the comparisons of their bounds.
+        if (typeof dateOperations[operation] !== 'undefined')
+        {
+            let bounds = (operation === 'Between') ? value : [value];
+
+            if (!Array.isArray(bounds) || bounds.length !== dateOperations[operation].length)
+            {
+                throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid where condition. The 'Between' condition of column '${condition.column}' needs a [start, end] value.`, { method : 'buildListQuery' });
+            }
+
+            let comparisons = dateOperations[operation].map( (comparison, index) => `<${comparison}>${fieldRef}${valueElement(bounds[index])}</${comparison}>` );
+
+            return comparisons.reduceRight( (right, left) => `<And>${left}${right}</And>` );
+        }
+
+        // SharePoint allows a limited number of values in an In element. Larger value lists are split into many In
+        // elements inside nested Or elements.
+        if (operation === 'In')
         {
-            throw 'spHelper Error: Unable to read list data. Validate query details ... ' + error;
+            let inElements = [];
+
+            if (values.length === 0)
+            {
+                throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid where condition. The 'In' condition of column '${condition.column}' has no values.`, { method : 'buildListQuery' });
+            }
+
+            for (let i = 0; i < values.length; i += camlInLimit)
+            {
+                inElements.push(`<In>${fieldRef}<Values>${values.slice(i, i + camlInLimit).map(valueElement).join('')}</Values></In>`);
+            }
+
+            return inElements.reduceRight( (right, left) => `<Or>${left}${right}</Or>` );
         }
+
+        return `<${operation}>${fieldRef} ${valueElement(value)}</${operation}>`;
     }
 
     /**
      * Updates a list item in a SharePoint list library. The update details object must include a number of details including the list name,
      * item ID to update as well as an additional [OBJECT] with the column details to be updated (Column name, Type, Value, etc.). The column
      * details vary depending on the type of SharePoint column. This is because special SharePoint column types like URL or Lookup require
-     * additional information.
+     * additional information. If no callbacks are supplied a Promise is returned.
      *
      * PARAMETERS
-     *      updateDetails - [OBJECT]               : A key/value pair object with details of the update request.
-     *      onSuccessUser - [FUNC ()]              : A callback function that is executed when the data is successfully updated.
-     *      onFailureUser - [FUNC (sender, args)]  : A callback function that is executed when the data cannot be updated.
+     *      updateDetails - [OBJECT]                        : A key/value pair object with details of the update request.
+     *      onSuccessUser - [FUNC ()]                       : A callback function that is executed when the data is successfully updated.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the data cannot be updated.
      *
      * EXAMPLES
      *      var updateDetails =
@@ -597,263 +4292,337 @@ export default class spHelper
      */
 	updateListItem(updateDetails, onSuccessUser, onFailureUser)
 	{
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.updateListItem(updateDetails, resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        if (this.useRetry(onFailureUser))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.updateListItem(updateDetails, onSuccess, onFailure), onSuccessUser, onFailureUser, true );
+        }
+
 		if (typeof updateDetails.listName == 'undefined' || typeof updateDetails.itemID == 'undefined' || typeof updateDetails.columnData == 'undefined')
 		{
-			throw 'spHelper Error: Invalid update details. To update an item, the list name, item ID, and column update data is required.';
+			throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid update details. To update an item, the list name, item ID, and column update data is required.', { method : 'updateListItem' });
 		}
 
+		// Details of the request that are added to any error.
+		let errorDetails = { method : 'updateListItem', list : updateDetails.listName, itemID : updateDetails.itemID };
+
 		try
 		{
+            if (this.rest !== null)
+            {
+                this.executeRest( this.rest.updateListItem(updateDetails, errorDetails), () => onSuccessUser(), onFailureUser, errorDetails );
+
+                return;
+            }
+
             // Refresh connections.
             this.refreshConnection();
 
-			// Will store the spList object when request is complete.
-			let spList = this.spWeb.get_lists().getByTitle(updateDetails.listName);
+			// Queue the changes of the item.
+			this.queueUpdateListItem(updateDetails, errorDetails);
+
+			// Update the item.
+			this.executeQuery( onSuccessUser, onFailureUser, errorDetails );
+		}
+		catch (error)
+		{
+			throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to update item. Validate update details ...', errorDetails);
+		}
+	}
+
+	/**
+	 * Queues the update of a list item in the client context (JSOM). Used by updateListItem and batches.
+	 *
+	 * PARAMETERS
+	 *      updateDetails - [OBJECT] : See updateListItem ().
+	 *      errorDetails  - [OBJECT] : Request details added to any error.
+	 */
+	queueUpdateListItem (updateDetails, errorDetails)
+	{
+		// Will store the spList object when request is complete.
+		let spList = this.spWeb.get_lists().getByTitle(updateDetails.listName);
 
-			// Will store the spItem object when the request is complete.
-			let spItem = spList.getItemById(updateDetails.itemID);
+		// Will store the spItem object when the request is complete.
+		let spItem = spList.getItemById(updateDetails.itemID);
 
-			for (let key in updateDetails.columnData)
+		for (let key in updateDetails.columnData)
+		{
+			// Update process for URL fields.
+			if (updateDetails.columnData[key].Type.toLowerCase() == 'url')
 			{
-				// Update process for URL fields.
-				if (updateDetails.columnData[key].Type.toLowerCase() == 'url')
+				try
 				{
-					try
-					{
-						let spURLField = new SP.FieldUrlValue();
+					let spURLField = new SP.FieldUrlValue();
 
-						spURLField.set_url(updateDetails.columnData[key].URL);
-						spURLField.set_description(updateDetails.columnData[key].Description);
+					spURLField.set_url(updateDetails.columnData[key].URL);
+					spURLField.set_description(updateDetails.columnData[key].Description);
 
-						spItem.set_item(key, spURLField);
-					}
-					catch (error)
-					{
-						throw 'spHelper Error: Invalid URL field details. Unable to update item ... ' + error;
-					}
+					spItem.set_item(key, spURLField);
+				}
+				catch (error)
+				{
+					throw spHelperError.from(error, errorCodes.INVALID_ARGUMENT, 'Invalid URL field details. Unable to update item ...', errorDetails);
 				}
-				// Update process for Lookup fields.
-				else if (updateDetails.columnData[key].Type.toLowerCase() == 'lookup')
+			}
+			// Update process for Lookup fields.
+			else if (updateDetails.columnData[key].Type.toLowerCase() == 'lookup')
+			{
+				try
 				{
-					try
+					if (updateDetails.columnData[key].LookupID !== '')
 					{
-						if (updateDetails.columnData[key].LookupID !== '')
+						// If array --> MultiChoice Lookup.
+						if (updateDetails.columnData[key].LookupID.constructor.name === 'Array')
 						{
-							// If array --> MultiChoice Lookup.
-							if (updateDetails.columnData[key].LookupID.constructor.name === 'Array')
-							{
-								let lookupIDFields = [];
-
-								updateDetails.columnData[key].LookupID.forEach( function (item)
-								{
-									let spLookupField = new SP.FieldLookupValue();
+							let lookupIDFields = [];
 
-									spLookupField.set_lookupId(item);
-
-									lookupIDFields.push(spLookupField);
-								});
-
-								spItem.set_item(key, lookupIDFields);
-							}
-							else
+							updateDetails.columnData[key].LookupID.forEach( function (item)
 							{
 								let spLookupField = new SP.FieldLookupValue();
 
-								spLookupField.set_lookupId(updateDetails.columnData[key].LookupID);
+								spLookupField.set_lookupId(item);
 
-								spItem.set_item(key, spLookupField);
-							}
+								lookupIDFields.push(spLookupField);
+							});
+
+							spItem.set_item(key, lookupIDFields);
 						}
 						else
 						{
-							spItem.set_item(key, null);
+							let spLookupField = new SP.FieldLookupValue();
+
+							spLookupField.set_lookupId(updateDetails.columnData[key].LookupID);
+
+							spItem.set_item(key, spLookupField);
 						}
 					}
-					catch (error)
+					else
 					{
-						throw 'spHelper Error: Invalid Lookup field details. Unable to update item ... ' + error;
+						spItem.set_item(key, null);
 					}
 				}
-				else if (updateDetails.columnData[key].Type.toLowerCase() === 'user')
+				catch (error)
 				{
-					let userList = [];
-
-					if (updateDetails.columnData[key].Value.constructor.name === 'String')
-					{
-						let user = new SP.FieldUserValue.fromUser(updateDetails.columnData[key].Value);
+					throw spHelperError.from(error, errorCodes.INVALID_ARGUMENT, 'Invalid Lookup field details. Unable to update item ...', errorDetails);
+				}
+			}
+			else if (updateDetails.columnData[key].Type.toLowerCase() === 'user')
+			{
+				let userList = [];
 
-						userList.push(user);
-						}
-					else
-					{
-						updateDetails.columnData[key].Value.forEach( function (itemUser)
-					{
-						let user = new SP.FieldUserValue.fromUser(itemUser);
+				if (updateDetails.columnData[key].Value.constructor.name === 'String')
+				{
+					let user = new SP.FieldUserValue.fromUser(updateDetails.columnData[key].Value);
 
-						userList.push(user);
-					});
+					userList.push(user);
 					}
-
-					spItem.set_item(key, userList);
-				}
-				// Update process for normal SharePoint fields (like text, choice, integer).
 				else
 				{
-					spItem.set_item(key, updateDetails.columnData[key].Value);
-				}
-			}
+					updateDetails.columnData[key].Value.forEach( function (itemUser)
+				{
+					let user = new SP.FieldUserValue.fromUser(itemUser);
 
-			// Apply the changes to the row.
-			spItem.update();
+					userList.push(user);
+				});
+				}
 
-			// Update the item.
-			this.appContext.executeQueryAsync( onSuccessUser, onFailureUser );
-		}
-		catch (error)
-		{
-			throw 'spHelper Error: Unable to update item. Validate update details ... ' + error;
+				spItem.set_item(key, userList);
+			}
+			// Update process for normal SharePoint fields (like text, choice, integer).
+			else
+			{
+				spItem.set_item(key, updateDetails.columnData[key].Value);
+			}
 		}
+
+		// Apply the changes to the row.
+		spItem.update();
 	}
 
     /**
      * Adds a new item to a SharePoint list library. The itemDetails property must contain the list name as well as the column data details.
+     * If no callbacks are supplied a Promise is returned.
      *
      * PARAMETERS
-     *      itemDetails   - [OBJECT]               : A key/value pair object with details of the create request.
-     *      onSuccessUser - [FUNC ()]              : A callback function that is executed when the data is successfully created.
-     *      onFailureUser - [FUNC (sender, args)]  : A callback function that is executed when the data cannot be created.
+     *      itemDetails   - [OBJECT]                        : A key/value pair object with details of the create request.
+     *      onSuccessUser - [FUNC ([INTEGER] itemID)]       : A callback function that is executed when the data is successfully created.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the data cannot be created.
      *
      * EXAMPLES
      *      See updateListItem () method for itemDetails example.
      */
     addListItem(itemDetails, onSuccessUser, onFailureUser)
     {
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.addListItem(itemDetails, resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        if (this.useRetry(onFailureUser))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.addListItem(itemDetails, onSuccess, onFailure), onSuccessUser, onFailureUser, true );
+        }
+
         if (typeof itemDetails.listName == 'undefined' || typeof itemDetails.columnData == 'undefined')
         {
-            throw 'spHelper Error: Invalid create item details. To create an item, listName and columnData must be defined.';
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid create item details. To create an item, listName and columnData must be defined.', { method : 'addListItem' });
         }
 
+        // Details of the request that are added to any error.
+        let errorDetails = { method : 'addListItem', list : itemDetails.listName };
+
         try
         {
+            if (this.rest !== null)
+            {
+                this.executeRest( this.rest.addListItem(itemDetails, errorDetails), onSuccessUser, onFailureUser, errorDetails );
+
+                return;
+            }
+
             // Refresh connections.
             this.refreshConnection();
 
-            // Get the SharePoint list and create a blank list item.
-            let spList         = this.spWeb.get_lists().getByTitle(itemDetails.listName);
-            let itemCreateInfo = new SP.ListItemCreationInformation();
-            let spItem         = spList.addItem(itemCreateInfo);
+            // Queue the new item.
+            let spItem = this.queueAddListItem(itemDetails, errorDetails);
+
+            let onLocalSuccess = function ()
+            {
+                onSuccessUser(spItem.get_id());
+            }
+
+            // Add the new item.
+            this.executeQuery( onLocalSuccess, onFailureUser, errorDetails );
+        }
+        catch (error)
+        {
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to add new item. Validate create details ...', errorDetails);
+        }
+    }
+
+    /**
+     * Queues a new list item in the client context (JSOM). Used by addListItem and batches. The new item ID is available
+     * from the returned SP.ListItem once the request is executed.
+     *
+     * PARAMETERS
+     *      itemDetails  - [OBJECT] : See addListItem ().
+     *      errorDetails - [OBJECT] : Request details added to any error.
+     */
+    queueAddListItem (itemDetails, errorDetails)
+    {
+        // Get the SharePoint list and create a blank list item.
+        let spList         = this.spWeb.get_lists().getByTitle(itemDetails.listName);
+        let itemCreateInfo = new SP.ListItemCreationInformation();
+        let spItem         = spList.addItem(itemCreateInfo);
+
+        for (let key in itemDetails.columnData)
+        {
+            // Update process for URL fields.
+            if (itemDetails.columnData[key].Type.toLowerCase() === 'url')
+            {
+                try
+                {
+                    // Create a blank URL field and set the details.
+                    let spURLField = new SP.FieldUrlValue();
+
+                    spURLField.set_url(itemDetails.columnData[key].URL);
+                    spURLField.set_description(itemDetails.columnData[key].Description);
 
-            for (let key in itemDetails.columnData)
+                    spItem.set_item(key, spURLField);
+                }
+                catch (error)
+                {
+                    throw spHelperError.from(error, errorCodes.INVALID_ARGUMENT, 'Invalid URL field details. Unable to add item ...', errorDetails);
+                }
+            }
+            // Update process for Lookup fields.
+            else if (itemDetails.columnData[key].Type.toLowerCase() === 'lookup')
             {
-                // Update process for URL fields.
-                if (itemDetails.columnData[key].Type.toLowerCase() === 'url')
+                try
                 {
-                    try
+                    // For single lookup fields.
+                    if (itemDetails.columnData[key].LookupID.constructor.name === 'Number' || itemDetails.columnData[key].LookupID.constructor.name === 'String')
                     {
-                        // Create a blank URL field and set the details.
-                        let spURLField = new SP.FieldUrlValue();
+                        // Create a blank Lookup field and set the details.
+                        let spLookupField = new SP.FieldLookupValue();
 
-                        spURLField.set_url(itemDetails.columnData[key].URL);
-                        spURLField.set_description(itemDetails.columnData[key].Description);
+                        spLookupField.set_lookupId(itemDetails.columnData[key].LookupID);
 
-                        spItem.set_item(key, spURLField);
-                    }
-                    catch (error)
-                    {
-                        throw 'spHelper Error: Invalid URL field details. Unable to add item ... ' + error;
+                        spItem.set_item(key, spLookupField);
                     }
-                }
-                // Update process for Lookup fields.
-                else if (itemDetails.columnData[key].Type.toLowerCase() === 'lookup')
-                {
-                    try
+                    // For multiple choice lookup fields.
+                    else
                     {
-                        // For single lookup fields.
-                        if (itemDetails.columnData[key].LookupID.constructor.name === 'Number' || itemDetails.columnData[key].LookupID.constructor.name === 'String')
+                        let spLookupFields = [];
+
+                        itemDetails.columnData[key].LookupID.forEach( function (iD)
                         {
                             // Create a blank Lookup field and set the details.
                             let spLookupField = new SP.FieldLookupValue();
 
-                            spLookupField.set_lookupId(itemDetails.columnData[key].LookupID);
-
-                            spItem.set_item(key, spLookupField);
-                        }
-                        // For multiple choice lookup fields.
-                        else
-                        {
-                            let spLookupFields = [];
-
-                            itemDetails.columnData[key].LookupID.forEach( function (iD)
-                            {
-                                // Create a blank Lookup field and set the details.
-                                let spLookupField = new SP.FieldLookupValue();
-
-                                spLookupField.set_lookupId(iD);
+                            spLookupField.set_lookupId(iD);
 
-                                spLookupFields.push(spLookupField);
-                            });
+                            spLookupFields.push(spLookupField);
+                        });
 
-                            spItem.set_item(key, spLookupFields);
-                        }
-                    }
-                    catch (error)
-                    {
-                        throw 'spHelper Error: Invalid Lookup field details. Unable to add item ... ' + error;
+                        spItem.set_item(key, spLookupFields);
                     }
                 }
-                else if (itemDetails.columnData[key].Type.toLowerCase() === 'user')
+                catch (error)
                 {
-                    let userList = [];
-
-                    if (itemDetails.columnData[key].Value.constructor.name === 'String')
-                    {
-                        let user = new SP.FieldUserValue.fromUser(itemDetails.columnData[key].Value);
-
-                        userList.push(user);
-                    }
-                    else
-                    {
-                        itemDetails.columnData[key].Value.forEach( function (itemUser)
-                        {
-                            let user = new SP.FieldUserValue.fromUser(itemUser);
+                    throw spHelperError.from(error, errorCodes.INVALID_ARGUMENT, 'Invalid Lookup field details. Unable to add item ...', errorDetails);
+                }
+            }
+            else if (itemDetails.columnData[key].Type.toLowerCase() === 'user')
+            {
+                let userList = [];
 
-                            userList.push(user);
-                        });
-                    }
+                if (itemDetails.columnData[key].Value.constructor.name === 'String')
+                {
+                    let user = new SP.FieldUserValue.fromUser(itemDetails.columnData[key].Value);
 
-                    spItem.set_item(key, userList);
+                    userList.push(user);
                 }
-                // Update process for normal SharePoint fields (like text, choice, integer).
                 else
                 {
-                    spItem.set_item(key, itemDetails.columnData[key].Value);
+                    itemDetails.columnData[key].Value.forEach( function (itemUser)
+                    {
+                        let user = new SP.FieldUserValue.fromUser(itemUser);
+
+                        userList.push(user);
+                    });
                 }
-            }
 
-            let onLocalSuccess = function ()
+                spItem.set_item(key, userList);
+            }
+            // Update process for normal SharePoint fields (like text, choice, integer).
+            else
             {
-                onSuccessUser(spItem.get_id());
+                spItem.set_item(key, itemDetails.columnData[key].Value);
             }
+        }
 
-            // Apply the changes to the blank item.
-            spItem.update();
+        // Apply the changes to the blank item.
+        spItem.update();
 
-            // Add the new item.
-            this.appContext.executeQueryAsync( onLocalSuccess, onFailureUser );
-        }
-        catch (error)
-        {
-            throw 'SPHelper Error: Unable to add new item. Validate create details ... ' + error;
-        }
+        return spItem;
     }
 
     /**
      * NOT WORKING: Adds attachment to a list item.
      *
      * PARAMETERS
-     *      itemDetails   - [OBJECT]               : A key/value pair object with details of the create request.
-     *      onSuccessUser - [FUNC ()]              : A callback function that is executed when the data is successfully created.
-     *      onFailureUser - [FUNC (sender, args)]  : A callback function that is executed when the data cannot be created.
+     *      itemDetails   - [OBJECT]                        : A key/value pair object with details of the create request.
+     *      onSuccessUser - [FUNC ()]                       : A callback function that is executed when the data is successfully created.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the data cannot be created.
      */
     addListItemAttachment(fileDetails, onSuccessUser, onFailureUser)
     {
@@ -899,19 +4668,19 @@ export default class spHelper
 
         let onLoadDetailsFailure = function (sender, args)
         {
-            onFailureUser( args.get_message() );
+            onFailureUser( spHelperError.fromRequest(args, { method : 'addListItemAttachment', list : fileDetails.listName, itemID : fileDetails.itemID }) );
         }
 
         this.appContext.executeQueryAsync( onLoadDetailsSuccess, onLoadDetailsFailure );
     }
 
     /**
-     * Delete an item from a SharePoint list library.
+     * Delete an item from a SharePoint list library. If no callbacks are supplied a Promise is returned.
      *
      * PARAMETERS
-     *      itemDetails   - [OBJECT]               : A key/value pair object with details of the delete request.
-     *      onSuccessUser - [FUNC ()]              : A callback function that is executed when the data is successfully deleted.
-     *      onFailureUser - [FUNC (sender, args)]  : A callback function that is executed when the data cannot be deleted.
+     *      itemDetails   - [OBJECT]                        : A key/value pair object with details of the delete request.
+     *      onSuccessUser - [FUNC ()]                       : A callback function that is executed when the data is successfully deleted.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the data cannot be deleted.
      *
      * OPTIONS
      *      deleteDetails
@@ -920,49 +4689,143 @@ export default class spHelper
      */
     deleteListItem(deleteDetails, onSuccessUser, onFailureUser)
     {
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.deleteListItem(deleteDetails, resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        if (this.useRetry(onFailureUser))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.deleteListItem(deleteDetails, onSuccess, onFailure), onSuccessUser, onFailureUser, true );
+        }
+
         if (typeof deleteDetails.listName == 'undefined' || typeof deleteDetails.itemID == 'undefined')
         {
-            throw 'spHelper Error: Invalid delete details. To update an item, the list name and item ID is required.';
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid delete details. To delete an item, the list name and item ID is required.', { method : 'deleteListItem' });
         }
 
+        // Details of the request that are added to any error.
+        let errorDetails = { method : 'deleteListItem', list : deleteDetails.listName, itemID : deleteDetails.itemID };
+
         try
         {
-            // Refresh connections.
-            this.refreshConnection();
+            if (this.rest !== null)
+            {
+                this.executeRest( this.rest.deleteListItem(deleteDetails, errorDetails), () => onSuccessUser(), onFailureUser, errorDetails );
 
-            // Will store the spList object when request is complete.
-            let spList = this.spWeb.get_lists().getByTitle(deleteDetails.listName);
+                return;
+            }
 
-            // Will store the spItem object when the request is complete.
-            let spItem = spList.getItemById(deleteDetails.itemID);
+            // Refresh connections.
+            this.refreshConnection();
 
-            spItem.deleteObject();
+            // Queue the deletion of the item.
+            this.queueDeleteListItem(deleteDetails);
 
-            this.appContext.executeQueryAsync( onSuccessUser, onFailureUser );
+            this.executeQuery( onSuccessUser, onFailureUser, errorDetails );
         }
         catch (error)
         {
-            throw 'spHelper Error: Unable to delete item. Validate update details ... ' + error;
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to delete item. Validate delete details ...', errorDetails);
         }
     }
 
     /**
-	 * Gets the default content type for a specific library/list.
+     * Queues the deletion of a list item in the client context (JSOM). Used by deleteListItem and batches.
+     *
+     * PARAMETERS
+     *      deleteDetails - [OBJECT] : See deleteListItem ().
+     */
+    queueDeleteListItem (deleteDetails)
+    {
+        // Will store the spList object when request is complete.
+        let spList = this.spWeb.get_lists().getByTitle(deleteDetails.listName);
+
+        // Will store the spItem object when the request is complete.
+        let spItem = spList.getItemById(deleteDetails.itemID);
+
+        spItem.deleteObject();
+    }
+
+    /**
+     * Creates a batch (unit of work) that queues list reads and writes and sends them in as few requests as possible,
+     * reporting the success or failure of every operation. See spHelperBatch. With the REST transport the operations are
+     * sent one after another, one request each.
+     *
+     * PARAMETERS
+     *      options - [OBJECT] : Batch options ('maxOperations', 'maxRequestSize').
+     *
+     * EXAMPLES
+     *      let batch = dataConnection.createBatch();
+     *
+     *      batch.addListItem({ listName : 'Tasks', columnData : { Title : { Type : 'Text', Value : 'New task' } } });
+     *      batch.deleteListItem({ listName : 'Tasks', itemID : 12 });
+     *
+     *      let results = await batch.execute();
+     */
+    createBatch (options = {})
+    {
+        return new spHelperBatch(this, options);
+    }
+
+    /**
+     * Creates an offline mirror of list data kept in IndexedDB. Reads are served from the mirror and refreshed in the
+     * background with the changes since the last refresh. See spListMirror.
+     *
+     * PARAMETERS
+     *      options - [OBJECT] : Mirror options ('indexedDB', 'databaseName', 'maxAge', 'delta', 'onRefresh', 'onRefreshError').
+     *
+     * EXAMPLES
+     *      let mirror = dataConnection.createMirror({ maxAge : 60000 });
+     *
+     *      let tasks     = await mirror.getListData({ listName : 'Tasks', listColumns : ['Title', 'Status'] });
+     *      let freshness = await mirror.getFreshness({ listName : 'Tasks', listColumns : ['Title', 'Status'] });
+     */
+    createMirror (options = {})
+    {
+        return new spListMirror(this, options);
+    }
+
+    /**
+	 * Gets the default content type for a specific library/list. If no callbacks are supplied a Promise is returned.
 	 *
 	 * PARAMETERS
 	 *      libraryName   - [STRING]                       : The name of the library.
 	 *      onSuccessUser - [FUNC ([STRING] result)]       : A callback function that is executed when the property is successfully received.
-	 *      onFailureUser - [FUNC ([STRING] errorMessage)] : A callback function that is executed when the property cannot be received.
+	 *      onFailureUser - [FUNC ([spHelperError] error)] : A callback function that is executed when the property cannot be received.
 	 */
 	getListContentTypeDefault (libraryName, onSuccessUser, onFailureUser)
 	{
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getListContentTypeDefault(libraryName, resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        if (this.useRetry(onFailureUser))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.getListContentTypeDefault(libraryName, onSuccess, onFailure), onSuccessUser, onFailureUser );
+        }
+
         try
         {
+            if (this.rest !== null)
+            {
+                let listDetails = spHelper.isGuid(libraryName) ? { listGuid : libraryName } : { listName : libraryName };
+
+                this.executeRest( this.rest.getDefaultContentTypeId(listDetails, { method : 'getListContentTypeDefault', list : libraryName }), onSuccessUser, onFailureUser, { method : 'getListContentTypeDefault', list : libraryName } );
+
+                return;
+            }
+
             // Refresh connections.
             this.refreshConnection();
 
             // Will store the spList object when request is complete.
-            let spList = this.spWeb.get_lists().getByTitle(libraryName);
+            let spList = spHelper.isGuid(libraryName) ? this.spWeb.get_lists().getById(libraryName) : this.spWeb.get_lists().getByTitle(libraryName);
 
             // Will store the spContentTypeCollection object when request is complete.
             let spContentTypeCollection = spList.get_contentTypes();
@@ -986,45 +4849,58 @@ export default class spHelper
                 onSuccessUser (contentTypeEnumerator.get_current().get_id().toString());
             };
 
-            // Callback function when the request (promise) has rejected.
-            let reject = function (sender, args)
-            {
-                onFailureUser( args.get_message() );
-            };
-
-            this.appContext.executeQueryAsync( resolve, reject );
+            this.executeQuery( resolve, onFailureUser, { method : 'getListContentTypeDefault', list : libraryName } );
         }
         catch (error)
         {
-            throw 'spHelper Error: Unable to get list default content type ... ' + error;
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to get list default content type ...', { method : 'getListContentTypeDefault', list : libraryName });
         }
 	}
 
 	/**
 	 * Gets a full breakdown of a list library including column details and settings. The 'readOnlyFields' option allows the user
 	 * to control the quantity of columns returned. Setting this option to 'true' means only fields that can be modified in a form
-	 * are turned. Setting to 'false' will ensure any and every field is returned (such as 'Created', 'Author', etc.).
+	 * are turned. Setting to 'false' will ensure any and every field is returned (such as 'Created', 'Author', etc.). If no callbacks
+	 * are supplied a Promise is returned.
 	 *
 	 * PARAMETERS
-	 *      libraryName    - [STRING]                       : The name of the library.
+	 *      libraryName    - [STRING]                       : The name (or GUID) of the library.
 	 *      onSuccessUser  - [FUNC ([STRING] result)]       : A callback function that is executed when the property is successfully received.
-	 *      onFailureUser  - [FUNC ([STRING] errorMessage)] : A callback function that is executed when the property cannot be received.
+	 *      onFailureUser  - [FUNC ([spHelperError] error)] : A callback function that is executed when the property cannot be received.
 	 *      readOnlyFields - [BOOL]                         : Inidicates if only the read only fields of a list should be returned.
 	 */
     getListDetails (libraryName, onSuccessUser, onFailureUser, readOnlyFields = true)
     {
-        try
+        if (this.usePromise(onSuccessUser, onFailureUser))
         {
-            // Refresh connections.
-            this.refreshConnection();
+            return this.promiseRequest( (resolve, reject) => this.getListDetails(libraryName, resolve, reject, readOnlyFields) );
+        }
 
-            let getLibraryDetails = (contentTypeID) =>
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        try
+        {
+            let getLibraryDetails = (contentTypeID, onSuccess, onFailure) =>
             {
-                // This will hold all the list details.
-                let listDetails = {};
+                if (this.rest !== null)
+                {
+                    let onLoaded = (result) =>
+                    {
+                        onSuccess(this.buildListDetails(result.list, result.folder, result.web, result.fields, readOnlyFields));
+                    };
+
+                    let listDetails = spHelper.isGuid(libraryName) ? { listGuid : libraryName } : { listName : libraryName };
+
+                    this.executeRest( this.rest.getListDetails(listDetails, contentTypeID, { method : 'getListDetails', list : libraryName }), onLoaded, onFailure, { method : 'getListDetails', list : libraryName } );
+
+                    return;
+                }
+
+                // Refresh connections.
+                this.refreshConnection();
 
                 // Will store the spList object when request is complete.
-                let spList = this.spWeb.get_lists().getByTitle(libraryName);
+                let spList = spHelper.isGuid(libraryName) ? this.spWeb.get_lists().getById(libraryName) : this.spWeb.get_lists().getByTitle(libraryName);
 
                 // Will store the spContentTypeCollection object when request is complete.
                 let spContentTypeCollection = spList.get_contentTypes();
@@ -1050,222 +4926,258 @@ export default class spHelper
                 // Callback function when the request (promise) is resolved.
                 let resolve = () =>
                 {
-                    listDetails['settings'] = {};
-
-                    // Get some library settings.
-                    listDetails['settings']['id']                    = spList.get_id().toString();
-                    listDetails['settings']['title']                 = spList.get_title();
-                    listDetails['settings']['enableAttachments']     = spList.get_enableAttachments();
-                    listDetails['settings']['contentTypesEnabled']   = spList.get_contentTypesEnabled();
-                    listDetails['settings']['description']           = spList.get_description();
-                    listDetails['settings']['enableFolderCreation']  = spList.get_enableFolderCreation();
-                    listDetails['settings']['enableMinorVersions']   = spList.get_enableMinorVersions();
-                    listDetails['settings']['enableModeration']      = spList.get_enableModeration();
-                    listDetails['settings']['enableVersioning']      = spList.get_enableVersioning();
-                    listDetails['settings']['forceCheckout']         = spList.get_forceCheckout();
-                    listDetails['settings']['parentWebUrl']          = spList.get_parentWebUrl();
-                    listDetails['settings']['template']              = spList.get_baseTemplate();
-                    listDetails['settings']['rootFolder']            = spFolder.get_serverRelativeUrl();
-                    listDetails['settings']['internalName']          = spFolder.get_name();
-
-                    // Set the library relative server URL. This depends on the type of library (list/document).
-                    if (listDetails.settings.template == 100)
-                    {
-                        listDetails['settings']['serverRelativeURL'] = spWeb.get_url() + '/Lists/' + listDetails.settings.internalName + '/';
-                    }
-                    else
-                    {
-                        listDetails['settings']['serverRelativeURL'] = spWeb.get_url() + '/' + listDetails.settings.internalName + '/';
-                    }
-
-                    // Get all the library columns and details.
+                    let fields             = [];
                     let spFieldsEnumerator = spFields.getEnumerator();
 
-                    listDetails['columns'] = [];
-
-                    while(spFieldsEnumerator.moveNext())
+                    while (spFieldsEnumerator.moveNext())
                     {
-                        let tempColumn   = {};
-                        let currentField = spFieldsEnumerator.get_current();
+                        fields.push(spFieldsEnumerator.get_current());
+                    }
 
-                        if ( currentField.get_internalName() !== 'ContentType')
-                        {
-                            // Check if read only fields should be provided. If so, validate the field and skip or not.
-                            if (readOnlyFields && currentField.get_readOnlyField() === true)
-                            {
-                                continue;
-                            }
+                    onSuccess(this.buildListDetails(spList, spFolder, spWeb, fields, readOnlyFields));
+                };
 
-                            // Get general column details.
-                            tempColumn =
-                            {
-                                id           : currentField.get_id().toString(),
-                                title        : currentField.get_title(),
-                                internalName : currentField.get_internalName(),
-                                default      : currentField.get_defaultValue(),
-                                unique       : currentField.get_enforceUniqueValues(),
-                                required     : currentField.get_required(),
-                                hidden       : currentField.get_hidden(),
-                                description  : currentField.get_description(),
-                                fieldType    : currentField.get_fieldTypeKind(),
-                            };
-
-                            // Dig deeper for more details (some properties are not exposed to JSOM so we need to extract them from the schemaXML).
-                            let parser          = new DOMParser();
-                            let fieldXML        = currentField.get_schemaXml();
-                            let parsedXML       = parser.parseFromString(fieldXML, 'text/xml');
-                            let fieldAttributes = parsedXML.getElementsByTagName("Field")[0].attributes;
-
-                            // Get additional column detail: String
-                            if (currentField.get_fieldTypeKind() === 2)
-                            {
-                                tempColumn['maxLength'] = currentField.get_maxLength()
-                            }
+                this.executeQuery( resolve, onFailure, { method : 'getListDetails', list : libraryName } );
+            };
 
-                            // Get additional column detail: Choice
-                            if (currentField.get_fieldTypeKind() === 6 || currentField.get_fieldTypeKind() === 15)
-                            {
-                                tempColumn['choices'] = currentField.get_choices();
-                                tempColumn['fillInChoice'] = currentField.get_fillInChoice();
+            let onFailure = ( error ) =>
+            {
+                onFailureUser( error );
+            }
 
-                                if (currentField.get_fieldTypeKind() === 6)
-                                {
-                                    tempColumn['editFormat'] = currentField.get_editFormat();
-                                }
-                            }
+            // Each of the two requests is retried on its own (see the 'retry' option).
+            let onContentType = (contentTypeID) =>
+            {
+                this.retryRequest( (onSuccess, onFailureRetry) => getLibraryDetails(contentTypeID, onSuccess, onFailureRetry), onSuccessUser, onFailure );
+            };
 
-                            // Get additional column detail: Multiple Lines
-                            if (currentField.get_fieldTypeKind() === 3)
-                            {
-                                tempColumn['numberOfLines'] = currentField.get_numberOfLines();
-                                tempColumn['richText']      = currentField.get_richText();
-                                tempColumn['appendOnly']    = currentField.get_appendOnly();
-                            }
+            // Get the content type ID (default) then get the columns.
+            this.getListContentTypeDefault (libraryName, onContentType, onFailure)
+        }
+        catch (error)
+        {
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to get list details ...', { method : 'getListDetails', list : libraryName });
+        }
+    }
 
-                            // Get additional column detail: Number & Currency
-                            if (currentField.get_fieldTypeKind() === 9 || currentField.get_fieldTypeKind() === 10)
-                            {
-                                tempColumn['minimumValue'] = currentField.get_minimumValue();
-                                tempColumn['maximumValue'] = currentField.get_maximumValue();
+    /**
+     * Builds the list details object returned by getListDetails from the loaded list, root folder, web and content type fields.
+     *
+     * PARAMETERS
+     *      spList         - [OBJECT] : The loaded SP.List (or REST list).
+     *      spFolder       - [OBJECT] : The loaded list root folder.
+     *      spWeb          - [OBJECT] : The loaded SP.Web.
+     *      spFields       - [ARRAY]  : The loaded fields of the default content type.
+     *      readOnlyFields - [BOOL]   : See getListDetails ().
+     */
+    buildListDetails (spList, spFolder, spWeb, spFields, readOnlyFields)
+    {
+        // This will hold all the list details.
+        let listDetails = {};
+
+        listDetails['settings'] = {};
+
+        // Get some library settings.
+        listDetails['settings']['id']                    = spList.get_id().toString();
+        listDetails['settings']['title']                 = spList.get_title();
+        listDetails['settings']['enableAttachments']     = spList.get_enableAttachments();
+        listDetails['settings']['contentTypesEnabled']   = spList.get_contentTypesEnabled();
+        listDetails['settings']['description']           = spList.get_description();
+        listDetails['settings']['enableFolderCreation']  = spList.get_enableFolderCreation();
+        listDetails['settings']['enableMinorVersions']   = spList.get_enableMinorVersions();
+        listDetails['settings']['enableModeration']      = spList.get_enableModeration();
+        listDetails['settings']['enableVersioning']      = spList.get_enableVersioning();
+        listDetails['settings']['forceCheckout']         = spList.get_forceCheckout();
+        listDetails['settings']['parentWebUrl']          = spList.get_parentWebUrl();
+        listDetails['settings']['template']              = spList.get_baseTemplate();
+        listDetails['settings']['rootFolder']            = spFolder.get_serverRelativeUrl();
+        listDetails['settings']['internalName']          = spFolder.get_name();
+        listDetails['settings']['itemCount']             = spList.get_itemCount();
+
+        // Set the library relative server URL. This depends on the type of library (list/document).
+        if (listDetails.settings.template == 100)
+        {
+            listDetails['settings']['serverRelativeURL'] = spWeb.get_url() + '/Lists/' + listDetails.settings.internalName + '/';
+        }
+        else
+        {
+            listDetails['settings']['serverRelativeURL'] = spWeb.get_url() + '/' + listDetails.settings.internalName + '/';
+        }
 
-                                // Specific to numbers.
-                                if (currentField.get_fieldTypeKind() === 9)
-                                {
-                                    if (typeof(fieldAttributes.Percentage) !== 'undefined')
-                                    {
-                                        tempColumn['showAsPercentage'] = fieldAttributes.Percentage.value === "FALSE" ? false : true;
-                                    }
-                                    else
-                                    {
-                                        tempColumn['showAsPercentage'] = false;
-                                    }
+        // Get all the library columns and details.
+        listDetails['columns'] = [];
 
-                                    // Check if a decimal setting was set.
-                                    if (typeof(fieldAttributes.Decimals) !== 'undefined')
-                                    {
-                                        tempColumn['displayFormat']    = parseInt(fieldAttributes.Decimals.value);
-                                    }
-                                }
+        for (let currentField of spFields)
+        {
+            let tempColumn = {};
 
-                                // Specific to currency.
-                                if (currentField.get_fieldTypeKind() === 10)
-                                {
-                                    tempColumn['currencyLocaleId'] = currentField.get_currencyLocaleId();
-                                }
-                            }
+            if ( currentField.get_internalName() !== 'ContentType')
+            {
+                // Check if read only fields should be provided. If so, validate the field and skip or not.
+                if (readOnlyFields && currentField.get_readOnlyField() === true)
+                {
+                    continue;
+                }
 
-                            // Get additional column detail: Date Time
-                            if (currentField.get_fieldTypeKind() === 4)
-                            {
-                                tempColumn['displayFormat']         = currentField.get_displayFormat();
-                                tempColumn['friendlyDisplayFormat'] = currentField.get_friendlyDisplayFormat();
-                            }
+                // Get general column details.
+                tempColumn =
+                {
+                    id           : currentField.get_id().toString(),
+                    title        : currentField.get_title(),
+                    internalName : currentField.get_internalName(),
+                    default      : currentField.get_defaultValue(),
+                    unique       : currentField.get_enforceUniqueValues(),
+                    required     : currentField.get_required(),
+                    hidden       : currentField.get_hidden(),
+                    description  : currentField.get_description(),
+                    fieldType    : currentField.get_fieldTypeKind(),
+                    indexed      : currentField.get_indexed(),
+                };
 
-                            // Get additional column detail: Lookup
-                            if (currentField.get_fieldTypeKind() === 7)
-                            {
-                                tempColumn['allowMultipleValues'] = currentField.get_allowMultipleValues();
-                                tempColumn['lookupList']          = currentField.get_lookupList();
-                                tempColumn['lookupField']         = currentField.get_lookupField();
-                            }
+                // Dig deeper for more details (some properties are not exposed to JSOM so we need to extract them from the schemaXML).
+                let fieldXML        = currentField.get_schemaXml();
+                let parsedXML       = spXml.parse(fieldXML);
+                let fieldAttributes = parsedXML.getElementsByTagName("Field")[0].attributes;
 
-                            // Get additional column detail: User
-                            if (currentField.get_fieldTypeKind() === 20)
-                            {
-                                tempColumn['allowMultipleValues'] = currentField.get_allowMultipleValues();
-                            }
+                // Get additional column detail: String
+                if (currentField.get_fieldTypeKind() === 2)
+                {
+                    tempColumn['maxLength'] = currentField.get_maxLength()
+                }
 
-                            // Get additional column detail: URL/Picture
-                            if (currentField.get_fieldTypeKind() === 11)
-                            {
-                                tempColumn['displayFormat'] = currentField.get_displayFormat();
-                            }
+                // Get additional column detail: Choice
+                if (currentField.get_fieldTypeKind() === 6 || currentField.get_fieldTypeKind() === 15)
+                {
+                    tempColumn['choices'] = currentField.get_choices();
+                    tempColumn['fillInChoice'] = currentField.get_fillInChoice();
 
-                            // Get additional column detail: Calculated
-                            if (currentField.get_fieldTypeKind() === 17)
-                            {
-                                tempColumn['resultType'] = fieldAttributes.ResultType.value;
+                    if (currentField.get_fieldTypeKind() === 6)
+                    {
+                        tempColumn['editFormat'] = currentField.get_editFormat();
+                    }
+                }
 
-                                if (fieldAttributes.ResultType.value === 'Number')
-                                {
-                                    tempColumn['displayFormat'] = fieldAttributes.Decimals.value;
-                                    tempColumn['showAsPercentage'] = fieldAttributes.Percentage.value;
-                                }
+                // Get additional column detail: Multiple Lines
+                if (currentField.get_fieldTypeKind() === 3)
+                {
+                    tempColumn['numberOfLines'] = currentField.get_numberOfLines();
+                    tempColumn['richText']      = currentField.get_richText();
+                    tempColumn['appendOnly']    = currentField.get_appendOnly();
+                }
 
-                                if (fieldAttributes.ResultType.value === 'Currency')
-                                {
-                                    tempColumn['displayFormat'] = fieldAttributes.Decimals.value;
-                                    tempColumn['currencyLocaleId'] = fieldAttributes.LCID.value;
-                                }
-                            }
+                // Get additional column detail: Number & Currency
+                if (currentField.get_fieldTypeKind() === 9 || currentField.get_fieldTypeKind() === 10)
+                {
+                    tempColumn['minimumValue'] = currentField.get_minimumValue();
+                    tempColumn['maximumValue'] = currentField.get_maximumValue();
+
+                    // Specific to numbers.
+                    if (currentField.get_fieldTypeKind() === 9)
+                    {
+                        if (typeof(fieldAttributes.Percentage) !== 'undefined')
+                        {
+                            tempColumn['showAsPercentage'] = fieldAttributes.Percentage.value === "FALSE" ? false : true;
+                        }
+                        else
+                        {
+                            tempColumn['showAsPercentage'] = false;
+                        }
 
-                            // Create a list of fields.
-                            listDetails['columns'].push(tempColumn);
+                        // Check if a decimal setting was set.
+                        if (typeof(fieldAttributes.Decimals) !== 'undefined')
+                        {
+                            tempColumn['displayFormat']    = parseInt(fieldAttributes.Decimals.value);
                         }
                     }
 
-                    onSuccessUser(listDetails);
-                };
+                    // Specific to currency.
+                    if (currentField.get_fieldTypeKind() === 10)
+                    {
+                        tempColumn['currencyLocaleId'] = currentField.get_currencyLocaleId();
+                    }
+                }
 
-                // Callback function when the request (promise) has rejected.
-                let reject = (sender, args) =>
+                // Get additional column detail: Date Time
+                if (currentField.get_fieldTypeKind() === 4)
                 {
-                    onFailure( args.get_message() );
-                };
+                    tempColumn['displayFormat']         = currentField.get_displayFormat();
+                    tempColumn['friendlyDisplayFormat'] = currentField.get_friendlyDisplayFormat();
+                }
 
-                this.appContext.executeQueryAsync( resolve, reject );
-            };
+                // Get additional column detail: Lookup
+                if (currentField.get_fieldTypeKind() === 7)
+                {
+                    tempColumn['allowMultipleValues'] = currentField.get_allowMultipleValues();
+                    tempColumn['lookupList']          = currentField.get_lookupList();
+                    tempColumn['lookupField']         = currentField.get_lookupField();
+                }
 
-            let onFailure = ( errorMessage ) =>
-            {
-                onFailureUser( errorMessage );
-            }
+                // Get additional column detail: User
+                if (currentField.get_fieldTypeKind() === 20)
+                {
+                    tempColumn['allowMultipleValues'] = currentField.get_allowMultipleValues();
+                }
 
-            // Get the content type ID (default) then get the columns.
-            this.getListContentTypeDefault (libraryName, getLibraryDetails, onFailure)
-        }
-        catch (error)
-        {
-            throw 'spHelper Error: Unable to get list details ... ' + error;
+                // Get additional column detail: URL/Picture
+                if (currentField.get_fieldTypeKind() === 11)
+                {
+                    tempColumn['displayFormat'] = currentField.get_displayFormat();
+                }
+
+                // Get additional column detail: Calculated
+                if (currentField.get_fieldTypeKind() === 17)
+                {
+                    tempColumn['resultType'] = fieldAttributes.ResultType.value;
+
+                    if (fieldAttributes.ResultType.value === 'Number')
+                    {
+                        tempColumn['displayFormat'] = fieldAttributes.Decimals.value;
+                        tempColumn['showAsPercentage'] = fieldAttributes.Percentage.value;
+                    }
+
+                    if (fieldAttributes.ResultType.value === 'Currency')
+                    {
+                        tempColumn['displayFormat'] = fieldAttributes.Decimals.value;
+                        tempColumn['currencyLocaleId'] = fieldAttributes.LCID.value;
+                    }
+                }
+
+                // Create a list of fields.
+                listDetails['columns'].push(tempColumn);
+            }
         }
+
+        return listDetails;
     }
 
 	/**
-	 * Gets a specific property for the current user.
+	 * Gets a specific property for the current user. If no callbacks are supplied a Promise is returned.
 	 *
 	 * PARAMETERS
 	 *      siteProperty  - [ARRAY]                         : An array of [STRING] that represent a spWeb property. Case sensitive.
 	 *      onSuccessUser - [FUNC ([OBJECT] result)]        : A callback function that is executed when the property is successfully received.
-	 *      onFailureUser - [FUNC ([STRING] errorMessage)]  : A callback function that is executed when the property cannot be received.
+	 *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the property cannot be received.
 	 *
 	 * OPTIONS
 	 *      siteProperty : 'Title', 'Url', 'ServerRelativeUrl', 'MasterUrl'
 	 */
 	getUserProperty (userProperty, onSuccessUser, onFailureUser)
 	{
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getUserProperty(userProperty, resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        if (this.useRetry(onFailureUser))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.getUserProperty(userProperty, onSuccess, onFailure), onSuccessUser, onFailureUser );
+        }
+
 		if (typeof userProperty == 'undefined')
 		{
-			throw 'spHelper Error: Unable to get the user property. Ensure the userProperty [ARRAY] is correctly configured.';
+			throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Unable to get the user property. Ensure the userProperty [ARRAY] is correctly configured.', { method : 'getUserProperty' });
 		}
 
 		try
@@ -1303,34 +5215,300 @@ export default class spHelper
 				onSuccessUser(results);
 			};
 
-			// Callback function when the request (promise) has rejected.
-			let reject = function (sender, args)
-			{
-				onFailureUser( args.get_message() );
-			};
-
 			// Execute the request.
-			this.appContext.executeQueryAsync( resolve, reject );
+			this.executeQuery( resolve, onFailureUser, { method : 'getUserProperty' } );
 		}
 		catch (error)
 		{
-			throw 'spHelper Error: Unable to get the user property. Validate the request details.' + error;
+			throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to get the user property. Validate the request details.', { method : 'getUserProperty' });
 		}
 	}
 
+    /**
+     * Runs a SharePoint Search (KQL) query with Microsoft.SharePoint.Client.Search.Query.KeywordQuery, or the search/postquery
+     * endpoint with the REST transport. A search reads every site and list the user has access to, and the text of documents,
+     * in a single request. The JSOM transport needs the search scripts (SP.Search.js) to be loaded. If no callbacks are supplied
+     * a Promise is returned.
+     *
+     * PARAMETERS
+     *      queryText     - [STRING]                        : The KQL query, e.g. "budget FileType:docx".
+     *      options       - [OBJECT]                        : The details of the query (optional).
+     *      onSuccessUser - [FUNC ([OBJECT] result)]        : A callback function that is executed with the search results.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the search fails.
+     *
+     * OPTIONS
+     *      options
+     *          'selectProperties'  - [ARRAY]   : The managed properties returned for each row. Defaults to those of the result source.
+     *          'refiners'          - [ARRAY]   : The managed properties to return refinement results for, e.g. ['FileType', 'Author'].
+     *          'refinementFilters' - [ARRAY]   : FQL filters of the selected refinements, e.g. 'FileType:equals("docx")' or
+     *                                          : 'FileType:' + a refinement token.
+     *          'sortList'          - [STRING|OBJECT|ARRAY] : The sort order. A managed property, { property, ascending } or an
+     *                                          : array of either. Defaults to the rank.
+     *          'rowLimit'          - [INTEGER] : The rows per page, up to 500. Defaults to 50.
+     *          'startRow'          - [INTEGER] : The index of the first row of the page. Defaults to 0.
+     *          'sourceId'          - [STRING]  : The GUID of the result source. Defaults to the Local SharePoint Results.
+     *          'trimDuplicates'    - [BOOL]    : Leaves out duplicate documents. Defaults to true.
+     *          'normalizeValues'   - [BOOL]    : Returns dates as ISO strings. Defaults to the class option.
+     *
+     * RESULT
+     *      'rows'                         - [ARRAY]   : The rows of the page, objects keyed by managed property.
+     *      'totalRows'                    - [INTEGER] : The number of results.
+     *      'totalRowsIncludingDuplicates' - [INTEGER] : The number of results before duplicates were trimmed.
+     *      'startRow'                     - [INTEGER] : The index of the first row.
+     *      'nextStartRow'                 - [INTEGER] : The startRow of the next page, or null on the last page.
+     *      'refiners'                     - [OBJECT]  : The refinement results of each refiner: [{ name, value, token, count }].
+     *
+     * EXAMPLES
+     *      let result = await dataConnection.search('budget IsDocument:true',
+     *      {
+     *          selectProperties : ['Title', 'Path', 'Author', 'LastModifiedTime'],
+     *          refiners         : ['FileType'],
+     *          sortList         : { property : 'LastModifiedTime', ascending : false },
+     *      });
+     *
+     *      let pdfs = await dataConnection.search('budget', { refinementFilters : [`FileType:${result.refiners.FileType[0].token}`] });
+     */
+    search (queryText, options, onSuccessUser, onFailureUser)
+    {
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.search(queryText, options, resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        if (this.useRetry(onFailureUser))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.search(queryText, options, onSuccess, onFailure), onSuccessUser, onFailureUser );
+        }
+
+        // Details of the request that are added to any error.
+        let errorDetails = { method : 'search' };
+
+        let request   = spHelper.searchRequest(queryText, options || {});
+        let normalize = (options && typeof options.normalizeValues !== 'undefined') ? (options.normalizeValues === true) : this.normalize;
+
+        let resolve = resultTables => onSuccessUser(spHelper.searchResult(resultTables, request, normalize));
+
+        if (this.rest !== null)
+        {
+            this.executeRest( this.rest.search(request, errorDetails), resolve, onFailureUser, errorDetails );
+
+            return;
+        }
+
+        if (typeof Microsoft === 'undefined' || !Microsoft.SharePoint || !Microsoft.SharePoint.Client.Search)
+        {
+            throw new spHelperError(errorCodes.CONFIGURATION, 'Configuration error. The search scripts (SP.Search.js) are not loaded.', errorDetails);
+        }
+
+        try
+        {
+            // Refresh connections.
+            this.refreshConnection();
+
+            let searchQuery  = Microsoft.SharePoint.Client.Search.Query;
+            let keywordQuery = new searchQuery.KeywordQuery(this.appContext);
+
+            keywordQuery.set_queryText(request.queryText);
+            keywordQuery.set_rowLimit(request.rowLimit);
+            keywordQuery.set_startRow(request.startRow);
+            keywordQuery.set_trimDuplicates(request.trimDuplicates);
+
+            request.selectProperties.forEach( property => keywordQuery.get_selectProperties().add(property) );
+            request.refinementFilters.forEach( filter => keywordQuery.get_refinementFilters().add(filter) );
+            request.sortList.forEach( sort => keywordQuery.get_sortList().add(sort.property, sort.ascending ? searchQuery.SortDirection.ascending : searchQuery.SortDirection.descending) );
+
+            if (request.refiners.length > 0)
+            {
+                keywordQuery.set_refiners(request.refiners.join(','));
+            }
+
+            if (request.sourceId !== null)
+            {
+                keywordQuery.set_sourceId(new SP.Guid(request.sourceId));
+            }
+
+            let results = new searchQuery.SearchExecutor(this.appContext).executeQuery(keywordQuery);
+
+            this.executeQuery( () => resolve(results.get_value()), onFailureUser, errorDetails );
+        }
+        catch (error)
+        {
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to run the search query. Validate the query details ...', errorDetails);
+        }
+    }
+
+    /**
+     * Validates the options of a search query and returns the request sent by both transports:
+     * { queryText, selectProperties, refiners, refinementFilters, sortList : [{ property, ascending }], rowLimit, startRow,
+     * sourceId, trimDuplicates }.
+     *
+     * PARAMETERS
+     *      queryText - [STRING] : The KQL query.
+     *      options   - [OBJECT] : See search ().
+     */
+    static searchRequest (queryText, options)
+    {
+        let invalid  = message => new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid search query. ${message}`, { method : 'search' });
+        let list     = value => (typeof value === 'undefined' || value === null) ? [] : Array.isArray(value) ? value : [value];
+        let property = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+        if (typeof queryText !== 'string' || queryText.trim() === '')
+        {
+            throw invalid('The query text is empty.');
+        }
+
+        let selectProperties = list(options.selectProperties);
+        let refiners         = list(options.refiners);
+        let rowLimit         = (typeof options.rowLimit !== 'undefined' && options.rowLimit !== null) ? parseInt(options.rowLimit) : searchPageSize;
+        let startRow         = (typeof options.startRow !== 'undefined' && options.startRow !== null) ? parseInt(options.startRow) : 0;
+
+        selectProperties.forEach( function (name)
+        {
+            if (!property.test(String(name)))
+            {
+                throw invalid(`'${name}' is not a managed property name.`);
+            }
+        });
+
+        // Refiners may have refiner options, e.g. "LastModifiedTime(discretize=manual/2026-01-01/2026-07-01)".
+        refiners.forEach( function (name)
+        {
+            if (!/^[A-Za-z][A-Za-z0-9_]*(\(.*\))?$/.test(String(name)))
+            {
+                throw invalid(`'${name}' is not a refiner.`);
+            }
+        });
+
+        let sortList = list(options.sortList).map( function (sort)
+        {
+            let name = (typeof sort === 'string') ? sort : (sort !== null && typeof sort === 'object') ? sort.property : undefined;
+
+            if (typeof name !== 'string' || !property.test(name))
+            {
+                throw invalid("Each sort order must be a managed property or an object with a 'property' key.");
+            }
+
+            return { property : name, ascending : typeof sort === 'string' || sort.ascending !== false };
+        });
+
+        if (isNaN(rowLimit) || rowLimit < 1 || rowLimit > searchRowLimit)
+        {
+            throw invalid(`The rowLimit must be between 1 and ${searchRowLimit}.`);
+        }
+
+        if (isNaN(startRow) || startRow < 0)
+        {
+            throw invalid('The startRow cannot be negative.');
+        }
+
+        if (typeof options.sourceId !== 'undefined' && options.sourceId !== null && !spHelper.isGuid(options.sourceId))
+        {
+            throw invalid(`The sourceId '${options.sourceId}' is not a GUID.`);
+        }
+
+        return {
+            queryText         : queryText,
+            selectProperties  : selectProperties,
+            refiners          : refiners,
+            refinementFilters : list(options.refinementFilters).map( filter => String(filter) ),
+            sortList          : sortList,
+            rowLimit          : rowLimit,
+            startRow          : startRow,
+            sourceId          : (typeof options.sourceId !== 'undefined' && options.sourceId !== null) ? String(options.sourceId).replace(/[{}]/g, '') : null,
+            trimDuplicates    : options.trimDuplicates !== false,
+        };
+    }
+
+    /**
+     * Turns the result tables of a search query (the JSOM ResultTableCollection, or the same built from a REST response) into
+     * the result of search ().
+     *
+     * PARAMETERS
+     *      resultTables - [OBJECT] : { ResultTables : [{ TableType, TotalRows, TotalRowsIncludingDuplicates, ResultRows }] }
+     *      request      - [OBJECT] : See searchRequest ().
+     *      normalize    - [BOOL]   : Returns dates as ISO strings.
+     */
+    static searchResult (resultTables, request, normalize)
+    {
+        let tables     = (resultTables && resultTables.ResultTables) || [];
+        let relevant   = tables.find( table => table.TableType === 'RelevantResults' ) || { TotalRows : 0, TotalRowsIncludingDuplicates : 0, ResultRows : [] };
+        let refinement = tables.find( table => table.TableType === 'RefinementResults' );
+        let cellValue  = value => normalize ? spHelper.normalizeValue(value) : ((typeof value === 'undefined') ? null : value);
+
+        // SharePoint adds properties of its own (Rank, DocId, ...) to the rows. Managed property names are not case sensitive.
+        let rows = (relevant.ResultRows || []).map( function (resultRow)
+        {
+            let row = {};
+
+            if (request.selectProperties.length === 0)
+            {
+                Object.keys(resultRow).forEach( key => row[key] = cellValue(resultRow[key]) );
+
+                return row;
+            }
+
+            request.selectProperties.forEach( function (name)
+            {
+                let key = Object.keys(resultRow).find( column => column.toLowerCase() === name.toLowerCase() );
+
+                row[name] = cellValue(resultRow[key]);
+            });
+
+            return row;
+        });
+
+        // Every requested refiner is returned, with the refinement values of the results (most results first).
+        let refiners = {};
+
+        request.refiners.forEach( refiner => refiners[refiner.replace(/\(.*$/, '')] = [] );
+
+        ((refinement && refinement.ResultRows) || []).forEach( function (entry)
+        {
+            let name = Object.keys(refiners).find( refiner => refiner.toLowerCase() === String(entry.RefinerName).toLowerCase() ) || entry.RefinerName;
+
+            refiners[name] = (refiners[name] || []).concat([{ name : entry.RefinementName, value : entry.RefinementValue, token : entry.RefinementToken, count : parseInt(entry.RefinementCount) }]);
+        });
+
+        let totalRows = parseInt(relevant.TotalRows) || 0;
+        let nextRow   = request.startRow + rows.length;
+
+        return {
+            rows                         : rows,
+            totalRows                    : totalRows,
+            totalRowsIncludingDuplicates : parseInt(relevant.TotalRowsIncludingDuplicates) || totalRows,
+            startRow                     : request.startRow,
+            nextStartRow                 : (rows.length > 0 && nextRow < totalRows) ? nextRow : null,
+            refiners                     : refiners,
+        };
+    }
+
 	/**
-	 * Search for a SharePoint user via their preferred name (first/last).
+	 * Search for a SharePoint user via their preferred name (first/last). If no callbacks are supplied a Promise is returned.
 	 *
 	 * PARAMETERS
 	 *      searchTerm    - [STRING]                        : A [STRING] of the users preferred name.
 	 *      onSuccessUser - [FUNC ([OBJECT] result)]        : A callback function that is executed when the property is successfully received.
-	 *      onFailureUser - [FUNC ([STRING] errorMessage)]  : A callback function that is executed when the property cannot be received.
+	 *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the property cannot be received.
 	 *
 	 * OPTIONS
 	 *      siteProperty : 'Title', 'Url', 'ServerRelativeUrl', 'MasterUrl'
 	 */
     searchUsers (searchTerm, onSuccessUser, onFailureUser)
     {
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.searchUsers(searchTerm, resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        if (this.useRetry(onFailureUser))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.searchUsers(searchTerm, onSuccess, onFailure), onSuccessUser, onFailureUser );
+        }
+
         // Refresh connections.
         this.refreshConnection();
 
@@ -1359,40 +5537,14 @@ export default class spHelper
 
             if (results)
             {
-                let userList = [];
-                let profilePromises = [];
-
-                results.forEach(function (item)
-                {
-                    // Create a list of promises to get the users profile.
-                    profilePromises.push( new Promise (function(resolve, reject)
-                    {
-                        let buildUserList = function (userProfile)
-                        {
-                            if (userProfile !== null)
-                            {
-                                userList.push(userProfile);
-                            }
-
-                            resolve();
-                        }
-
-                        // Error getting profile.
-                        let displayError = function (error)
-                        {
-                            onFailureUser(error);
-                        }
-
-                        // Make the SharePoint request.
-                        localThis.getUserProfile(item.Description, buildUserList, displayError)
-                    }));
-                });
+                // Create a list of promises to get the users profile.
+                let profilePromises = results.map( item => localThis.getUserProfile(item.Description) );
 
-                // Complete all the queued up promises then return the results.
-                Promise.all(profilePromises).then(() =>
+                // Complete all the queued up promises then return the results (users without a profile are skipped).
+                Promise.all(profilePromises).then( (userProfiles) =>
                 {
-                    onSuccessUser(userList);
-                });
+                    onSuccessUser( userProfiles.filter( userProfile => userProfile !== null ) );
+                }, onFailureUser);
             }
             else
             {
@@ -1400,25 +5552,32 @@ export default class spHelper
             }
         };
 
-        let reject = function (sender, args)
-        {
-            onFailureUser( args.get_message() );
-        };
-
         // Execute the query.
-        this.appContext.executeQueryAsync(resolve, reject);
+        this.executeQuery(resolve, onFailureUser, { method : 'searchUsers' });
     }
 
     /**
-     * Gets the user profile for a given user.
+     * Gets the user profile for a given user. If no callbacks are supplied a Promise is returned.
      *
      * PARAMETERS
      *      userID        - [STRING]                        : A string representing the users ID (DOMAIN\USERNAME)
      *      onSuccessUser - [FUNC ([OBJECT] result)]        : A callback function that is executed when the property is successfully received.
-     *      onFailureUser - [FUNC ([STRING] errorMessage)]  : A callback function that is executed when the property cannot be received.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the property cannot be received.
      */
     getUserProfile (userID, onSuccessUser, onFailureUser)
     {
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getUserProfile(userID, resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        if (this.useRetry(onFailureUser))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.getUserProfile(userID, onSuccess, onFailure), onSuccessUser, onFailureUser );
+        }
+
         // Refresh connections.
         this.refreshConnection();
 
@@ -1432,7 +5591,7 @@ export default class spHelper
         this.appContext.load(personProperties);
 
         // Execute the query and fill the variable (personProperties).
-        this.appContext.executeQueryAsync(onRequestSuccess, onRequestFail);
+        this.executeQuery(onRequestSuccess, onFailureUser, { method : 'getUserProfile' });
 
         // Function run on execute success.
         function onRequestSuccess()
@@ -1448,23 +5607,29 @@ export default class spHelper
                 onSuccessUser(null);
             }
         }
-
-        // This function runs if the executeQueryAsync call fails.
-        function onRequestFail(sender, args)
-        {
-            onFailureUser(args.get_message());
-        }
     }
 
     /**
-     * Gets the user profile for the current user.
+     * Gets the user profile for the current user. If no callbacks are supplied a Promise is returned.
      *
      * PARAMETERS
      *      onSuccessUser - [FUNC ([OBJECT] result)]        : A callback function that is executed when the property is successfully received.
-     *      onFailureUser - [FUNC ([STRING] errorMessage)]  : A callback function that is executed when the property cannot be received.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the property cannot be received.
      */
     getCurrentUser (onSuccessUser, onFailureUser)
     {
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getCurrentUser(resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
+        if (this.useRetry(onFailureUser))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.getCurrentUser(onSuccess, onFailure), onSuccessUser, onFailureUser );
+        }
+
         // Refresh connections.
         this.refreshConnection();
 
@@ -1478,7 +5643,7 @@ export default class spHelper
         this.appContext.load(personProperties);
 
         // Execute the query and fill the variable (personProperties).
-        this.appContext.executeQueryAsync(onRequestSuccess, onRequestFail);
+        this.executeQuery(onRequestSuccess, onFailureUser, { method : 'getCurrentUser' });
 
         // Function run on execute success.
         function onRequestSuccess()
@@ -1494,23 +5659,24 @@ export default class spHelper
                 onSuccessUser(null);
             }
         }
-
-        // This function runs if the executeQueryAsync call fails.
-        function onRequestFail(sender, args)
-        {
-            onFailureUser(args.get_message());
-        }
     }
 
     /**
-     * Gets the user profile for the current users manager.
+     * Gets the user profile for the current users manager. If no callbacks are supplied a Promise is returned.
      *
      * PARAMETERS
      *      onSuccessUser - [FUNC ([OBJECT] result)]        : A callback function that is executed when the property is successfully received.
-     *      onFailureUser - [FUNC ([STRING] errorMessage)]  : A callback function that is executed when the property cannot be received.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the property cannot be received.
      */
     getCurrentUserManager (onSuccessUser, onFailureUser)
     {
+        if (this.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.promiseRequest( (resolve, reject) => this.getCurrentUserManager(resolve, reject) );
+        }
+
+        onSuccessUser = this.userCallback(onSuccessUser);
+
         // Refresh connections.
         this.refreshConnection();
 
@@ -1721,16 +5887,54 @@ export default class spHelper
     }
 
     /**
-	 * Verifies if user has read access to the specified list.
+     * Returns the failure callback of a list access check that returns a Promise. A missing permission (no error, or an
+     * ACCESS_DENIED error) resolves to false. Any other failure (throttled, list not found, network) rejects.
+     *
+     * PARAMETERS
+     *      resolve - [FUNC] : The resolve function of the Promise.
+     *      reject  - [FUNC] : The reject function of the Promise.
+     */
+    static accessDenied (resolve, reject)
+    {
+        return function (error)
+        {
+            if (typeof error === 'undefined' || (error instanceof spHelperError && error.code === errorCodes.ACCESS_DENIED))
+            {
+                resolve(false);
+            }
+            else
+            {
+                reject(error);
+            }
+        };
+    }
+
+    /**
+	 * Verifies if user has read access to the specified list. If no callbacks are supplied a Promise is returned that
+	 * resolves to true (has access) or false (no access), and rejects when the check fails (see accessDenied).
 	 *
 	 * PARAMETERS
 	 *      libraryName - [STRING] : A string representing the list name.
+	 *      onHasAccess - [FUNC ()] : A callback function that is executed when the user has access.
+	 *      onNoAccess  - [FUNC ([spHelperError] error)] : A callback function that is executed when the user does not have access.
 	 */
     canReadList (libraryName, onHasAccess, onNoAccess)
     {
+        if (this.usePromise(onHasAccess, onNoAccess))
+        {
+            return this.promiseRequest( (resolve, reject) => this.canReadList(libraryName, () => resolve(true), spHelper.accessDenied(resolve, reject)) );
+        }
+
+        onHasAccess = this.userCallback(onHasAccess);
+
+        if (this.useRetry(onNoAccess))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.canReadList(libraryName, onSuccess, onFailure), onHasAccess, onNoAccess );
+        }
+
         if (typeof libraryName == 'undefined')
         {
-            throw 'spHelper Error: Invalid can read list details. To check access a libraryName must be defined.';
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid can read list details. To check access a libraryName must be defined.', { method : 'canReadList' });
         }
 
         try
@@ -1751,30 +5955,45 @@ export default class spHelper
             };
 
             // Function to run when no access.
-            let reject = function (sender, args)
+            let reject = function (error)
             {
-                onNoAccess();
+                onNoAccess(error);
             };
 
-            this.appContext.executeQueryAsync( resolve, reject );
+            this.executeQuery( resolve, reject, { method : 'canReadList', list : libraryName } );
         }
         catch (error)
         {
-            throw 'spHelper Error: Unable to validate user permissions for list ... ' + error;
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to validate user permissions for list ...', { method : 'canReadList', list : libraryName });
         }
     }
 
     /**
-	 * Verifies if user has write/edit access to the specified list.
+	 * Verifies if user has write/edit access to the specified list. If no callbacks are supplied a Promise is returned that
+	 * resolves to true (has access) or false (no access), and rejects when the check fails (see accessDenied).
 	 *
 	 * PARAMETERS
 	 *      libraryName - [STRING] : A string representing the list name.
+	 *      onHasAccess - [FUNC ()] : A callback function that is executed when the user has access.
+	 *      onNoAccess  - [FUNC ([spHelperError] error)] : A callback function that is executed when the user does not have access.
 	 */
     canWriteList (libraryName, onHasAccess, onNoAccess)
     {
+        if (this.usePromise(onHasAccess, onNoAccess))
+        {
+            return this.promiseRequest( (resolve, reject) => this.canWriteList(libraryName, () => resolve(true), spHelper.accessDenied(resolve, reject)) );
+        }
+
+        onHasAccess = this.userCallback(onHasAccess);
+
+        if (this.useRetry(onNoAccess))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.canWriteList(libraryName, onSuccess, onFailure), onHasAccess, onNoAccess );
+        }
+
         if (typeof libraryName == 'undefined')
         {
-            throw 'spHelper Error: Invalid can write list details. To check access a libraryName must be defined.';
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid can write list details. To check access a libraryName must be defined.', { method : 'canWriteList' });
         }
 
         try
@@ -1802,30 +6021,45 @@ export default class spHelper
             };
 
             // Function to run when no access.
-            let reject = function (sender, args)
+            let reject = function (error)
             {
-                onNoAccess();
+                onNoAccess(error);
             };
 
-            this.appContext.executeQueryAsync( resolve, reject );
+            this.executeQuery( resolve, reject, { method : 'canWriteList', list : libraryName } );
         }
         catch (error)
         {
-            throw 'spHelper Error: Unable to validate user permissions for list ... ' + error;
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to validate user permissions for list ...', { method : 'canWriteList', list : libraryName });
         }
     }
 
     /**
-	 * Verifies if user has delete access to the specified list.
+	 * Verifies if user has delete access to the specified list. If no callbacks are supplied a Promise is returned that
+	 * resolves to true (has access) or false (no access), and rejects when the check fails (see accessDenied).
 	 *
 	 * PARAMETERS
 	 *      libraryName - [STRING] : A string representing the list name.
+	 *      onHasAccess - [FUNC ()] : A callback function that is executed when the user has access.
+	 *      onNoAccess  - [FUNC ([spHelperError] error)] : A callback function that is executed when the user does not have access.
 	 */
     canDeleteList (libraryName, onHasAccess, onNoAccess)
     {
+        if (this.usePromise(onHasAccess, onNoAccess))
+        {
+            return this.promiseRequest( (resolve, reject) => this.canDeleteList(libraryName, () => resolve(true), spHelper.accessDenied(resolve, reject)) );
+        }
+
+        onHasAccess = this.userCallback(onHasAccess);
+
+        if (this.useRetry(onNoAccess))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.canDeleteList(libraryName, onSuccess, onFailure), onHasAccess, onNoAccess );
+        }
+
         if (typeof libraryName == 'undefined')
         {
-            throw 'spHelper Error: Invalid can delete list details. To check access a libraryName must be defined.';
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid can delete list details. To check access a libraryName must be defined.', { method : 'canDeleteList' });
         }
 
         try
@@ -1853,31 +6087,46 @@ export default class spHelper
             };
 
             // Function to run when no access.
-            let reject = function (sender, args)
+            let reject = function (error)
             {
-                onNoAccess();
+                onNoAccess(error);
             };
 
-            this.appContext.executeQueryAsync( resolve, reject );
+            this.executeQuery( resolve, reject, { method : 'canDeleteList', list : libraryName } );
         }
         catch (error)
         {
-            throw 'spHelper Error: Unable to validate user permissions for list ... ' + error;
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to validate user permissions for list ...', { method : 'canDeleteList', list : libraryName });
         }
     }
 
 	/**
-	 * Verifies if the user executing the command has specific access to a specific list.
+	 * Verifies if the user executing the command has specific access to a specific list. If no callbacks are supplied a Promise is
+	 * returned that resolves to true (has access) or false (no access), and rejects when the check fails (see accessDenied).
 	 *
 	 * PARAMETERS
 	 *      libraryName - [STRING] : A string representing the list name.
 	 *      permissionType - [STRING] : A string representing the SPBasePermission (https://docs.microsoft.com/en-us/previous-versions/office/developer/sharepoint-2010/ee556747(v%3Doffice.14))
+	 *      onHasAccess - [FUNC ()] : A callback function that is executed when the user has access.
+	 *      onNoAccess  - [FUNC ([spHelperError] error)] : A callback function that is executed when the user does not have access.
 	 */
 	hasListAccess (libraryName, permissionType, onHasAccess, onNoAccess)
 	{
+        if (this.usePromise(onHasAccess, onNoAccess))
+        {
+            return this.promiseRequest( (resolve, reject) => this.hasListAccess(libraryName, permissionType, () => resolve(true), spHelper.accessDenied(resolve, reject)) );
+        }
+
+        onHasAccess = this.userCallback(onHasAccess);
+
+        if (this.useRetry(onNoAccess))
+        {
+            return this.retryRequest( (onSuccess, onFailure) => this.hasListAccess(libraryName, permissionType, onSuccess, onFailure), onHasAccess, onNoAccess );
+        }
+
         if (typeof libraryName == 'undefined' || typeof permissionType == 'undefined')
         {
-            throw 'spHelper Error: Invalid has list access details. To check access, libraryName and permissionType must be defined.';
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid has list access details. To check access, libraryName and permissionType must be defined.', { method : 'hasListAccess' });
         }
 
         try
@@ -1885,6 +6134,11 @@ export default class spHelper
             // Refresh connections.
             this.refreshConnection();
 
+            if (typeof SP.PermissionKind[permissionType] !== 'number')
+            {
+                throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid has list access details. '${permissionType}' is not a SP.PermissionKind.`, { method : 'hasListAccess', list : libraryName });
+            }
+
             // Will store the spList object when request is complete.
             let spList = this.spWeb.get_lists().getByTitle(libraryName);
 
@@ -1905,16 +6159,16 @@ export default class spHelper
             };
 
             // Callback function when the request (promise) has rejected.
-            let reject = function (sender, args)
+            let reject = function (error)
             {
-                onNoAccess()
+                onNoAccess(error)
             };
 
-            this.appContext.executeQueryAsync( resolve, reject );
+            this.executeQuery( resolve, reject, { method : 'hasListAccess', list : libraryName } );
         }
         catch (error)
         {
-            throw 'spHelper Error: Unable to validate user permissions ... ' + error;
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to validate user permissions ...', { method : 'hasListAccess', list : libraryName });
         }
 	}
 
@@ -1974,13 +6228,13 @@ export default class spHelper
                                     }
                                     else
                                     {
-                                        reject ( 'Unable to remove the edit tab (Ribbon took to long to load). Try refreshing this page.' );
+                                        reject ( new spHelperError(errorCodes.TIMEOUT, 'Unable to remove the edit tab (Ribbon took to long to load). Try refreshing this page.', { method : 'spRibbon.removeEdit' }) );
                                     }
                                 }
                             }
                             catch (errorMessage)
                             {
-                                reject (errorMessage);
+                                reject ( spHelperError.from(errorMessage, errorCodes.UNKNOWN, 'SharePoint UI error ...', { method : 'spRibbon.removeEdit' }) );
                             }
                         };
 
@@ -2030,7 +6284,7 @@ export default class spHelper
                         }
                         catch (errorMessage)
                         {
-                            reject (errorMessage);
+                            reject ( spHelperError.from(errorMessage, errorCodes.UNKNOWN, 'SharePoint UI error ...', { method : 'spModalDialog.isActive' }) );
                         }
 
                     }, 'sp.ui.dialog.js');
@@ -2084,13 +6338,13 @@ export default class spHelper
                                     }
                                     else
                                     {
-                                        reject ( 'Unable to resize the modal dialog (Took to long to load). Try refreshing this window.' );
+                                        reject ( new spHelperError(errorCodes.TIMEOUT, 'Unable to resize the modal dialog (Took to long to load). Try refreshing this window.', { method : 'spModalDialog.resize' }) );
                                     }
                                 }
                             }
                             catch (errorMessage)
                             {
-                                reject (errorMessage);
+                                reject ( spHelperError.from(errorMessage, errorCodes.UNKNOWN, 'SharePoint UI error ...', { method : 'spModalDialog.resize' }) );
                             }
                         };
 
@@ -2184,13 +6438,13 @@ export default class spHelper
                                     }
                                     else
                                     {
-                                        reject ( 'Unable to set SharePoint Modal Title (Took to long to load). Try refreshing this window.' );
+                                        reject ( new spHelperError(errorCodes.TIMEOUT, 'Unable to set SharePoint Modal Title (Took to long to load). Try refreshing this window.', { method : 'spModalDialog.setTitle' }) );
                                     }
                                 }
                             }
                             catch (errorMessage)
                             {
-                                reject (errorMessage);
+                                reject ( spHelperError.from(errorMessage, errorCodes.UNKNOWN, 'SharePoint UI error ...', { method : 'spModalDialog.setTitle' }) );
                             }
                         };
 
@@ -2202,4 +6456,103 @@ export default class spHelper
             },
         }
     }
-}
\ No newline at end of file
+}
+
+// The well known async iterator symbol (when the environment does not define it yet).
+const asyncIteratorSymbol = (typeof Symbol.asyncIterator !== 'undefined') ? Symbol.asyncIterator : Symbol.for('Symbol.asyncIterator');
+
+/**
+ * The async iterator returned by spHelper.iterateListData. Every call to next () reads the next page of items.
+ */
+class spListDataIterator
+{
+    constructor (helper, queryDetails)
+    {
+        this.helper       = helper;
+        this.queryDetails = Object.assign({}, queryDetails);
+        this.top          = (typeof queryDetails.top !== 'undefined' && queryDetails.top !== null) ? parseInt(queryDetails.top) : Infinity;
+        this.total        = 0;
+        this.pageNumber   = 0;
+        this.done         = false;
+        this.readPage     = null;
+    }
+
+    [asyncIteratorSymbol] ()
+    {
+        return this;
+    }
+
+    next ()
+    {
+        if (this.done)
+        {
+            return Promise.resolve({ value : undefined, done : true });
+        }
+
+        if (spHelper.isCancelled(this.queryDetails.signal))
+        {
+            this.done = true;
+
+            return Promise.reject(spHelper.cancelledError('iterateListData', this.queryDetails));
+        }
+
+        return this.reader().then( readPage => new Promise(readPage) ).then( (page) =>
+        {
+            let items = page.items.slice(0, this.top - this.total);
+
+            this.total      += items.length;
+            this.pageNumber += 1;
+            this.done        = (page.pagingInfo === null || this.total >= this.top);
+
+            this.queryDetails.pagingInfo = page.pagingInfo;
+
+            return { value : { items : items, pageNumber : this.pageNumber, total : this.total, pagingInfo : (this.done || page.resumable === false) ? null : page.pagingInfo }, done : false };
+        },
+        (error) =>
+        {
+            this.done = true;
+
+            throw error;
+        });
+    }
+
+    // Resolves with the page reader. Threshold safe reads are planned before the first page (see spHelper.planListQuery).
+    reader ()
+    {
+        if (this.readPage !== null)
+        {
+            return Promise.resolve(this.readPage);
+        }
+
+        if (!this.queryDetails.thresholdSafe)
+        {
+            this.readPage = (resolve, reject) => this.helper.getListDataPage(this.queryDetails, resolve, reject);
+
+            return Promise.resolve(this.readPage);
+        }
+
+        return this.helper.planListQuery(this.queryDetails).then( (plan) =>
+        {
+            this.readPage = (plan.mode === 'windows') ? this.helper.listWindowReader(this.queryDetails, plan) : (resolve, reject) => this.helper.getListDataPage(this.queryDetails, resolve, reject);
+
+            return this.readPage;
+        });
+    }
+
+    // Called when the loop is left early (break, return or an error in the loop body).
+    return ()
+    {
+        this.done = true;
+
+        return Promise.resolve({ value : undefined, done : true });
+    }
+}
+
+// Expose the error class on the spHelper class for the stand-alone builds.
+spHelper.spHelperError = spHelperError;
+spHelper.spCaml        = spCaml;
+
+// The CAML View Scope of each SP.ViewScope value.
+spHelper.viewScopes = ['Default', 'Recursive', 'RecursiveAll', 'FilesOnly'];
+
+export { spHelperError, spCaml, spTimeZone };
@@ -0,0 +1,558 @@
+import spHelperError from './spHelperError';
+
+// Shorthand for the spHelperError codes.
+const errorCodes = spHelperError.codes;
+
+export default class spHelperBatch
+{
+    /**
+     * A unit of work that queues list reads and writes (across any number of lists) and sends them to SharePoint in as few
+     * requests as possible. Each operation runs in its own SP.ExceptionHandlingScope, so a failed operation does not stop
+     * the others and the success or failure of every operation is reported. Created with spHelper.createBatch ().
+     *
+     * Only the JSOM transport combines operations. The REST transport sends the operations one after another (sequential,
+     * one request each, no $batch), so a REST batch saves no round trips but reports its results the same way.
+     *
+     * PARAMETERS
+     *    'helper'  - [OBJECT] : The spHelper instance used to send the requests.
+     *    'options' - [OBJECT] : List of batch options and option settings.
+     *
+     * OPTIONS
+     *    'maxOperations'  - [INTEGER] : The most operations sent in one request. Defaults to 100.
+     *    'maxRequestSize' - [INTEGER] : The estimated request size (characters) at which a new request is started. Defaults to
+     *                                   1000000, half of the 2 MB default request size limit of CSOM.
+     */
+    constructor (helper, options = {})
+    {
+        this.helper         = helper;
+        this.maxOperations  = options.maxOperations || 100;
+        this.maxRequestSize = options.maxRequestSize || 1000000;
+        this.operations     = [];
+    }
+
+    /**
+     * The number of queued operations.
+     */
+    get length ()
+    {
+        return this.operations.length;
+    }
+
+    /**
+     * Queues a new list item. The operation result is the new item ID.
+     *
+     * PARAMETERS
+     *      itemDetails - [OBJECT]                        : See spHelper.addListItem ().
+     *      onSuccess   - [FUNC ([INTEGER] itemID)]       : Optional. A callback function that is executed when the item is created.
+     *      onFailure   - [FUNC ([spHelperError] error)]  : Optional. A callback function that is executed when the item cannot be created.
+     */
+    addListItem (itemDetails, onSuccess, onFailure)
+    {
+        if (typeof itemDetails.listName == 'undefined' || typeof itemDetails.columnData == 'undefined')
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid create item details. To create an item, listName and columnData must be defined.', { method : 'addListItem' });
+        }
+
+        return this.queue('addListItem', itemDetails, onSuccess, onFailure);
+    }
+
+    /**
+     * Queues the update of a list item.
+     *
+     * PARAMETERS
+     *      updateDetails - [OBJECT]                        : See spHelper.updateListItem ().
+     *      onSuccess     - [FUNC ()]                       : Optional. A callback function that is executed when the item is updated.
+     *      onFailure     - [FUNC ([spHelperError] error)]  : Optional. A callback function that is executed when the item cannot be updated.
+     */
+    updateListItem (updateDetails, onSuccess, onFailure)
+    {
+        if (typeof updateDetails.listName == 'undefined' || typeof updateDetails.itemID == 'undefined' || typeof updateDetails.columnData == 'undefined')
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid update details. To update an item, the list name, item ID, and column update data is required.', { method : 'updateListItem' });
+        }
+
+        return this.queue('updateListItem', updateDetails, onSuccess, onFailure);
+    }
+
+    /**
+     * Queues the deletion of a list item.
+     *
+     * PARAMETERS
+     *      deleteDetails - [OBJECT]                        : See spHelper.deleteListItem ().
+     *      onSuccess     - [FUNC ()]                       : Optional. A callback function that is executed when the item is deleted.
+     *      onFailure     - [FUNC ([spHelperError] error)]  : Optional. A callback function that is executed when the item cannot be deleted.
+     */
+    deleteListItem (deleteDetails, onSuccess, onFailure)
+    {
+        if (typeof deleteDetails.listName == 'undefined' || typeof deleteDetails.itemID == 'undefined')
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid delete details. To delete an item, the list name and item ID is required.', { method : 'deleteListItem' });
+        }
+
+        return this.queue('deleteListItem', deleteDetails, onSuccess, onFailure);
+    }
+
+    /**
+     * Queues a list query. Unlike spHelper.getListData () a batched query returns a single page of items (up to the RowLimit
+     * of the query), starting after the 'pagingInfo' position or the 'pagePosition' item ID. The list view of a query with a
+     * 'viewName' or 'viewId' is read when the batch is executed.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT]                        : See spHelper.getListData ().
+     *      onSuccess    - [FUNC ([ARRAY][OBJECT] rows)]   : Optional. A callback function that is executed when the data is received.
+     *      onFailure    - [FUNC ([spHelperError] error)]  : Optional. A callback function that is executed when the data cannot be received.
+     */
+    getListData (queryDetails, onSuccess, onFailure)
+    {
+        if ((typeof queryDetails.listName == 'undefined' && typeof queryDetails.listGuid == 'undefined') || (typeof queryDetails.listColumns == 'undefined' && typeof queryDetails.viewName == 'undefined' && typeof queryDetails.viewId == 'undefined'))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid query details. Minimum query details must include list title and columns.', { method : 'getListData' });
+        }
+
+        return this.queue('getListData', Object.assign({ pagePosition : 0 }, queryDetails), onSuccess, onFailure);
+    }
+
+    /**
+     * Adds an operation to the batch. Returns the batch so requests can be chained.
+     *
+     * PARAMETERS
+     *      method    - [STRING] : The spHelper method of the operation.
+     *      details   - [OBJECT] : The details of the operation.
+     *      onSuccess - [FUNC]   : The operation success callback.
+     *      onFailure - [FUNC]   : The operation failure callback.
+     */
+    queue (method, details, onSuccess, onFailure)
+    {
+        this.operations.push({ method, details, onSuccess, onFailure });
+
+        return this;
+    }
+
+    /**
+     * Sends the queued operations to SharePoint and empties the batch. The operations are sent in order, in as few requests
+     * as the 'maxOperations' and 'maxRequestSize' options allow. The success callback receives one result per operation, in
+     * the order the operations were queued. An exception thrown by an operation callback is rethrown after the batch has
+     * completed. If no callbacks are supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      onSuccessUser - [FUNC ([ARRAY][OBJECT] results)] : A callback function that is executed when every operation has completed.
+     *      onFailureUser - [FUNC ([spHelperError] error)]   : A callback function that is executed when the batch cannot be sent.
+     *
+     * RESULTS
+     *      'method'  - [STRING]        : The operation (addListItem, updateListItem, deleteListItem or getListData).
+     *      'list'    - [STRING]        : The list title or GUID of the operation.
+     *      'itemID'  - [INTEGER]       : The item ID of the operation (the new item ID for addListItem).
+     *      'success' - [BOOL]          : Indicates if the operation succeeded.
+     *      'result'  - [ANY]           : The result of the operation (new item ID or the rows of a query).
+     *      'error'   - [spHelperError] : The error of a failed operation.
+     */
+    execute (onSuccessUser, onFailureUser)
+    {
+        if (this.helper.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.helper.promiseRequest( (resolve, reject) => this.execute(resolve, reject) );
+        }
+
+        onSuccessUser = this.helper.userCallback(onSuccessUser);
+
+        // Queries that compare the date of a moment need the time zone of the site, which is read before the batch is sent.
+        if (this.operations.some( operation => operation.method === 'getListData' && this.helper.needsSiteZone(operation.details.where) ))
+        {
+            this.helper.getSiteTimeZone( () => this.execute(onSuccessUser, onFailureUser), onFailureUser );
+
+            return;
+        }
+
+        // The queries of list views are built from the view, which is read before the batch is sent. A view that cannot be
+        // read fails its operation only.
+        let viewOperation = this.operations.find( operation => operation.method === 'getListData' && typeof operation.viewError === 'undefined' && this.helper.needsListView(operation.details) );
+
+        if (typeof viewOperation !== 'undefined')
+        {
+            let onViewFailure = (error) =>
+            {
+                viewOperation.viewError = error;
+
+                this.execute(onSuccessUser, onFailureUser);
+            };
+
+            this.helper.getListView(viewOperation.details, () => this.execute(onSuccessUser, onFailureUser), onViewFailure);
+
+            return;
+        }
+
+        let operations = this.operations;
+        let chunks     = this.chunks(operations);
+        let results    = [];
+
+        this.operations = [];
+
+        // Sends the requests one after another, so the operations run in the order they were queued.
+        let next = () =>
+        {
+            if (chunks.length === 0)
+            {
+                onSuccessUser(results);
+
+                // The first exception of an operation callback is rethrown once the batch has completed (see report).
+                let failed = operations.find( operation => typeof operation.callbackError !== 'undefined' );
+
+                if (typeof failed !== 'undefined')
+                {
+                    setTimeout( () =>
+                    {
+                        throw failed.callbackError.error;
+                    }, 0 );
+                }
+
+                return;
+            }
+
+            let onChunkComplete = function (chunkResults)
+            {
+                results = results.concat(chunkResults);
+
+                next();
+            };
+
+            try
+            {
+                if (this.helper.rest !== null)
+                {
+                    this.executeRestChunk(chunks.shift(), onChunkComplete);
+                }
+                else
+                {
+                    this.executeChunk(chunks.shift(), onChunkComplete);
+                }
+            }
+            catch (error)
+            {
+                onFailureUser( spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to send the batch ...', { method : 'execute' }) );
+            }
+        };
+
+        next();
+    }
+
+    /**
+     * Splits the operations into the requests sent to SharePoint.
+     *
+     * PARAMETERS
+     *      operations - [ARRAY] : The queued operations.
+     */
+    chunks (operations)
+    {
+        let chunks      = [];
+        let current     = [];
+        let currentSize = 0;
+
+        operations.forEach( (operation) =>
+        {
+            let size = spHelperBatch.requestSize(operation);
+
+            if (current.length > 0 && (current.length >= this.maxOperations || currentSize + size > this.maxRequestSize))
+            {
+                chunks.push(current);
+
+                current     = [];
+                currentSize = 0;
+            }
+
+            current.push(operation);
+
+            currentSize += size;
+        });
+
+        if (current.length > 0)
+        {
+            chunks.push(current);
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Sends one request (JSOM) with an exception handling scope per operation. A request that fails as a whole (e.g.
+     * throttled) is retried as configured by the spHelper 'retry' option, then every operation of it is reported as failed.
+     *
+     * PARAMETERS
+     *      chunk      - [ARRAY]                  : The operations of the request.
+     *      onComplete - [FUNC ([ARRAY] results)] : A callback function that is executed with the results of the operations.
+     */
+    executeChunk (chunk, onComplete)
+    {
+        let onFailure = (error) =>
+        {
+            onComplete( chunk.map( (operation) =>
+            {
+                let errorDetails = spHelperBatch.operationDetails(operation);
+
+                return this.report(operation, errorDetails, new spHelperError(error.code, error.message, Object.assign({}, error, errorDetails, { innerError : error })), undefined);
+            }));
+        };
+
+        // A request with changes is a write, it is not sent again after a time out (see spHelper.isRetryable).
+        let write = chunk.some( operation => operation.method !== 'getListData' );
+
+        this.helper.retryRequest( (onSuccess, onFailureRetry) => this.sendChunk(chunk, onSuccess, onFailureRetry), onComplete, onFailure, write );
+    }
+
+    /**
+     * Queues the operations of a request in the client context and sends it.
+     *
+     * PARAMETERS
+     *      chunk     - [ARRAY]                          : The operations of the request.
+     *      onSuccess - [FUNC ([ARRAY] results)]         : A callback function that is executed with the results of the operations.
+     *      onFailure - [FUNC ([spHelperError] error)]   : A callback function that is executed when the request fails as a whole.
+     */
+    sendChunk (chunk, onSuccess, onFailure)
+    {
+        let helper = this.helper;
+
+        // Refresh connections.
+        helper.refreshConnection();
+
+        let queued = chunk.map( operation => this.queueOperation(operation) );
+
+        // Every operation failed before anything was sent.
+        if (queued.every( entry => entry.error !== null ))
+        {
+            onSuccess( queued.map( entry => this.complete(entry) ) );
+
+            return;
+        }
+
+        let resolve = () =>
+        {
+            onSuccess( queued.map( entry => this.complete(entry) ) );
+        };
+
+        let reject = (sender, args) =>
+        {
+            onFailure( spHelperError.fromRequest(args, { method : 'execute' }) );
+        };
+
+        helper.appContext.executeQueryAsync( resolve, reject );
+    }
+
+    /**
+     * Queues an operation in the client context inside its own exception handling scope.
+     *
+     * PARAMETERS
+     *      operation - [OBJECT] : The queued operation.
+     */
+    queueOperation (operation)
+    {
+        let helper       = this.helper;
+        let details      = operation.details;
+        let errorDetails = spHelperBatch.operationDetails(operation);
+        let entry        = { operation, errorDetails, scope : null, collect : null, error : null };
+
+        entry.scope = new SP.ExceptionHandlingScope(helper.appContext);
+
+        let scopeStart = entry.scope.startScope();
+        let scopeTry   = entry.scope.startTry();
+
+        try
+        {
+            if (operation.method === 'addListItem')
+            {
+                let spItem = helper.queueAddListItem(details, errorDetails);
+
+                entry.collect = () => spItem.get_id();
+            }
+            else if (operation.method === 'updateListItem')
+            {
+                helper.queueUpdateListItem(details, errorDetails);
+
+                entry.collect = () => undefined;
+            }
+            else if (operation.method === 'deleteListItem')
+            {
+                helper.queueDeleteListItem(details);
+
+                entry.collect = () => undefined;
+            }
+            else
+            {
+                if (typeof operation.viewError !== 'undefined')
+                {
+                    throw operation.viewError;
+                }
+
+                let viewXml = helper.buildListQuery(details);
+
+                errorDetails.caml = viewXml;
+
+                let spListItemCollection = helper.queueListItems(details, viewXml, details.pagingInfo || `Paged=TRUE&p_ID=${details.pagePosition}`);
+
+                entry.collect = () => helper.enumerateItems(spListItemCollection).map( listItem => helper.listItemRow(listItem, helper.listQueryColumns(details), errorDetails) );
+            }
+        }
+        catch (error)
+        {
+            entry.error = spHelperError.from(error, errorCodes.INVALID_ARGUMENT, 'Unable to queue the batch operation. Validate the operation details ...', errorDetails);
+        }
+        finally
+        {
+            scopeTry.dispose();
+        }
+
+        let scopeCatch = entry.scope.startCatch();
+
+        scopeCatch.dispose();
+        scopeStart.dispose();
+
+        return entry;
+    }
+
+    /**
+     * Works out the result of a sent operation and runs the operation callbacks.
+     *
+     * PARAMETERS
+     *      entry - [OBJECT] : The queued operation entry.
+     */
+    complete (entry)
+    {
+        let error  = entry.error;
+        let result = undefined;
+
+        if (error === null && entry.scope.get_hasException())
+        {
+            error = spHelperError.fromScope(entry.scope, entry.errorDetails);
+        }
+
+        if (error === null)
+        {
+            try
+            {
+                result = entry.collect();
+            }
+            catch (collectError)
+            {
+                error = spHelperError.from(collectError, errorCodes.UNKNOWN, 'Unable to process the SharePoint response ...', entry.errorDetails);
+            }
+        }
+
+        return this.report(entry.operation, entry.errorDetails, error, result);
+    }
+
+    /**
+     * Sends the operations of a request one at a time with the REST transport, each as its own request (no $batch). The
+     * REST transport does not combine operations, but the results are reported the same way.
+     *
+     * PARAMETERS
+     *      chunk      - [ARRAY]                  : The operations of the request.
+     *      onComplete - [FUNC ([ARRAY] results)] : A callback function that is executed with the results of the operations.
+     */
+    executeRestChunk (chunk, onComplete)
+    {
+        let helper  = this.helper;
+        let results = [];
+
+        let next = () =>
+        {
+            if (results.length === chunk.length)
+            {
+                onComplete(results);
+
+                return;
+            }
+
+            let operation    = chunk[results.length];
+            let details      = operation.details;
+            let errorDetails = spHelperBatch.operationDetails(operation);
+            let method       = (operation.method === 'getListData') ? 'loadListData' : operation.method;
+
+            let onSuccess = (result) =>
+            {
+                results.push( this.report(operation, errorDetails, null, result) );
+
+                next();
+            };
+
+            let onFailure = (error) =>
+            {
+                results.push( this.report(operation, errorDetails, spHelperError.from(error, errorCodes.REQUEST_FAILED, 'SharePoint REST request failed.', errorDetails), undefined) );
+
+                next();
+            };
+
+            if (typeof operation.viewError !== 'undefined')
+            {
+                onFailure(operation.viewError);
+
+                return;
+            }
+
+            try
+            {
+                helper[method](details, onSuccess, onFailure);
+            }
+            catch (error)
+            {
+                onFailure(error);
+            }
+        };
+
+        next();
+    }
+
+    /**
+     * Builds the result of an operation and runs the operation callbacks. An exception thrown by an operation callback
+     * does not stop the batch: it is kept on the operation and rethrown once every operation has completed (see execute).
+     *
+     * PARAMETERS
+     *      operation    - [OBJECT]        : The queued operation.
+     *      errorDetails - [OBJECT]        : The request details of the operation.
+     *      error        - [spHelperError] : The error of the operation (or null).
+     *      result       - [ANY]           : The result of the operation.
+     */
+    report (operation, errorDetails, error, result)
+    {
+        let success = (error === null);
+        let itemID  = (operation.method === 'addListItem') ? result : errorDetails.itemID;
+
+        let callback = success ? operation.onSuccess : operation.onFailure;
+
+        if (typeof callback === 'function')
+        {
+            try
+            {
+                callback(success ? result : error);
+            }
+            catch (callbackError)
+            {
+                operation.callbackError = { error : callbackError };
+            }
+        }
+
+        return { method : operation.method, list : errorDetails.list, itemID : itemID, success : success, result : result, error : success ? undefined : error };
+    }
+
+    /**
+     * The request details of an operation that are added to its error.
+     *
+     * PARAMETERS
+     *      operation - [OBJECT] : The queued operation.
+     */
+    static operationDetails (operation)
+    {
+        let details = operation.details;
+
+        return { method : operation.method, list : (typeof details.listName !== 'undefined') ? details.listName : details.listGuid, itemID : details.itemID };
+    }
+
+    /**
+     * Estimates the size of an operation in a CSOM request. The request XML repeats the column names and type information
+     * of every value, so it is several times larger than the operation details.
+     *
+     * PARAMETERS
+     *      operation - [OBJECT] : The queued operation.
+     */
+    static requestSize (operation)
+    {
+        return 500 + (4 * JSON.stringify(operation.details).length);
+    }
+}
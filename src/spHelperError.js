@@ -0,0 +1,306 @@
+export default class spHelperError extends Error
+{
+    /**
+     * The error type used by spHelper for every thrown error, failure callback and rejected Promise. Each error carries a
+     * stable 'code' so callers can react to a missing list, a missing column, a permission error or throttling without
+     * matching on the error message.
+     *
+     * PARAMETERS
+     *    'code'    - [STRING] : One of the spHelperError.codes values.
+     *    'message' - [STRING] : A readable description of the error.
+     *    'details' - [OBJECT] : Additional details about the request that failed.
+     *
+     * DETAILS
+     *    'method'        - [STRING]  : The spHelper method that raised the error.
+     *    'list'          - [STRING]  : The list title or GUID the request was about.
+     *    'itemID'        - [INTEGER] : The list item ID the request was about.
+     *    'caml'          - [STRING]  : The CAML (View XML) that was sent to SharePoint.
+     *    'spErrorCode'   - [INTEGER] : The error code returned by SharePoint.
+     *    'spErrorType'   - [STRING]  : The server exception type returned by SharePoint.
+     *    'correlationId' - [STRING]  : The SharePoint correlation ID of the failed request.
+     *    'status'        - [INTEGER] : The HTTP status of a failed REST request.
+     *    'retryAfter'    - [NUMBER]  : The seconds to wait before retrying, from the Retry-After header of a REST response.
+     *    'attempts'      - [INTEGER] : The number of attempts made when the request was retried (see the spHelper 'retry' option).
+     *    'explanation'   - [OBJECT]  : Why a threshold safe list read has no safe plan (see spHelper.planListQuery).
+     *    'innerError'    - [ANY]     : The original error that caused this error.
+     */
+    constructor (code, message, details = {})
+    {
+        super(message);
+
+        // Babel cannot extend built in classes, restore the prototype so 'instanceof spHelperError' works in every build.
+        Object.setPrototypeOf(this, spHelperError.prototype);
+
+        this.name          = 'spHelperError';
+        this.message       = message;
+        this.code          = code;
+        this.method        = details.method;
+        this.list          = details.list;
+        this.itemID        = details.itemID;
+        this.caml          = details.caml;
+        this.spErrorCode   = details.spErrorCode;
+        this.spErrorType   = details.spErrorType;
+        this.correlationId = details.correlationId;
+        this.status        = details.status;
+        this.retryAfter    = details.retryAfter;
+        this.attempts      = details.attempts;
+        this.explanation   = details.explanation;
+        this.innerError    = details.innerError;
+    }
+
+    /**
+     * Creates an error from the arguments passed to a failed JSOM 'executeQueryAsync' request (SP.ClientRequestFailedEventArgs).
+     * The error code is worked out from the SharePoint error code, exception type and message.
+     *
+     * PARAMETERS
+     *    'args'    - [OBJECT] : The SP.ClientRequestFailedEventArgs of the failed request.
+     *    'details' - [OBJECT] : See constructor.
+     */
+    static fromRequest (args, details = {})
+    {
+        let message       = spHelperError.readArgs(args, 'get_message', 'Unknown SharePoint error.');
+        let spErrorCode   = spHelperError.readArgs(args, 'get_errorCode');
+        let spErrorType   = spHelperError.readArgs(args, 'get_errorTypeName');
+        let correlationId = spHelperError.readArgs(args, 'get_errorTraceCorrelationId');
+
+        let code = spHelperError.classify(message, spErrorCode, spErrorType);
+
+        return new spHelperError(code, message, Object.assign({}, details, { spErrorCode, spErrorType, correlationId }));
+    }
+
+    /**
+     * Creates an error from a JSOM exception handling scope (SP.ExceptionHandlingScope) that caught a server error. Used by
+     * batches to report the failure of a single operation of a request.
+     *
+     * PARAMETERS
+     *    'scope'   - [OBJECT] : The SP.ExceptionHandlingScope of the operation.
+     *    'details' - [OBJECT] : See constructor.
+     */
+    static fromScope (scope, details = {})
+    {
+        let message     = spHelperError.readArgs(scope, 'get_errorMessage', 'Unknown SharePoint error.');
+        let spErrorCode = spHelperError.readArgs(scope, 'get_serverErrorCode');
+        let spErrorType = spHelperError.readArgs(scope, 'get_serverErrorTypeName');
+
+        let code = spHelperError.classify(message, spErrorCode, spErrorType);
+
+        return new spHelperError(code, message, Object.assign({}, details, { spErrorCode, spErrorType }));
+    }
+
+    /**
+     * Creates an error from a failed REST (_api) response. The error code is worked out from the HTTP status and the OData
+     * error returned by SharePoint.
+     *
+     * PARAMETERS
+     *    'response' - [OBJECT] : The fetch Response of the failed request.
+     *    'body'     - [OBJECT] : The parsed JSON body of the response (or null).
+     *    'details'  - [OBJECT] : See constructor.
+     */
+    static fromResponse (response, body, details = {})
+    {
+        let odataError    = (body && (body.error || body['odata.error'])) || {};
+        let message       = (odataError.message && (odataError.message.value || odataError.message)) || `${response.status} ${response.statusText || 'SharePoint REST request failed.'}`;
+        let errorCode     = String(odataError.code || '').split(',');
+        let spErrorCode   = isNaN(parseInt(errorCode[0])) ? undefined : parseInt(errorCode[0]);
+        let spErrorType   = errorCode.length > 1 ? errorCode[1].trim() : undefined;
+        let correlationId = spHelperError.readHeader(response, 'SPRequestGuid') || spHelperError.readHeader(response, 'request-id');
+        let retryAfter    = spHelperError.retryAfter(spHelperError.readHeader(response, 'Retry-After'));
+
+        let code = (response.status === 429 || response.status === 503) ? spHelperError.codes.THROTTLED : spHelperError.classify(message, spErrorCode, spErrorType);
+
+        return new spHelperError(code, message, Object.assign({}, details, { spErrorCode, spErrorType, correlationId, status : response.status, retryAfter }));
+    }
+
+    /**
+     * Converts any thrown value into a spHelperError. Errors that are already a spHelperError keep their code and only have
+     * their missing details filled in.
+     *
+     * PARAMETERS
+     *    'error'   - [ANY]    : The thrown value (string, Error or spHelperError).
+     *    'code'    - [STRING] : The code to use when the error is not already a spHelperError.
+     *    'message' - [STRING] : The message prefix to use when the error is not already a spHelperError.
+     *    'details' - [OBJECT] : See constructor.
+     */
+    static from (error, code, message, details = {})
+    {
+        if (error instanceof spHelperError)
+        {
+            for (let key in details)
+            {
+                if (typeof error[key] === 'undefined')
+                {
+                    error[key] = details[key];
+                }
+            }
+
+            return error;
+        }
+
+        let errorMessage = (error instanceof Error) ? error.message : String(error);
+
+        return new spHelperError(code, `${message} ${errorMessage}`, Object.assign({}, details, { innerError : error }));
+    }
+
+    /**
+     * Works out the spHelperError code of a failed SharePoint request.
+     *
+     * PARAMETERS
+     *    'message'     - [STRING]  : The SharePoint error message.
+     *    'spErrorCode' - [INTEGER] : The SharePoint error code.
+     *    'spErrorType' - [STRING]  : The SharePoint exception type.
+     */
+    static classify (message, spErrorCode, spErrorType)
+    {
+        let codes = spHelperError.codes;
+
+        message     = String(message || '');
+        spErrorType = String(spErrorType || '');
+
+        if (spErrorType.indexOf('SPQueryThrottledException') !== -1 || spErrorCode === -2147024860 || /list view threshold/i.test(message))
+        {
+            return codes.THRESHOLD_EXCEEDED;
+        }
+
+        if (/too many resources|throttl|too many requests|server too busy|\b429\b|\b503\b/i.test(message))
+        {
+            return codes.THROTTLED;
+        }
+
+        if (spErrorType.indexOf('UnauthorizedAccessException') !== -1 || spErrorCode === -2147024891 || /access denied|access is denied/i.test(message))
+        {
+            return codes.ACCESS_DENIED;
+        }
+
+        if (/list .* does not exist/i.test(message))
+        {
+            return codes.LIST_NOT_FOUND;
+        }
+
+        if (/(column|property) .* does not exist|one or more field types are not installed/i.test(message))
+        {
+            return codes.COLUMN_NOT_FOUND;
+        }
+
+        if (/specified view is invalid|view .* does not exist/i.test(message))
+        {
+            return codes.VIEW_NOT_FOUND;
+        }
+
+        if (/change ?token/i.test(message))
+        {
+            return codes.CHANGE_TOKEN_INVALID;
+        }
+
+        if (spErrorType.indexOf('QueryMalformedException') !== -1)
+        {
+            return codes.INVALID_ARGUMENT;
+        }
+
+        if (/item does not exist/i.test(message))
+        {
+            return codes.ITEM_NOT_FOUND;
+        }
+
+        if (/time(d)? ?out/i.test(message))
+        {
+            return codes.TIMEOUT;
+        }
+
+        return codes.REQUEST_FAILED;
+    }
+
+    /**
+     * Safely reads a value from a SP.ClientRequestFailedEventArgs object. Not every SharePoint version exposes every getter.
+     *
+     * PARAMETERS
+     *    'args'         - [OBJECT] : The SP.ClientRequestFailedEventArgs object.
+     *    'getter'       - [STRING] : The name of the getter function.
+     *    'defaultValue' - [ANY]    : The value returned when the getter is not available.
+     */
+    static readArgs (args, getter, defaultValue)
+    {
+        if (args && typeof args[getter] === 'function')
+        {
+            return args[getter]();
+        }
+
+        return defaultValue;
+    }
+
+    /**
+     * Converts a Retry-After header (seconds or an HTTP date) into seconds.
+     *
+     * PARAMETERS
+     *    'value' - [STRING] : The header value (or undefined).
+     */
+    static retryAfter (value)
+    {
+        if (typeof value === 'undefined' || value === null || String(value).trim() === '')
+        {
+            return undefined;
+        }
+
+        if (/^\s*\d+(\.\d+)?\s*$/.test(value))
+        {
+            return parseFloat(value);
+        }
+
+        let date = Date.parse(value);
+
+        return isNaN(date) ? undefined : Math.max(0, (date - Date.now()) / 1000);
+    }
+
+    /**
+     * Safely reads a header from a fetch Response.
+     *
+     * PARAMETERS
+     *    'response' - [OBJECT] : The fetch Response.
+     *    'name'     - [STRING] : The header name.
+     */
+    static readHeader (response, name)
+    {
+        if (response && response.headers && typeof response.headers.get === 'function')
+        {
+            return response.headers.get(name) || undefined;
+        }
+
+        return undefined;
+    }
+}
+
+/**
+ * The stable error codes used by spHelperError.
+ *
+ * CODES
+ *    'CONFIGURATION'        : The spHelper options are invalid.
+ *    'INVALID_ARGUMENT'     : The details passed to a method are missing or invalid.
+ *    'LIST_NOT_FOUND'       : The list does not exist.
+ *    'COLUMN_NOT_FOUND'     : A requested column does not exist.
+ *    'ITEM_NOT_FOUND'       : The list item does not exist.
+ *    'VIEW_NOT_FOUND'       : The list view does not exist.
+ *    'CHANGE_TOKEN_INVALID' : The change token is older than the change log or belongs to another list.
+ *    'ACCESS_DENIED'        : The user does not have permission to perform the request.
+ *    'THROTTLED'            : SharePoint throttled the request.
+ *    'THRESHOLD_EXCEEDED'   : The query exceeds the list view threshold.
+ *    'TIMEOUT'              : The request or a UI element took too long to respond.
+ *    'CANCELLED'            : The request was cancelled by the caller.
+ *    'REQUEST_FAILED'       : Any other SharePoint request failure.
+ *    'UNKNOWN'              : An unexpected error while processing a request.
+ */
+spHelperError.codes =
+{
+    CONFIGURATION        : 'CONFIGURATION',
+    INVALID_ARGUMENT     : 'INVALID_ARGUMENT',
+    LIST_NOT_FOUND       : 'LIST_NOT_FOUND',
+    COLUMN_NOT_FOUND     : 'COLUMN_NOT_FOUND',
+    ITEM_NOT_FOUND       : 'ITEM_NOT_FOUND',
+    VIEW_NOT_FOUND       : 'VIEW_NOT_FOUND',
+    CHANGE_TOKEN_INVALID : 'CHANGE_TOKEN_INVALID',
+    ACCESS_DENIED        : 'ACCESS_DENIED',
+    THROTTLED            : 'THROTTLED',
+    THRESHOLD_EXCEEDED   : 'THRESHOLD_EXCEEDED',
+    TIMEOUT              : 'TIMEOUT',
+    CANCELLED            : 'CANCELLED',
+    REQUEST_FAILED       : 'REQUEST_FAILED',
+    UNKNOWN              : 'UNKNOWN',
+};
@@ -0,0 +1,4892 @@
+import spXml from './spXml';
+import spTimeZone from './spTimeZone';
+import spRecurrence from './spRecurrence';
+
+/**
+ * SP.PermissionKind values supported by the fake runtime.
+ */
+const permissionKinds =
+{
+    emptyMask                     : 0,
+    viewListItems                 : 1,
+    addListItems                  : 2,
+    editListItems                 : 3,
+    deleteListItems               : 4,
+    approveItems                  : 5,
+    openItems                     : 6,
+    viewVersions                  : 7,
+    deleteVersions                : 8,
+    cancelCheckout                : 9,
+    managePersonalViews           : 10,
+    manageLists                   : 12,
+    viewFormPages                 : 13,
+    anonymousSearchAccessList     : 14,
+    open                          : 17,
+    viewPages                     : 18,
+    addAndCustomizePages          : 19,
+    applyThemeAndBorder           : 20,
+    applyStyleSheets              : 21,
+    viewUsageData                 : 22,
+    createSSCSite                 : 23,
+    manageSubwebs                 : 24,
+    createGroups                  : 25,
+    managePermissions             : 26,
+    browseDirectories             : 27,
+    browseUserInfo                : 28,
+    addDelPrivateWebParts         : 29,
+    updatePersonalWebParts        : 30,
+    manageWeb                     : 31,
+    anonymousSearchAccessWebLists : 32,
+    useClientIntegration          : 37,
+    useRemoteAPIs                 : 38,
+    manageAlerts                  : 39,
+    createAlerts                  : 40,
+    editMyUserInfo                : 41,
+    enumeratePermissions          : 63,
+    fullMask                      : 65,
+};
+
+/**
+ * SP.FieldType values (field type kinds).
+ */
+const fieldTypeKinds =
+{
+    invalid           : 0,
+    integer           : 1,
+    text              : 2,
+    note              : 3,
+    dateTime          : 4,
+    counter           : 5,
+    choice            : 6,
+    lookup            : 7,
+    boolean           : 8,
+    number            : 9,
+    currency          : 10,
+    URL               : 11,
+    computed          : 12,
+    threading         : 13,
+    guid              : 14,
+    multiChoice       : 15,
+    gridChoice        : 16,
+    calculated        : 17,
+    file              : 18,
+    attachments       : 19,
+    user              : 20,
+    recurrence        : 21,
+    crossProjectLink  : 22,
+    modStat           : 23,
+    error             : 24,
+    contentTypeId     : 25,
+    pageSeparator     : 26,
+    threadIndex       : 27,
+    workflowStatus    : 28,
+    allDayEvent       : 29,
+    workflowEventType : 30,
+    maxItems          : 31,
+};
+
+/**
+ * Maps the field type names used when configuring fake lists (the SharePoint 'TypeAsString' names) to a field type kind.
+ */
+const fieldTypeNames =
+{
+    Integer       : fieldTypeKinds.integer,
+    Text          : fieldTypeKinds.text,
+    Note          : fieldTypeKinds.note,
+    DateTime      : fieldTypeKinds.dateTime,
+    Counter       : fieldTypeKinds.counter,
+    Choice        : fieldTypeKinds.choice,
+    Lookup        : fieldTypeKinds.lookup,
+    LookupMulti   : fieldTypeKinds.lookup,
+    Boolean       : fieldTypeKinds.boolean,
+    Number        : fieldTypeKinds.number,
+    Currency      : fieldTypeKinds.currency,
+    URL           : fieldTypeKinds.URL,
+    Computed      : fieldTypeKinds.computed,
+    Guid          : fieldTypeKinds.guid,
+    MultiChoice   : fieldTypeKinds.multiChoice,
+    Calculated    : fieldTypeKinds.calculated,
+    File          : fieldTypeKinds.file,
+    Attachments   : fieldTypeKinds.attachments,
+    User          : fieldTypeKinds.user,
+    UserMulti     : fieldTypeKinds.user,
+    ContentTypeId : fieldTypeKinds.contentTypeId,
+};
+
+/**
+ * Server error messages returned by the fake runtime. These follow the messages, error codes and (REST) HTTP status codes
+ * of SharePoint.
+ */
+const serverErrors =
+{
+    accessDenied       : ['Access denied. You do not have permission to perform this action or access this resource.', -2147024891, 'System.UnauthorizedAccessException', 403],
+    listNotFound       : ["List '{0}' does not exist at site with URL '{1}'.", -2130246326, 'System.ArgumentException', 404],
+    itemNotFound       : ['Item does not exist. It may have been deleted by another user.', -2130575338, 'Microsoft.SharePoint.SPException', 404],
+    columnNotFound     : ["Column '{0}' does not exist. It may have been deleted by another user.", -2147024809, 'System.ArgumentException', 400],
+    fieldNotFound      : ['One or more field types are not installed properly. Go to the list settings page to delete these fields.', -2130575340, 'Microsoft.SharePoint.SPException', 500],
+    readOnlyField      : ['Invalid data has been used to update the list item. The field you are trying to update may be read only.', -2147024809, 'System.ArgumentException', 400],
+    viewNotFound       : ['The specified view is invalid.', -2147024809, 'System.ArgumentException', 404],
+    invalidChangeToken : ['The change token is invalid for this object.', -2147024809, 'System.ArgumentException', 400],
+    changeTokenExpired : ['The changeToken refers to a time before the start of the current change log.', -2146232832, 'Microsoft.SharePoint.SPException', 500],
+    invalidQuery       : ['Cannot complete this action.\n\nPlease try again.', -2130575311, 'Microsoft.SharePoint.SPException', 500],
+    thresholdReached   : ['The attempted operation is prohibited because it exceeds the list view threshold.', -2147024860, 'Microsoft.SharePoint.SPQueryThrottledException', 500],
+    userNotFound       : ["The specified user {0} could not be found.", -2146232832, 'Microsoft.SharePoint.SPException', 500],
+    propertyNotFound   : ["The property '{0}' does not exist on type '{1}'. Make sure to only use property names that are defined by the type.", -1, 'Microsoft.SharePoint.Client.InvalidClientQueryException', 400],
+    securityValidation : ["The security validation for this page is invalid and might be corrupted. Please use your web browser's Back button to try your operation again.", -2130575251, 'Microsoft.SharePoint.SPException', 403],
+    notFound           : ['The requested resource was not found.', -1, 'Microsoft.SharePoint.Client.ResourceNotFoundException', 404],
+    throttled          : ['The request uses too many resources.', -2146233088, 'Microsoft.SharePoint.SPException', 429],
+    timeout            : ['The operation has timed out.', -2146233083, 'System.TimeoutException', 504],
+    invalidSearchQuery : ["We didn't understand your search terms. Make sure they're using proper syntax.", -1, 'Microsoft.Office.Server.Search.Query.QueryMalformedException', 400],
+};
+
+// The View Scope of each SP.ViewScope value.
+const viewScopes = ['Default', 'Recursive', 'RecursiveAll', 'FilesOnly'];
+
+// The SP.ChangeType values logged for list items.
+const changeTypes = { add : 1, update : 2, deleteObject : 3 };
+
+// The result sources of the fake search: all results and documents only.
+const searchSources = { localResults : '8413cd39-2156-4e00-b54d-11efd9abdb89', documents : 'e7ec8cee-ded8-43c9-beb5-436b54b31e84' };
+
+// The time zone of a fake site unless the 'timeZone' option is set.
+const defaultTimeZone = { id : 93, description : '(UTC) Coordinated Universal Time', bias : 0, standardBias : 0, daylightBias : 0 };
+
+const notInitializedMessage = 'The property or field has not been initialized. It has not been requested or the request has not been executed. It may need to be explicitly requested.';
+
+/**
+ * An in-memory SharePoint farm (one site) with a fake JSOM (SP namespace) on top of it. Lets spHelper, and code built on
+ * spHelper, run under Node without a SharePoint server. Requests are queued on the fake SP.ClientContext exactly like JSOM
+ * and only run against the in-memory site when executeQueryAsync is called.
+ *
+ * EXAMPLES
+ *      let fakeSite = new spHelperFake({ url : 'https://contoso.sharepoint.com/sites/dev' });
+ *
+ *      fakeSite.addList(
+ *      {
+ *          title  : 'Tasks',
+ *          fields : [ { internalName : 'Status', type : 'Choice', choices : ['Open', 'Closed'], indexed : true } ],
+ *          items  : [ { Title : 'First task', Status : 'Open' } ],
+ *      });
+ *
+ *      fakeSite.install();
+ *
+ *      let dataConnection = new spHelper({});
+ */
+export default class spHelperFake
+{
+    /**
+     * Creates the in-memory site.
+     *
+     * PARAMETERS
+     *    'options' - [OBJECT] : List of fake site options.
+     *
+     * OPTIONS
+     *    'url'               - [STRING]  : Full URL of the fake site.
+     *    'title'             - [STRING]  : Title of the fake site.
+     *    'currentUser'       - [OBJECT]  : The user running the requests. See addUser ().
+     *    'listViewThreshold' - [INTEGER] : The list view threshold (MaxItemsPerThrottledOperation of the site). Defaults to 5000.
+     *    'latency'           - [INTEGER] : Milliseconds before executeQueryAsync calls back. Defaults to 0.
+     *    'timeZone'          - [OBJECT]  : The RegionalSettings time zone { id, description, bias, standardBias, daylightBias,
+     *                                      name }. CAML dates are compared in this time zone, the IANA 'name' adds daylight
+     *                                      saving time. Defaults to UTC.
+     *    'decimalSeparator'  - [STRING]  : The RegionalSettings decimal separator of formatted numbers. Defaults to '.'.
+     *    'thousandSeparator' - [STRING]  : The RegionalSettings thousand separator of formatted numbers. Defaults to ','.
+     */
+    constructor (options = {})
+    {
+        let url = (options.url || 'https://fake.sharepoint.com/sites/dev').replace(/\/$/, '');
+
+        this.url               = url;
+        this.serverRelativeUrl = url.replace(/^https?:\/\/[^/]+/, '') || '/';
+        this.title             = options.title || 'Fake Site';
+        this.masterUrl         = this.serverRelativeUrl.replace(/\/$/, '') + '/_catalogs/masterpage/seattle.master';
+        this.listViewThreshold = (typeof options.listViewThreshold !== 'undefined') ? options.listViewThreshold : 5000;
+        this.latency           = options.latency || 0;
+        this.timeZone          = new spTimeZone(options.timeZone || defaultTimeZone);
+        this.decimalSeparator  = options.decimalSeparator || '.';
+        this.thousandSeparator = (typeof options.thousandSeparator === 'string') ? options.thousandSeparator : ',';
+        this.requestCount      = 0;
+        this.lists             = [];
+        this.users             = [];
+        this.guidCounter       = 0;
+        this.changeNumber      = 0;
+        this.installed         = null;
+        this.failures          = [];
+
+        this.currentUser = this.addUser(options.currentUser || { title : 'Fake User', email : 'fake.user@contoso.com' });
+
+        this.SP          = spHelperFake.createNamespace(this);
+        this.Microsoft   = spHelperFake.createSearchNamespace();
+        this.restService = new spFakeRestService(this);
+
+        // A fetch function that answers the SharePoint REST (_api) requests of the REST transport.
+        this.fetch = (url, init) => this.restService.fetch(url, init);
+    }
+
+    /**
+     * Adds a user to the fake site.
+     *
+     * PARAMETERS
+     *    'user' - [OBJECT] : { id, title, email, loginName, profile } - Only the title is required. The 'profile' is an object
+     *                        of user profile properties returned by SP.UserProfiles.PeopleManager.
+     */
+    addUser (user)
+    {
+        let record =
+        {
+            id        : user.id || (this.users.reduce( (max, item) => Math.max(max, item.id), 0 ) + 1),
+            title     : user.title,
+            email     : user.email || '',
+            loginName : user.loginName || `i:0#.f|membership|${user.email || user.title}`,
+            profile   : user.profile,
+        };
+
+        if (typeof record.profile === 'undefined')
+        {
+            record.profile =
+            {
+                AccountName   : record.loginName,
+                PreferredName : record.title,
+                WorkEmail     : record.email,
+                Manager       : '',
+            };
+        }
+
+        this.users.push(record);
+
+        return record;
+    }
+
+    /**
+     * Adds a list (or library) to the fake site.
+     *
+     * PARAMETERS
+     *    'listDetails' - [OBJECT] : Details of the list.
+     *
+     * OPTIONS
+     *    listDetails
+     *        'title'       - [STRING]  : The list title. Required.
+     *        'id'          - [STRING]  : The list GUID. Generated when not set.
+     *        'template'    - [INTEGER] : The list template (100 list, 101 document library, 106 calendar). Calendars have the
+     *                                    fields of an Events list (EventDate, EndDate, fRecurrence, RecurrenceData, ...).
+     *                                    Queries with ExpandRecurrence return the occurrences of their recurring events.
+     *        'fields'      - [ARRAY]   : Field definitions { internalName, title, type, required, indexed, readOnly, hidden,
+     *                                    choices, lookupList, lookupField, allowMultipleValues, ... }. 'Title' is always added.
+     *        'items'       - [ARRAY]   : Items keyed by field internal name. Lookup values use the lookup ID (or an array of IDs),
+     *                                    user values use the user ID, email or login name, URL values use { url, description }.
+     *        'permissions' - [ARRAY]   : The SP.PermissionKind names the current user has on the list. Defaults to full control.
+     *        'views'       - [ARRAY]   : List views. See addView ().
+     *        Any other list setting (description, enableAttachments, enableVersioning, ...) is returned as is.
+     */
+    addList (listDetails)
+    {
+        let template     = listDetails.template || 100;
+        let internalName = listDetails.internalName || listDetails.title.replace(/[^A-Za-z0-9]/g, '');
+        let rootFolder   = this.serverRelativeUrl.replace(/\/$/, '') + ((template === 100 || template === 106) ? '/Lists/' : '/') + internalName;
+
+        let list =
+        {
+            id                   : listDetails.id || this.newGuid(),
+            title                : listDetails.title,
+            internalName         : internalName,
+            template             : template,
+            description          : listDetails.description || '',
+            enableAttachments    : listDetails.enableAttachments !== false,
+            contentTypesEnabled  : listDetails.contentTypesEnabled === true,
+            enableFolderCreation : listDetails.enableFolderCreation === true,
+            enableMinorVersions  : listDetails.enableMinorVersions === true,
+            enableModeration     : listDetails.enableModeration === true,
+            enableVersioning     : listDetails.enableVersioning === true,
+            forceCheckout        : listDetails.forceCheckout === true,
+            rootFolder           : rootFolder,
+            contentTypeId        : template === 101 ? '0x0101' : '0x01',
+            permissions          : listDetails.permissions || ['fullMask'],
+            fields               : [],
+            items                : [],
+            views                : [],
+            changes              : [],
+            changeLogStart       : 0,
+            nextId               : 1,
+        };
+
+        this.lists.push(list);
+
+        spHelperFake.builtInFields(template).concat(listDetails.fields || []).forEach( (field) =>
+        {
+            this.addField(list.title, field);
+        });
+
+        (listDetails.items || []).forEach( (item) =>
+        {
+            this.addItem(list.title, item);
+        });
+
+        (listDetails.views || []).forEach( (view) =>
+        {
+            this.addView(list.title, view);
+        });
+
+        return list;
+    }
+
+    /**
+     * Adds a view to a fake list.
+     *
+     * PARAMETERS
+     *    'listTitle' - [STRING] : The list title (or GUID).
+     *    'view'      - [OBJECT] : { title, id, query, fields, rowLimit, scope } - Only the title is required. The 'query' is
+     *                             the ViewQuery (e.g. "<Where>...</Where><OrderBy>...</OrderBy>"), the 'scope' is 'Default',
+     *                             'Recursive', 'RecursiveAll' or 'FilesOnly'.
+     */
+    addView (listTitle, view)
+    {
+        let list = this.findList(listTitle);
+
+        let record =
+        {
+            id       : view.id || this.newGuid(),
+            title    : view.title,
+            query    : view.query || '',
+            fields   : view.fields || ['Title'],
+            rowLimit : view.rowLimit || 30,
+            scope    : Math.max(0, viewScopes.indexOf(view.scope || 'Default')),
+        };
+
+        list.views = list.views.filter( item => item.title !== record.title ).concat([record]);
+
+        return record;
+    }
+
+    /**
+     * Finds a view of a fake list by title or GUID. Throws the SharePoint error when it does not exist.
+     *
+     * PARAMETERS
+     *    'list'       - [OBJECT] : The list record.
+     *    'titleOrId'  - [STRING] : The view title or GUID.
+     */
+    findView (list, titleOrId)
+    {
+        let id   = String(titleOrId).replace(/[{}]/g, '').toLowerCase();
+        let view = list.views.find( item => item.title === titleOrId || item.id.toLowerCase() === id );
+
+        if (!view)
+        {
+            throw spHelperFake.serverError('viewNotFound');
+        }
+
+        return view;
+    }
+
+    /**
+     * Adds a field to a fake list.
+     *
+     * PARAMETERS
+     *    'listTitle' - [STRING] : The list title (or GUID).
+     *    'field'     - [OBJECT] : The field definition. See addList ().
+     */
+    addField (listTitle, field)
+    {
+        let list = this.findList(listTitle);
+        let type = field.type || 'Text';
+
+        if (typeof fieldTypeNames[type] === 'undefined')
+        {
+            throw new Error(`spHelperFake: Unknown field type '${type}'.`);
+        }
+
+        let record = Object.assign(
+        {
+            id                  : this.newGuid(),
+            title               : field.internalName,
+            type                : type,
+            kind                : fieldTypeNames[type],
+            required            : false,
+            hidden              : false,
+            readOnly            : false,
+            indexed             : false,
+            unique              : false,
+            defaultValue        : null,
+            description         : '',
+            allowMultipleValues : (type === 'LookupMulti' || type === 'UserMulti' || field.allowMultipleValues === true),
+        }, field);
+
+        // Lookup fields point to a list by GUID, like SharePoint.
+        if (record.kind === fieldTypeKinds.lookup && typeof record.lookupList !== 'undefined')
+        {
+            let lookupList = this.findList(record.lookupList, false);
+
+            record.lookupList  = lookupList ? `{${lookupList.id}}` : record.lookupList;
+            record.lookupField = record.lookupField || 'Title';
+        }
+
+        list.fields = list.fields.filter( item => item.internalName !== record.internalName ).concat([record]);
+
+        return record;
+    }
+
+    /**
+     * Adds an item (or folder) to a fake list and returns the new item ID. Use { FSObjType : 1, FileLeafRef : 'name' } to add a
+     * folder and 'FileDirRef' (server relative URL) to place an item inside a folder.
+     *
+     * PARAMETERS
+     *    'listTitle' - [STRING] : The list title (or GUID).
+     *    'values'    - [OBJECT] : Item values keyed by field internal name. See addList ().
+     */
+    addItem (listTitle, values = {})
+    {
+        let list = this.findList(listTitle);
+        let item = this.createItem(list, values.FSObjType === 1, values.FileDirRef, values.FileLeafRef);
+
+        for (let key in values)
+        {
+            if (['ID', 'FSObjType', 'FileDirRef', 'FileLeafRef', 'FileRef'].includes(key))
+            {
+                continue;
+            }
+
+            let field = this.findField(list, key);
+
+            item[key] = this.toServerValue(field, values[key]);
+        }
+
+        this.logChange(list, changeTypes.add, item.ID);
+
+        return item.ID;
+    }
+
+    /**
+     * Empties the change log of a list, like SharePoint does with changes older than the change log retention. Reading changes
+     * with an older change token fails.
+     *
+     * PARAMETERS
+     *    'listTitle' - [STRING] : The list title (or GUID).
+     */
+    clearChangeLog (listTitle)
+    {
+        let list = this.findList(listTitle);
+
+        list.changes        = [];
+        list.changeLogStart = this.changeNumber;
+    }
+
+    /**
+     * Returns a copy of the items stored in a fake list (server values: lookups are { id, value }, users are { id, value, email }).
+     *
+     * PARAMETERS
+     *    'listTitle' - [STRING] : The list title (or GUID).
+     */
+    getItems (listTitle)
+    {
+        return this.findList(listTitle).items.map( item => Object.assign({}, item) );
+    }
+
+    /**
+     * Sets the SP.PermissionKind names the current user has on a list.
+     *
+     * PARAMETERS
+     *    'listTitle'   - [STRING] : The list title (or GUID).
+     *    'permissions' - [ARRAY]  : Array of SP.PermissionKind names (e.g. ['viewListItems', 'addListItems']).
+     */
+    setPermissions (listTitle, permissions)
+    {
+        this.findList(listTitle).permissions = permissions;
+    }
+
+    /**
+     * Makes the next requests (JSOM executeQueryAsync or REST) fail before anything is run, like throttled or timed out
+     * SharePoint requests.
+     *
+     * PARAMETERS
+     *    'count'      - [INTEGER] : The number of requests that fail.
+     *    'type'       - [STRING]  : 'throttled' (HTTP 429, default) or 'timeout' (HTTP 504).
+     *    'retryAfter' - [NUMBER]  : The Retry-After header (seconds) of the failed REST responses.
+     */
+    failRequests (count, type = 'throttled', retryAfter)
+    {
+        for (let i = 0; i < count; i++)
+        {
+            this.failures.push({ type : type, retryAfter : retryAfter });
+        }
+    }
+
+    /**
+     * Returns (and removes) the failure planned for the next request, or null.
+     */
+    nextFailure ()
+    {
+        return (this.failures.length > 0) ? this.failures.shift() : null;
+    }
+
+    /**
+     * Expires the request digests handed out by the REST service, like SharePoint does after 30 minutes.
+     */
+    expireRequestDigests ()
+    {
+        this.restService.digests = [];
+    }
+
+    /**
+     * Installs the fake SP namespace (and a DOMParser when none exists) on the global object so spHelper can be used.
+     *
+     * PARAMETERS
+     *    'target' - [OBJECT] : The global object. Defaults to the current global object.
+     */
+    install (target)
+    {
+        target = target || spHelperFake.globalObject();
+
+        this.installed = { target : target, SP : target.SP, Microsoft : target.Microsoft, DOMParser : target.DOMParser };
+
+        target.SP        = this.SP;
+        target.Microsoft = this.Microsoft;
+
+        if (typeof target.DOMParser === 'undefined')
+        {
+            target.DOMParser = spHelperFake.DOMParser;
+        }
+
+        return this;
+    }
+
+    /**
+     * Restores the global object to the state it had before install ().
+     */
+    uninstall ()
+    {
+        if (this.installed !== null)
+        {
+            this.installed.target.SP        = this.installed.SP;
+            this.installed.target.Microsoft = this.installed.Microsoft;
+            this.installed.target.DOMParser = this.installed.DOMParser;
+
+            this.installed = null;
+        }
+    }
+
+    /**
+     * Finds a list by title or GUID. Throws a fake server error when the list does not exist (unless 'required' is false).
+     *
+     * PARAMETERS
+     *    'titleOrId' - [STRING] : The list title or GUID.
+     *    'required'  - [BOOL]   : Throw when the list does not exist.
+     */
+    findList (titleOrId, required = true)
+    {
+        let id   = String(titleOrId).replace(/[{}]/g, '').toLowerCase();
+        let list = this.lists.find( item => item.title === titleOrId || item.id.toLowerCase() === id );
+
+        if (!list && required)
+        {
+            throw spHelperFake.serverError('listNotFound', titleOrId, this.url);
+        }
+
+        return list || null;
+    }
+
+    /**
+     * Checks the current user can access a list (and has a permission on it). Throws the access denied server error otherwise.
+     *
+     * PARAMETERS
+     *    'list'       - [OBJECT] : The list record.
+     *    'permission' - [STRING] : The SP.PermissionKind name to check. Only access to the list is checked when not set.
+     */
+    checkPermission (list, permission)
+    {
+        let permissions = new spFakeBasePermissions(list.permissions);
+
+        if (list.permissions.length === 0 || (typeof permission !== 'undefined' && !permissions.has(permissionKinds[permission])))
+        {
+            throw spHelperFake.serverError('accessDenied');
+        }
+
+        return list;
+    }
+
+    /**
+     * Finds a field of a list by internal name. Throws a fake server error when the field does not exist.
+     *
+     * PARAMETERS
+     *    'list'         - [OBJECT] : The list record.
+     *    'internalName' - [STRING] : The field internal name.
+     */
+    findField (list, internalName)
+    {
+        let field = list.fields.find( item => item.internalName === internalName );
+
+        if (!field)
+        {
+            throw spHelperFake.serverError('columnNotFound', internalName);
+        }
+
+        return field;
+    }
+
+    /**
+     * Finds a user by ID, email, login name or title.
+     *
+     * PARAMETERS
+     *    'key' - [INTEGER/STRING] : The user ID, email, login name or title.
+     */
+    findUser (key)
+    {
+        let text = String(key).toLowerCase();
+
+        let user = this.users.find( item => item.id === key || String(item.id) === text || item.email.toLowerCase() === text ||
+                                            item.loginName.toLowerCase() === text || item.title.toLowerCase() === text ||
+                                            item.loginName.toLowerCase().endsWith('|' + text) );
+
+        if (!user)
+        {
+            throw spHelperFake.serverError('userNotFound', key);
+        }
+
+        return user;
+    }
+
+    /**
+     * Creates a blank item (or folder) in a list with the system fields set.
+     *
+     * PARAMETERS
+     *    'list'     - [OBJECT]  : The list record.
+     *    'isFolder' - [BOOL]    : Create a folder instead of an item.
+     *    'folder'   - [STRING]  : The server relative URL of the parent folder. Defaults to the list root folder.
+     *    'leafName' - [STRING]  : The folder (or file) name.
+     */
+    createItem (list, isFolder = false, folder, leafName)
+    {
+        let now  = new Date();
+        let user = { id : this.currentUser.id, value : this.currentUser.title, email : this.currentUser.email };
+        let id   = list.nextId++;
+        let dir  = (folder || list.rootFolder).replace(/\/$/, '');
+        let leaf = leafName || (isFolder ? `Folder${id}` : `${id}_.000`);
+
+        let item =
+        {
+            ID            : id,
+            Title         : isFolder ? leaf : null,
+            Created       : now,
+            Modified      : now,
+            Author        : user,
+            Editor        : user,
+            FSObjType     : isFolder ? 1 : 0,
+            FileLeafRef   : leaf,
+            FileDirRef    : dir,
+            FileRef       : `${dir}/${leaf}`,
+            ContentTypeId : isFolder ? '0x0120' : list.contentTypeId,
+            Attachments   : false,
+        };
+
+        list.fields.forEach( function (field)
+        {
+            if (typeof item[field.internalName] === 'undefined')
+            {
+                item[field.internalName] = (field.defaultValue !== null && typeof field.defaultValue !== 'undefined') ? field.defaultValue : null;
+            }
+        });
+
+        list.items.push(item);
+
+        return item;
+    }
+
+    /**
+     * Adds an item change to the change log of a list (read with SP.List.getChanges).
+     *
+     * PARAMETERS
+     *    'list'       - [OBJECT]  : The list record.
+     *    'changeType' - [INTEGER] : The SP.ChangeType value.
+     *    'itemId'     - [INTEGER] : The item ID.
+     */
+    logChange (list, changeType, itemId)
+    {
+        let time = new Date();
+
+        this.changeNumber++;
+
+        list.changes.push({ changeType : changeType, itemId : itemId, time : time, token : this.changeToken(list, this.changeNumber, time) });
+    }
+
+    /**
+     * Returns a change token of a list ('1;3;<list id>;<ticks>;<change number>').
+     *
+     * PARAMETERS
+     *    'list'         - [OBJECT]  : The list record.
+     *    'changeNumber' - [INTEGER] : The change number.
+     *    'time'         - [DATE]    : The time of the change.
+     */
+    changeToken (list, changeNumber, time = new Date())
+    {
+        return `1;3;${list.id};${time.getTime() * 10000 + 621355968000000000};${changeNumber}`;
+    }
+
+    /**
+     * Returns the item changes of a list selected by a change query. Fails when the start token belongs to another list or
+     * is older than the change log.
+     *
+     * PARAMETERS
+     *    'list'  - [OBJECT] : The list record.
+     *    'query' - [OBJECT] : { item, add, update, deleteObject, changeTokenStart, fetchLimit } - The start token is a string.
+     */
+    listChanges (list, query)
+    {
+        let start = 0;
+
+        if (typeof query.changeTokenStart === 'string' && query.changeTokenStart !== '')
+        {
+            let parts = query.changeTokenStart.split(';');
+
+            if (parts.length !== 5 || parts[2].toLowerCase() !== list.id.toLowerCase() || isNaN(parts[4]))
+            {
+                throw spHelperFake.serverError('invalidChangeToken');
+            }
+
+            start = parseInt(parts[4]);
+
+            if (start < list.changeLogStart)
+            {
+                throw spHelperFake.serverError('changeTokenExpired');
+            }
+        }
+
+        let types = [];
+
+        if (query.add)          { types.push(changeTypes.add); }
+        if (query.update)       { types.push(changeTypes.update); }
+        if (query.deleteObject) { types.push(changeTypes.deleteObject); }
+
+        let changes = query.item ? list.changes.filter( change => types.includes(change.changeType) && parseInt(change.token.split(';')[4]) > start ) : [];
+
+        return changes.slice(0, query.fetchLimit || 1000);
+    }
+
+    /**
+     * Converts a configured or client (JSOM) value into the value stored by the fake server.
+     *
+     * PARAMETERS
+     *    'field' - [OBJECT] : The field record.
+     *    'value' - [ANY]    : The value to convert.
+     */
+    toServerValue (field, value)
+    {
+        if (value === null || typeof value === 'undefined' || value === '')
+        {
+            return (field.kind === fieldTypeKinds.text || field.kind === fieldTypeKinds.note) && value === '' ? '' : null;
+        }
+
+        if (Array.isArray(value) && field.kind !== fieldTypeKinds.multiChoice)
+        {
+            let values = [].concat(...value.map( item => this.toServerValue(field, item) )).filter( item => item !== null );
+
+            return field.allowMultipleValues ? values : (values[0] || null);
+        }
+
+        switch (field.kind)
+        {
+            case fieldTypeKinds.lookup:
+            {
+                let lookupId   = (typeof value === 'object') ? (value.get_lookupId ? value.get_lookupId() : value.id) : value;
+                let lookupList = this.findList(field.lookupList, false);
+                let target     = lookupList ? lookupList.items.find( item => item.ID === parseInt(lookupId) ) : null;
+                let result     = { id : parseInt(lookupId), value : target ? spHelperFake.textValue(target[field.lookupField]) : null };
+
+                return field.allowMultipleValues ? [result] : result;
+            }
+            case fieldTypeKinds.user:
+            {
+                let key = value;
+
+                if (typeof value === 'object')
+                {
+                    key = (value.get_lookupId && value.get_lookupId() !== -1) ? value.get_lookupId() : (value.get_lookupValue ? value.get_lookupValue() : value.id);
+                }
+
+                let user   = this.findUser(key);
+                let result = { id : user.id, value : user.title, email : user.email };
+
+                return field.allowMultipleValues ? [result] : result;
+            }
+            case fieldTypeKinds.URL:
+            {
+                if (typeof value === 'string')
+                {
+                    return { url : value, description : value };
+                }
+
+                return {
+                    url         : value.get_url ? value.get_url() : value.url,
+                    description : value.get_description ? value.get_description() : value.description,
+                };
+            }
+            case fieldTypeKinds.dateTime:
+                return new Date(value);
+            case fieldTypeKinds.integer:
+            case fieldTypeKinds.counter:
+            case fieldTypeKinds.number:
+            case fieldTypeKinds.currency:
+                return Number(value);
+            case fieldTypeKinds.boolean:
+                return (value === true || value === 1 || String(value).toLowerCase() === 'true' || value === '1');
+            case fieldTypeKinds.multiChoice:
+                return [].concat(value).map(String);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Creates a new (predictable) GUID.
+     */
+    newGuid ()
+    {
+        this.guidCounter++;
+
+        return '00000000-0000-4000-8000-' + ('000000000000' + this.guidCounter.toString(16)).slice(-12);
+    }
+
+    /**
+     * The fields every fake list starts with.
+     *
+     * PARAMETERS
+     *    'template' - [INTEGER] : The list template.
+     */
+    static builtInFields (template)
+    {
+        // The fields of an Events list. Durations are seconds, RecurrenceData is the XML of the repeat pattern.
+        let calendarFields =
+        [
+            { internalName : 'EventDate',          type : 'DateTime', title : 'Start Time', required : true, indexed : true },
+            { internalName : 'EndDate',            type : 'DateTime', title : 'End Time',   required : true, indexed : true },
+            { internalName : 'Location',           type : 'Text',     title : 'Location' },
+            { internalName : 'fAllDayEvent',       type : 'Boolean',  title : 'All Day Event' },
+            { internalName : 'fRecurrence',        type : 'Boolean',  title : 'Recurrence' },
+            { internalName : 'RecurrenceData',     type : 'Note',     title : 'RecurrenceData',     hidden : true },
+            { internalName : 'EventType',          type : 'Integer',  title : 'Event Type',         hidden : true },
+            { internalName : 'MasterSeriesItemID', type : 'Integer',  title : 'MasterSeriesItemID', hidden : true },
+            { internalName : 'RecurrenceID',       type : 'DateTime', title : 'Recurrence ID',      hidden : true },
+            { internalName : 'Duration',           type : 'Integer',  title : 'Duration',           hidden : true },
+        ];
+
+        return [
+            { internalName : 'ContentType',   type : 'Computed',      title : 'Content Type' },
+            { internalName : 'Title',         type : 'Text',          title : 'Title', required : template === 100, maxLength : 255 },
+            { internalName : 'ID',            type : 'Counter',       title : 'ID',       readOnly : true, indexed : true },
+            { internalName : 'Created',       type : 'DateTime',      title : 'Created',  readOnly : true },
+            { internalName : 'Modified',      type : 'DateTime',      title : 'Modified', readOnly : true },
+            { internalName : 'Author',        type : 'User',          title : 'Created By',  readOnly : true },
+            { internalName : 'Editor',        type : 'User',          title : 'Modified By', readOnly : true },
+            { internalName : 'Attachments',   type : 'Attachments',   title : 'Attachments' },
+            { internalName : 'FileRef',       type : 'Text',          title : 'URL Path',    readOnly : true, hidden : true },
+            { internalName : 'FileDirRef',    type : 'Text',          title : 'Path',        readOnly : true, hidden : true },
+            { internalName : 'FileLeafRef',   type : 'File',          title : 'Name',        hidden : true },
+            { internalName : 'FSObjType',     type : 'Integer',       title : 'Item Type',   readOnly : true, hidden : true },
+            { internalName : 'ContentTypeId', type : 'ContentTypeId', title : 'Content Type ID', readOnly : true, hidden : true },
+        ].concat((template === 106) ? calendarFields : []);
+    }
+
+    /**
+     * Creates a fake server error (thrown while a request is executed and passed to the executeQueryAsync failure callback).
+     *
+     * PARAMETERS
+     *    'type' - [STRING] : The serverErrors key.
+     *    'args' - [ANY]    : Values replacing the {0}, {1} place holders of the message.
+     */
+    static serverError (type, ...args)
+    {
+        let message = serverErrors[type][0].replace(/\{(\d+)\}/g, (match, index) => args[index]);
+
+        return new spFakeServerError(message, serverErrors[type][1], serverErrors[type][2], serverErrors[type][3]);
+    }
+
+    /**
+     * Returns the text of a server value (used for lookup values, sorting and text comparisons).
+     *
+     * PARAMETERS
+     *    'value' - [ANY] : The server value.
+     */
+    static textValue (value)
+    {
+        if (value === null || typeof value === 'undefined')
+        {
+            return null;
+        }
+
+        if (value instanceof Date)
+        {
+            return value.toISOString();
+        }
+
+        if (typeof value === 'object' && 'value' in value)
+        {
+            return value.value;
+        }
+
+        if (typeof value === 'object' && 'url' in value)
+        {
+            return value.url;
+        }
+
+        return String(value);
+    }
+
+    /**
+     * Returns the global object (window in a browser, global in Node).
+     */
+    static globalObject ()
+    {
+        return Function('return this')();
+    }
+
+    /**
+     * Builds the fake SP namespace for a fake site.
+     *
+     * PARAMETERS
+     *    'site' - [spHelperFake] : The fake site.
+     */
+    static createNamespace (site)
+    {
+        let currentContext = null;
+
+        let ClientContext = function (url)
+        {
+            return new spFakeClientContext(site, url || site.url);
+        };
+
+        // JSOM code calls 'new SP.ClientContext.get_current()', so this must be a plain (constructible) function.
+        ClientContext.get_current = function ()
+        {
+            if (currentContext === null)
+            {
+                currentContext = new spFakeClientContext(site, site.url);
+            }
+
+            return currentContext;
+        };
+
+        let FieldUserValue = function ()
+        {
+            return new spFakeFieldUserValue();
+        };
+
+        FieldUserValue.fromUser = function (userName)
+        {
+            let value = new spFakeFieldUserValue();
+
+            value.set_lookupValue(userName);
+
+            return value;
+        };
+
+        let CamlQuery = function ()
+        {
+            return new spFakeCamlQuery();
+        };
+
+        CamlQuery.createAllItemsQuery = function ()
+        {
+            let query = new spFakeCamlQuery();
+
+            query.set_viewXml("<View Scope='RecursiveAll'><Query></Query></View>");
+
+            return query;
+        };
+
+        return {
+            ClientContext               : ClientContext,
+            AppContextSite              : function (context) { return new spFakeAppContextSite(context); },
+            ExceptionHandlingScope      : function (context) { return new spFakeExceptionHandlingScope(context); },
+            CamlQuery                   : CamlQuery,
+            ListItemCollectionPosition  : function () { return new spFakeListItemCollectionPosition(); },
+            RenderListDataParameters    : function () { return new spFakeRenderListDataParameters(); },
+            RenderListDataOptions       : { none : 0, contextInfo : 1, listData : 2, listSchema : 4, menuView : 8 },
+            ChangeQuery                 : function (allChangeTypes, allObjectTypes) { return new spFakeChangeQuery(allChangeTypes, allObjectTypes); },
+            ChangeToken                 : function () { return new spFakeChangeToken(); },
+            ChangeType                  : { noChange : 0, add : 1, update : 2, deleteObject : 3, rename : 4, moveAway : 5, moveInto : 6, restore : 7, systemUpdate : 15 },
+            ListItemCreationInformation : function () { return new spFakeListItemCreationInformation(); },
+            FieldLookupValue            : function () { return new spFakeFieldLookupValue(); },
+            FieldUserValue              : FieldUserValue,
+            FieldUrlValue               : function () { return new spFakeFieldUrlValue(); },
+            Guid                        : function (value) { return { value : String(value), toString : function () { return this.value; } }; },
+            BasePermissions             : function () { return new spFakeBasePermissions([]); },
+            PermissionKind              : Object.assign({}, permissionKinds),
+            FieldType                   : Object.assign({}, fieldTypeKinds),
+            FileSystemObjectType        : { invalid : -1, file : 0, folder : 1, web : 2 },
+            DateTimeFieldFormatType     : { dateOnly : 0, dateTime : 1 },
+            UserProfiles                :
+            {
+                PeopleManager : function (context) { return new spFakePeopleManager(context); },
+            },
+            UI                          :
+            {
+                ApplicationPages :
+                {
+                    ClientPeoplePickerQueryParameters     : function () { return new spFakePeoplePickerQuery(); },
+                    ClientPeoplePickerWebServiceInterface :
+                    {
+                        clientPeoplePickerSearchUser : function (context, query) { return spFakePeoplePickerQuery.search(context, query); },
+                    },
+                },
+            },
+        };
+    }
+
+    /**
+     * Builds the fake search namespace (Microsoft.SharePoint.Client.Search.Query of SP.Search.js).
+     */
+    static createSearchNamespace ()
+    {
+        return {
+            SharePoint :
+            {
+                Client :
+                {
+                    Search :
+                    {
+                        Query :
+                        {
+                            KeywordQuery   : function (context) { return new spFakeKeywordQuery(context); },
+                            SearchExecutor : function (context) { return new spFakeSearchExecutor(context); },
+                            SortDirection  : { ascending : 0, descending : 1, fqlFormula : 2 },
+                        },
+                    },
+                },
+            },
+        };
+    }
+}
+
+/**
+ * A DOMParser replacement for environments without one (Node).
+ */
+spHelperFake.DOMParser = class
+{
+    parseFromString (text)
+    {
+        return spXml.parse(text);
+    }
+};
+
+/**
+ * An error raised by the fake server while a request is executed.
+ */
+class spFakeServerError
+{
+    constructor (message, errorCode, errorTypeName, status = 500)
+    {
+        this.message       = message;
+        this.errorCode     = errorCode;
+        this.errorTypeName = errorTypeName;
+        this.status        = status;
+    }
+}
+
+/**
+ * Fake SP.ClientRequestFailedEventArgs passed to the executeQueryAsync failure callback.
+ */
+class spFakeRequestFailedEventArgs
+{
+    constructor (error, correlationId)
+    {
+        this.error         = error;
+        this.correlationId = correlationId;
+    }
+
+    get_message ()                   { return this.error.message; }
+    get_errorCode ()                 { return this.error.errorCode; }
+    get_errorTypeName ()             { return this.error.errorTypeName; }
+    get_errorDetails ()              { return null; }
+    get_errorValue ()                { return null; }
+    get_errorTraceCorrelationId ()   { return this.correlationId; }
+    get_stackTrace ()                { return ''; }
+}
+
+/**
+ * Fake SP.ClientContext. Every request (load, update, delete, ...) is queued and only runs when executeQueryAsync is called.
+ */
+class spFakeClientContext
+{
+    constructor (site, url)
+    {
+        this.site    = site;
+        this.url     = url;
+        this.pending = [];
+        this.scope   = null;
+        this.web     = new spFakeWeb(this);
+    }
+
+    get_url ()
+    {
+        return this.url;
+    }
+
+    get_web ()
+    {
+        return this.web;
+    }
+
+    get_site ()
+    {
+        return new spFakeSite(this);
+    }
+
+    /**
+     * Queues a client object to be loaded. Extra arguments are the properties (or an 'Include(...)' expression) to load.
+     */
+    load (clientObject, ...properties)
+    {
+        let include = [].concat(...properties).filter( item => typeof item === 'string' );
+
+        this.addOperation( () => clientObject.loadFromServer(include) );
+    }
+
+    /**
+     * Queues a server operation.
+     */
+    addOperation (operation)
+    {
+        let scope = this.scope;
+
+        // Inside an exception handling scope a server error is stored on the scope and the rest of the scope is skipped.
+        if (scope !== null)
+        {
+            this.pending.push( () => scope.run(operation) );
+        }
+        else
+        {
+            this.pending.push(operation);
+        }
+    }
+
+    /**
+     * Runs the queued requests against the fake site then calls back (asynchronously, like JSOM).
+     */
+    executeQueryAsync (onSuccess, onFailure)
+    {
+        let operations = this.pending;
+        let site       = this.site;
+        let planned    = site.nextFailure();
+
+        this.pending = [];
+
+        site.requestCount++;
+
+        setTimeout( () =>
+        {
+            let failure = null;
+
+            try
+            {
+                if (planned !== null)
+                {
+                    throw spHelperFake.serverError(planned.type);
+                }
+
+                operations.forEach( operation => operation() );
+            }
+            catch (error)
+            {
+                if (!(error instanceof spFakeServerError))
+                {
+                    throw error;
+                }
+
+                failure = new spFakeRequestFailedEventArgs(error, site.newGuid());
+            }
+
+            if (failure === null)
+            {
+                if (typeof onSuccess === 'function')
+                {
+                    onSuccess(this, {});
+                }
+            }
+            else if (typeof onFailure === 'function')
+            {
+                onFailure(this, failure);
+            }
+        }, site.latency);
+    }
+}
+
+/**
+ * Fake SP.ExceptionHandlingScope. Operations queued between startTry() and its dispose() do not fail the request, the
+ * server error is available from the scope instead.
+ */
+class spFakeExceptionHandlingScope
+{
+    constructor (context)
+    {
+        this.context = context;
+        this.error   = null;
+    }
+
+    startScope ()
+    {
+        return { dispose : () => {} };
+    }
+
+    startTry ()
+    {
+        this.context.scope = this;
+
+        return { dispose : () => { this.context.scope = null; } };
+    }
+
+    startCatch ()
+    {
+        return { dispose : () => {} };
+    }
+
+    startFinally ()
+    {
+        return { dispose : () => {} };
+    }
+
+    run (operation)
+    {
+        if (this.error !== null)
+        {
+            return;
+        }
+
+        try
+        {
+            operation();
+        }
+        catch (error)
+        {
+            if (!(error instanceof spFakeServerError))
+            {
+                throw error;
+            }
+
+            this.error = error;
+        }
+    }
+
+    get_hasException ()        { return this.error !== null; }
+    get_errorMessage ()        { return this.error !== null ? this.error.message : null; }
+    get_serverErrorCode ()     { return this.error !== null ? this.error.errorCode : 0; }
+    get_serverErrorTypeName () { return this.error !== null ? this.error.errorTypeName : null; }
+    get_serverErrorValue ()    { return null; }
+    get_serverStackTrace ()    { return null; }
+}
+
+/**
+ * Fake SP.AppContextSite (cross domain requests use the same in-memory site).
+ */
+class spFakeAppContextSite
+{
+    constructor (context)
+    {
+        this.context = context;
+    }
+
+    get_web ()
+    {
+        return this.context.get_web();
+    }
+}
+
+/**
+ * Base class of every fake client object. The object is resolved against the in-memory site when a queued request runs.
+ * Properties are only available after the object has been loaded and the request executed.
+ */
+class spFakeClientObject
+{
+    constructor (context, resolver)
+    {
+        this.context  = context;
+        this.site     = context.site;
+        this.resolver = resolver;
+        this.data     = null;
+    }
+
+    /**
+     * Returns the server record behind this client object (throws a server error when it does not exist).
+     */
+    serverObject ()
+    {
+        return this.resolver();
+    }
+
+    /**
+     * Loads the object properties from the server record. Overridden by objects that need more than a copy of the record.
+     */
+    loadFromServer ()
+    {
+        this.data = this.snapshot(this.serverObject());
+    }
+
+    snapshot (record)
+    {
+        return Object.assign({}, record);
+    }
+
+    property (name)
+    {
+        if (this.data === null || typeof this.data[name] === 'undefined')
+        {
+            throw new Error(notInitializedMessage);
+        }
+
+        return this.data[name];
+    }
+
+    isPropertyAvailable (name)
+    {
+        return this.data !== null && typeof this.data[name] !== 'undefined';
+    }
+
+    /**
+     * Adds 'get_name' functions for a list of properties to a fake client object class.
+     */
+    static defineGetters (objectClass, names)
+    {
+        names.forEach( function (name)
+        {
+            objectClass.prototype['get_' + name] = function ()
+            {
+                return this.property(name);
+            };
+        });
+    }
+}
+
+/**
+ * Fake SP.Web.
+ */
+class spFakeWeb extends spFakeClientObject
+{
+    constructor (context)
+    {
+        super(context, () => context.site);
+    }
+
+    snapshot (site)
+    {
+        return {
+            title             : site.title,
+            url               : site.url,
+            serverRelativeUrl : site.serverRelativeUrl,
+            masterUrl         : site.masterUrl,
+            id                : '00000000-0000-4000-8000-000000000000',
+            description       : '',
+        };
+    }
+
+    get_lists ()
+    {
+        return new spFakeListCollection(this.context);
+    }
+
+    get_currentUser ()
+    {
+        return new spFakeUser(this.context, () => this.site.currentUser);
+    }
+
+    get_regionalSettings ()
+    {
+        return new spFakeRegionalSettings(this.context);
+    }
+}
+
+spFakeClientObject.defineGetters(spFakeWeb, ['title', 'url', 'serverRelativeUrl', 'masterUrl', 'id', 'description']);
+
+/**
+ * Fake SP.Site. The list view threshold is its MaxItemsPerThrottledOperation.
+ */
+class spFakeSite extends spFakeClientObject
+{
+    constructor (context)
+    {
+        super(context, () => context.site);
+    }
+
+    snapshot (site)
+    {
+        return { url : site.url, serverRelativeUrl : site.serverRelativeUrl, maxItemsPerThrottledOperation : site.listViewThreshold };
+    }
+}
+
+spFakeClientObject.defineGetters(spFakeSite, ['url', 'serverRelativeUrl', 'maxItemsPerThrottledOperation']);
+
+/**
+ * Fake SP.RegionalSettings.
+ */
+class spFakeRegionalSettings extends spFakeClientObject
+{
+    constructor (context)
+    {
+        super(context, () => context.site);
+    }
+
+    snapshot (site)
+    {
+        return { decimalSeparator : site.decimalSeparator, thousandSeparator : site.thousandSeparator };
+    }
+
+    get_timeZone ()
+    {
+        return new spFakeTimeZone(this.context);
+    }
+}
+
+spFakeClientObject.defineGetters(spFakeRegionalSettings, ['decimalSeparator', 'thousandSeparator']);
+
+/**
+ * Fake SP.TimeZone. The information is a SP.TimeZoneInformation (get_bias, get_standardBias, get_daylightBias).
+ */
+class spFakeTimeZone extends spFakeClientObject
+{
+    constructor (context)
+    {
+        super(context, () => context.site.timeZone);
+    }
+
+    snapshot (timeZone)
+    {
+        return {
+            id          : timeZone.id,
+            description : timeZone.description,
+            information :
+            {
+                get_bias         : () => timeZone.bias,
+                get_standardBias : () => timeZone.standardBias,
+                get_daylightBias : () => timeZone.daylightBias,
+            },
+        };
+    }
+}
+
+spFakeClientObject.defineGetters(spFakeTimeZone, ['id', 'description', 'information']);
+
+/**
+ * Fake SP.User.
+ */
+class spFakeUser extends spFakeClientObject
+{
+    get_id ()        { return this.property('id'); }
+    get_title ()     { return this.property('title'); }
+    get_email ()     { return this.property('email'); }
+    get_loginName () { return this.property('loginName'); }
+}
+
+/**
+ * Fake SP.ListCollection.
+ */
+class spFakeListCollection
+{
+    constructor (context)
+    {
+        this.context = context;
+    }
+
+    getByTitle (title)
+    {
+        return new spFakeList(this.context, () => this.context.site.findList(title));
+    }
+
+    getById (id)
+    {
+        return new spFakeList(this.context, () => this.context.site.findList(String(id)));
+    }
+}
+
+/**
+ * Fake SP.List.
+ */
+class spFakeList extends spFakeClientObject
+{
+    serverObject ()
+    {
+        return this.site.checkPermission(this.resolver());
+    }
+
+    snapshot (list)
+    {
+        return spFakeList.properties(this.site, list);
+    }
+
+    /**
+     * The list properties (also used by the REST service).
+     */
+    static properties (site, list)
+    {
+        return {
+            id                       : { toString : () => list.id },
+            title                    : list.title,
+            description              : list.description,
+            enableAttachments        : list.enableAttachments,
+            contentTypesEnabled      : list.contentTypesEnabled,
+            enableFolderCreation     : list.enableFolderCreation,
+            enableMinorVersions      : list.enableMinorVersions,
+            enableModeration         : list.enableModeration,
+            enableVersioning         : list.enableVersioning,
+            forceCheckout            : list.forceCheckout,
+            parentWebUrl             : site.serverRelativeUrl,
+            baseTemplate             : list.template,
+            itemCount                : list.items.length,
+            currentChangeToken       : new spFakeChangeToken(site.changeToken(list, site.changeNumber)),
+            effectiveBasePermissions : new spFakeBasePermissions(list.permissions),
+        };
+    }
+
+    /**
+     * Returns the list record after checking the current user has a permission on it.
+     */
+    requirePermission (permission)
+    {
+        return this.site.checkPermission(this.resolver(), permission);
+    }
+
+    getItems (camlQuery)
+    {
+        return new spFakeListItemCollection(this.context, this, camlQuery);
+    }
+
+    /**
+     * Queues a RenderListDataAsStream request and returns its (fake) ClientResult. The value is the ListData object.
+     */
+    renderListDataAsStream (parameters)
+    {
+        let result = { value : null, get_value : function () { return this.value; } };
+
+        this.context.addOperation( () =>
+        {
+            result.value = spFakeCamlEngine.renderListData(this.site, this.requirePermission('viewListItems'), parameters.request());
+        });
+
+        return result;
+    }
+
+    getChanges (changeQuery)
+    {
+        return new spFakeChangeCollection(this.context, () => this.site.listChanges(this.requirePermission('viewListItems'), changeQuery.query()));
+    }
+
+    getItemById (id)
+    {
+        return new spFakeListItem(this.context, this, () =>
+        {
+            let list = this.serverObject();
+            let item = list.items.find( record => record.ID === parseInt(id) );
+
+            if (!item)
+            {
+                throw spHelperFake.serverError('itemNotFound');
+            }
+
+            return item;
+        });
+    }
+
+    addItem (creationInformation)
+    {
+        let item     = null;
+        let spItem   = new spFakeListItem(this.context, this, () => item);
+        let isFolder = creationInformation.get_underlyingObjectType() === 1;
+
+        // Like SharePoint, the item is only created when it is saved with update().
+        spItem.create = (list) =>
+        {
+            item = this.site.createItem(list, isFolder, creationInformation.get_folderUrl(), creationInformation.get_leafName());
+
+            spItem.data = { ID : item.ID };
+
+            return item;
+        };
+
+        spItem.isNew = true;
+
+        return spItem;
+    }
+
+    get_contentTypes ()
+    {
+        return new spFakeContentTypeCollection(this.context, this);
+    }
+
+    get_fields ()
+    {
+        return new spFakeFieldCollection(this.context, () => this.serverObject().fields);
+    }
+
+    get_views ()
+    {
+        return new spFakeViewCollection(this.context, this);
+    }
+
+    get_rootFolder ()
+    {
+        return new spFakeFolder(this.context, () =>
+        {
+            let list = this.serverObject();
+
+            return { serverRelativeUrl : list.rootFolder, name : list.internalName, itemCount : list.items.length };
+        });
+    }
+}
+
+spFakeClientObject.defineGetters(spFakeList,
+[
+    'id', 'title', 'description', 'enableAttachments', 'contentTypesEnabled', 'enableFolderCreation', 'enableMinorVersions',
+    'enableModeration', 'enableVersioning', 'forceCheckout', 'parentWebUrl', 'baseTemplate', 'itemCount', 'effectiveBasePermissions',
+    'currentChangeToken',
+]);
+
+/**
+ * Fake SP.ViewCollection.
+ */
+class spFakeViewCollection
+{
+    constructor (context, spList)
+    {
+        this.context = context;
+        this.spList  = spList;
+    }
+
+    getByTitle (title)
+    {
+        return new spFakeView(this.context, () => this.context.site.findView(this.spList.serverObject(), title));
+    }
+
+    getById (id)
+    {
+        return new spFakeView(this.context, () => this.context.site.findView(this.spList.serverObject(), String(id)));
+    }
+}
+
+/**
+ * Fake SP.View.
+ */
+class spFakeView extends spFakeClientObject
+{
+    snapshot (view)
+    {
+        return { id : { toString : () => view.id }, title : view.title, viewQuery : view.query, rowLimit : view.rowLimit, scope : view.scope };
+    }
+
+    get_viewFields ()
+    {
+        return new spFakeViewFieldCollection(this.context, () => this.serverObject().fields);
+    }
+}
+
+spFakeClientObject.defineGetters(spFakeView, ['id', 'title', 'viewQuery', 'rowLimit', 'scope']);
+
+/**
+ * Fake SP.ViewFieldCollection (the internal names of the view fields).
+ */
+class spFakeViewFieldCollection extends spFakeClientObject
+{
+    loadFromServer ()
+    {
+        this.items = this.serverObject().slice();
+        this.data  = {};
+    }
+
+    getEnumerator ()
+    {
+        if (!this.items)
+        {
+            throw new Error(notInitializedMessage);
+        }
+
+        return new spFakeEnumerator(this.items);
+    }
+}
+
+/**
+ * Fake SP.Folder.
+ */
+class spFakeFolder extends spFakeClientObject
+{
+}
+
+spFakeClientObject.defineGetters(spFakeFolder, ['serverRelativeUrl', 'name', 'itemCount']);
+
+/**
+ * Fake SP.BasePermissions.
+ */
+class spFakeBasePermissions
+{
+    constructor (permissions)
+    {
+        this.kinds = permissions.map( name => (typeof name === 'number') ? name : permissionKinds[name] );
+    }
+
+    has (kind)
+    {
+        if (typeof kind !== 'number')
+        {
+            return false;
+        }
+
+        return this.kinds.includes(permissionKinds.fullMask) || this.kinds.includes(kind);
+    }
+
+    set (kind)
+    {
+        this.kinds.push(kind);
+    }
+}
+
+/**
+ * Fake SP.ListItem.
+ */
+class spFakeListItem extends spFakeClientObject
+{
+    constructor (context, spList, resolver)
+    {
+        super(context, resolver);
+
+        this.spList  = spList;
+        this.changes = {};
+        this.isNew   = false;
+        this.create  = null;
+    }
+
+    loadFromServer (include)
+    {
+        this.spList.requirePermission('viewListItems');
+
+        this.data = spFakeListItem.clientValues(this.spList.serverObject(), this.serverObject(), spFakeListItem.includedFields(include));
+    }
+
+    get_id ()
+    {
+        return this.property('ID');
+    }
+
+    get_item (name)
+    {
+        return this.property(name);
+    }
+
+    get_fieldValues ()
+    {
+        if (this.data === null)
+        {
+            throw new Error(notInitializedMessage);
+        }
+
+        return Object.assign({}, this.data);
+    }
+
+    set_item (name, value)
+    {
+        this.changes[name] = value;
+
+        if (this.data !== null)
+        {
+            this.data[name] = value;
+        }
+    }
+
+    update ()
+    {
+        let changes = this.changes;
+
+        this.changes = {};
+
+        this.context.addOperation( () =>
+        {
+            let isNew = this.isNew;
+
+            // New items are saved with the 'addListItems' permission, existing ones need 'editListItems'.
+            let list = this.spList.requirePermission(isNew ? 'addListItems' : 'editListItems');
+            let item = isNew ? this.create(list) : this.serverObject();
+
+            try
+            {
+                spFakeListItem.applyChanges(this.site, list, item, changes);
+
+                this.site.logChange(list, isNew ? changeTypes.add : changeTypes.update, item.ID);
+
+                this.isNew = false;
+            }
+            catch (error)
+            {
+                // A new item is only stored when its values are valid.
+                if (isNew)
+                {
+                    list.items = list.items.filter( record => record !== item );
+                }
+
+                throw error;
+            }
+        });
+    }
+
+    deleteObject ()
+    {
+        this.context.addOperation( () =>
+        {
+            let list = this.spList.requirePermission('deleteListItems');
+            let item = this.serverObject();
+
+            list.items = list.items.filter( record => record !== item );
+
+            this.site.logChange(list, changeTypes.deleteObject, item.ID);
+        });
+    }
+
+    /**
+     * Applies client values to a server item.
+     */
+    static applyChanges (site, list, item, changes)
+    {
+        let converted = {};
+
+        for (let name in changes)
+        {
+            let field = site.findField(list, name);
+
+            if (field.readOnly)
+            {
+                throw spHelperFake.serverError('readOnlyField');
+            }
+
+            converted[name] = site.toServerValue(field, changes[name]);
+        }
+
+        Object.assign(item, converted, { Modified : new Date() });
+    }
+
+    /**
+     * Returns the field names of an 'Include(...)' load expression (or null when all fields are requested).
+     */
+    static includedFields (include)
+    {
+        let expression = (include || []).join(',');
+        let match      = /Include\s*\(([^)]*)\)/i.exec(expression);
+
+        if (match === null)
+        {
+            return null;
+        }
+
+        return match[1].split(',').map( name => name.trim() ).filter( name => name !== '' );
+    }
+
+    /**
+     * Converts the server values of an item into JSOM values (SP.FieldLookupValue, SP.FieldUserValue, Date, ...).
+     */
+    static clientValues (list, item, fieldNames)
+    {
+        let values = {};
+
+        list.fields.forEach( function (field)
+        {
+            if (fieldNames === null || fieldNames.includes(field.internalName) || field.internalName === 'ID')
+            {
+                values[field.internalName] = spFakeListItem.clientValue(field, item[field.internalName]);
+            }
+        });
+
+        // Projected (joined) values are stored on the item under their alias.
+        (fieldNames || []).forEach( function (name)
+        {
+            if (!(name in values) && (name in item))
+            {
+                values[name] = spFakeListItem.clientValue({ kind : fieldTypeKinds.lookup }, item[name]);
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Converts one server value into a JSOM value.
+     */
+    static clientValue (field, value)
+    {
+        if (value === null || typeof value === 'undefined')
+        {
+            return null;
+        }
+
+        if (Array.isArray(value))
+        {
+            return value.map( item => (field.kind === fieldTypeKinds.multiChoice) ? item : spFakeListItem.clientValue(field, item) );
+        }
+
+        if (value instanceof Date)
+        {
+            return new Date(value.getTime());
+        }
+
+        if (field.kind === fieldTypeKinds.user && typeof value === 'object')
+        {
+            let userValue = new spFakeFieldUserValue();
+
+            userValue.set_lookupId(value.id);
+            userValue.set_lookupValue(value.value);
+            userValue.email = value.email;
+
+            return userValue;
+        }
+
+        if (typeof value === 'object' && 'id' in value)
+        {
+            let lookupValue = new spFakeFieldLookupValue();
+
+            lookupValue.set_lookupId(value.id);
+            lookupValue.set_lookupValue(value.value);
+
+            return lookupValue;
+        }
+
+        if (typeof value === 'object' && 'url' in value)
+        {
+            let urlValue = new spFakeFieldUrlValue();
+
+            urlValue.set_url(value.url);
+            urlValue.set_description(value.description);
+
+            return urlValue;
+        }
+
+        return value;
+    }
+}
+
+/**
+ * Fake SP.ListItemCollection. The CAML query runs when the collection is loaded.
+ */
+class spFakeListItemCollection extends spFakeClientObject
+{
+    constructor (context, spList, camlQuery)
+    {
+        super(context, () => spList.serverObject());
+
+        this.spList    = spList;
+        this.camlQuery = camlQuery || new spFakeCamlQuery();
+        this.items     = null;
+        this.position  = null;
+    }
+
+    loadFromServer (include)
+    {
+        let list   = this.spList.requirePermission('viewListItems');
+        let result = spFakeCamlEngine.run(this.site, list, this.camlQuery);
+        let fields = spFakeListItem.includedFields(include) || result.viewFields;
+
+        this.items = result.items.map( (record) =>
+        {
+            let item = new spFakeListItem(this.context, this.spList, () => list.items.find( entry => entry.ID === record.ID ) || record);
+
+            item.data = spFakeListItem.clientValues(list, record, fields);
+
+            return item;
+        });
+
+        this.position = null;
+
+        if (result.pagingInfo !== null)
+        {
+            this.position = new spFakeListItemCollectionPosition();
+
+            this.position.set_pagingInfo(result.pagingInfo);
+        }
+
+        this.data = {};
+    }
+
+    getEnumerator ()
+    {
+        return new spFakeEnumerator(this.loadedItems());
+    }
+
+    get_count ()
+    {
+        return this.loadedItems().length;
+    }
+
+    get_item (index)
+    {
+        return this.loadedItems()[index];
+    }
+
+    itemAt (index)
+    {
+        return this.loadedItems()[index];
+    }
+
+    get_listItemCollectionPosition ()
+    {
+        this.loadedItems();
+
+        return this.position;
+    }
+
+    loadedItems ()
+    {
+        if (this.items === null)
+        {
+            throw new Error(notInitializedMessage);
+        }
+
+        return this.items;
+    }
+}
+
+/**
+ * Fake enumerator returned by getEnumerator ().
+ */
+class spFakeEnumerator
+{
+    constructor (items)
+    {
+        this.items = items;
+        this.index = -1;
+    }
+
+    moveNext ()
+    {
+        this.index++;
+
+        return this.index < this.items.length;
+    }
+
+    get_current ()
+    {
+        return this.items[this.index];
+    }
+
+    reset ()
+    {
+        this.index = -1;
+    }
+}
+
+/**
+ * Fake SP.ContentTypeCollection (every fake list has a single content type).
+ */
+class spFakeContentTypeCollection extends spFakeClientObject
+{
+    constructor (context, spList)
+    {
+        super(context, () => spList.serverObject());
+
+        this.spList = spList;
+    }
+
+    loadFromServer ()
+    {
+        let list = this.serverObject();
+
+        this.items = [ new spFakeContentType(this.context, this.spList, list.contentTypeId) ];
+
+        this.items[0].loadFromServer();
+
+        this.data = {};
+    }
+
+    getEnumerator ()
+    {
+        if (!this.items)
+        {
+            throw new Error(notInitializedMessage);
+        }
+
+        return new spFakeEnumerator(this.items);
+    }
+
+    getById (id)
+    {
+        return new spFakeContentType(this.context, this.spList, String(id));
+    }
+}
+
+/**
+ * Fake SP.ContentType.
+ */
+class spFakeContentType extends spFakeClientObject
+{
+    constructor (context, spList, id)
+    {
+        super(context, () => spList.serverObject());
+
+        this.spList = spList;
+        this.id     = id;
+    }
+
+    snapshot (list)
+    {
+        return { id : { toString : () => list.contentTypeId }, name : list.template === 101 ? 'Document' : 'Item' };
+    }
+
+    get_fields ()
+    {
+        return new spFakeFieldCollection(this.context, () => this.serverObject().fields);
+    }
+}
+
+spFakeClientObject.defineGetters(spFakeContentType, ['id', 'name']);
+
+/**
+ * Fake SP.FieldCollection.
+ */
+class spFakeFieldCollection extends spFakeClientObject
+{
+    loadFromServer ()
+    {
+        this.items = this.serverObject().map( (field) =>
+        {
+            let spField = new spFakeField(this.context, () => field);
+
+            spField.loadFromServer();
+
+            return spField;
+        });
+
+        this.data = {};
+    }
+
+    getEnumerator ()
+    {
+        if (!this.items)
+        {
+            throw new Error(notInitializedMessage);
+        }
+
+        return new spFakeEnumerator(this.items);
+    }
+
+    getByInternalNameOrTitle (name)
+    {
+        return new spFakeField(this.context, () =>
+        {
+            let field = this.serverObject().find( item => item.internalName === name || item.title === name );
+
+            if (!field)
+            {
+                throw spHelperFake.serverError('columnNotFound', name);
+            }
+
+            return field;
+        });
+    }
+}
+
+/**
+ * Fake SP.Field (with the getters of every field sub class).
+ */
+class spFakeField extends spFakeClientObject
+{
+    snapshot (field)
+    {
+        return spFakeField.properties(field);
+    }
+
+    /**
+     * The field properties (also used by the REST service).
+     */
+    static properties (field)
+    {
+        return {
+            id                    : { toString : () => field.id },
+            title                 : field.title,
+            internalName          : field.internalName,
+            staticName            : field.internalName,
+            defaultValue          : field.defaultValue,
+            enforceUniqueValues   : field.unique,
+            required              : field.required,
+            hidden                : field.hidden,
+            readOnlyField         : field.readOnly,
+            indexed               : field.indexed,
+            description           : field.description,
+            fieldTypeKind         : field.kind,
+            typeAsString          : field.type,
+            schemaXml             : spFakeField.schemaXml(field),
+            maxLength             : field.maxLength || 255,
+            choices               : field.choices || [],
+            fillInChoice          : field.fillInChoice === true,
+            editFormat            : field.editFormat || 0,
+            numberOfLines         : field.numberOfLines || 6,
+            richText              : field.richText === true,
+            appendOnly            : field.appendOnly === true,
+            minimumValue          : typeof field.minimumValue !== 'undefined' ? field.minimumValue : -1.7976931348623157e+308,
+            maximumValue          : typeof field.maximumValue !== 'undefined' ? field.maximumValue : 1.7976931348623157e+308,
+            currencyLocaleId      : field.currencyLocaleId || 1033,
+            displayFormat         : field.displayFormat || 0,
+            friendlyDisplayFormat : field.friendlyDisplayFormat || 0,
+            allowMultipleValues   : field.allowMultipleValues,
+            lookupList            : field.lookupList || '',
+            lookupField           : field.lookupField || '',
+        };
+    }
+
+    /**
+     * Generates the SchemaXml of a field.
+     */
+    static schemaXml (field)
+    {
+        let attributes =
+        {
+            ID          : `{${field.id}}`,
+            Type        : field.type,
+            Name        : field.internalName,
+            StaticName  : field.internalName,
+            DisplayName : field.title,
+            Required    : field.required ? 'TRUE' : 'FALSE',
+            Indexed     : field.indexed ? 'TRUE' : 'FALSE',
+        };
+
+        if (typeof field.decimals !== 'undefined')
+        {
+            attributes.Decimals = field.decimals;
+        }
+
+        if (typeof field.percentage !== 'undefined')
+        {
+            attributes.Percentage = field.percentage ? 'TRUE' : 'FALSE';
+        }
+
+        if (field.kind === fieldTypeKinds.calculated)
+        {
+            attributes.ResultType = field.resultType || 'Text';
+            attributes.Decimals   = typeof field.decimals !== 'undefined' ? field.decimals : 2;
+            attributes.Percentage = field.percentage ? 'TRUE' : 'FALSE';
+            attributes.LCID       = field.currencyLocaleId || 1033;
+        }
+
+        if (field.kind === fieldTypeKinds.lookup)
+        {
+            attributes.List      = field.lookupList;
+            attributes.ShowField = field.lookupField;
+        }
+
+        let xml = '<Field';
+
+        for (let name in attributes)
+        {
+            xml += ` ${name}="${spXml.escape(attributes[name])}"`;
+        }
+
+        if (field.choices)
+        {
+            return xml + '><CHOICES>' + field.choices.map( choice => `<CHOICE>${spXml.escape(choice)}</CHOICE>` ).join('') + '</CHOICES></Field>';
+        }
+
+        return xml + ' />';
+    }
+}
+
+spFakeClientObject.defineGetters(spFakeField,
+[
+    'id', 'title', 'internalName', 'staticName', 'defaultValue', 'enforceUniqueValues', 'required', 'hidden', 'readOnlyField',
+    'indexed', 'description', 'fieldTypeKind', 'typeAsString', 'schemaXml', 'maxLength', 'choices', 'fillInChoice', 'editFormat',
+    'numberOfLines', 'richText', 'appendOnly', 'minimumValue', 'maximumValue', 'currencyLocaleId', 'displayFormat',
+    'friendlyDisplayFormat', 'allowMultipleValues', 'lookupList', 'lookupField',
+]);
+
+/**
+ * Fake SP.CamlQuery.
+ */
+class spFakeCamlQuery
+{
+    constructor ()
+    {
+        this.viewXml           = '';
+        this.position          = null;
+        this.folderUrl         = null;
+        this.datesInUtc        = false;
+    }
+
+    get_viewXml ()                          { return this.viewXml; }
+    set_viewXml (value)                     { this.viewXml = value; }
+    get_listItemCollectionPosition ()       { return this.position; }
+    set_listItemCollectionPosition (value)  { this.position = value; }
+    get_folderServerRelativeUrl ()          { return this.folderUrl; }
+    set_folderServerRelativeUrl (value)     { this.folderUrl = value; }
+    get_datesInUtc ()                       { return this.datesInUtc; }
+    set_datesInUtc (value)                  { this.datesInUtc = value; }
+}
+
+/**
+ * Fake SP.RenderListDataParameters.
+ */
+class spFakeRenderListDataParameters
+{
+    constructor ()
+    {
+        this.viewXml       = null;
+        this.renderOptions = 0;
+        this.paging        = null;
+        this.folderUrl     = null;
+    }
+
+    get_viewXml ()                          { return this.viewXml; }
+    set_viewXml (value)                     { this.viewXml = value; }
+    get_renderOptions ()                    { return this.renderOptions; }
+    set_renderOptions (value)               { this.renderOptions = value; }
+    get_paging ()                           { return this.paging; }
+    set_paging (value)                      { this.paging = value; }
+    get_folderServerRelativeUrl ()          { return this.folderUrl; }
+    set_folderServerRelativeUrl (value)     { this.folderUrl = value; }
+
+    /**
+     * The parameters as read by spFakeCamlEngine.renderListData ().
+     */
+    request ()
+    {
+        return { viewXml : this.viewXml, paging : this.paging, folderServerRelativeUrl : this.folderUrl };
+    }
+}
+
+/**
+ * Fake SP.ListItemCollectionPosition.
+ */
+class spFakeListItemCollectionPosition
+{
+    constructor ()
+    {
+        this.pagingInfo = '';
+    }
+
+    get_pagingInfo ()       { return this.pagingInfo; }
+    set_pagingInfo (value)  { this.pagingInfo = value; }
+}
+
+/**
+ * Fake SP.ChangeQuery.
+ */
+class spFakeChangeQuery
+{
+    constructor (allChangeTypes, allObjectTypes)
+    {
+        this.item             = allObjectTypes === true;
+        this.add              = allChangeTypes === true;
+        this.update           = allChangeTypes === true;
+        this.deleteObject     = allChangeTypes === true;
+        this.changeTokenStart = null;
+        this.fetchLimit       = 1000;
+    }
+
+    get_item ()                     { return this.item; }
+    set_item (value)                { this.item = value; }
+    get_add ()                      { return this.add; }
+    set_add (value)                 { this.add = value; }
+    get_update ()                   { return this.update; }
+    set_update (value)              { this.update = value; }
+    get_deleteObject ()             { return this.deleteObject; }
+    set_deleteObject (value)        { this.deleteObject = value; }
+    get_changeTokenStart ()         { return this.changeTokenStart; }
+    set_changeTokenStart (value)    { this.changeTokenStart = value; }
+    get_fetchLimit ()               { return this.fetchLimit; }
+    set_fetchLimit (value)          { this.fetchLimit = value; }
+
+    /**
+     * The query as read by spHelperFake.listChanges.
+     */
+    query ()
+    {
+        let changeTokenStart = (this.changeTokenStart !== null) ? this.changeTokenStart.get_stringValue() : null;
+
+        return { item : this.item, add : this.add, update : this.update, deleteObject : this.deleteObject, changeTokenStart : changeTokenStart, fetchLimit : this.fetchLimit };
+    }
+}
+
+/**
+ * Fake SP.ChangeToken.
+ */
+class spFakeChangeToken
+{
+    constructor (stringValue = '')
+    {
+        this.stringValue = stringValue;
+    }
+
+    get_stringValue ()      { return this.stringValue; }
+    set_stringValue (value) { this.stringValue = value; }
+}
+
+/**
+ * Fake SP.ChangeCollection (of SP.ChangeItem objects).
+ */
+class spFakeChangeCollection extends spFakeClientObject
+{
+    loadFromServer ()
+    {
+        this.items = this.serverObject().map( change => new spFakeChangeItem(change) );
+        this.data  = {};
+    }
+
+    getEnumerator ()
+    {
+        if (!this.items)
+        {
+            throw new Error(notInitializedMessage);
+        }
+
+        return new spFakeEnumerator(this.items);
+    }
+
+    get_count ()
+    {
+        if (!this.items)
+        {
+            throw new Error(notInitializedMessage);
+        }
+
+        return this.items.length;
+    }
+}
+
+/**
+ * Fake SP.ChangeItem.
+ */
+class spFakeChangeItem
+{
+    constructor (change)
+    {
+        this.change = change;
+    }
+
+    get_changeType ()   { return this.change.changeType; }
+    get_itemId ()       { return this.change.itemId; }
+    get_time ()         { return this.change.time; }
+    get_changeToken ()  { return new spFakeChangeToken(this.change.token); }
+}
+
+/**
+ * Fake SP.ListItemCreationInformation.
+ */
+class spFakeListItemCreationInformation
+{
+    constructor ()
+    {
+        this.folderUrl  = null;
+        this.leafName   = null;
+        this.objectType = 0;
+    }
+
+    get_folderUrl ()                    { return this.folderUrl; }
+    set_folderUrl (value)               { this.folderUrl = value; }
+    get_leafName ()                     { return this.leafName; }
+    set_leafName (value)                { this.leafName = value; }
+    get_underlyingObjectType ()         { return this.objectType; }
+    set_underlyingObjectType (value)    { this.objectType = value; }
+}
+
+/**
+ * Fake SP.FieldLookupValue.
+ */
+class spFakeFieldLookupValue
+{
+    constructor ()
+    {
+        this.lookupId    = -1;
+        this.lookupValue = null;
+    }
+
+    get_lookupId ()             { return this.lookupId; }
+    set_lookupId (value)        { this.lookupId = value; }
+    get_lookupValue ()          { return this.lookupValue; }
+    set_lookupValue (value)     { this.lookupValue = value; }
+}
+
+/**
+ * Fake SP.FieldUserValue.
+ */
+class spFakeFieldUserValue extends spFakeFieldLookupValue
+{
+    get_email ()
+    {
+        return this.email;
+    }
+}
+
+/**
+ * Fake SP.FieldUrlValue.
+ */
+class spFakeFieldUrlValue
+{
+    constructor ()
+    {
+        this.url         = null;
+        this.description = null;
+    }
+
+    get_url ()                  { return this.url; }
+    set_url (value)             { this.url = value; }
+    get_description ()          { return this.description; }
+    set_description (value)     { this.description = value; }
+}
+
+/**
+ * Fake SP.UserProfiles.PeopleManager.
+ */
+class spFakePeopleManager
+{
+    constructor (context)
+    {
+        this.context = context;
+    }
+
+    getPropertiesFor (accountName)
+    {
+        return new spFakePersonProperties(this.context, () =>
+        {
+            try
+            {
+                return this.context.site.findUser(accountName);
+            }
+            catch (error)
+            {
+                return null;
+            }
+        });
+    }
+
+    getMyProperties ()
+    {
+        return new spFakePersonProperties(this.context, () => this.context.site.currentUser);
+    }
+}
+
+/**
+ * Fake SP.UserProfiles.PersonProperties.
+ */
+class spFakePersonProperties extends spFakeClientObject
+{
+    snapshot (user)
+    {
+        if (user === null || !user.profile)
+        {
+            return {};
+        }
+
+        return {
+            accountName           : user.loginName,
+            displayName           : user.title,
+            email                 : user.email,
+            userProfileProperties : Object.assign({}, user.profile),
+        };
+    }
+}
+
+spFakeClientObject.defineGetters(spFakePersonProperties, ['accountName', 'displayName', 'email', 'userProfileProperties']);
+
+/**
+ * Fake SP.UI.ApplicationPages.ClientPeoplePickerQueryParameters and the people picker search.
+ */
+class spFakePeoplePickerQuery
+{
+    constructor ()
+    {
+        this.settings = { maximumEntitySuggestions : 30, queryString : '' };
+
+        ['allowMultipleEntities', 'maximumEntitySuggestions', 'principalType', 'principalSource', 'queryString'].forEach( (name) =>
+        {
+            this['set_' + name] = (value) => { this.settings[name] = value; };
+            this['get_' + name] = () => this.settings[name];
+        });
+    }
+
+    /**
+     * Queues a people picker search and returns the (fake) SP.StringResult.
+     */
+    static search (context, query)
+    {
+        let result = { value : null, get_value : function () { return this.value; } };
+
+        context.addOperation( function ()
+        {
+            let term    = String(query.get_queryString()).toLowerCase();
+            let matches = context.site.users.filter( user => user.title.toLowerCase().includes(term) || user.email.toLowerCase().includes(term) );
+
+            result.value = JSON.stringify(matches.slice(0, query.get_maximumEntitySuggestions()).map( user =>
+            ({
+                Key         : user.loginName,
+                Description : user.loginName,
+                DisplayText : user.title,
+                EntityType  : 'User',
+                IsResolved  : true,
+                EntityData  : { Email : user.email },
+            })));
+        });
+
+        return result;
+    }
+}
+
+/**
+ * Fake Microsoft.SharePoint.Client.Search.Query.KeywordQuery.
+ */
+class spFakeKeywordQuery
+{
+    constructor (context)
+    {
+        this.context           = context;
+        this.settings          = { queryText : '', rowLimit : 50, startRow : 0, trimDuplicates : true, refiners : '', sourceId : null };
+        this.selectProperties  = new spFakeStringCollection();
+        this.refinementFilters = new spFakeStringCollection();
+        this.sortList          = new spFakeSortCollection();
+
+        ['queryText', 'rowLimit', 'startRow', 'trimDuplicates', 'refiners', 'sourceId'].forEach( (name) =>
+        {
+            this['set_' + name] = (value) => { this.settings[name] = value; };
+            this['get_' + name] = () => this.settings[name];
+        });
+    }
+
+    get_selectProperties ()     { return this.selectProperties; }
+    get_refinementFilters ()    { return this.refinementFilters; }
+    get_sortList ()             { return this.sortList; }
+
+    /**
+     * The query as read by spFakeSearchEngine.run.
+     */
+    request ()
+    {
+        return {
+            queryText         : this.settings.queryText,
+            selectProperties  : this.selectProperties.items.slice(),
+            refiners          : String(this.settings.refiners || '').split(',').filter( refiner => refiner.trim() !== '' ),
+            refinementFilters : this.refinementFilters.items.slice(),
+            sortList          : this.sortList.items.map( sort => ({ property : sort.property, ascending : sort.direction === 0 }) ),
+            rowLimit          : this.settings.rowLimit,
+            startRow          : this.settings.startRow,
+            sourceId          : (this.settings.sourceId !== null) ? String(this.settings.sourceId) : null,
+            trimDuplicates    : this.settings.trimDuplicates !== false,
+        };
+    }
+}
+
+/**
+ * Fake Microsoft.SharePoint.Client.StringCollection.
+ */
+class spFakeStringCollection
+{
+    constructor ()
+    {
+        this.items = [];
+    }
+
+    add (value)         { this.items.push(String(value)); }
+    clear ()            { this.items = []; }
+    get_count ()        { return this.items.length; }
+    get_item (index)    { return this.items[index]; }
+}
+
+/**
+ * Fake Microsoft.SharePoint.Client.Search.Query.SortCollection.
+ */
+class spFakeSortCollection
+{
+    constructor ()
+    {
+        this.items = [];
+    }
+
+    add (property, direction)   { this.items.push({ property : property, direction : direction }); }
+    clear ()                    { this.items = []; }
+    get_count ()                { return this.items.length; }
+}
+
+/**
+ * Fake Microsoft.SharePoint.Client.Search.Query.SearchExecutor.
+ */
+class spFakeSearchExecutor
+{
+    constructor (context)
+    {
+        this.context = context;
+    }
+
+    /**
+     * Queues the search and returns the (fake) ClientResult of the ResultTableCollection.
+     */
+    executeQuery (keywordQuery)
+    {
+        let result = { value : null, get_value : function () { return this.value; } };
+
+        this.context.addOperation( () =>
+        {
+            let search = spFakeSearchEngine.run(this.context.site, keywordQuery.request());
+
+            result.value =
+            {
+                ResultTables :
+                [
+                    {
+                        TableType                    : 'RelevantResults',
+                        TotalRows                    : search.totalRows,
+                        TotalRowsIncludingDuplicates : search.totalRowsIncludingDuplicates,
+                        RowCount                     : search.rows.length,
+                        ResultRows                   : search.rows,
+                    },
+                    {
+                        TableType  : 'RefinementResults',
+                        RowCount   : search.refiners.length,
+                        ResultRows : search.refiners,
+                    },
+                ],
+            };
+        });
+
+        return result;
+    }
+}
+
+/**
+ * Searches the items of the fake lists like SharePoint Search. Every item the current user can read is a search document
+ * with the managed properties Title, Path, Author, Created, LastModifiedTime, FileType, FileExtension, Filename, IsDocument,
+ * ContentType, ListId, ListItemID, SiteName and SPWebUrl, plus a property for every other field of its list (by internal
+ * name). Supports a subset of KQL (free text, "phrases", property:value, property=value, <>, <, >, <=, >=, AND, OR, NOT,
+ * -term, parentheses and trailing * wildcards), refiners with refinement tokens, refinement filters (equals, or and
+ * tokens), sorting, paging, the Local SharePoint Results and Documents result sources and duplicate trimming (documents
+ * with the same name and title).
+ */
+class spFakeSearchEngine
+{
+    /**
+     * Runs a search and returns { rows, totalRows, totalRowsIncludingDuplicates, refiners }. The rows are objects keyed by
+     * managed property, the refiners are the RefinementResults rows.
+     */
+    static run (site, request)
+    {
+        let source = String(request.sourceId || searchSources.localResults).replace(/[{}]/g, '').toLowerCase();
+
+        if (source !== searchSources.localResults && source !== searchSources.documents)
+        {
+            throw spHelperFake.serverError('notFound');
+        }
+
+        let query     = spFakeSearchEngine.parse(request.queryText);
+        let filters   = request.refinementFilters.map( filter => spFakeSearchEngine.parseFilter(filter) );
+        let documents = spFakeSearchEngine.documents(site).filter( document => source !== searchSources.documents || document.IsDocument );
+
+        documents = documents.filter( document => spFakeSearchEngine.matches(query, document) && filters.every( filter => spFakeSearchEngine.matchesFilter(filter, document) ) );
+
+        let totalRowsIncludingDuplicates = documents.length;
+
+        // Documents with the same file name and title are duplicates.
+        if (request.trimDuplicates)
+        {
+            let keys = new Set();
+
+            documents = documents.filter( function (document)
+            {
+                let key = `${document.Filename}|${document.Title}`.toLowerCase();
+
+                if (!document.IsDocument || !keys.has(key))
+                {
+                    keys.add(key);
+
+                    return true;
+                }
+
+                return false;
+            });
+        }
+
+        // The rank is the number of free text terms found in the title (twice) and the other properties.
+        let terms = spFakeSearchEngine.freeText(query);
+
+        documents.forEach( document => document.Rank = terms.reduce( (rank, term) => rank + (String(document.Title).toLowerCase().includes(term) ? 2 : 0) + (document.text.includes(term) ? 1 : 0), 0 ) );
+
+        let sortList = (request.sortList.length > 0) ? request.sortList : [{ property : 'Rank', ascending : false }];
+
+        documents.sort( function (documentA, documentB)
+        {
+            for (let sort of sortList)
+            {
+                let result = spFakeCamlEngine.compare(spFakeSearchEngine.sortValue(spFakeSearchEngine.property(documentA, sort.property)), spFakeSearchEngine.sortValue(spFakeSearchEngine.property(documentB, sort.property)));
+
+                if (result !== 0)
+                {
+                    return sort.ascending ? result : -result;
+                }
+            }
+
+            return documentA.DocId - documentB.DocId;
+        });
+
+        let select = (request.selectProperties.length > 0) ? request.selectProperties : ['Title', 'Path', 'Author', 'LastModifiedTime', 'FileExtension', 'IsDocument', 'SiteName'];
+        let page   = documents.slice(request.startRow, request.startRow + request.rowLimit);
+
+        let rows = page.map( function (document)
+        {
+            let row = { Rank : document.Rank, DocId : document.DocId };
+
+            // Multiple values are returned as one text, separated by semicolons.
+            select.forEach( function (name)
+            {
+                let value = spFakeSearchEngine.property(document, name);
+
+                row[name] = Array.isArray(value) ? value.map( entry => spFakeSearchEngine.refinementValue(entry) ).join(';') : value;
+            });
+
+            return row;
+        });
+
+        return { rows : rows, totalRows : documents.length, totalRowsIncludingDuplicates : totalRowsIncludingDuplicates, refiners : spFakeSearchEngine.refine(documents, request.refiners) };
+    }
+
+    /**
+     * Returns the search documents of the lists the current user can read.
+     */
+    static documents (site)
+    {
+        let origin    = site.url.replace(/^(https?:\/\/[^/]+).*$/, '$1');
+        let documents = [];
+
+        site.lists.forEach( function (list, listIndex)
+        {
+            if (list.permissions.length === 0 || !new spFakeBasePermissions(list.permissions).has(permissionKinds.viewListItems))
+            {
+                return;
+            }
+
+            list.items.filter( item => item.FSObjType !== 1 ).forEach( function (item)
+            {
+                let isDocument = list.template === 101;
+                let fileName   = item.FileLeafRef || '';
+                let extension  = (isDocument && fileName.includes('.')) ? fileName.split('.').pop().toLowerCase() : null;
+
+                let document =
+                {
+                    DocId            : (listIndex + 1) * 100000 + item.ID,
+                    Title            : item.Title || (isDocument ? fileName.replace(/\.[^.]*$/, '') : ''),
+                    Path             : isDocument ? origin + item.FileRef : `${origin}${list.rootFolder}/DispForm.aspx?ID=${item.ID}`,
+                    Author           : spFakeSearchEngine.searchValue(item.Author),
+                    Created          : item.Created || null,
+                    LastModifiedTime : item.Modified || null,
+                    FileType         : extension,
+                    FileExtension    : extension,
+                    Filename         : isDocument ? fileName : null,
+                    IsDocument       : isDocument,
+                    ContentType      : isDocument ? 'Document' : 'Item',
+                    ListId           : list.id,
+                    ListItemID       : item.ID,
+                    SiteName         : site.url,
+                    SPWebUrl         : site.url,
+                };
+
+                list.fields.filter( field => !field.hidden && typeof document[field.internalName] === 'undefined' && !['ContentType', 'ID', 'Attachments'].includes(field.internalName) ).forEach( function (field)
+                {
+                    document[field.internalName] = spFakeSearchEngine.searchValue(item[field.internalName]);
+                });
+
+                // The full text of the document: every text value, lower case.
+                document.text = [].concat(...Object.keys(document).map( key => document[key] )).filter( value => typeof value === 'string' ).join(' ').toLowerCase();
+
+                documents.push(document);
+            });
+        });
+
+        return documents;
+    }
+
+    /**
+     * Returns the managed property value of a stored field value: text for lookups and users, arrays for multiple values.
+     */
+    static searchValue (value)
+    {
+        if (value === null || typeof value === 'undefined')
+        {
+            return null;
+        }
+
+        if (Array.isArray(value))
+        {
+            return value.map( entry => spFakeSearchEngine.searchValue(entry) );
+        }
+
+        if (value instanceof Date || typeof value !== 'object')
+        {
+            return value;
+        }
+
+        return spHelperFake.textValue(value);
+    }
+
+    /**
+     * Returns a managed property of a document. Managed property names are not case sensitive.
+     */
+    static property (document, name)
+    {
+        let key = Object.keys(document).find( property => property.toLowerCase() === String(name).toLowerCase() && property !== 'text' );
+
+        return (typeof key !== 'undefined') ? document[key] : null;
+    }
+
+    /**
+     * Returns a comparable sort value of a managed property.
+     */
+    static sortValue (value)
+    {
+        value = Array.isArray(value) ? value[0] : value;
+
+        return (value instanceof Date) ? value.getTime() : (typeof value === 'string') ? value.toLowerCase() : (typeof value === 'undefined' ? null : value);
+    }
+
+    /**
+     * Parses KQL into a tree of { type : 'and'|'or'|'not'|'term' } nodes. Fails like SharePoint on syntax errors.
+     */
+    static parse (queryText)
+    {
+        let source  = String(queryText || '');
+        let pattern = /\s*(?:(\()|(\))|(-)?(?:([A-Za-z][A-Za-z0-9_]*)(:|<>|>=|<=|=|>|<))?(?:"([^"]*)"|([^\s()"]+)))/g;
+        let tokens  = [];
+
+        while (pattern.lastIndex < source.length && source.substring(pattern.lastIndex).trim() !== '')
+        {
+            let start = pattern.lastIndex;
+            let match = pattern.exec(source);
+
+            if (match === null || match.index !== start)
+            {
+                throw spHelperFake.serverError('invalidSearchQuery');
+            }
+
+            if (match[1] || match[2])
+            {
+                tokens.push({ type : match[1] ? '(' : ')' });
+
+                continue;
+            }
+
+            let value   = (typeof match[6] !== 'undefined') ? match[6] : match[7];
+            let keyword = (!match[3] && !match[4] && typeof match[7] !== 'undefined' && ['AND', 'OR', 'NOT'].includes(value)) ? value : null;
+
+            tokens.push({ type : 'term', keyword : keyword, negate : match[3] === '-', property : match[4] || null, operator : match[5] || null, value : value });
+        }
+
+        let position = 0;
+        let peek     = () => tokens[position];
+
+        let parseUnary = function ()
+        {
+            let token = tokens[position++];
+
+            if (typeof token === 'undefined' || token.type === ')' || token.keyword === 'AND' || token.keyword === 'OR')
+            {
+                throw spHelperFake.serverError('invalidSearchQuery');
+            }
+
+            if (token.keyword === 'NOT')
+            {
+                return { type : 'not', node : parseUnary() };
+            }
+
+            if (token.type === '(')
+            {
+                let node = parseOr();
+
+                if (typeof peek() === 'undefined' || peek().type !== ')')
+                {
+                    throw spHelperFake.serverError('invalidSearchQuery');
+                }
+
+                position++;
+
+                return node;
+            }
+
+            let term = { type : 'term', property : token.property, operator : token.operator, value : token.value };
+
+            return token.negate ? { type : 'not', node : term } : term;
+        };
+
+        // Terms without an operator between them are joined by AND.
+        let parseAnd = function ()
+        {
+            let nodes = [parseUnary()];
+
+            while (typeof peek() !== 'undefined' && peek().type !== ')' && peek().keyword !== 'OR')
+            {
+                if (peek().keyword === 'AND')
+                {
+                    position++;
+                }
+
+                nodes.push(parseUnary());
+            }
+
+            return { type : 'and', nodes : nodes };
+        };
+
+        let parseOr = function ()
+        {
+            let nodes = [parseAnd()];
+
+            while (typeof peek() !== 'undefined' && peek().keyword === 'OR')
+            {
+                position++;
+
+                nodes.push(parseAnd());
+            }
+
+            return { type : 'or', nodes : nodes };
+        };
+
+        if (tokens.length === 0)
+        {
+            throw spHelperFake.serverError('invalidSearchQuery');
+        }
+
+        let query = parseOr();
+
+        if (position !== tokens.length)
+        {
+            throw spHelperFake.serverError('invalidSearchQuery');
+        }
+
+        return query;
+    }
+
+    /**
+     * Returns the free text terms (lower case, without wildcards) of a query that are not negated.
+     */
+    static freeText (node)
+    {
+        switch (node.type)
+        {
+            case 'and':
+            case 'or':
+                return [].concat(...node.nodes.map( child => spFakeSearchEngine.freeText(child) ));
+            case 'term':
+                return (node.property === null && node.value !== '*') ? [node.value.replace(/\*$/, '').toLowerCase()] : [];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Checks if a document matches a query node.
+     */
+    static matches (node, document)
+    {
+        switch (node.type)
+        {
+            case 'and':
+                return node.nodes.every( child => spFakeSearchEngine.matches(child, document) );
+            case 'or':
+                return node.nodes.some( child => spFakeSearchEngine.matches(child, document) );
+            case 'not':
+                return !spFakeSearchEngine.matches(node.node, document);
+        }
+
+        let target = node.value.replace(/\*$/, '').toLowerCase();
+
+        if (node.property === null)
+        {
+            return node.value === '*' || document.text.includes(target);
+        }
+
+        let values = [].concat(spFakeSearchEngine.property(document, node.property)).filter( value => value !== null && typeof value !== 'undefined' );
+
+        return values.some( function (value)
+        {
+            let compared = null;
+
+            if (value instanceof Date)
+            {
+                // A date without a time matches the whole (UTC) day.
+                let day = /^\d{4}-\d{2}-\d{2}$/.test(node.value);
+                let at  = Date.parse(day ? node.value + 'T00:00:00Z' : node.value);
+
+                if (isNaN(at))
+                {
+                    return false;
+                }
+
+                compared = day ? Math.floor(value.getTime() / 86400000) - Math.floor(at / 86400000) : value.getTime() - at;
+            }
+            else if (typeof value === 'number')
+            {
+                compared = value - Number(node.value);
+            }
+            else if (typeof value === 'boolean')
+            {
+                compared = (String(value) === target) ? 0 : 1;
+            }
+            else if (node.operator === ':')
+            {
+                return String(value).toLowerCase().includes(target);
+            }
+            else
+            {
+                compared = spFakeCamlEngine.compare(String(value).toLowerCase(), target);
+            }
+
+            switch (node.operator)
+            {
+                case ':':
+                case '=':
+                    return compared === 0;
+                case '<>':
+                    return compared !== 0;
+                case '>':
+                    return compared > 0;
+                case '>=':
+                    return compared >= 0;
+                case '<':
+                    return compared < 0;
+                default:
+                    return compared <= 0;
+            }
+        });
+    }
+
+    /**
+     * Parses a refinement filter (FQL) into { property, values }: Property:"value", Property:equals("value"),
+     * Property:or("a","b") or Property:"ǂǂ<token>".
+     */
+    static parseFilter (filter)
+    {
+        let match = /^\s*([A-Za-z][A-Za-z0-9_]*)\s*:\s*(?:(equals|or)\s*\((.*)\)|(.*))\s*$/.exec(filter);
+
+        if (match === null)
+        {
+            throw spHelperFake.serverError('invalidSearchQuery');
+        }
+
+        let values = (typeof match[3] !== 'undefined') ? match[3].split(',') : [match[4]];
+
+        return {
+            property : match[1],
+            values   : values.map( value => value.trim().replace(/^"(.*)"$/, '$1') ).map( value => (value.indexOf('ǂǂ') === 0) ? spFakeSearchEngine.decodeToken(value) : value.toLowerCase() ),
+        };
+    }
+
+    /**
+     * Checks if a document has one of the values of a refinement filter.
+     */
+    static matchesFilter (filter, document)
+    {
+        let values = [].concat(spFakeSearchEngine.property(document, filter.property)).map( value => spFakeSearchEngine.refinementValue(value) );
+
+        return values.some( value => value !== null && filter.values.includes(value.toLowerCase()) );
+    }
+
+    /**
+     * Returns the RefinementResults rows of the refiners: the values of each refiner with their number of documents.
+     */
+    static refine (documents, refiners)
+    {
+        let rows = [];
+
+        refiners.forEach( function (refiner)
+        {
+            let name   = refiner.trim().replace(/\(.*$/, '');
+            let counts = new Map();
+
+            documents.forEach( document => [].concat(spFakeSearchEngine.property(document, name)).map( value => spFakeSearchEngine.refinementValue(value) ).filter( (value, index, values) => value !== null && values.indexOf(value) === index ).forEach( function (value)
+            {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            }));
+
+            Array.from(counts.keys()).sort( (valueA, valueB) => (counts.get(valueB) - counts.get(valueA)) || spFakeCamlEngine.compare(valueA, valueB) ).forEach( function (value)
+            {
+                rows.push({ RefinerName : name, RefinementName : value, RefinementValue : value, RefinementToken : spFakeSearchEngine.encodeToken(value), RefinementCount : counts.get(value) });
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Returns the text of a refinement value (dates as ISO strings).
+     */
+    static refinementValue (value)
+    {
+        return (value === null || typeof value === 'undefined') ? null : (value instanceof Date) ? value.toISOString() : String(value);
+    }
+
+    /**
+     * Returns the refinement token of a value: "ǂǂ" and the hex of its UTF-8 bytes, in quotes.
+     */
+    static encodeToken (value)
+    {
+        let hex = encodeURIComponent(value).replace(/%([0-9A-F]{2})|([\s\S])/gi, (match, byte, character) => byte ? byte.toLowerCase() : ('0' + character.charCodeAt(0).toString(16)).slice(-2));
+
+        return `"ǂǂ${hex}"`;
+    }
+
+    /**
+     * Returns the value (lower case) of a refinement token.
+     */
+    static decodeToken (token)
+    {
+        let hex = token.replace(/^"?ǂǂ/, '').replace(/"$/, '');
+
+        try
+        {
+            return decodeURIComponent((hex.match(/../g) || []).map( pair => '%' + pair ).join('')).toLowerCase();
+        }
+        catch (error)
+        {
+            throw spHelperFake.serverError('invalidSearchQuery');
+        }
+    }
+}
+
+/**
+ * Evaluates CAML (View XML) against the items of a fake list. Supports Where (And, Or, Eq, Neq, Gt, Geq, Lt, Leq, IsNull,
+ * IsNotNull, BeginsWith, Contains, In, Includes, NotIncludes, DateRangesOverlap), OrderBy, GroupBy, ViewFields, RowLimit, the View Scope,
+ * Joins (left, inner and chained) with ProjectedFields, folder targeting, paging (ListItemCollectionPosition), the list view threshold and
+ * the ExpandRecurrence and CalendarDate QueryOptions of calendars.
+ */
+class spFakeCamlEngine
+{
+    /**
+     * Runs a CAML query and returns { items, pagingInfo, viewFields }.
+     */
+    static run (site, list, camlQuery)
+    {
+        let view  = spFakeCamlEngine.parseView(camlQuery.get_viewXml());
+        let items = spFakeCamlEngine.select(site, list, view, camlQuery.get_folderServerRelativeUrl());
+
+        let sortFields = view.groupBy.concat(view.orderBy);
+
+        // Resume after the position returned by the previous page. Expanded occurrences share their item ID and are not paged.
+        let position = camlQuery.get_listItemCollectionPosition();
+
+        if (position !== null && position.get_pagingInfo() && !view.expandRecurrence)
+        {
+            items = spFakeCamlEngine.afterPosition(list, sortFields, items, position.get_pagingInfo());
+        }
+
+        let pagingInfo = null;
+
+        if (view.rowLimit !== null && items.length > view.rowLimit && !view.expandRecurrence)
+        {
+            items      = items.slice(0, view.rowLimit);
+            pagingInfo = spFakeCamlEngine.pagingInfo(list, sortFields, items[items.length - 1]);
+        }
+
+        return { items : items, pagingInfo : pagingInfo, viewFields : view.viewFields };
+    }
+
+    /**
+     * Returns the items of a parsed view in its folder and scope that match its Where, sorted by its GroupBy and OrderBy.
+     */
+    static select (site, list, view, folderUrl)
+    {
+        let folder  = folderUrl || list.rootFolder;
+        let context = { site : site, list : list, calendarDate : (view.calendarDate !== null) ? spFakeCamlEngine.dateMoment(view.calendarDate, site) : null };
+
+        // Validate every field referenced by the query before running it.
+        view.fieldRefs.forEach( function (name)
+        {
+            if (!list.fields.some( field => field.internalName === name ))
+            {
+                throw spHelperFake.serverError('fieldNotFound');
+            }
+        });
+
+        let items = list.items.filter( item => spFakeCamlEngine.inScope(item, view.scope, folder.replace(/\/$/, '')) );
+
+        items = spFakeCamlEngine.join(site, list, items, view);
+
+        spFakeCamlEngine.checkThreshold(site, list, items, view, context);
+
+        if (view.expandRecurrence)
+        {
+            items = spFakeCamlEngine.expandRecurrence(site, items, context.calendarDate || new Date());
+        }
+
+        if (view.where !== null)
+        {
+            items = items.filter( item => spFakeCamlEngine.evaluate(view.where, item, context) );
+        }
+
+        let sortFields = view.groupBy.concat(view.orderBy);
+
+        return items.slice().sort( (itemA, itemB) => spFakeCamlEngine.compareItems(list, sortFields, itemA, itemB) );
+    }
+
+    /**
+     * Runs the View XML of a RenderListDataAsStream request and returns its ListData: { Row, FirstRow, LastRow, RowLimit,
+     * NextHref } plus the totals of the Aggregations ('Amount.SUM'). A view grouped with Collapse='TRUE' returns one row per
+     * group (per second level group when grouped by two fields) with the group counts ('Team.COUNT.group', 'Status.COUNT.group2')
+     * and aggregates ('Amount.SUM.agg', 'Amount.SUM.agg2'). Numbers are formatted with the separators of the site.
+     */
+    static renderListData (site, list, parameters)
+    {
+        let view     = spFakeCamlEngine.parseView(parameters.viewXml);
+        let items    = spFakeCamlEngine.select(site, list, view, parameters.folderServerRelativeUrl);
+        let listData = {};
+
+        view.aggregations.forEach( aggregation => listData[`${aggregation.name}.${aggregation.type}`] = spFakeCamlEngine.aggregate(site, list, aggregation, items) );
+
+        let rows = (view.groupBy.length > 0 && view.collapse) ? spFakeCamlEngine.groupRows(site, list, view, items) : items.map( item => spFakeCamlEngine.renderRow(list, view, item) );
+
+        // Pages start at a row number ('Paged=TRUE&PageFirstRow=31').
+        let paging   = /(?:^|[?&])PageFirstRow=(\d+)/i.exec(parameters.paging || '');
+        let firstRow = (paging !== null) ? parseInt(paging[1]) : 1;
+        let rowLimit = (view.rowLimit !== null) ? view.rowLimit : 30;
+        let page     = rows.slice(firstRow - 1, firstRow - 1 + rowLimit);
+
+        listData.Row      = page;
+        listData.FirstRow = firstRow;
+        listData.LastRow  = firstRow + page.length - 1;
+        listData.RowLimit = rowLimit;
+
+        if (firstRow - 1 + rowLimit < rows.length)
+        {
+            listData.NextHref = `?Paged=TRUE&PageFirstRow=${firstRow + rowLimit}`;
+        }
+
+        return listData;
+    }
+
+    /**
+     * Returns the collapsed group rows of RenderListDataAsStream: the first item of every (deepest) group with its group
+     * counts and aggregates.
+     */
+    static groupRows (site, list, view, items)
+    {
+        let names   = view.groupBy.map( group => group.name );
+        let fields  = names.map( name => list.fields.find( field => field.internalName === name ) );
+        let key     = (item, depth) => JSON.stringify(names.slice(0, depth).map( (name, index) => spFakeCamlEngine.sortValue(fields[index], item[name]) ));
+        let groups  = [];
+        let parents = {};
+
+        // The items are sorted by the group fields, so the items of a group follow each other.
+        items.forEach( function (item)
+        {
+            let last = groups[groups.length - 1];
+
+            if (typeof last !== 'undefined' && key(last[0], names.length) === key(item, names.length))
+            {
+                last.push(item);
+            }
+            else
+            {
+                groups.push([item]);
+            }
+
+            let parentKey = key(item, 1);
+
+            parents[parentKey] = parents[parentKey] || [];
+
+            parents[parentKey].push(item);
+        });
+
+        return groups.map( function (group, index)
+        {
+            let row    = spFakeCamlEngine.renderRow(list, view, group[0]);
+            let parent = parents[key(group[0], 1)];
+            let levels = (names.length > 1) ? [[parent, ''], [group, '2']] : [[group, '']];
+
+            levels.forEach( function ([levelItems, suffix], level)
+            {
+                let isNew = (level === levels.length - 1) || index === 0 || key(groups[index - 1][0], 1) !== key(group[0], 1);
+
+                row[`${names[level]}.newgroup`]             = isNew ? '1' : '';
+                row[`${names[level]}.COUNT.group${suffix}`] = spFakeCamlEngine.formatNumber(site, levelItems.length);
+
+                view.aggregations.forEach( aggregation => row[`${aggregation.name}.${aggregation.type}.agg${suffix}`] = spFakeCamlEngine.aggregate(site, list, aggregation, levelItems) );
+            });
+
+            return row;
+        });
+    }
+
+    /**
+     * Returns a RenderListDataAsStream row: the ID and the values of the view fields and group fields as SharePoint renders them.
+     * Lookups are [{ lookupId, lookupValue }], users [{ id, title, email }].
+     */
+    static renderRow (list, view, item)
+    {
+        let row = { ID : String(item.ID) };
+
+        (view.viewFields || []).concat(view.groupBy.map( group => group.name )).forEach( function (name)
+        {
+            let field = list.fields.find( entry => entry.internalName === name );
+            let value = item[name];
+
+            if (value === null || typeof value === 'undefined' || typeof field === 'undefined')
+            {
+                row[name] = '';
+            }
+            else if (field.kind === fieldTypeKinds.user)
+            {
+                row[name] = [].concat(value).map( user => ({ id : String(user.id), title : user.value, email : user.email || '' }) );
+            }
+            else if (field.kind === fieldTypeKinds.lookup)
+            {
+                row[name] = [].concat(value).map( lookup => ({ lookupId : lookup.id, lookupValue : lookup.value }) );
+            }
+            else
+            {
+                row[name] = Array.isArray(value) ? value.join('; ') : String(spHelperFake.textValue(value));
+            }
+        });
+
+        return row;
+    }
+
+    /**
+     * Returns the formatted value of an aggregation (COUNT, SUM, AVG, MIN or MAX) of the items. COUNT counts the items with
+     * a value, the others use the numeric values.
+     */
+    static aggregate (site, list, aggregation, items)
+    {
+        let values  = items.map( item => item[aggregation.name] ).filter( value => value !== null && typeof value !== 'undefined' && value !== '' && !(Array.isArray(value) && value.length === 0) );
+        let numbers = values.filter( value => typeof value === 'number' );
+
+        if (aggregation.type === 'COUNT')
+        {
+            return spFakeCamlEngine.formatNumber(site, values.length);
+        }
+
+        if (aggregation.type === 'SUM')
+        {
+            return spFakeCamlEngine.formatNumber(site, numbers.reduce( (sum, value) => sum + value, 0 ));
+        }
+
+        if (numbers.length === 0)
+        {
+            return '';
+        }
+
+        let result = (aggregation.type === 'AVG') ? numbers.reduce( (sum, value) => sum + value, 0 ) / numbers.length : Math[aggregation.type.toLowerCase()](...numbers);
+
+        return spFakeCamlEngine.formatNumber(site, result);
+    }
+
+    /**
+     * Formats a number with the decimal and thousand separators of the site ('1,234.5').
+     */
+    static formatNumber (site, number)
+    {
+        let parts = String(Math.abs(number)).split('.');
+        let whole = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, site.thousandSeparator);
+
+        return (number < 0 ? '-' : '') + whole + (parts.length > 1 ? site.decimalSeparator + parts[1] : '');
+    }
+
+    /**
+     * Parses View XML into its parts. Invalid XML fails like SharePoint does.
+     */
+    static parseView (viewXml)
+    {
+        let view =
+        {
+            scope      : 'Default',
+            where      : null,
+            orderBy    : [],
+            groupBy    : [],
+            collapse   : false,
+            viewFields : null,
+            rowLimit   : null,
+            fieldRefs  : [],
+            joins      : [],
+            projected  : [],
+
+            aggregations     : [],
+            expandRecurrence : false,
+            calendarDate     : null,
+        };
+
+        if (!viewXml || viewXml.trim() === '')
+        {
+            return view;
+        }
+
+        let root;
+
+        try
+        {
+            root = spXml.parse(viewXml).documentElement;
+        }
+        catch (error)
+        {
+            throw spHelperFake.serverError('invalidQuery');
+        }
+
+        let query = (root.tagName === 'Query') ? root : root.childElement('Query');
+
+        if (root.tagName === 'View')
+        {
+            view.scope = root.getAttribute('Scope') || 'Default';
+
+            let viewFields   = root.childElement('ViewFields');
+            let rowLimit     = root.childElement('RowLimit');
+            let queryOptions = root.childElement('QueryOptions');
+
+            // The <CalendarDate> element is kept and read as a date when the query runs.
+            if (queryOptions !== null)
+            {
+                let expand = queryOptions.childElement('ExpandRecurrence');
+
+                view.expandRecurrence = (expand !== null) && expand.textContent.trim().toUpperCase() === 'TRUE';
+                view.calendarDate     = queryOptions.childElement('CalendarDate');
+            }
+
+            if (viewFields !== null)
+            {
+                view.viewFields = viewFields.getElementsByTagName('FieldRef').map( fieldRef => fieldRef.getAttribute('Name') );
+            }
+
+            let aggregations = root.childElement('Aggregations');
+
+            // Aggregations (the totals of a view) are used by RenderListDataAsStream.
+            if (aggregations !== null && String(aggregations.getAttribute('Value')).toUpperCase() === 'ON')
+            {
+                aggregations.getElementsByTagName('FieldRef').forEach( function (fieldRef)
+                {
+                    let type = String(fieldRef.getAttribute('Type')).toUpperCase();
+
+                    if (!['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'].includes(type))
+                    {
+                        throw spHelperFake.serverError('invalidQuery');
+                    }
+
+                    view.aggregations.push({ name : fieldRef.getAttribute('Name'), type : type });
+
+                    view.fieldRefs.push(fieldRef.getAttribute('Name'));
+                });
+            }
+
+            let joins     = root.childElement('Joins');
+            let projected = root.childElement('ProjectedFields');
+
+            // The lookup column of a join is the FieldRef with RefType='Id'. Its List attribute names the parent join.
+            if (joins !== null)
+            {
+                joins.getElementsByTagName('Join').forEach( function (join)
+                {
+                    let lookupRef = join.getElementsByTagName('FieldRef').find( fieldRef => String(fieldRef.getAttribute('RefType')).toUpperCase() === 'ID' );
+
+                    if (typeof lookupRef === 'undefined')
+                    {
+                        throw spHelperFake.serverError('invalidQuery');
+                    }
+
+                    view.joins.push({ type : String(join.getAttribute('Type') || 'LEFT').toUpperCase(), alias : join.getAttribute('ListAlias'), parent : lookupRef.getAttribute('List') || null, column : lookupRef.getAttribute('Name') });
+                });
+            }
+
+            if (projected !== null)
+            {
+                projected.getElementsByTagName('Field').forEach( function (field)
+                {
+                    if (!view.joins.some( join => join.alias === field.getAttribute('List') ))
+                    {
+                        throw spHelperFake.serverError('invalidQuery');
+                    }
+
+                    view.projected.push({ name : field.getAttribute('Name'), list : field.getAttribute('List'), showField : field.getAttribute('ShowField') });
+                });
+            }
+
+            if (rowLimit !== null)
+            {
+                view.rowLimit = parseInt(rowLimit.textContent);
+
+                if (isNaN(view.rowLimit))
+                {
+                    throw spHelperFake.serverError('invalidQuery');
+                }
+            }
+        }
+
+        if (query !== null)
+        {
+            let where   = query.childElement('Where');
+            let orderBy = query.childElement('OrderBy');
+            let groupBy = query.childElement('GroupBy');
+
+            if (where !== null)
+            {
+                if (where.children.length !== 1)
+                {
+                    throw spHelperFake.serverError('invalidQuery');
+                }
+
+                view.where = where.children[0];
+
+                view.fieldRefs = view.fieldRefs.concat(where.getElementsByTagName('FieldRef').map( fieldRef => fieldRef.getAttribute('Name') ));
+            }
+
+            view.collapse = (groupBy !== null) && String(groupBy.getAttribute('Collapse')).toUpperCase() === 'TRUE';
+
+            [[orderBy, view.orderBy], [groupBy, view.groupBy]].forEach( function ([element, target])
+            {
+                if (element !== null)
+                {
+                    element.getElementsByTagName('FieldRef').forEach( function (fieldRef)
+                    {
+                        let ascending = String(fieldRef.getAttribute('Ascending') || 'TRUE').toUpperCase() !== 'FALSE';
+
+                        target.push({ name : fieldRef.getAttribute('Name'), ascending : ascending });
+
+                        view.fieldRefs.push(fieldRef.getAttribute('Name'));
+                    });
+                }
+            });
+        }
+
+        return view;
+    }
+
+    /**
+     * Applies the Joins of a query. Returns copies of the items with the projected field values (lookup values of the joined
+     * items), without the items that have no joined item for an inner join.
+     */
+    static join (site, list, items, view)
+    {
+        if (view.joins.length === 0)
+        {
+            return items;
+        }
+
+        return items.reduce( function (result, item)
+        {
+            // The joined list and item of every join alias. The queried list has no alias.
+            let joined = { '' : { list : list, item : item } };
+
+            for (let join of view.joins)
+            {
+                let parent = joined[join.parent || ''];
+
+                if (typeof parent === 'undefined')
+                {
+                    throw spHelperFake.serverError('invalidQuery');
+                }
+
+                let target = { list : null, item : null };
+
+                if (parent.list !== null)
+                {
+                    let field = parent.list.fields.find( entry => entry.internalName === join.column );
+
+                    if (typeof field === 'undefined' || field.kind !== fieldTypeKinds.lookup)
+                    {
+                        throw spHelperFake.serverError('fieldNotFound');
+                    }
+
+                    let value = (parent.item !== null) ? parent.item[join.column] : null;
+
+                    target.list = site.findList(field.lookupList, false);
+                    target.item = (target.list !== null && value && typeof value === 'object' && !Array.isArray(value)) ? (target.list.items.find( entry => entry.ID === value.id ) || null) : null;
+                }
+
+                if (target.item === null && join.type === 'INNER')
+                {
+                    return result;
+                }
+
+                joined[join.alias] = target;
+            }
+
+            let record = Object.assign({}, item);
+
+            view.projected.forEach( function (field)
+            {
+                let source = joined[field.list].item;
+                let value  = (source !== null && typeof source[field.showField] !== 'undefined') ? source[field.showField] : null;
+
+                record[field.name] = (source !== null) ? { id : source.ID, value : (value !== null && typeof value === 'object') ? value.value : value } : null;
+            });
+
+            result.push(record);
+
+            return result;
+        }, []);
+    }
+
+    /**
+     * Replaces the recurring events of a calendar by their occurrences within 400 days of the calendar date (ExpandRecurrence).
+     * Every occurrence is a copy of the series with the EventDate, EndDate and RecurrenceID of the occurrence. Deleted
+     * occurrences are left out, as are the occurrences of a series that were changed (the exception item is kept).
+     */
+    static expandRecurrence (site, items, calendarDate)
+    {
+        let replaced   = new Set(items.filter( item => (item.EventType === 3 || item.EventType === 4) && item.RecurrenceID instanceof Date ).map( item => `${item.MasterSeriesItemID}|${item.RecurrenceID.getTime()}` ));
+        let rangeStart = new Date(calendarDate.getTime() - 400 * 86400000);
+        let rangeEnd   = new Date(calendarDate.getTime() + 400 * 86400000);
+
+        return items.reduce( function (result, item)
+        {
+            if (item.EventType === 3)
+            {
+                return result;
+            }
+
+            if (item.EventType !== 1 || item.fRecurrence !== true || !(item.EventDate instanceof Date))
+            {
+                result.push(item);
+
+                return result;
+            }
+
+            let duration = (item.Duration || 0) * 1000;
+            let starts   = null;
+
+            try
+            {
+                starts = spRecurrence.occurrences(item.RecurrenceData, { start : item.EventDate, duration : duration, rangeStart : rangeStart, rangeEnd : rangeEnd, timeZone : site.timeZone, allDay : item.fAllDayEvent === true });
+            }
+            catch (error)
+            {
+                // A series that cannot be expanded is returned as is.
+                result.push(item);
+
+                return result;
+            }
+
+            starts.filter( start => !replaced.has(`${item.ID}|${start.getTime()}`) ).forEach( function (start)
+            {
+                result.push(Object.assign({}, item, { EventDate : start, EndDate : new Date(start.getTime() + duration), RecurrenceID : start }));
+            });
+
+            return result;
+        }, []);
+    }
+
+    /**
+     * Checks if an item is part of the query scope (View Scope attribute and target folder).
+     */
+    static inScope (item, scope, folder)
+    {
+        let isFolder = item.FSObjType === 1;
+        let inFolder = item.FileDirRef === folder;
+        let below    = inFolder || item.FileDirRef.indexOf(folder + '/') === 0;
+
+        switch (scope)
+        {
+            case 'Recursive':
+                return below && !isFolder;
+            case 'RecursiveAll':
+                return below;
+            case 'FilesOnly':
+                return inFolder && !isFolder;
+            default:
+                return inFolder;
+        }
+    }
+
+    /**
+     * Fails the query with the list view threshold error when it would have to scan more items than the threshold allows.
+     * Only conditions on indexed fields (joined by And) are able to reduce the number of scanned items.
+     */
+    static checkThreshold (site, list, items, view, context)
+    {
+        let threshold = site.listViewThreshold;
+
+        if (items.length <= threshold)
+        {
+            return;
+        }
+
+        let isIndexed = (name) => list.fields.some( field => field.internalName === name && (field.indexed || name === 'ID') );
+        let scanned   = items;
+
+        if (view.where !== null)
+        {
+            let indexedConditions = spFakeCamlEngine.conjuncts(view.where).filter( function (condition)
+            {
+                return condition.getElementsByTagName('FieldRef').every( fieldRef => isIndexed(fieldRef.getAttribute('Name')) );
+            });
+
+            scanned = items.filter( item => indexedConditions.every( condition => spFakeCamlEngine.evaluate(condition, item, context) ) );
+
+            if (indexedConditions.length === 0 || scanned.length > threshold)
+            {
+                throw spHelperFake.serverError('thresholdReached');
+            }
+        }
+        else if (view.rowLimit === null || view.rowLimit > threshold)
+        {
+            throw spHelperFake.serverError('thresholdReached');
+        }
+
+        let sortsOnIndex = view.groupBy.concat(view.orderBy).every( sortField => isIndexed(sortField.name) );
+
+        if (!sortsOnIndex && scanned.length > threshold)
+        {
+            throw spHelperFake.serverError('thresholdReached');
+        }
+    }
+
+    /**
+     * Splits a Where condition into the conditions joined by And.
+     */
+    static conjuncts (condition)
+    {
+        if (condition.tagName === 'And')
+        {
+            return condition.children.reduce( (all, child) => all.concat(spFakeCamlEngine.conjuncts(child)), [] );
+        }
+
+        return [condition];
+    }
+
+    /**
+     * Evaluates a Where condition for an item.
+     */
+    static evaluate (condition, item, context)
+    {
+        let children = condition.children;
+
+        switch (condition.tagName)
+        {
+            case 'And':
+            case 'Or':
+            {
+                // CAML logical operators are binary.
+                if (children.length !== 2)
+                {
+                    throw spHelperFake.serverError('invalidQuery');
+                }
+
+                let left  = spFakeCamlEngine.evaluate(children[0], item, context);
+                let right = spFakeCamlEngine.evaluate(children[1], item, context);
+
+                return condition.tagName === 'And' ? (left && right) : (left || right);
+            }
+            case 'IsNull':
+            case 'IsNotNull':
+            {
+                let values = spFakeCamlEngine.itemValues(condition, item, context);
+                let isNull = values.length === 0 || values.every( value => value === null || value === '' );
+
+                return condition.tagName === 'IsNull' ? isNull : !isNull;
+            }
+            case 'In':
+            {
+                let valuesElement = condition.childElement('Values');
+
+                if (valuesElement === null)
+                {
+                    throw spHelperFake.serverError('invalidQuery');
+                }
+
+                let values = spFakeCamlEngine.itemValues(condition, item, context);
+
+                return valuesElement.children.some( valueElement =>
+                    values.some( value => spFakeCamlEngine.compare(value, spFakeCamlEngine.targetValue(condition, valueElement, context)) === 0 ));
+            }
+            case 'DateRangesOverlap':
+            {
+                let fieldRefs    = children.filter( child => child.tagName === 'FieldRef' );
+                let valueElement = condition.childElement('Value');
+
+                if (fieldRefs.length < 2 || valueElement === null)
+                {
+                    throw spHelperFake.serverError('invalidQuery');
+                }
+
+                let start = item[spFakeCamlEngine.field(context, fieldRefs[0].getAttribute('Name')).internalName];
+                let end   = item[spFakeCamlEngine.field(context, fieldRefs[1].getAttribute('Name')).internalName];
+                let range = spFakeCamlEngine.dateRange(valueElement, context.site, context.calendarDate);
+
+                if (!(start instanceof Date))
+                {
+                    return false;
+                }
+
+                end = (end instanceof Date) ? end : start;
+
+                return start.getTime() <= range.end && end.getTime() >= range.start;
+            }
+            case 'Eq':
+            case 'Neq':
+            case 'Gt':
+            case 'Geq':
+            case 'Lt':
+            case 'Leq':
+            case 'Contains':
+            case 'BeginsWith':
+            case 'Includes':
+            case 'NotIncludes':
+            {
+                let valueElement = condition.childElement('Value');
+
+                if (valueElement === null || condition.childElement('FieldRef') === null)
+                {
+                    throw spHelperFake.serverError('invalidQuery');
+                }
+
+                let values = spFakeCamlEngine.itemValues(condition, item, context);
+                let target = spFakeCamlEngine.targetValue(condition, valueElement, context);
+
+                return spFakeCamlEngine.matches(condition.tagName, values, target);
+            }
+            default:
+                throw spHelperFake.serverError('invalidQuery');
+        }
+    }
+
+    /**
+     * Returns the period ({ start, end } in ms) of a DateRangesOverlap <Value>: <Now />, <Today />, <Week />, <Month />,
+     * <Year /> or the day of a date. Days, weeks, months and years start at midnight in the time zone of the site. The
+     * periods are those of the CalendarDate of the query when it has one.
+     */
+    static dateRange (valueElement, site, calendarDate = null)
+    {
+        let special = valueElement.children[0];
+        let period  = special ? special.tagName : 'Day';
+        let now     = special ? ((period !== 'Now' && calendarDate !== null) ? calendarDate : new Date()) : spFakeCamlEngine.dateMoment(valueElement, site);
+        let local   = new Date(site.timeZone.toSiteTime(now) + 'Z');
+        let year    = local.getUTCFullYear();
+        let month   = local.getUTCMonth();
+        let day     = local.getUTCDate();
+        let weekday = local.getUTCDay();
+
+        // The moment of midnight of a local date of the site.
+        let midnight = (y, m, d) => site.timeZone.fromSiteTime(spTimeZone.format(new Date(Date.UTC(y, m, d)))).getTime();
+
+        switch (period)
+        {
+            case 'Now':
+                return { start : now.getTime(), end : now.getTime() };
+            case 'Week':
+                return { start : midnight(year, month, day - weekday), end : midnight(year, month, day - weekday + 7) - 1 };
+            case 'Month':
+                return { start : midnight(year, month, 1), end : midnight(year, month + 1, 1) - 1 };
+            case 'Year':
+                return { start : midnight(year, 0, 1), end : midnight(year + 1, 0, 1) - 1 };
+            default:
+                return { start : midnight(year, month, day), end : midnight(year, month, day + 1) - 1 };
+        }
+    }
+
+    /**
+     * Returns the moment of a DateTime <Value>. <Today /> is midnight of the site's local date (plus OffsetDays), values
+     * without a time zone are the site's local time unless StorageTZ is set.
+     */
+    static dateMoment (valueElement, site)
+    {
+        let special   = valueElement.children[0];
+        let text      = valueElement.textContent.trim();
+        let storageTZ = String(valueElement.getAttribute('StorageTZ')).toUpperCase() === 'TRUE';
+        let date      = null;
+
+        if (special && special.tagName === 'Today')
+        {
+            date = site.timeZone.fromSiteTime(site.timeZone.today(parseInt(special.getAttribute('OffsetDays') || special.getAttribute('Offset') || 0)));
+        }
+        else if (special && special.tagName === 'Now')
+        {
+            date = new Date();
+        }
+        else if (spTimeZone.isLocalTime(text))
+        {
+            date = storageTZ ? new Date(spTimeZone.localTime(text, 'caml')) : site.timeZone.fromSiteTime(text);
+        }
+        else
+        {
+            date = new Date(text);
+        }
+
+        if (isNaN(date.getTime()))
+        {
+            throw spHelperFake.serverError('invalidQuery');
+        }
+
+        return date;
+    }
+
+    /**
+     * Returns the site's local date of a moment as the ms of that date in UTC. Dates compared without IncludeTimeValue are
+     * compared by this value.
+     */
+    static siteDay (date, site)
+    {
+        return Date.parse(site.timeZone.toSiteTime(date).substring(0, 10) + 'T00:00:00Z');
+    }
+
+    /**
+     * Checks if the dates of a condition are compared with their time (IncludeTimeValue).
+     */
+    static includesTime (condition)
+    {
+        let values       = condition.childElement('Values');
+        let valueElement = (values !== null) ? values.children[0] : condition.childElement('Value');
+
+        return typeof valueElement !== 'undefined' && valueElement !== null && String(valueElement.getAttribute('IncludeTimeValue')).toUpperCase() === 'TRUE';
+    }
+
+    /**
+     * Compares the values of an item (one or more for multi value fields) against a target value.
+     */
+    static matches (operation, values, target)
+    {
+        let present = values.filter( value => value !== null );
+
+        switch (operation)
+        {
+            case 'Eq':
+            case 'Includes':
+                return present.some( value => spFakeCamlEngine.compare(value, target) === 0 );
+            case 'Neq':
+            case 'NotIncludes':
+                return !present.some( value => spFakeCamlEngine.compare(value, target) === 0 );
+            case 'Gt':
+                return present.some( value => spFakeCamlEngine.compare(value, target) > 0 );
+            case 'Geq':
+                return present.some( value => spFakeCamlEngine.compare(value, target) >= 0 );
+            case 'Lt':
+                return present.some( value => spFakeCamlEngine.compare(value, target) < 0 );
+            case 'Leq':
+                return present.some( value => spFakeCamlEngine.compare(value, target) <= 0 );
+            case 'Contains':
+                return present.some( value => String(value).toLowerCase().includes(String(target).toLowerCase()) );
+            case 'BeginsWith':
+                return present.some( value => String(value).toLowerCase().indexOf(String(target).toLowerCase()) === 0 );
+        }
+    }
+
+    /**
+     * Returns the comparable values of the field referenced by a condition (an array, multi value fields return many).
+     */
+    static itemValues (condition, item, context)
+    {
+        let fieldRef = condition.childElement('FieldRef');
+        let field    = spFakeCamlEngine.field(context, fieldRef.getAttribute('Name'));
+        let byId     = String(fieldRef.getAttribute('LookupId')).toUpperCase() === 'TRUE';
+        let value    = item[field.internalName];
+
+        let values = Array.isArray(value) ? value : [value];
+
+        // Without IncludeTimeValue dates are compared by the site's local date.
+        if (field.kind === fieldTypeKinds.dateTime && !spFakeCamlEngine.includesTime(condition))
+        {
+            return values.map( entry => (entry instanceof Date) ? spFakeCamlEngine.siteDay(entry, context.site) : null );
+        }
+
+        return values.map( entry => spFakeCamlEngine.comparable(field, entry, byId, fieldRef) );
+    }
+
+    /**
+     * Returns the comparable target value of a <Value> element for the field referenced by a condition.
+     */
+    static targetValue (condition, valueElement, context)
+    {
+        let fieldRef = condition.childElement('FieldRef');
+        let field    = spFakeCamlEngine.field(context, fieldRef.getAttribute('Name'));
+        let byId     = String(fieldRef.getAttribute('LookupId')).toUpperCase() === 'TRUE';
+        let special  = valueElement.children[0];
+        let text     = valueElement.textContent;
+
+        if (special && special.tagName === 'UserID')
+        {
+            return byId || field.kind !== fieldTypeKinds.user ? context.site.currentUser.id : context.site.currentUser.title.toLowerCase();
+        }
+
+        if (field.kind === fieldTypeKinds.dateTime)
+        {
+            let date = spFakeCamlEngine.dateMoment(valueElement, context.site);
+
+            return String(valueElement.getAttribute('IncludeTimeValue')).toUpperCase() === 'TRUE' ? date.getTime() : spFakeCamlEngine.siteDay(date, context.site);
+        }
+
+        if (byId || [fieldTypeKinds.integer, fieldTypeKinds.counter, fieldTypeKinds.number, fieldTypeKinds.currency].includes(field.kind))
+        {
+            return Number(text);
+        }
+
+        if (field.kind === fieldTypeKinds.boolean)
+        {
+            return (text === '1' || text.toUpperCase() === 'TRUE') ? 1 : 0;
+        }
+
+        return String(text).toLowerCase();
+    }
+
+    /**
+     * Converts a server value into a value that can be compared with a target value.
+     */
+    static comparable (field, value, byId, fieldRef)
+    {
+        if (value === null || typeof value === 'undefined')
+        {
+            return null;
+        }
+
+        if (typeof value === 'object' && 'id' in value)
+        {
+            return byId ? value.id : String(value.value).toLowerCase();
+        }
+
+        if (value instanceof Date)
+        {
+            // Dates compared without IncludeTimeValue are converted to the site's local date by itemValues.
+            return value.getTime();
+        }
+
+        if (typeof value === 'number')
+        {
+            return value;
+        }
+
+        if (typeof value === 'boolean')
+        {
+            return value ? 1 : 0;
+        }
+
+        return spHelperFake.textValue(value).toLowerCase();
+    }
+
+    /**
+     * Compares two comparable values (returns <0, 0 or >0).
+     */
+    static compare (valueA, valueB)
+    {
+        if (valueA === null && valueB === null)
+        {
+            return 0;
+        }
+
+        if (valueA === null)
+        {
+            return -1;
+        }
+
+        if (valueB === null)
+        {
+            return 1;
+        }
+
+        if (typeof valueA === 'number' && typeof valueB === 'number')
+        {
+            return valueA - valueB;
+        }
+
+        return String(valueA).localeCompare(String(valueB));
+    }
+
+    /**
+     * Finds a field referenced by a query.
+     */
+    static field (context, name)
+    {
+        let field = context.list.fields.find( item => item.internalName === name );
+
+        if (!field)
+        {
+            throw spHelperFake.serverError('fieldNotFound');
+        }
+
+        return field;
+    }
+
+    /**
+     * Compares two items using the OrderBy (and GroupBy) fields. Ties are ordered by ID.
+     */
+    static compareItems (list, sortFields, itemA, itemB)
+    {
+        for (let sortField of sortFields)
+        {
+            let field  = list.fields.find( item => item.internalName === sortField.name );
+            let result = spFakeCamlEngine.compare(spFakeCamlEngine.sortValue(field, itemA[sortField.name]), spFakeCamlEngine.sortValue(field, itemB[sortField.name]));
+
+            if (result !== 0)
+            {
+                return sortField.ascending ? result : -result;
+            }
+        }
+
+        return itemA.ID - itemB.ID;
+    }
+
+    /**
+     * Returns the value used to sort an item by a field.
+     */
+    static sortValue (field, value)
+    {
+        if (Array.isArray(value))
+        {
+            value = value[0];
+        }
+
+        if (value === null || typeof value === 'undefined')
+        {
+            return null;
+        }
+
+        if (value instanceof Date)
+        {
+            return value.getTime();
+        }
+
+        if (typeof value === 'number' || typeof value === 'boolean')
+        {
+            return Number(value);
+        }
+
+        return String(spHelperFake.textValue(value)).toLowerCase();
+    }
+
+    /**
+     * Builds the paging info (ListItemCollectionPosition) of the last item of a page.
+     */
+    static pagingInfo (list, sortFields, lastItem)
+    {
+        let pagingInfo = `Paged=TRUE&p_ID=${lastItem.ID}`;
+
+        sortFields.forEach( function (sortField)
+        {
+            if (sortField.name !== 'ID')
+            {
+                let value = Array.isArray(lastItem[sortField.name]) ? lastItem[sortField.name][0] : lastItem[sortField.name];
+
+                if (value instanceof Date)
+                {
+                    value = value.toISOString().replace(/-/g, '').replace('T', ' ').substring(0, 17);
+                }
+                else if (typeof value === 'boolean')
+                {
+                    value = value ? 1 : 0;
+                }
+                else
+                {
+                    value = spHelperFake.textValue(value);
+                }
+
+                pagingInfo += `&p_${sortField.name}=${encodeURIComponent(value === null ? '' : value)}`;
+            }
+        });
+
+        return pagingInfo;
+    }
+
+    /**
+     * Returns the (sorted) items that come after a paging position. When the position does not contain the sort field values
+     * only the ID is used (items with a greater ID), which is what SharePoint does with a hand built 'p_ID' position.
+     */
+    static afterPosition (list, sortFields, items, pagingInfo)
+    {
+        let cursor = {};
+
+        pagingInfo.split('&').forEach( function (part)
+        {
+            let separator = part.indexOf('=');
+
+            if (separator !== -1)
+            {
+                cursor[part.substring(0, separator)] = decodeURIComponent(part.substring(separator + 1));
+            }
+        });
+
+        let lastId      = parseInt(cursor.p_ID || 0);
+        let hasSortKeys = sortFields.every( sortField => sortField.name === 'ID' || ('p_' + sortField.name) in cursor );
+
+        if (sortFields.length === 0 || !hasSortKeys)
+        {
+            return items.filter( item => item.ID > lastId );
+        }
+
+        let reference = { ID : lastId };
+
+        sortFields.forEach( function (sortField)
+        {
+            let field = list.fields.find( item => item.internalName === sortField.name );
+            let text  = cursor['p_' + sortField.name];
+
+            if (sortField.name === 'ID')
+            {
+                return;
+            }
+
+            if (text === '')
+            {
+                reference[sortField.name] = null;
+            }
+            else if (field.kind === fieldTypeKinds.dateTime)
+            {
+                // SharePoint writes dates as 'yyyyMMdd HH:mm:ss' (UTC).
+                let parts = /^(\d{4})(\d{2})(\d{2}) (\d{2}):(\d{2}):(\d{2})$/.exec(text);
+
+                reference[sortField.name] = parts ? new Date(Date.UTC(parts[1], parts[2] - 1, parts[3], parts[4], parts[5], parts[6])) : new Date(text);
+            }
+            else if ([fieldTypeKinds.integer, fieldTypeKinds.counter, fieldTypeKinds.number, fieldTypeKinds.currency].includes(field.kind))
+            {
+                reference[sortField.name] = Number(text);
+            }
+            else if (field.kind === fieldTypeKinds.boolean)
+            {
+                reference[sortField.name] = (text === 'true' || text === '1');
+            }
+            else
+            {
+                reference[sortField.name] = text;
+            }
+        });
+
+        return items.filter( item => spFakeCamlEngine.compareItems(list, sortFields, item, reference) > 0 );
+    }
+}
+
+/**
+ * Answers the SharePoint REST (_api) requests used by the spHelper REST transport against the in-memory site: contextinfo,
+ * site, web, ensureuser, lists (by title or GUID), list fields, content types, GetItems and the items endpoints (create, MERGE,
+ * DELETE). Responses use the OData verbose format.
+ */
+class spFakeRestService
+{
+    constructor (site)
+    {
+        this.site    = site;
+        this.digests = [];
+    }
+
+    /**
+     * A fetch compatible function. Resolves (asynchronously, after the site latency) to a Response like object.
+     */
+    fetch (url, init = {})
+    {
+        return new Promise( (resolve) =>
+        {
+            this.site.requestCount++;
+
+            setTimeout( () => resolve(this.respond(url, init)), this.site.latency );
+        });
+    }
+
+    /**
+     * Runs a request and builds the response. Server errors are returned as OData errors with the matching HTTP status.
+     */
+    respond (url, init)
+    {
+        let method  = String(init.method || 'GET').toUpperCase();
+        let headers = init.headers || {};
+        let planned = this.site.nextFailure();
+
+        try
+        {
+            if (planned !== null)
+            {
+                throw spHelperFake.serverError(planned.type);
+            }
+
+            let body = (typeof init.body === 'string' && init.body !== '') ? JSON.parse(init.body) : null;
+
+            if (method === 'POST' && !/\/_api\/contextinfo$/i.test(url.split('?')[0]) && !this.digests.includes(spFakeRestService.header(headers, 'X-RequestDigest')))
+            {
+                throw spHelperFake.serverError('securityValidation');
+            }
+
+            let result = this.route(method, url, headers, body);
+
+            return new spFakeResponse(result === null ? 204 : 200, result === null ? '' : JSON.stringify({ d : result }), this.site.newGuid());
+        }
+        catch (error)
+        {
+            if (!(error instanceof spFakeServerError))
+            {
+                throw error;
+            }
+
+            let body = { error : { code : `${error.errorCode}, ${error.errorTypeName}`, message : { lang : 'en-US', value : error.message } } };
+
+            let errorHeaders = (planned !== null && typeof planned.retryAfter !== 'undefined') ? { 'retry-after' : String(planned.retryAfter) } : {};
+
+            return new spFakeResponse(error.status, JSON.stringify(body), this.site.newGuid(), errorHeaders);
+        }
+    }
+
+    /**
+     * Finds the endpoint of a request and runs it.
+     */
+    route (method, url, headers, body)
+    {
+        let site       = this.site;
+        let queryStart = url.indexOf('?');
+        let query      = spFakeRestService.queryOptions(queryStart === -1 ? '' : url.substring(queryStart + 1));
+        let path       = decodeURIComponent(queryStart === -1 ? url : url.substring(0, queryStart));
+        let apiStart   = path.toLowerCase().indexOf('/_api/');
+
+        if (apiStart === -1)
+        {
+            throw spHelperFake.serverError('notFound');
+        }
+
+        path = path.substring(apiStart + 5);
+
+        if (/^\/contextinfo$/i.test(path))
+        {
+            let digest = `0x${site.newGuid().replace(/-/g, '').toUpperCase()},${new Date().toUTCString()}`;
+
+            this.digests.push(digest);
+
+            return { GetContextWebInformation : { FormDigestValue : digest, FormDigestTimeoutSeconds : 1800, WebFullUrl : site.url } };
+        }
+
+        if (/^\/web\/?$/i.test(path))
+        {
+            return { Title : site.title, Url : site.url, ServerRelativeUrl : site.serverRelativeUrl, MasterUrl : site.masterUrl, Id : '00000000-0000-4000-8000-000000000000', Description : '' };
+        }
+
+        if (/^\/site\/?$/i.test(path))
+        {
+            return { Url : site.url, ServerRelativeUrl : site.serverRelativeUrl, MaxItemsPerThrottledOperation : site.listViewThreshold };
+        }
+
+        if (/^\/web\/regionalsettings\/timezone$/i.test(path))
+        {
+            let timeZone = site.timeZone;
+
+            return { Id : timeZone.id, Description : timeZone.description, Information : { Bias : timeZone.bias, DaylightBias : timeZone.daylightBias, StandardBias : timeZone.standardBias } };
+        }
+
+        if (/^\/web\/regionalsettings$/i.test(path))
+        {
+            return { DecimalSeparator : site.decimalSeparator, ThousandSeparator : site.thousandSeparator };
+        }
+
+        if (/^\/web\/ensureuser$/i.test(path) && method === 'POST')
+        {
+            let user = site.findUser(body.logonName);
+
+            return { Id : user.id, Title : user.title, Email : user.email, LoginName : user.loginName };
+        }
+
+        if (/^\/search\/postquery$/i.test(path) && method === 'POST')
+        {
+            return { postquery : spFakeRestService.searchJson(spFakeSearchEngine.run(site, spFakeRestService.searchRequest(body.request))) };
+        }
+
+        let listMatch = /^\/web\/lists(?:\/getbytitle\('((?:[^']|'')*)'\)|\(guid'([^']*)'\))(.*)$/i.exec(path);
+
+        if (listMatch === null)
+        {
+            throw spHelperFake.serverError('notFound');
+        }
+
+        let list     = site.checkPermission(site.findList(typeof listMatch[1] !== 'undefined' ? listMatch[1].replace(/''/g, "'") : listMatch[2]));
+        let endpoint = listMatch[3];
+        let itemPath = /^\/items\((\d+)\)$/i.exec(endpoint);
+        let viewPath = /^\/views(?:\/getbytitle\('((?:[^']|'')*)'\)|\(guid'([^']*)'\))$/i.exec(endpoint);
+        let ctFields = /^\/contenttypes\('([^']*)'\)\/fields$/i.exec(endpoint);
+
+        if (endpoint === '' && method === 'GET')
+        {
+            return this.listJson(list, query.expand.includes('RootFolder'));
+        }
+
+        if (/^\/fields$/i.test(endpoint) || ctFields !== null)
+        {
+            return { results : list.fields.map( field => spFakeRestService.fieldJson(field) ) };
+        }
+
+        if (viewPath !== null && method === 'GET')
+        {
+            let view = site.findView(list, typeof viewPath[1] !== 'undefined' ? viewPath[1].replace(/''/g, "'") : viewPath[2]);
+
+            return {
+                Id         : view.id,
+                Title      : view.title,
+                ViewQuery  : view.query,
+                RowLimit   : view.rowLimit,
+                Scope      : view.scope,
+                ViewFields : query.expand.includes('ViewFields') ? { Items : { results : view.fields.slice() } } : { __deferred : {} },
+            };
+        }
+
+        if (/^\/contenttypes$/i.test(endpoint))
+        {
+            return { results : [ { StringId : list.contentTypeId, Name : list.template === 101 ? 'Document' : 'Item' } ] };
+        }
+
+        if (/^\/getitems$/i.test(endpoint) && method === 'POST')
+        {
+            site.checkPermission(list, 'viewListItems');
+
+            let camlQuery  = new spFakeCamlQuery();
+            let pagingInfo = body.query.ListItemCollectionPosition ? body.query.ListItemCollectionPosition.PagingInfo : null;
+
+            camlQuery.set_viewXml(body.query.ViewXml);
+            camlQuery.set_folderServerRelativeUrl(body.query.FolderServerRelativeUrl || null);
+
+            if (pagingInfo)
+            {
+                camlQuery.set_listItemCollectionPosition(new spFakeListItemCollectionPosition());
+                camlQuery.get_listItemCollectionPosition().set_pagingInfo(pagingInfo);
+            }
+
+            let result = spFakeCamlEngine.run(site, list, camlQuery);
+
+            return { results : result.items.map( item => this.itemJson(list, item, query.expand) ) };
+        }
+
+        if (/^\/renderlistdataasstream$/i.test(endpoint) && method === 'POST')
+        {
+            site.checkPermission(list, 'viewListItems');
+
+            let parameters = body.parameters || {};
+
+            return spFakeCamlEngine.renderListData(site, list, { viewXml : parameters.ViewXml, paging : parameters.Paging || null, folderServerRelativeUrl : parameters.FolderServerRelativeUrl || null });
+        }
+
+        if (/^\/getchanges$/i.test(endpoint) && method === 'POST')
+        {
+            site.checkPermission(list, 'viewListItems');
+
+            let changeQuery = body.query;
+            let tokenStart  = changeQuery.ChangeTokenStart ? changeQuery.ChangeTokenStart.StringValue : null;
+            let changes     = site.listChanges(list, { item : changeQuery.Item, add : changeQuery.Add, update : changeQuery.Update, deleteObject : changeQuery.DeleteObject, changeTokenStart : tokenStart, fetchLimit : changeQuery.FetchLimit });
+
+            return {
+                results : changes.map( change => ({ __metadata : { type : 'SP.ChangeItem' }, ChangeType : change.changeType, ItemId : change.itemId, Time : change.time.toISOString(), ChangeToken : { StringValue : change.token } }) ),
+            };
+        }
+
+        if (/^\/items$/i.test(endpoint) && method === 'POST')
+        {
+            site.checkPermission(list, 'addListItems');
+
+            let changes = this.itemChanges(list, body);
+            let item    = site.createItem(list);
+
+            try
+            {
+                spFakeListItem.applyChanges(site, list, item, changes);
+            }
+            catch (error)
+            {
+                list.items = list.items.filter( record => record !== item );
+
+                throw error;
+            }
+
+            site.logChange(list, changeTypes.add, item.ID);
+
+            return this.itemJson(list, item, []);
+        }
+
+        if (itemPath !== null)
+        {
+            let httpMethod = String(spFakeRestService.header(headers, 'X-HTTP-Method') || method).toUpperCase();
+            let item       = list.items.find( record => record.ID === parseInt(itemPath[1]) );
+
+            if (!item)
+            {
+                throw spHelperFake.serverError('itemNotFound');
+            }
+
+            if (httpMethod === 'GET')
+            {
+                site.checkPermission(list, 'viewListItems');
+
+                return this.itemJson(list, item, query.expand);
+            }
+
+            if (httpMethod === 'MERGE')
+            {
+                site.checkPermission(list, 'editListItems');
+
+                spFakeListItem.applyChanges(site, list, item, this.itemChanges(list, body));
+
+                site.logChange(list, changeTypes.update, item.ID);
+
+                return null;
+            }
+
+            if (httpMethod === 'DELETE')
+            {
+                site.checkPermission(list, 'deleteListItems');
+
+                list.items = list.items.filter( record => record !== item );
+
+                site.logChange(list, changeTypes.deleteObject, item.ID);
+
+                return null;
+            }
+        }
+
+        throw spHelperFake.serverError('notFound');
+    }
+
+    /**
+     * Reads the search request of a search/postquery body (Microsoft.Office.Server.Search.REST.SearchRequest).
+     */
+    static searchRequest (request)
+    {
+        let results = value => (value && Array.isArray(value.results)) ? value.results : [];
+
+        return {
+            queryText         : request.Querytext,
+            selectProperties  : results(request.SelectProperties),
+            refiners          : String(request.Refiners || '').split(',').filter( refiner => refiner.trim() !== '' ),
+            refinementFilters : results(request.RefinementFilters),
+            sortList          : results(request.SortList).map( sort => ({ property : sort.Property, ascending : sort.Direction === 0 }) ),
+            rowLimit          : (typeof request.RowLimit !== 'undefined') ? request.RowLimit : 10,
+            startRow          : request.StartRow || 0,
+            sourceId          : request.SourceId || null,
+            trimDuplicates    : request.TrimDuplicates !== false,
+        };
+    }
+
+    /**
+     * The REST (verbose) search response. Cell values are text with their EDM type.
+     */
+    static searchJson (search)
+    {
+        let cell = function (key, value)
+        {
+            if (value === null || typeof value === 'undefined')
+            {
+                return { Key : key, Value : null, ValueType : 'Null' };
+            }
+
+            if (value instanceof Date)
+            {
+                return { Key : key, Value : value.toISOString(), ValueType : 'Edm.DateTime' };
+            }
+
+            if (typeof value === 'number')
+            {
+                return { Key : key, Value : String(value), ValueType : Number.isInteger(value) ? 'Edm.Int64' : 'Edm.Double' };
+            }
+
+            return { Key : key, Value : String(value), ValueType : (typeof value === 'boolean') ? 'Edm.Boolean' : 'Edm.String' };
+        };
+
+        let refiners = [];
+
+        search.refiners.forEach( function (entry)
+        {
+            let refiner = refiners.find( item => item.Name === entry.RefinerName );
+
+            if (typeof refiner === 'undefined')
+            {
+                refiner = { Name : entry.RefinerName, Entries : { results : [] } };
+
+                refiners.push(refiner);
+            }
+
+            refiner.Entries.results.push({ RefinementCount : String(entry.RefinementCount), RefinementName : entry.RefinementName, RefinementToken : entry.RefinementToken, RefinementValue : entry.RefinementValue });
+        });
+
+        return {
+            PrimaryQueryResult :
+            {
+                RelevantResults :
+                {
+                    TotalRows                    : search.totalRows,
+                    TotalRowsIncludingDuplicates : search.totalRowsIncludingDuplicates,
+                    RowCount                     : search.rows.length,
+                    Table                        : { Rows : { results : search.rows.map( row => ({ Cells : { results : Object.keys(row).map( key => cell(key, row[key]) ) } }) ) } },
+                },
+                RefinementResults : { Refiners : { results : refiners } },
+            },
+        };
+    }
+
+    /**
+     * The REST (verbose) representation of a list.
+     */
+    listJson (list, expandRootFolder)
+    {
+        let properties = spFakeList.properties(this.site, list);
+        let json       = { __metadata : { type : 'SP.List' }, ListItemEntityTypeFullName : spFakeRestService.entityType(list) };
+
+        for (let name in properties)
+        {
+            if (name !== 'effectiveBasePermissions')
+            {
+                json[name.charAt(0).toUpperCase() + name.substring(1)] = (name === 'id') ? list.id : properties[name];
+            }
+        }
+
+        json.CurrentChangeToken = { StringValue : properties.currentChangeToken.get_stringValue() };
+
+        json.RootFolder = expandRootFolder ? { ServerRelativeUrl : list.rootFolder, Name : list.internalName, ItemCount : list.items.length } : { __deferred : {} };
+
+        return json;
+    }
+
+    /**
+     * The REST (verbose) representation of a field.
+     */
+    static fieldJson (field)
+    {
+        let properties = spFakeField.properties(field);
+        let json       = { __metadata : { type : 'SP.Field' }, EntityPropertyName : field.internalName };
+
+        for (let name in properties)
+        {
+            let value = properties[name];
+
+            if (name === 'id')
+            {
+                value = field.id;
+            }
+            else if (name === 'choices')
+            {
+                value = { results : value };
+            }
+
+            json[name.charAt(0).toUpperCase() + name.substring(1)] = value;
+        }
+
+        return json;
+    }
+
+    /**
+     * The REST (verbose) representation of a list item. Lookup and user values are only expanded when requested ($expand).
+     */
+    itemJson (list, item, expand)
+    {
+        let json = { __metadata : { type : spFakeRestService.entityType(list) }, Id : item.ID };
+
+        list.fields.forEach( function (field)
+        {
+            let name  = field.internalName;
+            let value = item[name];
+
+            if (field.kind === fieldTypeKinds.lookup || field.kind === fieldTypeKinds.user)
+            {
+                let values   = (value === null || typeof value === 'undefined') ? [] : [].concat(value);
+                let expanded = values.map( entry => ({ Id : entry.id, Title : entry.value, [field.lookupField || 'Title'] : entry.value, EMail : entry.email }) );
+
+                json[`${name}Id`] = field.allowMultipleValues ? { results : values.map( entry => entry.id ) } : (values.length > 0 ? values[0].id : null);
+
+                if (!expand.includes(name))
+                {
+                    json[name] = { __deferred : {} };
+                }
+                else
+                {
+                    json[name] = field.allowMultipleValues ? { results : expanded } : (expanded.length > 0 ? expanded[0] : null);
+                }
+            }
+            else if (value instanceof Date)
+            {
+                json[name] = value.toISOString();
+            }
+            else if (Array.isArray(value))
+            {
+                json[name] = { __metadata : { type : 'Collection(Edm.String)' }, results : value };
+            }
+            else if (value !== null && typeof value === 'object' && 'url' in value)
+            {
+                json[name] = { __metadata : { type : 'SP.FieldUrlValue' }, Url : value.url, Description : value.description };
+            }
+            else
+            {
+                json[name] = (typeof value === 'undefined') ? null : value;
+            }
+        });
+
+        return json;
+    }
+
+    /**
+     * Converts the body of an item request into values accepted by spFakeListItem.applyChanges.
+     */
+    itemChanges (list, body)
+    {
+        let changes = {};
+
+        for (let key in body)
+        {
+            if (key === '__metadata')
+            {
+                continue;
+            }
+
+            let value = body[key];
+            let field = list.fields.find( item => item.internalName === key );
+
+            // Lookup and user values are set through their '<Name>Id' property.
+            if (!field && /Id$/.test(key))
+            {
+                field = list.fields.find( item => item.internalName === key.substring(0, key.length - 2) && (item.kind === fieldTypeKinds.lookup || item.kind === fieldTypeKinds.user) );
+            }
+
+            if (!field)
+            {
+                throw spHelperFake.serverError('propertyNotFound', key, spFakeRestService.entityType(list));
+            }
+
+            if (value !== null && typeof value === 'object' && Array.isArray(value.results))
+            {
+                value = value.results;
+            }
+            else if (value !== null && typeof value === 'object' && 'Url' in value)
+            {
+                value = { url : value.Url, description : value.Description };
+            }
+
+            changes[field.internalName] = value;
+        }
+
+        return changes;
+    }
+
+    /**
+     * The item entity type name of a list (ListItemEntityTypeFullName).
+     */
+    static entityType (list)
+    {
+        return `SP.Data.${list.internalName}${list.template === 101 ? 'Item' : 'ListItem'}`;
+    }
+
+    /**
+     * Reads the $expand option of a request URL.
+     */
+    static queryOptions (queryString)
+    {
+        let options = { expand : [] };
+
+        queryString.split('&').forEach( function (part)
+        {
+            let separator = part.indexOf('=');
+            let name      = decodeURIComponent(separator === -1 ? part : part.substring(0, separator));
+
+            if (name === '$expand')
+            {
+                options.expand = decodeURIComponent(part.substring(separator + 1)).split(',').map( value => value.trim() );
+            }
+        });
+
+        return options;
+    }
+
+    /**
+     * Reads a request header (case insensitive) from a headers object or a Headers instance.
+     */
+    static header (headers, name)
+    {
+        if (typeof headers.get === 'function')
+        {
+            return headers.get(name);
+        }
+
+        let key = Object.keys(headers).find( item => item.toLowerCase() === name.toLowerCase() );
+
+        return (typeof key !== 'undefined') ? headers[key] : null;
+    }
+}
+
+/**
+ * A minimal fetch Response returned by the fake REST service.
+ */
+class spFakeResponse
+{
+    constructor (status, body, correlationId, headers = {})
+    {
+        this.status     = status;
+        this.ok         = status >= 200 && status < 300;
+        this.statusText = { 200 : 'OK', 204 : 'No Content', 400 : 'Bad Request', 403 : 'Forbidden', 404 : 'Not Found', 429 : 'Too Many Requests', 500 : 'Internal Server Error', 504 : 'Gateway Timeout' }[status] || '';
+        this.body       = body;
+        this.headers    =
+        {
+            values : Object.assign({ 'content-type' : 'application/json;odata=verbose;charset=utf-8', 'sprequestguid' : correlationId }, headers),
+            get    : function (name) { return this.values[String(name).toLowerCase()] || null; },
+        };
+    }
+
+    text ()
+    {
+        return Promise.resolve(this.body);
+    }
+
+    json ()
+    {
+        return Promise.resolve(JSON.parse(this.body));
+    }
+}
@@ -0,0 +1,748 @@
+import spHelperError from './spHelperError';
+
+// Shorthand for the spHelperError codes.
+const errorCodes = spHelperError.codes;
+
+// The IndexedDB object store holding one record per mirrored query.
+const storeName = 'queries';
+
+// Modified based deltas also read the items modified this long (ms) before the previous refresh, to allow for clock
+// differences between the browser and SharePoint.
+const clockSkew = 10 * 60 * 1000;
+
+// Query details that do not change the rows of a query and are not sent with mirrored reads.
+const ignoredDetails = ['signal', 'onProgress'];
+
+export default class spListMirror
+{
+    /**
+     * An offline mirror of getListData results kept in IndexedDB. Every query (list and query details) is stored on its own.
+     * Reads are served from the mirror and the mirror is refreshed in the background once its rows are older than 'maxAge'.
+     * Refreshes read only what changed (change tokens or the Modified column) and merge it into the mirrored rows. The rows
+     * are plain JSON (see spHelper.normalizeValue) and always include the ID. Created with spHelper.createMirror ().
+     *
+     * PARAMETERS
+     *    'helper'  - [OBJECT] : The spHelper instance used to read the lists.
+     *    'options' - [OBJECT] : List of mirror options and option settings.
+     *
+     * OPTIONS
+     *    'indexedDB'      - [OBJECT]  : The IndexedDB factory. Defaults to the global indexedDB. Pass the indexedDB of
+     *                                   fake-indexeddb to use the mirror under Node.
+     *    'databaseName'   - [STRING]  : The IndexedDB database name. Defaults to 'spHelperMirror'.
+     *    'maxAge'         - [INTEGER] : The age (ms) after which mirrored rows are refreshed in the background. Defaults to
+     *                                   300000 (5 minutes). 0 refreshes on every read.
+     *    'delta'          - [STRING]  : How refreshes find the changed items. 'changes' (change tokens, see getListChanges,
+     *                                   the default), 'modified' (items modified since the last refresh) or 'none' (the whole
+     *                                   query is read again).
+     *    'onRefresh'      - [FUNC ([OBJECT] refresh)]                 : Executed after a background refresh with { queryDetails,
+     *                                                                   items, freshness }. Its exceptions are rethrown.
+     *    'onRefreshError' - [FUNC ([spHelperError] error, [OBJECT] queryDetails)] : Executed when a background refresh fails.
+     *                                                                   The mirrored rows are still served.
+     */
+    constructor (helper, options = {})
+    {
+        this.helper         = helper;
+        this.factory        = options.indexedDB || ((typeof indexedDB !== 'undefined') ? indexedDB : null);
+        this.databaseName   = options.databaseName || 'spHelperMirror';
+        this.maxAge         = (typeof options.maxAge === 'number') ? options.maxAge : 300000;
+        this.delta          = options.delta || 'changes';
+        this.onRefresh      = options.onRefresh || null;
+        this.onRefreshError = options.onRefreshError || null;
+        this.database       = null;
+        this.refreshes      = {};
+
+        if (this.factory === null)
+        {
+            throw new spHelperError(errorCodes.CONFIGURATION, 'Configuration error. The list mirror requires IndexedDB. Pass the indexedDB option (e.g. fake-indexeddb under Node).', { method : 'createMirror' });
+        }
+
+        if (!['changes', 'modified', 'none'].includes(this.delta))
+        {
+            throw new spHelperError(errorCodes.CONFIGURATION, "Configuration error. The mirror delta option must be 'changes', 'modified' or 'none'.", { method : 'createMirror' });
+        }
+    }
+
+    /**
+     * Reads list data like spHelper.getListData, from the mirror when the query has been mirrored. Mirrored rows older than
+     * 'maxAge' are returned at once and refreshed in the background (see the 'onRefresh' option). A query that has not been
+     * mirrored yet is read from SharePoint and stored. If no callbacks are supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      queryDetails  - [OBJECT]                        : See spHelper.getListData (). 'onPage' is not supported, 'signal'
+     *                                                        and 'onProgress' are ignored.
+     *      onSuccessUser - [FUNC ([ARRAY][OBJECT] rows)]   : A callback function that is executed with the rows.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the rows cannot be read.
+     *
+     * EXAMPLES
+     *      let mirror = dataConnection.createMirror({ maxAge : 60000 });
+     *
+     *      let tasks = await mirror.getListData({ listName : 'Tasks', listColumns : ['Title', 'Status'] });
+     */
+    getListData (queryDetails, onSuccessUser, onFailureUser)
+    {
+        if (this.helper.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.helper.promiseRequest( (resolve, reject) => this.getListData(queryDetails, resolve, reject) );
+        }
+
+        onSuccessUser = this.helper.userCallback(onSuccessUser);
+
+        let query = this.mirrorQuery(queryDetails, 'getListData');
+        let key   = this.queryKey(query);
+
+        let read = this.readRecord(key).then( (record) =>
+        {
+            if (typeof record === 'undefined' || !Array.isArray(record.items))
+            {
+                return this.runRefresh(query, key);
+            }
+
+            if (Date.now() - record.refreshedAt >= this.maxAge)
+            {
+                this.backgroundRefresh(query, key);
+            }
+
+            return record.items;
+        });
+
+        spListMirror.settle(read, onSuccessUser, onFailureUser);
+    }
+
+    /**
+     * Refreshes a mirrored query now (or reads and stores it when it has not been mirrored) and returns the rows. Only the
+     * changes since the previous refresh are read (see the 'delta' option). If no callbacks are supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      queryDetails  - [OBJECT]                        : See spHelper.getListData ().
+     *      onSuccessUser - [FUNC ([ARRAY][OBJECT] rows)]   : A callback function that is executed with the rows.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the rows cannot be read.
+     */
+    refresh (queryDetails, onSuccessUser, onFailureUser)
+    {
+        if (this.helper.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.helper.promiseRequest( (resolve, reject) => this.refresh(queryDetails, resolve, reject) );
+        }
+
+        onSuccessUser = this.helper.userCallback(onSuccessUser);
+
+        let query = this.mirrorQuery(queryDetails, 'refresh');
+
+        spListMirror.settle(this.runRefresh(query, this.queryKey(query)), onSuccessUser, onFailureUser);
+    }
+
+    /**
+     * Returns how fresh the mirrored rows of a query are. If no callbacks are supplied a Promise is returned.
+     *
+     * PARAMETERS
+     *      queryDetails  - [OBJECT]                        : See spHelper.getListData ().
+     *      onSuccessUser - [FUNC ([OBJECT] freshness)]     : A callback function that is executed with the freshness.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the mirror cannot be read.
+     *
+     * RESULT
+     *      'mirrored'    - [BOOL]    : Indicates if the query has been mirrored.
+     *      'cachedAt'    - [DATE]    : When the query was first read from SharePoint.
+     *      'refreshedAt' - [DATE]    : When the rows were last refreshed from SharePoint.
+     *      'age'         - [INTEGER] : The milliseconds since the last refresh.
+     *      'stale'       - [BOOL]    : Indicates if the rows are older than 'maxAge'.
+     *      'refreshing'  - [BOOL]    : Indicates if a refresh is running.
+     *      'refreshMode' - [STRING]  : How the rows were last refreshed: 'full', 'changes' or 'modified'.
+     *      'itemCount'   - [INTEGER] : The number of mirrored rows.
+     *      'lastError'   - [OBJECT]  : The { code, message, time } of the last failed refresh, or null.
+     */
+    getFreshness (queryDetails, onSuccessUser, onFailureUser)
+    {
+        if (this.helper.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.helper.promiseRequest( (resolve, reject) => this.getFreshness(queryDetails, resolve, reject) );
+        }
+
+        onSuccessUser = this.helper.userCallback(onSuccessUser);
+
+        let query = this.mirrorQuery(queryDetails, 'getFreshness');
+        let key   = this.queryKey(query);
+
+        spListMirror.settle(this.readRecord(key).then( record => this.freshness(key, record) ), onSuccessUser, onFailureUser);
+    }
+
+    /**
+     * Removes a mirrored query, or every mirrored query when no query details are given. If no callbacks are supplied a
+     * Promise is returned.
+     *
+     * PARAMETERS
+     *      queryDetails  - [OBJECT]                        : See spHelper.getListData (). Optional.
+     *      onSuccessUser - [FUNC ()]                       : A callback function that is executed when the rows are removed.
+     *      onFailureUser - [FUNC ([spHelperError] error)]  : A callback function that is executed when the mirror cannot be changed.
+     */
+    clear (queryDetails, onSuccessUser, onFailureUser)
+    {
+        if (this.helper.usePromise(onSuccessUser, onFailureUser))
+        {
+            return this.helper.promiseRequest( (resolve, reject) => this.clear(queryDetails, resolve, reject) );
+        }
+
+        onSuccessUser = this.helper.userCallback(onSuccessUser);
+
+        let key = (typeof queryDetails === 'undefined' || queryDetails === null) ? null : this.queryKey(this.mirrorQuery(queryDetails, 'clear'));
+
+        spListMirror.settle(this.storeRequest('readwrite', store => (key === null) ? store.clear() : store.delete(key), 'clear'), () => onSuccessUser(), onFailureUser);
+    }
+
+    /**
+     * Closes the IndexedDB database. It is opened again by the next request.
+     */
+    close ()
+    {
+        if (this.database !== null)
+        {
+            this.database.then( database => database.close(), () => null );
+
+            this.database = null;
+        }
+    }
+
+    /**
+     * Returns the query details sent with mirrored reads: the rows are plain JSON and include the ID.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See spHelper.getListData ().
+     *      method       - [STRING] : The mirror method, for errors.
+     */
+    mirrorQuery (queryDetails, method)
+    {
+        if (queryDetails === null || typeof queryDetails !== 'object' || (typeof queryDetails.listName === 'undefined' && typeof queryDetails.listGuid === 'undefined'))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid query details. The list title or GUID is required.', { method : method });
+        }
+
+        if (typeof queryDetails.onPage !== 'undefined')
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid query details. The mirror does not stream pages (onPage).', { method : method, list : spListMirror.listOf(queryDetails) });
+        }
+
+        let query = Object.assign({}, queryDetails, { normalizeValues : true });
+
+        ignoredDetails.forEach( name => delete query[name] );
+
+        // The ID is needed to merge changes into the mirrored rows.
+        if (Array.isArray(query.listColumns))
+        {
+            query.listColumns = query.listColumns.includes('ID') ? query.listColumns : query.listColumns.concat(['ID']);
+        }
+        else
+        {
+            query.listColumns = ['ID'];
+        }
+
+        return query;
+    }
+
+    /**
+     * Returns the key of a mirrored query: the site and the query details (with the keys sorted).
+     *
+     * PARAMETERS
+     *      query - [OBJECT] : The mirror query details (see mirrorQuery).
+     */
+    queryKey (query)
+    {
+        return `${this.helper.targetSite || ''}|${JSON.stringify(spListMirror.keyValue(query))}`;
+    }
+
+    /**
+     * Returns a value of the query details that serializes the same for equal queries (object keys are sorted, dates and
+     * query builders become strings).
+     *
+     * PARAMETERS
+     *      value - [ANY] : A value of the query details.
+     */
+    static keyValue (value)
+    {
+        if (Array.isArray(value))
+        {
+            return value.map( entry => spListMirror.keyValue(entry) );
+        }
+
+        if (value instanceof Date)
+        {
+            return value.toISOString();
+        }
+
+        if (value !== null && typeof value === 'object')
+        {
+            // Query builders (spCaml) and other class instances are compared by their text.
+            if (Object.getPrototypeOf(value) !== Object.prototype)
+            {
+                return String(value);
+            }
+
+            let sorted = {};
+
+            Object.keys(value).sort().forEach( function (name)
+            {
+                if (typeof value[name] !== 'function' && typeof value[name] !== 'undefined')
+                {
+                    sorted[name] = spListMirror.keyValue(value[name]);
+                }
+            });
+
+            return sorted;
+        }
+
+        return value;
+    }
+
+    /**
+     * Returns the list title (or GUID) of query details.
+     *
+     * PARAMETERS
+     *      queryDetails - [OBJECT] : See spHelper.getListData ().
+     */
+    static listOf (queryDetails)
+    {
+        return (typeof queryDetails.listName !== 'undefined') ? queryDetails.listName : queryDetails.listGuid;
+    }
+
+    /**
+     * Refreshes a mirrored query in the background. Failures are kept with the query (see getFreshness) and passed to the
+     * 'onRefreshError' option. Exceptions thrown by 'onRefresh' or 'onRefreshError' are rethrown (see settle).
+     *
+     * PARAMETERS
+     *      query - [OBJECT] : The mirror query details.
+     *      key   - [STRING] : The key of the query.
+     */
+    backgroundRefresh (query, key)
+    {
+        if (typeof this.refreshes[key] !== 'undefined')
+        {
+            return;
+        }
+
+        let refresh = this.runRefresh(query, key).then( items => this.readRecord(key).then( record => ({ queryDetails : query, items : items, freshness : this.freshness(key, record) }) ) );
+
+        let onRefresh = (details) =>
+        {
+            if (this.onRefresh !== null)
+            {
+                this.onRefresh(details);
+            }
+        };
+
+        let onRefreshError = (error) =>
+        {
+            if (this.onRefreshError !== null)
+            {
+                this.onRefreshError(error, query);
+            }
+        };
+
+        spListMirror.settle(refresh, onRefresh, onRefreshError);
+    }
+
+    /**
+     * Runs the success or failure callback with the outcome of a mirror request. An exception thrown by a callback is the
+     * user's, not a failure of the request: it is rethrown outside the promise chain, like the exceptions of spHelper
+     * callbacks, instead of ending up as an unhandled promise rejection (or in the failure callback).
+     *
+     * PARAMETERS
+     *      request   - [PROMISE] : The mirror request.
+     *      onSuccess - [FUNC]    : The success callback.
+     *      onFailure - [FUNC]    : The failure callback.
+     */
+    static settle (request, onSuccess, onFailure)
+    {
+        let run = function (callback, value)
+        {
+            try
+            {
+                callback(value);
+            }
+            catch (error)
+            {
+                setTimeout( () =>
+                {
+                    throw error;
+                }, 0 );
+            }
+        };
+
+        request.then( result => run(onSuccess, result), error => run(onFailure, error) );
+    }
+
+    /**
+     * Refreshes a query and stores the rows. A query is only refreshed once at a time: a refresh that is already running
+     * is shared.
+     *
+     * PARAMETERS
+     *      query - [OBJECT] : The mirror query details.
+     *      key   - [STRING] : The key of the query.
+     */
+    runRefresh (query, key)
+    {
+        if (typeof this.refreshes[key] !== 'undefined')
+        {
+            return this.refreshes[key];
+        }
+
+        let startedAt = Date.now();
+
+        let refresh = this.readRecord(key).then( (record) =>
+        {
+            let canMerge = (typeof record !== 'undefined' && Array.isArray(record.items) && typeof query.query === 'undefined' && typeof query.top === 'undefined');
+
+            if (canMerge && this.delta === 'changes' && typeof record.changeToken === 'string')
+            {
+                return this.changesRefresh(query, record).catch( (error) =>
+                {
+                    // The change log no longer covers the last refresh. The query is read again.
+                    if (error.code === errorCodes.CHANGE_TOKEN_INVALID)
+                    {
+                        return this.fullRefresh(query, record);
+                    }
+
+                    throw error;
+                });
+            }
+
+            if (canMerge && this.delta === 'modified')
+            {
+                return this.modifiedRefresh(query, record);
+            }
+
+            return this.fullRefresh(query, record);
+        })
+        .then( (refreshed) =>
+        {
+            let record = Object.assign({ key : key, cachedAt : startedAt }, refreshed.record, { refreshedAt : Date.now(), syncedAt : startedAt, lastError : null });
+
+            return this.writeRecord(record).then( () => record.items );
+        })
+        .catch( (error) =>
+        {
+            let lastError = { code : error.code || errorCodes.UNKNOWN, message : error.message, time : Date.now() };
+
+            // The failure is kept with the mirrored rows, which are still served.
+            return this.readRecord(key)
+                .then( record => (typeof record !== 'undefined') ? this.writeRecord(Object.assign({}, record, { lastError : lastError })) : null )
+                .then( () => { throw error; }, () => { throw error; } );
+        });
+
+        this.refreshes[key] = refresh;
+
+        let done = () =>
+        {
+            delete this.refreshes[key];
+        };
+
+        refresh.then(done, done);
+
+        return refresh;
+    }
+
+    /**
+     * Reads the whole query from SharePoint. With change token deltas the current change token of the list is read first,
+     * so no change made during the read is missed.
+     *
+     * PARAMETERS
+     *      query  - [OBJECT] : The mirror query details.
+     *      record - [OBJECT] : The mirrored record, or undefined.
+     */
+    fullRefresh (query, record)
+    {
+        let list  = spListMirror.listOf(query);
+        let token = (this.delta === 'changes') ? this.helper.getListChanges(list, null).then( changes => changes.changeToken ) : Promise.resolve(null);
+
+        return token.then( changeToken => this.helper.getListData(query).then( (items) =>
+        {
+            return { record : Object.assign({}, record, { items : items, changeToken : changeToken, refreshMode : 'full' }) };
+        }));
+    }
+
+    /**
+     * Reads the items changed since the change token of the record (see spHelper.getListChanges) and merges them.
+     *
+     * PARAMETERS
+     *      query  - [OBJECT] : The mirror query details.
+     *      record - [OBJECT] : The mirrored record.
+     */
+    changesRefresh (query, record)
+    {
+        return this.helper.getListChanges(spListMirror.listOf(query), record.changeToken).then( (changes) =>
+        {
+            let changed = changes.added.concat(changes.updated);
+            let read    = (changed.length > 0) ? this.helper.getListData(spListMirror.withCondition(query, { column : 'ID', operation : 'In', value : changed, type : 'Counter' })) : Promise.resolve([]);
+
+            return read.then( (rows) =>
+            {
+                // Changed items that are not returned no longer match the query.
+                let items = this.mergeRows(query, record.items, rows, changes.deleted.concat(changed));
+
+                return { record : Object.assign({}, record, { items : items, changeToken : changes.changeToken, refreshMode : 'changes' }) };
+            });
+        });
+    }
+
+    /**
+     * Reads the items modified since the previous refresh and merges them. The IDs of the query are read as well, to find
+     * the items that were deleted or no longer match the query.
+     *
+     * PARAMETERS
+     *      query  - [OBJECT] : The mirror query details.
+     *      record - [OBJECT] : The mirrored record.
+     */
+    modifiedRefresh (query, record)
+    {
+        let since    = new Date(record.syncedAt - clockSkew);
+        let idQuery  = Object.assign({}, query, { listColumns : ['ID'] });
+        let modified = spListMirror.withCondition(query, { column : 'Modified', operation : 'Geq', value : since, type : 'DateTime', includeTime : true });
+
+        return Promise.all([ this.helper.getListData(idQuery), this.helper.getListData(modified) ]).then( ([idRows, rows]) =>
+        {
+            let current = {};
+
+            idRows.forEach( row => current[row.ID] = true );
+
+            let removed = record.items.filter( row => current[row.ID] !== true ).map( row => row.ID );
+            let items   = this.mergeRows(query, record.items, rows, removed);
+
+            return { record : Object.assign({}, record, { items : items, refreshMode : 'modified' }) };
+        });
+    }
+
+    /**
+     * Merges changed rows into the mirrored rows. Changed rows replace the mirrored row with the same ID, new rows are
+     * added and the rows are sorted by the query's orderBy (rows added to a query without orderBy are added at the end).
+     *
+     * PARAMETERS
+     *      query   - [OBJECT] : The mirror query details.
+     *      items   - [ARRAY]  : The mirrored rows.
+     *      rows    - [ARRAY]  : The changed rows read from SharePoint.
+     *      removed - [ARRAY]  : The IDs of rows to remove unless they are in the changed rows.
+     */
+    mergeRows (query, items, rows, removed)
+    {
+        let changed   = {};
+        let isRemoved = {};
+
+        rows.forEach( row => changed[row.ID] = row );
+        removed.forEach( id => isRemoved[id] = true );
+
+        let merged = items
+            .filter( row => typeof changed[row.ID] !== 'undefined' || isRemoved[row.ID] !== true )
+            .map( row => (typeof changed[row.ID] !== 'undefined') ? changed[row.ID] : row );
+
+        let present = {};
+
+        merged.forEach( row => present[row.ID] = true );
+
+        merged = merged.concat(rows.filter( row => present[row.ID] !== true ));
+
+        let orderBy = this.helper.listOrderBy(query);
+
+        if (orderBy.length > 0)
+        {
+            // Array.sort is not stable in every browser, the index keeps rows with equal values in order.
+            merged = merged
+                .map( (row, index) => ({ row : row, index : index }) )
+                .sort( (a, b) => spListMirror.compareRows(a.row, b.row, orderBy) || (a.index - b.index) )
+                .map( entry => entry.row );
+        }
+
+        return merged;
+    }
+
+    /**
+     * Compares two rows by a sort order ([{ column, ascending }]).
+     *
+     * PARAMETERS
+     *      rowA    - [OBJECT] : The first row.
+     *      rowB    - [OBJECT] : The second row.
+     *      orderBy - [ARRAY]  : The sort order.
+     */
+    static compareRows (rowA, rowB, orderBy)
+    {
+        for (let order of orderBy)
+        {
+            let valueA = spListMirror.sortValue(rowA[order.column]);
+            let valueB = spListMirror.sortValue(rowB[order.column]);
+            let result = 0;
+
+            // Empty values sort first, like SharePoint.
+            if (valueA === null || valueB === null)
+            {
+                result = (valueA === null ? 0 : 1) - (valueB === null ? 0 : 1);
+            }
+            else if (typeof valueA === 'number' && typeof valueB === 'number')
+            {
+                result = valueA - valueB;
+            }
+            else
+            {
+                result = String(valueA).localeCompare(String(valueB));
+            }
+
+            if (result !== 0)
+            {
+                return order.ascending ? result : -result;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Returns the value a normalized value is sorted by (the title of lookups and users, the URL of links).
+     *
+     * PARAMETERS
+     *      value - [ANY] : The normalized value.
+     */
+    static sortValue (value)
+    {
+        if (typeof value === 'undefined' || value === null || value === '')
+        {
+            return null;
+        }
+
+        if (Array.isArray(value))
+        {
+            return value.map( entry => spListMirror.sortValue(entry) ).join(';');
+        }
+
+        if (typeof value === 'object')
+        {
+            return [value.title, value.label, value.url].find( entry => typeof entry !== 'undefined' && entry !== null ) || null;
+        }
+
+        if (typeof value === 'boolean')
+        {
+            return value ? 1 : 0;
+        }
+
+        return value;
+    }
+
+    /**
+     * Returns query details with a condition added (And) to the where of the query.
+     *
+     * PARAMETERS
+     *      query     - [OBJECT] : The mirror query details.
+     *      condition - [OBJECT] : The where condition.
+     */
+    static withCondition (query, condition)
+    {
+        let where = (typeof query.where !== 'undefined' && query.where !== null) ? { operation : 'And', values : [query.where, condition] } : condition;
+
+        return Object.assign({}, query, { where : where });
+    }
+
+    /**
+     * Returns the freshness of a mirrored record. See getFreshness ().
+     *
+     * PARAMETERS
+     *      key    - [STRING] : The key of the query.
+     *      record - [OBJECT] : The mirrored record, or undefined.
+     */
+    freshness (key, record)
+    {
+        let refreshing = (typeof this.refreshes[key] !== 'undefined');
+
+        if (typeof record === 'undefined' || !Array.isArray(record.items))
+        {
+            return { mirrored : false, cachedAt : null, refreshedAt : null, age : null, stale : true, refreshing : refreshing, refreshMode : null, itemCount : 0, lastError : (typeof record !== 'undefined') ? record.lastError : null };
+        }
+
+        let age = Date.now() - record.refreshedAt;
+
+        return {
+            mirrored    : true,
+            cachedAt    : new Date(record.cachedAt),
+            refreshedAt : new Date(record.refreshedAt),
+            age         : age,
+            stale       : age >= this.maxAge,
+            refreshing  : refreshing,
+            refreshMode : record.refreshMode,
+            itemCount   : record.items.length,
+            lastError   : record.lastError || null,
+        };
+    }
+
+    /**
+     * Opens the IndexedDB database (once) and resolves to it.
+     */
+    open ()
+    {
+        if (this.database === null)
+        {
+            this.database = new Promise( (resolve, reject) =>
+            {
+                let request = this.factory.open(this.databaseName, 1);
+
+                request.onupgradeneeded = () =>
+                {
+                    if (!request.result.objectStoreNames.contains(storeName))
+                    {
+                        request.result.createObjectStore(storeName, { keyPath : 'key' });
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror   = () => reject(request.error);
+                request.onblocked = () => reject(new Error(`The IndexedDB database '${this.databaseName}' is blocked by another connection.`));
+            });
+
+            // Failed opens are tried again by the next request.
+            this.database.catch( () =>
+            {
+                this.database = null;
+            });
+        }
+
+        return this.database;
+    }
+
+    /**
+     * Runs a request on the object store and resolves to its result when the transaction completes.
+     *
+     * PARAMETERS
+     *      mode   - [STRING]                          : 'readonly' or 'readwrite'.
+     *      action - [FUNC ([IDBObjectStore] store)]   : A function that returns the IDBRequest.
+     *      method - [STRING]                          : The mirror method, for errors.
+     */
+    storeRequest (mode, action, method)
+    {
+        return this.open().then( database => new Promise( (resolve, reject) =>
+        {
+            let transaction = database.transaction(storeName, mode);
+            let request     = action(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror    = () => reject(transaction.error || request.error);
+            transaction.onabort    = () => reject(transaction.error || new Error('The IndexedDB transaction was aborted.'));
+        }))
+        .catch( (error) =>
+        {
+            throw spHelperError.from(error, errorCodes.UNKNOWN, 'Unable to use the list mirror database ...', { method : method });
+        });
+    }
+
+    /**
+     * Resolves to the mirrored record of a query (or undefined).
+     *
+     * PARAMETERS
+     *      key - [STRING] : The key of the query.
+     */
+    readRecord (key)
+    {
+        return this.storeRequest('readonly', store => store.get(key), 'readRecord');
+    }
+
+    /**
+     * Stores the mirrored record of a query.
+     *
+     * PARAMETERS
+     *      record - [OBJECT] : The record ({ key, items, changeToken, cachedAt, refreshedAt, syncedAt, refreshMode, lastError }).
+     */
+    writeRecord (record)
+    {
+        return this.storeRequest('readwrite', store => store.put(record), 'writeRecord');
+    }
+}
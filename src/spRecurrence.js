@@ -0,0 +1,277 @@
+import spHelperError from './spHelperError';
+import spXml from './spXml';
+import spTimeZone from './spTimeZone';
+
+// Shorthand for the spHelperError codes.
+const errorCodes = spHelperError.codes;
+
+// The day attributes of a RecurrenceData pattern, by JavaScript day number (0 is Sunday).
+const weekDays = ['su', 'mo', 'tu', 'we', 'th', 'fr', 'sa'];
+
+// The weekdayOfMonth values of the monthlyByDay and yearlyByDay patterns. Last is counted from the end of the month.
+const weekOrdinals = { first : 0, second : 1, third : 2, fourth : 3, last : -1 };
+
+// The most dates looked at while expanding a series, so a broken pattern cannot loop forever.
+const expandLimit = 100000;
+
+// Milliseconds in a day.
+const dayLength = 86400000;
+
+/**
+ * Expands the RecurrenceData of a recurring calendar event (SharePoint Events list) into its occurrences. Used by the
+ * calendar mode of getListData when the server returns master events instead of their occurrences.
+ *
+ * A series repeats on the local date and time of the site, so occurrences keep their time of day over daylight saving
+ * changes. All day events are floating (stored as UTC midnight) and are expanded in UTC.
+ *
+ * EXAMPLES
+ *      let starts = spRecurrence.occurrences(item.RecurrenceData,
+ *      {
+ *          start      : item.EventDate,
+ *          duration   : item.Duration * 1000,
+ *          rangeStart : new Date('2026-10-01T00:00:00Z'),
+ *          rangeEnd   : new Date('2026-11-01T00:00:00Z'),
+ *          timeZone   : siteTimeZone,
+ *      });
+ */
+export default class spRecurrence
+{
+    /**
+     * Parses RecurrenceData XML into a rule:
+     *
+     *      { firstDayOfWeek, type, frequency, days, day, month, ordinal, dayType, windowEnd, instances }
+     *
+     * 'type' is daily, weekly, monthly, monthlyByDay, yearly or yearlyByDay. 'days' are JavaScript day numbers, 'dayType'
+     * is 'day', 'weekday', 'weekend_day' or null (the 'days' are used). 'windowEnd' (a Date) or 'instances' end the series.
+     *
+     * PARAMETERS
+     *      recurrenceData - [STRING] : The RecurrenceData of the master event.
+     */
+    static parse (recurrenceData)
+    {
+        let rule = null;
+
+        try
+        {
+            rule = spXml.parse(recurrenceData).documentElement;
+        }
+        catch (error)
+        {
+            throw spHelperError.from(error, errorCodes.INVALID_ARGUMENT, 'Invalid RecurrenceData. The recurrence is not valid XML.', { method : 'recurrence' });
+        }
+
+        rule = (rule.tagName === 'rule') ? rule : rule.getElementsByTagName('rule')[0];
+
+        let repeat  = (typeof rule !== 'undefined') ? rule.childElement('repeat') : null;
+        let pattern = (repeat !== null) ? repeat.children[0] : undefined;
+
+        if (typeof pattern === 'undefined' || !['daily', 'weekly', 'monthly', 'monthlyByDay', 'yearly', 'yearlyByDay'].includes(pattern.tagName))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, 'Invalid RecurrenceData. The recurrence has no supported repeat pattern.', { method : 'recurrence' });
+        }
+
+        let flag       = name => String(pattern.getAttribute(name)).toUpperCase() === 'TRUE';
+        let number     = (name, fallback) => parseInt(pattern.getAttribute(name)) || fallback;
+        let firstDay   = rule.childElement('firstDayOfWeek');
+        let windowEnd  = rule.childElement('windowEnd');
+        let instances  = rule.childElement('repeatInstances');
+        let days       = weekDays.map( (name, index) => flag(name) ? index : -1 ).filter( index => index !== -1 );
+        let dayType    = ['day', 'weekday', 'weekend_day'].find( name => flag(name) ) || null;
+        let type       = pattern.tagName;
+
+        // Daily patterns on every weekday have no frequency.
+        if (type === 'daily' && flag('weekday'))
+        {
+            days = [1, 2, 3, 4, 5];
+        }
+
+        return {
+            firstDayOfWeek : (firstDay !== null && weekDays.includes(firstDay.textContent.trim())) ? weekDays.indexOf(firstDay.textContent.trim()) : 0,
+            type           : type,
+            frequency      : number({ daily : 'dayFrequency', weekly : 'weekFrequency', monthly : 'monthFrequency', monthlyByDay : 'monthFrequency' }[type] || 'yearFrequency', 1),
+            days           : days,
+            day            : (type === 'monthly' || type === 'yearly') ? number('day', 1) : null,
+            month          : (type === 'yearly' || type === 'yearlyByDay') ? number('month', 1) : null,
+            ordinal        : (typeof weekOrdinals[pattern.getAttribute('weekdayOfMonth')] !== 'undefined') ? weekOrdinals[pattern.getAttribute('weekdayOfMonth')] : 0,
+            dayType        : (type === 'monthlyByDay' || type === 'yearlyByDay') ? dayType : null,
+            weekday        : type === 'daily' && flag('weekday'),
+            windowEnd      : (windowEnd !== null && windowEnd.textContent.trim() !== '') ? new Date(windowEnd.textContent.trim()) : null,
+            instances      : (instances !== null) ? parseInt(instances.textContent) : null,
+        };
+    }
+
+    /**
+     * Returns the start (Date) of every occurrence of a series that overlaps a range, in order.
+     *
+     * PARAMETERS
+     *      recurrenceData - [STRING] : The RecurrenceData of the master event.
+     *      details        - [OBJECT] : { start, duration, rangeStart, rangeEnd, timeZone, allDay }
+     *
+     * OPTIONS
+     *      details
+     *          'start'      - [DATE]       : The start of the first occurrence (the EventDate of the master).
+     *          'duration'   - [INTEGER]    : The length of an occurrence (ms).
+     *          'rangeStart' - [DATE]       : The start of the range.
+     *          'rangeEnd'   - [DATE]       : The end of the range.
+     *          'timeZone'   - [spTimeZone] : The time zone of the site. Defaults to UTC.
+     *          'allDay'     - [BOOL]       : An all day event (expanded in UTC).
+     */
+    static occurrences (recurrenceData, details)
+    {
+        let rule      = spRecurrence.parse(recurrenceData);
+        let timeZone  = (details.allDay === true || !details.timeZone) ? null : details.timeZone;
+        let local     = (timeZone !== null) ? timeZone.toSiteTime(details.start) : spTimeZone.format(details.start);
+        let first     = Date.parse(local.substring(0, 10) + 'T00:00:00Z');
+        let time      = local.substring(10);
+        let duration  = details.duration || 0;
+        let starts    = [];
+        let count     = 0;
+
+        let dates = spRecurrence.dates(rule, first);
+
+        for (let step = 0; step < expandLimit; step++)
+        {
+            let date = dates.next();
+
+            if (date === null)
+            {
+                break;
+            }
+
+            let day   = spTimeZone.format(new Date(date)).substring(0, 10);
+            let start = (timeZone !== null) ? timeZone.fromSiteTime(day + time) : new Date(day + time + 'Z');
+
+            if ((rule.instances !== null && count >= rule.instances) || (rule.windowEnd !== null && start.getTime() > rule.windowEnd.getTime()) || start.getTime() > details.rangeEnd.getTime())
+            {
+                break;
+            }
+
+            count += 1;
+
+            if (start.getTime() + duration >= details.rangeStart.getTime())
+            {
+                starts.push(start);
+            }
+        }
+
+        return starts;
+    }
+
+    /**
+     * Returns an iterator ({ next }) over the dates (ms of the local date in UTC) of a rule, from the first date of the series.
+     *
+     * PARAMETERS
+     *      rule  - [OBJECT]  : See parse ().
+     *      first - [INTEGER] : The local date of the first occurrence.
+     */
+    static dates (rule, first)
+    {
+        let firstDate = new Date(first);
+        let frequency = Math.max(1, rule.frequency);
+        let index     = 0;
+
+        // Daily and weekly patterns look at every day, the other patterns at one date per period.
+        if (rule.type === 'daily' || rule.type === 'weekly')
+        {
+            let weekStart = first - ((firstDate.getUTCDay() - rule.firstDayOfWeek + 7) % 7) * dayLength;
+
+            let matches = function (date)
+            {
+                let weekday = new Date(date).getUTCDay();
+
+                if (rule.type === 'daily')
+                {
+                    return rule.weekday ? rule.days.includes(weekday) : Math.round((date - first) / dayLength) % frequency === 0;
+                }
+
+                return rule.days.includes(weekday) && Math.floor(Math.round((date - weekStart) / dayLength) / 7) % frequency === 0;
+            };
+
+            return {
+                next : function ()
+                {
+                    for (let step = 0; step < expandLimit; step++)
+                    {
+                        let date = first + (index++) * dayLength;
+
+                        if (matches(date))
+                        {
+                            return date;
+                        }
+                    }
+
+                    return null;
+                }
+            };
+        }
+
+        let monthly = (rule.type === 'monthly' || rule.type === 'monthlyByDay');
+
+        return {
+            next : function ()
+            {
+                for (let step = 0; step < expandLimit; step++)
+                {
+                    let offset = (index++) * frequency;
+                    let year   = monthly ? firstDate.getUTCFullYear() : firstDate.getUTCFullYear() + offset;
+                    let month  = monthly ? firstDate.getUTCMonth() + offset : rule.month - 1;
+                    let date   = (rule.type === 'monthly' || rule.type === 'yearly') ? spRecurrence.dayOfMonth(year, month, rule.day) : spRecurrence.weekdayOfMonth(year, month, rule);
+
+                    // Dates before the first occurrence (earlier in the first month or year) are skipped.
+                    if (date !== null && date >= first)
+                    {
+                        return date;
+                    }
+                }
+
+                return null;
+            }
+        };
+    }
+
+    /**
+     * Returns a day of a month. Days past the end of a short month fall on its last day.
+     *
+     * PARAMETERS
+     *      year  - [INTEGER] : The year.
+     *      month - [INTEGER] : The month (0 based, may run past December).
+     *      day   - [INTEGER] : The day of the month.
+     */
+    static dayOfMonth (year, month, day)
+    {
+        let lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+        return Date.UTC(year, month, Math.min(day, lastDay));
+    }
+
+    /**
+     * Returns the first, second, third, fourth or last matching day of a month (monthlyByDay & yearlyByDay patterns), or null.
+     *
+     * PARAMETERS
+     *      year  - [INTEGER] : The year.
+     *      month - [INTEGER] : The month (0 based, may run past December).
+     *      rule  - [OBJECT]  : See parse ().
+     */
+    static weekdayOfMonth (year, month, rule)
+    {
+        let lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        let dates   = [];
+
+        for (let day = 1; day <= lastDay; day++)
+        {
+            let date    = Date.UTC(year, month, day);
+            let weekday = new Date(date).getUTCDay();
+
+            let matches = (rule.dayType === 'day') || (rule.dayType === 'weekday' && weekday > 0 && weekday < 6) || (rule.dayType === 'weekend_day' && (weekday === 0 || weekday === 6)) || (rule.dayType === null && rule.days.includes(weekday));
+
+            if (matches)
+            {
+                dates.push(date);
+            }
+        }
+
+        let date = (rule.ordinal === -1) ? dates[dates.length - 1] : dates[rule.ordinal];
+
+        return (typeof date !== 'undefined') ? date : null;
+    }
+}
@@ -0,0 +1,1047 @@
+import spHelperError from './spHelperError';
+import spXml from './spXml';
+
+// Shorthand for the spHelperError codes.
+const errorCodes = spHelperError.codes;
+
+export default class spRest
+{
+    /**
+     * The REST (_api) transport used by spHelper when the 'transport' option is 'rest'. Every method returns a Promise. Lists,
+     * fields, webs and list items are returned as objects with the same getters as their JSOM equivalent (get_title, get_item,
+     * ...) so spHelper builds the same results for both transports.
+     *
+     * PARAMETERS
+     *    'siteUrl' - [STRING] : Full URL of the SharePoint site. Defaults to the current site (_spPageContextInfo).
+     *    'options' - [OBJECT] : The spHelper options ('fetch' and 'requestHeaders' are used).
+     */
+    constructor (siteUrl, options = {})
+    {
+        if (!siteUrl && typeof _spPageContextInfo !== 'undefined')
+        {
+            siteUrl = _spPageContextInfo.webAbsoluteUrl;
+        }
+
+        if (!siteUrl)
+        {
+            throw new spHelperError(errorCodes.CONFIGURATION, 'Configuration error. The REST transport requires a target site.', { method : 'initializeOptions' });
+        }
+
+        let fetchFunction = options.fetch || (typeof fetch !== 'undefined' ? fetch : null);
+
+        if (typeof fetchFunction !== 'function')
+        {
+            throw new spHelperError(errorCodes.CONFIGURATION, 'Configuration error. The REST transport requires a fetch function.', { method : 'initializeOptions' });
+        }
+
+        this.siteUrl        = siteUrl.replace(/\/$/, '');
+        this.requestHeaders = options.requestHeaders || {};
+        this.digest         = null;
+        this.lists          = {};
+
+        // Called as a plain function, a browser fetch fails when it is called as a method of another object.
+        this.fetch = (url, init) => fetchFunction(url, init);
+    }
+
+    /**
+     * Sends a request to the site and resolves to the 'd' part of the OData (verbose) response. Failed responses reject with a
+     * spHelperError.
+     *
+     * PARAMETERS
+     *    'method'  - [STRING] : The HTTP method.
+     *    'path'    - [STRING] : The path relative to the site URL (e.g. '/_api/web').
+     *    'body'    - [OBJECT] : The JSON body (or null).
+     *    'headers' - [OBJECT] : Additional request headers.
+     *    'details' - [OBJECT] : Request details added to any error.
+     */
+    send (method, path, body = null, headers = {}, details = {})
+    {
+        let requestHeaders = Object.assign({ Accept : 'application/json;odata=verbose' }, this.requestHeaders, headers);
+        let init           = { method : method, headers : requestHeaders, credentials : 'same-origin' };
+
+        if (body !== null)
+        {
+            requestHeaders['Content-Type'] = 'application/json;odata=verbose';
+
+            init.body = JSON.stringify(body);
+        }
+
+        let onResponse = (response) =>
+        {
+            return response.text().then( (text) =>
+            {
+                let json = null;
+
+                try
+                {
+                    json = text ? JSON.parse(text) : null;
+                }
+                catch (error)
+                {
+                    json = null;
+                }
+
+                if (!response.ok)
+                {
+                    throw spHelperError.fromResponse(response, json, details);
+                }
+
+                return (json !== null && typeof json.d !== 'undefined') ? json.d : json;
+            });
+        };
+
+        let onNetworkError = (error) =>
+        {
+            throw spHelperError.from(error, errorCodes.REQUEST_FAILED, 'SharePoint REST request failed.', details);
+        };
+
+        return Promise.resolve().then( () => this.fetch(this.siteUrl + path, init) ).then( onResponse, onNetworkError );
+    }
+
+    /**
+     * Same as send () but adds the request digest to POST requests. An expired request digest is refreshed once.
+     *
+     * PARAMETERS
+     *    See send ().
+     */
+    request (method, path, body = null, headers = {}, details = {})
+    {
+        if (method !== 'POST')
+        {
+            return this.send(method, path, body, headers, details);
+        }
+
+        let attempt = (retry) =>
+        {
+            return this.getRequestDigest(details).then( (digest) =>
+            {
+                return this.send(method, path, body, Object.assign({ 'X-RequestDigest' : digest }, headers), details);
+            })
+            .catch( (error) =>
+            {
+                if (retry && error.status === 403 && /security validation/i.test(error.message))
+                {
+                    this.digest = null;
+
+                    return attempt(false);
+                }
+
+                throw error;
+            });
+        };
+
+        return attempt(true);
+    }
+
+    /**
+     * Resolves to a valid request digest (X-RequestDigest). The digest is cached until it expires.
+     *
+     * PARAMETERS
+     *    'details' - [OBJECT] : Request details added to any error.
+     */
+    getRequestDigest (details = {})
+    {
+        if (this.digest !== null && this.digest.expires > Date.now())
+        {
+            return Promise.resolve(this.digest.value);
+        }
+
+        return this.send('POST', '/_api/contextinfo', null, {}, details).then( (result) =>
+        {
+            let contextInfo = result.GetContextWebInformation || result;
+            let lifetime    = Math.max(0, (contextInfo.FormDigestTimeoutSeconds || 1800) - 60);
+
+            this.digest = { value : contextInfo.FormDigestValue, expires : Date.now() + (lifetime * 1000) };
+
+            return this.digest.value;
+        });
+    }
+
+    /**
+     * Resolves to the list metadata needed to read and write items: the item entity type name and the fields by internal name.
+     * The metadata is cached per list.
+     *
+     * PARAMETERS
+     *    'listPath' - [STRING] : The list path (see listPath ()).
+     *    'details'  - [OBJECT] : Request details added to any error.
+     */
+    getListMetadata (listPath, details = {})
+    {
+        if (typeof this.lists[listPath] === 'undefined')
+        {
+            let request = Promise.all(
+            [
+                this.request('GET', `${listPath}?$select=ListItemEntityTypeFullName`, null, {}, details),
+                this.request('GET', `${listPath}/fields`, null, {}, details),
+            ])
+            .then( ([list, fields]) =>
+            {
+                let fieldsByName = {};
+
+                (fields.results || []).forEach( (field) =>
+                {
+                    fieldsByName[field.InternalName] = field;
+                });
+
+                return { entityType : list.ListItemEntityTypeFullName, fields : fieldsByName };
+            });
+
+            // Failed requests are not cached.
+            request.catch( () =>
+            {
+                delete this.lists[listPath];
+            });
+
+            this.lists[listPath] = request;
+        }
+
+        return this.lists[listPath];
+    }
+
+    /**
+     * Resolves to the site (web) properties.
+     *
+     * PARAMETERS
+     *    'details' - [OBJECT] : Request details added to any error.
+     */
+    getWeb (details = {})
+    {
+        return this.request('GET', '/_api/web?$select=Title,Url,ServerRelativeUrl,MasterUrl', null, {}, details).then( web => spRest.clientObject(web) );
+    }
+
+    /**
+     * Resolves to the time zone of the site (RegionalSettings/TimeZone) with the JSOM getters (get_id, get_description,
+     * get_information).
+     *
+     * PARAMETERS
+     *    'details' - [OBJECT] : Request details added to any error.
+     */
+    getTimeZone (details = {})
+    {
+        return this.request('GET', '/_api/web/RegionalSettings/TimeZone', null, {}, details).then( timeZone => spRest.clientObject(timeZone) );
+    }
+
+    /**
+     * Resolves to the list view threshold of the site collection (SP.Site MaxItemsPerThrottledOperation) with the JSOM getter
+     * (get_maxItemsPerThrottledOperation).
+     *
+     * PARAMETERS
+     *    'details' - [OBJECT] : Request details added to any error.
+     */
+    getSiteThreshold (details = {})
+    {
+        return this.request('GET', '/_api/site?$select=MaxItemsPerThrottledOperation', null, {}, details).then( spSite => spRest.clientObject(spSite) );
+    }
+
+    /**
+     * Resolves to the number format of the site (RegionalSettings) with the JSOM getters (get_decimalSeparator,
+     * get_thousandSeparator).
+     *
+     * PARAMETERS
+     *    'details' - [OBJECT] : Request details added to any error.
+     */
+    getRegionalSettings (details = {})
+    {
+        return this.request('GET', '/_api/web/RegionalSettings?$select=DecimalSeparator,ThousandSeparator', null, {}, details).then( regionalSettings => spRest.clientObject(regionalSettings) );
+    }
+
+    /**
+     * Runs a CAML query against a list and resolves to { items, pagingInfo }: the returned list items and the paging position
+     * of the next page (or null). GetItems does not return a paging position, so it is built from the ID and sort values of
+     * the last item when the page is full.
+     *
+     * PARAMETERS
+     *    'queryDetails' - [OBJECT] : See spHelper.getListData ().
+     *    'viewXml'      - [STRING] : The CAML (View XML) to run.
+     *    'pagingInfo'   - [STRING] : The paging position (ListItemCollectionPosition PagingInfo) or null.
+     *    'details'      - [OBJECT] : Request details added to any error.
+     */
+    getListItems (queryDetails, viewXml, pagingInfo, details = {})
+    {
+        let listPath = spRest.listPath(queryDetails.listName, queryDetails.listGuid);
+        let paging   = spRest.viewPaging(viewXml);
+
+        return this.getListMetadata(listPath, details).then( (metadata) =>
+        {
+            // The sort columns are read as well, for the paging position.
+            let query = spRest.selectQuery(metadata.fields, queryDetails.listColumns.concat(paging.orderBy));
+
+            let body =
+            {
+                query :
+                {
+                    __metadata                 : { type : 'SP.CamlQuery' },
+                    ViewXml                    : viewXml,
+                },
+            };
+
+            if (typeof queryDetails.folder === 'string' && queryDetails.folder !== '')
+            {
+                body.query.FolderServerRelativeUrl = queryDetails.folder;
+            }
+
+            if (pagingInfo !== null)
+            {
+                body.query.ListItemCollectionPosition = { __metadata : { type : 'SP.ListItemCollectionPosition' }, PagingInfo : pagingInfo };
+            }
+
+            return this.request('POST', `${listPath}/GetItems${query}`, body, {}, details).then( (result) =>
+            {
+                let items          = (result.results || []).map( item => spRest.listItem(item, metadata.fields) );
+                let nextPagingInfo = null;
+
+                if (paging.rowLimit !== null && items.length === paging.rowLimit)
+                {
+                    nextPagingInfo = spRest.pagingInfo(items[items.length - 1], paging.orderBy);
+                }
+
+                return { items : items, pagingInfo : nextPagingInfo };
+            });
+        });
+    }
+
+    /**
+     * Renders a CAML query with RenderListDataAsStream and resolves to the ListData of the page: { Row, NextHref, ... } plus
+     * the totals of the view's Aggregations.
+     *
+     * PARAMETERS
+     *    'queryDetails' - [OBJECT] : The listName (or listGuid) and folder. See spHelper.getListData ().
+     *    'viewXml'      - [STRING] : The CAML (View XML) to render.
+     *    'paging'       - [STRING] : The paging of the page (the NextHref of the previous page without the '?') or null.
+     *    'details'      - [OBJECT] : Request details added to any error.
+     */
+    renderListData (queryDetails, viewXml, paging, details = {})
+    {
+        let listPath = spRest.listPath(queryDetails.listName, queryDetails.listGuid);
+
+        let body =
+        {
+            parameters :
+            {
+                __metadata    : { type : 'SP.RenderListDataParameters' },
+                ViewXml       : viewXml,
+                RenderOptions : 2,
+            },
+        };
+
+        if (typeof queryDetails.folder === 'string' && queryDetails.folder !== '')
+        {
+            body.parameters.FolderServerRelativeUrl = queryDetails.folder;
+        }
+
+        if (paging !== null)
+        {
+            body.parameters.Paging = paging;
+        }
+
+        return this.request('POST', `${listPath}/RenderListDataAsStream`, body, {}, details);
+    }
+
+    /**
+     * Reads list items by ID in a single request and resolves to a { item, error } result for each ID. Missing items have an
+     * ITEM_NOT_FOUND error.
+     *
+     * PARAMETERS
+     *    'listDetails' - [OBJECT] : The listName (or listGuid).
+     *    'ids'         - [ARRAY]  : The item IDs.
+     *    'viewXml'     - [STRING] : The CAML query that selects the items by ID.
+     *    'columns'     - [ARRAY]  : The internal names of the columns, or null for all fields.
+     *    'details'     - [OBJECT] : Request details added to any error.
+     */
+    getListItemsByIds (listDetails, ids, viewXml, columns, details = {})
+    {
+        let listPath = spRest.listPath(listDetails.listName, listDetails.listGuid);
+
+        return this.getListMetadata(listPath, details).then( (metadata) =>
+        {
+            let body =
+            {
+                query :
+                {
+                    __metadata : { type : 'SP.CamlQuery' },
+                    ViewXml    : viewXml,
+                },
+            };
+
+            return this.request('POST', `${listPath}/GetItems${spRest.selectQuery(metadata.fields, columns)}`, body, {}, details).then( (result) =>
+            {
+                let items = {};
+
+                (result.results || []).forEach( item => items[item.ID] = item );
+
+                return ids.map( function (id)
+                {
+                    if (typeof items[parseInt(id)] === 'undefined')
+                    {
+                        return { item : null, error : new spHelperError(errorCodes.ITEM_NOT_FOUND, 'Item does not exist. It may have been deleted by another user.', Object.assign({}, details, { itemID : id })) };
+                    }
+
+                    return { item : spRest.listItem(items[parseInt(id)], metadata.fields), error : null };
+                });
+            });
+        });
+    }
+
+    /**
+     * Resolves to the query of a list view: { query, fields, rowLimit, scope } (see spHelper.getListView ()).
+     *
+     * PARAMETERS
+     *    'queryDetails' - [OBJECT] : The listName (or listGuid) and the viewName (or viewId).
+     *    'details'      - [OBJECT] : Request details added to any error.
+     */
+    getListView (queryDetails, details = {})
+    {
+        let listPath = spRest.listPath(queryDetails.listName, queryDetails.listGuid);
+        let viewPath = (typeof queryDetails.viewId !== 'undefined') ? `/views(guid'${String(queryDetails.viewId).replace(/[{}]/g, '')}')` : `/views/getbytitle('${encodeURIComponent(String(queryDetails.viewName).replace(/'/g, "''"))}')`;
+
+        return this.request('GET', `${listPath}${viewPath}?$select=ViewQuery,RowLimit,Scope,ViewFields/Items&$expand=ViewFields`, null, {}, details).then( (view) =>
+        {
+            let fields = (view.ViewFields && view.ViewFields.Items) ? (view.ViewFields.Items.results || view.ViewFields.Items) : [];
+
+            return { query : view.ViewQuery || '', fields : fields, rowLimit : view.RowLimit, scope : ['Default', 'Recursive', 'RecursiveAll', 'FilesOnly'][view.Scope] || 'Default' };
+        });
+    }
+
+    /**
+     * Reads a page of item changes of a list (GetChanges) and resolves to { changes, changeToken }. Each change is
+     * { changeType, itemId, changeToken }. Without a start token no changes are read and changeToken is the current
+     * change token of the list.
+     *
+     * PARAMETERS
+     *    'listDetails' - [OBJECT]  : The listName (or listGuid).
+     *    'sinceToken'  - [STRING]  : The change token to read the changes after, or null.
+     *    'fetchLimit'  - [INTEGER] : The most changes to read.
+     *    'details'     - [OBJECT]  : Request details added to any error.
+     */
+    getListChanges (listDetails, sinceToken, fetchLimit, details = {})
+    {
+        let listPath = spRest.listPath(listDetails.listName, listDetails.listGuid);
+
+        if (sinceToken === null)
+        {
+            return this.request('GET', `${listPath}?$select=CurrentChangeToken`, null, {}, details).then( list => ({ changes : [], changeToken : list.CurrentChangeToken.StringValue }) );
+        }
+
+        let body =
+        {
+            query :
+            {
+                __metadata       : { type : 'SP.ChangeQuery' },
+                Item             : true,
+                Add              : true,
+                Update           : true,
+                DeleteObject     : true,
+                FetchLimit       : fetchLimit,
+                ChangeTokenStart : { __metadata : { type : 'SP.ChangeToken' }, StringValue : sinceToken },
+            },
+        };
+
+        return this.request('POST', `${listPath}/GetChanges`, body, {}, details).then( (result) =>
+        {
+            let changes = (result.results || []).map( change => ({ changeType : change.ChangeType, itemId : change.ItemId, changeToken : change.ChangeToken.StringValue }) );
+
+            return { changes : changes, changeToken : null };
+        });
+    }
+
+    /**
+     * Creates a list item and resolves to the new item ID.
+     *
+     * PARAMETERS
+     *    'itemDetails' - [OBJECT] : See spHelper.addListItem ().
+     *    'details'     - [OBJECT] : Request details added to any error.
+     */
+    addListItem (itemDetails, details = {})
+    {
+        let listPath = spRest.listPath(itemDetails.listName);
+
+        return this.getListMetadata(listPath, details)
+            .then( metadata => this.itemBody(metadata, itemDetails.columnData, details) )
+            .then( body => this.request('POST', `${listPath}/items`, body, {}, details) )
+            .then( item => item.Id );
+    }
+
+    /**
+     * Updates a list item.
+     *
+     * PARAMETERS
+     *    'updateDetails' - [OBJECT] : See spHelper.updateListItem ().
+     *    'details'       - [OBJECT] : Request details added to any error.
+     */
+    updateListItem (updateDetails, details = {})
+    {
+        let listPath = spRest.listPath(updateDetails.listName);
+
+        return this.getListMetadata(listPath, details)
+            .then( metadata => this.itemBody(metadata, updateDetails.columnData, details) )
+            .then( body => this.request('POST', `${listPath}/items(${parseInt(updateDetails.itemID)})`, body, { 'X-HTTP-Method' : 'MERGE', 'IF-MATCH' : '*' }, details) );
+    }
+
+    /**
+     * Deletes a list item.
+     *
+     * PARAMETERS
+     *    'deleteDetails' - [OBJECT] : See spHelper.deleteListItem ().
+     *    'details'       - [OBJECT] : Request details added to any error.
+     */
+    deleteListItem (deleteDetails, details = {})
+    {
+        let listPath = spRest.listPath(deleteDetails.listName);
+
+        return this.request('POST', `${listPath}/items(${parseInt(deleteDetails.itemID)})`, null, { 'X-HTTP-Method' : 'DELETE', 'IF-MATCH' : '*' }, details);
+    }
+
+    /**
+     * Resolves to the ID of the default content type of a list.
+     *
+     * PARAMETERS
+     *    'listDetails' - [OBJECT] : The listName (or listGuid).
+     *    'details'     - [OBJECT] : Request details added to any error.
+     */
+    getDefaultContentTypeId (listDetails, details = {})
+    {
+        return this.request('GET', `${spRest.listPath(listDetails.listName, listDetails.listGuid)}/contenttypes?$select=StringId&$top=1`, null, {}, details).then( (result) =>
+        {
+            return result.results[0].StringId;
+        });
+    }
+
+    /**
+     * Resolves to the list, its root folder, the web and the fields of a content type. Used by spHelper.getListDetails ().
+     *
+     * PARAMETERS
+     *    'listDetails'   - [OBJECT] : The listName (or listGuid).
+     *    'contentTypeId' - [STRING] : The content type whose fields are returned.
+     *    'details'       - [OBJECT] : Request details added to any error.
+     */
+    getListDetails (listDetails, contentTypeId, details = {})
+    {
+        let listPath = spRest.listPath(listDetails.listName, listDetails.listGuid);
+
+        return Promise.all(
+        [
+            this.request('GET', `${listPath}?$expand=RootFolder`, null, {}, details),
+            this.request('GET', `${listPath}/contenttypes('${contentTypeId}')/fields`, null, {}, details),
+            this.getWeb(details),
+        ])
+        .then( ([list, fields, web]) =>
+        {
+            return {
+                list   : spRest.clientObject(list),
+                folder : spRest.clientObject(list.RootFolder),
+                web    : web,
+                fields : (fields.results || []).map( field => spRest.clientObject(field) ),
+            };
+        });
+    }
+
+    /**
+     * Resolves to the site user ID of a login name or email (the user is added to the site when needed).
+     *
+     * PARAMETERS
+     *    'logonName' - [STRING] : The user login name or email.
+     *    'details'   - [OBJECT] : Request details added to any error.
+     */
+    ensureUser (logonName, details = {})
+    {
+        return this.request('POST', '/_api/web/ensureuser', { logonName : logonName }, {}, details).then( user => user.Id );
+    }
+
+    /**
+     * Runs a search query (search/postquery) and resolves to its result tables in the shape of the JSOM ResultTableCollection
+     * ({ ResultTables : [{ TableType, TotalRows, TotalRowsIncludingDuplicates, ResultRows }] }, see resultTables ()).
+     *
+     * PARAMETERS
+     *    'request' - [OBJECT] : See spHelper.searchRequest ().
+     *    'details' - [OBJECT] : Request details added to any error.
+     */
+    search (request, details = {})
+    {
+        let body =
+        {
+            request :
+            {
+                __metadata        : { type : 'Microsoft.Office.Server.Search.REST.SearchRequest' },
+                Querytext         : request.queryText,
+                SelectProperties  : { results : request.selectProperties },
+                RefinementFilters : { results : request.refinementFilters },
+                SortList          : { results : request.sortList.map( sort => ({ Property : sort.property, Direction : sort.ascending ? 0 : 1 }) ) },
+                RowLimit          : request.rowLimit,
+                StartRow          : request.startRow,
+                TrimDuplicates    : request.trimDuplicates,
+            },
+        };
+
+        if (request.refiners.length > 0)
+        {
+            body.request.Refiners = request.refiners.join(',');
+        }
+
+        if (request.sourceId !== null)
+        {
+            body.request.SourceId = request.sourceId;
+        }
+
+        return this.request('POST', '/_api/search/postquery', body, {}, details).then( result => spRest.resultTables(result.postquery || result) );
+    }
+
+    /**
+     * Converts spHelper column data (see spHelper.updateListItem ()) into the body of a REST item request.
+     *
+     * PARAMETERS
+     *    'metadata'   - [OBJECT] : The list metadata (see getListMetadata ()).
+     *    'columnData' - [OBJECT] : The spHelper column data.
+     *    'details'    - [OBJECT] : Request details added to any error.
+     */
+    itemBody (metadata, columnData, details = {})
+    {
+        let body    = { __metadata : { type : metadata.entityType } };
+        let pending = [];
+
+        for (let key in columnData)
+        {
+            let column = columnData[key];
+            let field  = metadata.fields[key];
+
+            if (typeof field === 'undefined')
+            {
+                return Promise.reject(new spHelperError(errorCodes.COLUMN_NOT_FOUND, `The column '${key}' does not exist in '${details.list}'.`, details));
+            }
+
+            let name = field.EntityPropertyName || key;
+            let type = String(column.Type).toLowerCase();
+
+            if (type === 'url')
+            {
+                body[name] = { __metadata : { type : 'SP.FieldUrlValue' }, Url : column.URL, Description : column.Description };
+            }
+            else if (type === 'lookup')
+            {
+                let lookupIds = (column.LookupID === '' || column.LookupID === null) ? [] : [].concat(column.LookupID).map(Number);
+
+                body[`${name}Id`] = spRest.isMultiValue(field) ? { results : lookupIds } : (lookupIds.length > 0 ? lookupIds[0] : null);
+            }
+            else if (type === 'user')
+            {
+                let users = [].concat(column.Value);
+
+                pending.push( Promise.all(users.map( user => this.ensureUser(user, details) )).then( (userIds) =>
+                {
+                    body[`${name}Id`] = spRest.isMultiValue(field) ? { results : userIds } : (userIds.length > 0 ? userIds[0] : null);
+                }));
+            }
+            else if (Array.isArray(column.Value))
+            {
+                body[name] = { __metadata : { type : 'Collection(Edm.String)' }, results : column.Value };
+            }
+            else
+            {
+                body[name] = column.Value;
+            }
+        }
+
+        return Promise.all(pending).then( () => body );
+    }
+
+    /**
+     * Returns the $select and $expand query options that read list item columns. Lookup and user columns are expanded.
+     * Without columns every field is read.
+     *
+     * PARAMETERS
+     *    'fields'  - [OBJECT] : The list fields by internal name.
+     *    'columns' - [ARRAY]  : The internal names of the columns, or null for all fields.
+     */
+    static selectQuery (fields, columns)
+    {
+        let select = ['ID'];
+        let expand = [];
+
+        // All fields: every property and the (visible) lookup and user fields.
+        if (columns === null)
+        {
+            select = ['*'];
+            columns = Object.keys(fields).filter( column => !fields[column].Hidden && spRest.isExpandable(fields[column]) );
+        }
+
+        columns.forEach( function (column)
+        {
+            let field = fields[column];
+
+            // Unknown columns are left out. Like JSOM, reading them from the returned item fails.
+            if (typeof field === 'undefined')
+            {
+                return;
+            }
+
+            let name = field.EntityPropertyName || column;
+
+            if (spRest.isExpandable(field))
+            {
+                select.push(`${name}/Id`, `${name}/Title`);
+
+                if (field.FieldTypeKind === 20)
+                {
+                    select.push(`${name}/EMail`);
+                }
+                else if (field.LookupField && field.LookupField !== 'Title')
+                {
+                    select.push(`${name}/${field.LookupField}`);
+                }
+
+                expand.push(name);
+            }
+            else
+            {
+                select.push(name);
+            }
+        });
+
+        let query = `?$select=${select.filter( (value, index) => select.indexOf(value) === index ).join(',')}`;
+
+        if (expand.length > 0)
+        {
+            query += `&$expand=${expand.join(',')}`;
+        }
+
+        return query;
+    }
+
+    /**
+     * Returns the REST path of a list.
+     *
+     * PARAMETERS
+     *    'listName' - [STRING] : The list title.
+     *    'listGuid' - [STRING] : The list GUID (used when there is no title).
+     */
+    static listPath (listName, listGuid)
+    {
+        if (typeof listName !== 'undefined')
+        {
+            return `/_api/web/lists/getbytitle('${encodeURIComponent(String(listName).replace(/'/g, "''"))}')`;
+        }
+
+        return `/_api/web/lists(guid'${String(listGuid).replace(/[{}]/g, '')}')`;
+    }
+
+    /**
+     * Checks if a field value is returned as an object (lookup and user fields) and has to be expanded.
+     *
+     * PARAMETERS
+     *    'field' - [OBJECT] : The REST field.
+     */
+    static isExpandable (field)
+    {
+        return field.FieldTypeKind === 20 || (field.FieldTypeKind === 7 && /^\{?[0-9a-f-]{36}\}?$/i.test(field.LookupList || ''));
+    }
+
+    /**
+     * Checks if a lookup or user field allows multiple values.
+     *
+     * PARAMETERS
+     *    'field' - [OBJECT] : The REST field.
+     */
+    static isMultiValue (field)
+    {
+        return field.AllowMultipleValues === true || /Multi$/.test(field.TypeAsString || '');
+    }
+
+    /**
+     * Wraps a REST object in an object with JSOM style getters (e.g. 'EnableAttachments' is read with get_enableAttachments ()).
+     * Collections are returned as arrays and nested objects are wrapped as well.
+     *
+     * PARAMETERS
+     *    'json' - [OBJECT] : The REST object.
+     */
+    static clientObject (json)
+    {
+        let clientObject = {};
+
+        Object.keys(json).forEach( function (key)
+        {
+            let value = json[key];
+
+            if (key === '__metadata' || (value !== null && typeof value === 'object' && typeof value.__deferred !== 'undefined'))
+            {
+                return;
+            }
+
+            if (value !== null && typeof value === 'object' && Array.isArray(value.results))
+            {
+                value = value.results;
+            }
+            else if (value !== null && typeof value === 'object')
+            {
+                value = spRest.clientObject(value);
+            }
+
+            clientObject['get_' + key.charAt(0).toLowerCase() + key.substring(1)] = () => value;
+        });
+
+        return clientObject;
+    }
+
+    /**
+     * Wraps a REST list item in an object with the JSOM list item getters (get_id, get_item). Values are converted into the
+     * JSOM value types: lookups and users have get_lookupId/get_lookupValue, URLs have get_url/get_description and dates
+     * are Date objects.
+     *
+     * PARAMETERS
+     *    'item'   - [OBJECT] : The REST list item.
+     *    'fields' - [OBJECT] : The list fields by internal name.
+     */
+    static listItem (item, fields)
+    {
+        return {
+            get_id : () => item.ID,
+
+            // The values of the fields returned with the item.
+            get_fieldValues : () =>
+            {
+                let values = {};
+
+                Object.keys(fields).forEach( function (name)
+                {
+                    let value = item[fields[name].EntityPropertyName || name];
+
+                    if (typeof value !== 'undefined' && !(value !== null && typeof value === 'object' && typeof value.__deferred !== 'undefined'))
+                    {
+                        values[name] = spRest.clientValue(fields[name], value);
+                    }
+                });
+
+                return values;
+            },
+
+            get_item : (name) =>
+            {
+                let field = fields[name];
+                let key   = (typeof field !== 'undefined') ? (field.EntityPropertyName || name) : name;
+
+                if (typeof field === 'undefined' || typeof item[key] === 'undefined')
+                {
+                    throw new Error(`The property or field '${name}' has not been initialized.`);
+                }
+
+                return spRest.clientValue(field, item[key]);
+            },
+        };
+    }
+
+    /**
+     * Converts the PrimaryQueryResult of a search response into JSOM style result tables. The cells of a row become the
+     * properties of an object and their values the JSOM value types (numbers, booleans and Date objects). Refinement
+     * entries become the rows of the RefinementResults table ({ RefinerName, RefinementName, RefinementValue,
+     * RefinementToken, RefinementCount }).
+     *
+     * PARAMETERS
+     *    'queryResult' - [OBJECT] : The search response (postquery).
+     */
+    static resultTables (queryResult)
+    {
+        let primary = queryResult.PrimaryQueryResult || {};
+        let tables  = [];
+        let results = value => (value && Array.isArray(value.results)) ? value.results : (Array.isArray(value) ? value : []);
+
+        let cellValue = function (cell)
+        {
+            if (cell.Value === null || cell.ValueType === 'Null')
+            {
+                return null;
+            }
+
+            switch (cell.ValueType)
+            {
+                case 'Edm.Int32':
+                case 'Edm.Int64':
+                case 'Edm.Double':
+                case 'Edm.Single':
+                    return Number(cell.Value);
+                case 'Edm.Boolean':
+                    return String(cell.Value).toLowerCase() === 'true';
+                case 'Edm.DateTime':
+                    return new Date(cell.Value);
+                default:
+                    return cell.Value;
+            }
+        };
+
+        if (primary.RelevantResults)
+        {
+            let relevant = primary.RelevantResults;
+
+            tables.push(
+            {
+                TableType                    : 'RelevantResults',
+                TotalRows                    : relevant.TotalRows,
+                TotalRowsIncludingDuplicates : relevant.TotalRowsIncludingDuplicates,
+                RowCount                     : relevant.RowCount,
+                ResultRows                   : results(relevant.Table && relevant.Table.Rows).map( function (row)
+                {
+                    let resultRow = {};
+
+                    results(row.Cells).forEach( cell => resultRow[cell.Key] = cellValue(cell) );
+
+                    return resultRow;
+                }),
+            });
+        }
+
+        if (primary.RefinementResults)
+        {
+            let entries = [];
+
+            results(primary.RefinementResults.Refiners).forEach( refiner => results(refiner.Entries).forEach( function (entry)
+            {
+                entries.push({ RefinerName : refiner.Name, RefinementName : entry.RefinementName, RefinementValue : entry.RefinementValue, RefinementToken : entry.RefinementToken, RefinementCount : entry.RefinementCount });
+            }));
+
+            tables.push({ TableType : 'RefinementResults', RowCount : entries.length, ResultRows : entries });
+        }
+
+        return { ResultTables : tables };
+    }
+
+    /**
+     * Reads the RowLimit and the sort columns (GroupBy, then OrderBy) of View XML.
+     *
+     * PARAMETERS
+     *    'viewXml' - [STRING] : The CAML (View XML).
+     */
+    static viewPaging (viewXml)
+    {
+        let view = null;
+
+        // Invalid XML is left for SharePoint to report.
+        try
+        {
+            view = spXml.parse(viewXml).documentElement;
+        }
+        catch (error)
+        {
+            return { rowLimit : null, orderBy : [] };
+        }
+
+        let rowLimit = view.getElementsByTagName('RowLimit');
+        let orderBy  = [];
+
+        ['GroupBy', 'OrderBy'].forEach( function (tagName)
+        {
+            view.getElementsByTagName(tagName).forEach( element => element.getElementsByTagName('FieldRef').forEach( fieldRef => orderBy.push(fieldRef.getAttribute('Name')) ) );
+        });
+
+        return { rowLimit : (rowLimit.length > 0) ? parseInt(rowLimit[0].textContent) : null, orderBy : orderBy.filter( (column, index) => orderBy.indexOf(column) === index ) };
+    }
+
+    /**
+     * Builds the paging position (ListItemCollectionPosition PagingInfo) that follows an item: its ID and the values of
+     * the sort columns, in the format SharePoint uses.
+     *
+     * PARAMETERS
+     *    'item'    - [OBJECT] : The last list item of a page.
+     *    'orderBy' - [ARRAY]  : The sort column names.
+     */
+    static pagingInfo (item, orderBy)
+    {
+        let pagingInfo = `Paged=TRUE&p_ID=${item.get_id()}`;
+
+        orderBy.filter( column => column !== 'ID' ).forEach( function (column)
+        {
+            let value = item.get_item(column);
+
+            value = Array.isArray(value) ? value[0] : value;
+
+            if (value === null || typeof value === 'undefined')
+            {
+                value = '';
+            }
+            else if (value instanceof Date)
+            {
+                // SharePoint dates are written as 'yyyyMMdd HH:mm:ss' (UTC).
+                value = value.toISOString().replace(/-/g, '').replace('T', ' ').substring(0, 17);
+            }
+            else if (typeof value.get_lookupValue === 'function')
+            {
+                value = value.get_lookupValue();
+            }
+            else if (typeof value === 'boolean')
+            {
+                value = value ? 1 : 0;
+            }
+
+            pagingInfo += `&p_${column}=${encodeURIComponent(value)}`;
+        });
+
+        return pagingInfo;
+    }
+
+    /**
+     * Converts a REST field value into the value JSOM returns.
+     *
+     * PARAMETERS
+     *    'field' - [OBJECT] : The REST field.
+     *    'value' - [ANY]    : The REST value.
+     */
+    static clientValue (field, value)
+    {
+        if (value === null || typeof value === 'undefined')
+        {
+            return null;
+        }
+
+        if (typeof value === 'object' && Array.isArray(value.results))
+        {
+            return value.results.map( entry => spRest.clientValue(field, entry) );
+        }
+
+        if (typeof value === 'object' && typeof value.Url !== 'undefined')
+        {
+            return new spRestUrlValue(value.Url, value.Description);
+        }
+
+        if (typeof value === 'object' && typeof value.Id !== 'undefined')
+        {
+            let lookupField = (field.FieldTypeKind === 7 && field.LookupField) ? field.LookupField : 'Title';
+
+            return new spRestLookupValue(value.Id, value[lookupField], value.EMail);
+        }
+
+        if (field.FieldTypeKind === 4 && typeof value === 'string')
+        {
+            return new Date(value);
+        }
+
+        return value;
+    }
+}
+
+/**
+ * A lookup or user value read through the REST transport (same getters as SP.FieldLookupValue and SP.FieldUserValue).
+ */
+class spRestLookupValue
+{
+    constructor (lookupId, lookupValue, email)
+    {
+        this.lookupId    = lookupId;
+        this.lookupValue = (typeof lookupValue !== 'undefined') ? lookupValue : null;
+        this.email       = email;
+    }
+
+    get_lookupId ()     { return this.lookupId; }
+    get_lookupValue ()  { return this.lookupValue; }
+    get_email ()        { return this.email; }
+}
+
+/**
+ * A URL value read through the REST transport (same getters as SP.FieldUrlValue).
+ */
+class spRestUrlValue
+{
+    constructor (url, description)
+    {
+        this.url         = url;
+        this.description = description;
+    }
+
+    get_url ()          { return this.url; }
+    get_description ()  { return this.description; }
+}
@@ -0,0 +1,276 @@
+import spHelperError from './spHelperError';
+
+// Shorthand for the spHelperError codes.
+const errorCodes = spHelperError.codes;
+
+// A date (and time) without a time zone: 'YYYY-MM-DD', 'YYYY-MM-DDTHH:mm' or 'YYYY-MM-DDTHH:mm:ss(.sss)'.
+const localPattern = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+// The places a time zone conversion can start from or end in.
+const timeKinds = ['utc', 'site', 'browser'];
+
+/**
+ * The time zone of a SharePoint site (the RegionalSettings of the web). Converts dates between UTC, the local time of the
+ * site and the local time of the browser. Created by spHelper.getSiteTimeZone ().
+ *
+ * UTC values are Date objects or ISO strings with a time zone ('2026-10-19T07:30:00Z'). Site and browser local times are
+ * strings without a time zone ('2026-10-19T09:30:00').
+ *
+ * SharePoint returns the biases of the time zone but not its daylight saving rules. The conversions of a time zone with
+ * daylight saving time need its IANA name (the 'timeZone' option of spHelper) and fail with a CONFIGURATION error without
+ * it. A time zone without a daylight bias has the same offset all year and converts without the name.
+ *
+ * EXAMPLES
+ *      dataConnection.getSiteTimeZone().then( function (timeZone)
+ *      {
+ *          timeZone.toSiteTime(item.Modified);             // '2026-10-19T09:30:00'
+ *          timeZone.fromSiteTime('2026-10-20T17:00');      // Date (2026-10-20T15:00:00.000Z)
+ *          timeZone.convert('2026-10-20T17:00', 'site', 'browser');
+ *      });
+ */
+export default class spTimeZone
+{
+    /**
+     * PARAMETERS
+     *    'details' - [OBJECT] : { id, description, bias, standardBias, daylightBias, name } - The biases are minutes (UTC is
+     *                           the local time plus the bias), the name is the IANA time zone name (e.g. 'Europe/Amsterdam').
+     */
+    constructor (details = {})
+    {
+        this.id           = (typeof details.id !== 'undefined') ? details.id : null;
+        this.description  = details.description || '';
+        this.bias         = details.bias || 0;
+        this.standardBias = details.standardBias || 0;
+        this.daylightBias = details.daylightBias || 0;
+        this.name         = details.name || null;
+        this.parts        = null;
+
+        if (this.name !== null)
+        {
+            try
+            {
+                this.parts = new Intl.DateTimeFormat('en-US', { timeZone : this.name, hour12 : false, year : 'numeric', month : '2-digit', day : '2-digit', hour : '2-digit', minute : '2-digit', second : '2-digit' });
+            }
+            catch (error)
+            {
+                throw spHelperError.from(error, errorCodes.CONFIGURATION, `Configuration error. '${this.name}' is not a known IANA time zone name.`, { method : 'spTimeZone' });
+            }
+        }
+    }
+
+    /**
+     * Creates the time zone from a loaded SP.TimeZone (or the REST RegionalSettings/TimeZone).
+     *
+     * PARAMETERS
+     *    'timeZone' - [OBJECT] : The SP.TimeZone.
+     *    'name'     - [STRING] : The IANA time zone name, or null.
+     */
+    static fromRegionalSettings (timeZone, name = null)
+    {
+        let information = timeZone.get_information();
+
+        return new spTimeZone(
+        {
+            id           : timeZone.get_id(),
+            description  : timeZone.get_description(),
+            bias         : information.get_bias(),
+            standardBias : information.get_standardBias(),
+            daylightBias : information.get_daylightBias(),
+            name         : name,
+        });
+    }
+
+    /**
+     * Returns the offset (minutes) of the site's local time from UTC at a moment, e.g. 120 for UTC+02:00.
+     *
+     * PARAMETERS
+     *    'value' - [DATE|STRING] : The moment (UTC). Defaults to now.
+     */
+    offset (value = new Date())
+    {
+        let date = spTimeZone.instant(value, 'offset');
+
+        if (this.parts === null)
+        {
+            // The standard offset is only right all year when the time zone has no daylight saving time.
+            if (this.daylightBias !== 0)
+            {
+                throw new spHelperError(errorCodes.CONFIGURATION, `Configuration error. The time zone '${this.description}' has daylight saving time. Set the 'timeZone' option of spHelper to its IANA name (e.g. 'Europe/Amsterdam') to convert dates.`, { method : 'offset' });
+            }
+
+            return -(this.bias + this.standardBias);
+        }
+
+        let parts = {};
+
+        this.parts.formatToParts(date).forEach( part => parts[part.type] = parseInt(part.value) );
+
+        // Older engines format midnight as hour 24.
+        let local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+
+        return Math.round((local - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+    }
+
+    /**
+     * Returns the site's local time of a moment ('YYYY-MM-DDTHH:mm:ss').
+     *
+     * PARAMETERS
+     *    'value' - [DATE|STRING] : The moment (UTC).
+     */
+    toSiteTime (value)
+    {
+        let date = spTimeZone.instant(value, 'toSiteTime');
+
+        return spTimeZone.format(new Date(date.getTime() + this.offset(date) * 60000));
+    }
+
+    /**
+     * Returns the moment (Date) of a local time of the site.
+     *
+     * PARAMETERS
+     *    'value' - [STRING] : The site's local time ('YYYY-MM-DD', 'YYYY-MM-DDTHH:mm' or 'YYYY-MM-DDTHH:mm:ss').
+     */
+    fromSiteTime (value)
+    {
+        let local = spTimeZone.localTime(value, 'fromSiteTime');
+
+        // The offset at the local time read as UTC is off by the offset itself, the second pass uses the offset at the result.
+        let guess = local - this.offset(new Date(local)) * 60000;
+
+        return new Date(local - this.offset(new Date(guess)) * 60000);
+    }
+
+    /**
+     * Returns the browser's local time of a moment ('YYYY-MM-DDTHH:mm:ss').
+     *
+     * PARAMETERS
+     *    'value' - [DATE|STRING] : The moment (UTC).
+     */
+    toBrowserTime (value)
+    {
+        let date = spTimeZone.instant(value, 'toBrowserTime');
+
+        return spTimeZone.format(new Date(date.getTime() - date.getTimezoneOffset() * 60000));
+    }
+
+    /**
+     * Returns the moment (Date) of a local time of the browser.
+     *
+     * PARAMETERS
+     *    'value' - [STRING] : The browser's local time ('YYYY-MM-DD', 'YYYY-MM-DDTHH:mm' or 'YYYY-MM-DDTHH:mm:ss').
+     */
+    fromBrowserTime (value)
+    {
+        let local = new Date(spTimeZone.localTime(value, 'fromBrowserTime'));
+
+        return new Date(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), local.getUTCHours(), local.getUTCMinutes(), local.getUTCSeconds(), local.getUTCMilliseconds());
+    }
+
+    /**
+     * Converts a date between UTC, the site's local time and the browser's local time. UTC results are ISO strings.
+     *
+     * PARAMETERS
+     *    'value' - [DATE|STRING] : The date.
+     *    'from'  - [STRING]      : 'utc', 'site' or 'browser'.
+     *    'to'    - [STRING]      : 'utc', 'site' or 'browser'.
+     */
+    convert (value, from, to)
+    {
+        if (!timeKinds.includes(from) || !timeKinds.includes(to))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid time zone conversion from '${from}' to '${to}'. Use ${timeKinds.join(', ')}.`, { method : 'convert' });
+        }
+
+        let date = (from === 'utc') ? spTimeZone.instant(value, 'convert') : (from === 'site') ? this.fromSiteTime(value) : this.fromBrowserTime(value);
+
+        return (to === 'utc') ? date.toISOString() : (to === 'site') ? this.toSiteTime(date) : this.toBrowserTime(date);
+    }
+
+    /**
+     * Returns the site's local date ('YYYY-MM-DD') of today, or of a number of days from today.
+     *
+     * PARAMETERS
+     *    'offsetDays' - [INTEGER] : Days added to today. Defaults to 0.
+     */
+    today (offsetDays = 0)
+    {
+        let today = new Date(this.toSiteTime(new Date()).substring(0, 10) + 'T00:00:00Z');
+
+        today.setUTCDate(today.getUTCDate() + offsetDays);
+
+        return today.toISOString().substring(0, 10);
+    }
+
+    /**
+     * Returns the moment of a UTC value: a Date, or an ISO string with a time zone ('Z' or '+02:00').
+     *
+     * PARAMETERS
+     *    'value'  - [DATE|STRING] : The value.
+     *    'method' - [STRING]      : The method reported with the error.
+     */
+    static instant (value, method)
+    {
+        let date = (value instanceof Date) ? value : (typeof value === 'string' && spTimeZone.hasTimeZone(value)) ? new Date(value) : null;
+
+        if (date === null || isNaN(date.getTime()))
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid UTC date '${value}'. Use a Date or an ISO string with a time zone.`, { method : method });
+        }
+
+        return date;
+    }
+
+    /**
+     * Returns a local time string as the milliseconds of the same date and time in UTC.
+     *
+     * PARAMETERS
+     *    'value'  - [STRING] : The local time.
+     *    'method' - [STRING] : The method reported with the error.
+     */
+    static localTime (value, method)
+    {
+        let parts = localPattern.exec(typeof value === 'string' ? value.trim() : '');
+
+        if (parts === null)
+        {
+            throw new spHelperError(errorCodes.INVALID_ARGUMENT, `Invalid local time '${value}'. Use 'YYYY-MM-DD' or 'YYYY-MM-DDTHH:mm:ss' without a time zone.`, { method : method });
+        }
+
+        let numbers = parts.slice(1).map( part => (typeof part === 'undefined') ? 0 : parseInt(part) );
+
+        return Date.UTC(numbers[0], numbers[1] - 1, numbers[2], numbers[3], numbers[4], numbers[5], (typeof parts[7] === 'undefined') ? 0 : parseInt((parts[7] + '00').substring(0, 3)));
+    }
+
+    /**
+     * Checks if a string is a local date or time (no time zone).
+     *
+     * PARAMETERS
+     *    'value' - [STRING] : The value.
+     */
+    static isLocalTime (value)
+    {
+        return typeof value === 'string' && localPattern.test(value.trim());
+    }
+
+    /**
+     * Checks if a date string ends with a time zone ('Z', '+02:00', '-0500').
+     *
+     * PARAMETERS
+     *    'value' - [STRING] : The value.
+     */
+    static hasTimeZone (value)
+    {
+        return /T.*(?:Z|[+-]\d{2}:?\d{2})$/i.test(value.trim());
+    }
+
+    /**
+     * Formats the UTC date and time of a Date as a local time string ('YYYY-MM-DDTHH:mm:ss').
+     *
+     * PARAMETERS
+     *    'date' - [DATE] : The date.
+     */
+    static format (date)
+    {
+        return date.toISOString().substring(0, 19);
+    }
+}
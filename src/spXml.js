@@ -0,0 +1,405 @@
+export default class spXml
+{
+    /**
+     * Parses an XML string into a small DOM like tree. Used where a browser DOMParser is not available (Node, the fake SP
+     * runtime). The returned document supports the subset of the DOM used by spHelper: documentElement, childNodes, children,
+     * attributes (by index and by name), getAttribute, getElementsByTagName and textContent.
+     *
+     * PARAMETERS
+     *    'text' - [STRING] : The XML to parse.
+     */
+    static parse (text)
+    {
+        let source   = String(text);
+        let position = 0;
+        let document = new spXmlNode(9, '#document');
+        let stack    = [document];
+
+        while (position < source.length)
+        {
+            let tagStart = source.indexOf('<', position);
+
+            // Text content up to the next tag.
+            if (tagStart === -1 || tagStart > position)
+            {
+                let textEnd = (tagStart === -1) ? source.length : tagStart;
+                let value   = spXml.decode(source.substring(position, textEnd));
+
+                if (stack.length > 1)
+                {
+                    stack[stack.length - 1].appendChild(new spXmlNode(3, '#text', value));
+                }
+                else if (value.trim() !== '')
+                {
+                    throw new Error('Invalid XML. Text found outside of the root element.');
+                }
+
+                position = textEnd;
+
+                continue;
+            }
+
+            // Comments, processing instructions & CDATA sections.
+            if (source.startsWith('<!--', tagStart))
+            {
+                position = spXml.skipTo(source, '-->', tagStart);
+
+                continue;
+            }
+
+            if (source.startsWith('<?', tagStart) || source.startsWith('<!DOCTYPE', tagStart))
+            {
+                position = spXml.skipTo(source, '>', tagStart);
+
+                continue;
+            }
+
+            if (source.startsWith('<![CDATA[', tagStart))
+            {
+                let cdataEnd = source.indexOf(']]>', tagStart);
+
+                if (cdataEnd === -1)
+                {
+                    throw new Error('Invalid XML. Unterminated CDATA section.');
+                }
+
+                stack[stack.length - 1].appendChild(new spXmlNode(3, '#text', source.substring(tagStart + 9, cdataEnd)));
+
+                position = cdataEnd + 3;
+
+                continue;
+            }
+
+            let tagEnd = spXml.findTagEnd(source, tagStart);
+            let tag    = source.substring(tagStart + 1, tagEnd);
+
+            // Closing tag.
+            if (tag.charAt(0) === '/')
+            {
+                let name    = tag.substring(1).trim();
+                let current = stack.pop();
+
+                if (stack.length === 0 || current.tagName !== name)
+                {
+                    throw new Error(`Invalid XML. Unexpected closing tag '${name}'.`);
+                }
+
+                position = tagEnd + 1;
+
+                continue;
+            }
+
+            let selfClosing = tag.charAt(tag.length - 1) === '/';
+
+            if (selfClosing)
+            {
+                tag = tag.substring(0, tag.length - 1);
+            }
+
+            let nameMatch = /^\s*([^\s/>]+)/.exec(tag);
+
+            if (nameMatch === null)
+            {
+                throw new Error('Invalid XML. Missing element name.');
+            }
+
+            if (stack.length === 1 && document.documentElement !== null)
+            {
+                throw new Error('Invalid XML. More than one root element.');
+            }
+
+            let element = new spXmlNode(1, nameMatch[1]);
+
+            spXml.parseAttributes(tag.substring(nameMatch[0].length), element);
+
+            stack[stack.length - 1].appendChild(element);
+
+            if (!selfClosing)
+            {
+                stack.push(element);
+            }
+
+            position = tagEnd + 1;
+        }
+
+        if (stack.length > 1)
+        {
+            throw new Error(`Invalid XML. Element '${stack[stack.length - 1].tagName}' is not closed.`);
+        }
+
+        if (document.documentElement === null)
+        {
+            throw new Error('Invalid XML. No root element found.');
+        }
+
+        return document;
+    }
+
+    /**
+     * Converts a parsed node back into an XML string.
+     *
+     * PARAMETERS
+     *    'node' - [OBJECT] : A node returned by spXml.parse (document, element or text).
+     */
+    static serialize (node)
+    {
+        if (node.nodeType === 9)
+        {
+            return node.childNodes.map( child => spXml.serialize(child) ).join('');
+        }
+
+        if (node.nodeType === 3)
+        {
+            return spXml.escape(node.nodeValue);
+        }
+
+        let xml = `<${node.tagName}`;
+
+        for (let i = 0; i < node.attributes.length; i++)
+        {
+            xml += ` ${node.attributes[i].name}="${spXml.escape(node.attributes[i].value)}"`;
+        }
+
+        if (node.childNodes.length === 0)
+        {
+            return xml + ' />';
+        }
+
+        return xml + '>' + node.childNodes.map( child => spXml.serialize(child) ).join('') + `</${node.tagName}>`;
+    }
+
+    /**
+     * Escapes a value for use as XML text or as an attribute value.
+     *
+     * PARAMETERS
+     *    'value' - [ANY] : The value to escape.
+     */
+    static escape (value)
+    {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Decodes the XML entities of a text or attribute value.
+     *
+     * PARAMETERS
+     *    'value' - [STRING] : The raw value.
+     */
+    static decode (value)
+    {
+        return value.replace(/&(#x[0-9a-f]+|#[0-9]+|amp|lt|gt|quot|apos);/gi, function (match, entity)
+        {
+            if (entity.charAt(0) === '#')
+            {
+                let isHex = entity.charAt(1).toLowerCase() === 'x';
+
+                return String.fromCharCode(parseInt(entity.substring(isHex ? 2 : 1), isHex ? 16 : 10));
+            }
+
+            return { amp : '&', lt : '<', gt : '>', quot : '"', apos : "'" }[entity.toLowerCase()];
+        });
+    }
+
+    /**
+     * Reads the attributes of a start tag into an element.
+     *
+     * PARAMETERS
+     *    'text'    - [STRING] : The attribute part of the start tag.
+     *    'element' - [OBJECT] : The element receiving the attributes.
+     */
+    static parseAttributes (text, element)
+    {
+        let attributePattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let match;
+
+        while ((match = attributePattern.exec(text)) !== null)
+        {
+            element.setAttribute(match[1], spXml.decode(typeof match[3] !== 'undefined' ? match[3] : match[4]));
+        }
+
+        // Anything other than white space left over means the attributes are malformed.
+        if (text.replace(attributePattern, '').trim() !== '')
+        {
+            throw new Error(`Invalid XML. Malformed attributes on element '${element.tagName}'.`);
+        }
+    }
+
+    /**
+     * Finds the closing '>' of a tag, ignoring any '>' inside quoted attribute values.
+     *
+     * PARAMETERS
+     *    'source'   - [STRING]  : The XML string.
+     *    'tagStart' - [INTEGER] : The position of the opening '<'.
+     */
+    static findTagEnd (source, tagStart)
+    {
+        let quote = null;
+
+        for (let i = tagStart + 1; i < source.length; i++)
+        {
+            let character = source.charAt(i);
+
+            if (quote !== null)
+            {
+                if (character === quote)
+                {
+                    quote = null;
+                }
+            }
+            else if (character === '"' || character === "'")
+            {
+                quote = character;
+            }
+            else if (character === '<')
+            {
+                break;
+            }
+            else if (character === '>')
+            {
+                return i;
+            }
+        }
+
+        throw new Error('Invalid XML. Unterminated tag.');
+    }
+
+    /**
+     * Returns the position after the next occurrence of a marker.
+     *
+     * PARAMETERS
+     *    'source' - [STRING]  : The XML string.
+     *    'marker' - [STRING]  : The marker to find.
+     *    'start'  - [INTEGER] : The position to search from.
+     */
+    static skipTo (source, marker, start)
+    {
+        let markerStart = source.indexOf(marker, start);
+
+        if (markerStart === -1)
+        {
+            throw new Error(`Invalid XML. Missing '${marker}'.`);
+        }
+
+        return markerStart + marker.length;
+    }
+}
+
+/**
+ * A node of a document parsed by spXml. Node types follow the DOM (1 element, 3 text, 9 document).
+ */
+export class spXmlNode
+{
+    constructor (nodeType, nodeName, nodeValue = null)
+    {
+        this.nodeType        = nodeType;
+        this.nodeName        = nodeName;
+        this.tagName         = nodeType === 1 ? nodeName : undefined;
+        this.nodeValue       = nodeValue;
+        this.parentNode      = null;
+        this.childNodes      = [];
+        this.attributes      = [];
+        this.documentElement = null;
+    }
+
+    get children ()
+    {
+        return this.childNodes.filter( node => node.nodeType === 1 );
+    }
+
+    get textContent ()
+    {
+        if (this.nodeType === 3)
+        {
+            return this.nodeValue;
+        }
+
+        return this.childNodes.map( node => node.textContent ).join('');
+    }
+
+    appendChild (node)
+    {
+        node.parentNode = this;
+
+        this.childNodes.push(node);
+
+        if (this.nodeType === 9 && node.nodeType === 1)
+        {
+            this.documentElement = node;
+        }
+
+        return node;
+    }
+
+    removeChild (node)
+    {
+        this.childNodes.splice(this.childNodes.indexOf(node), 1);
+
+        node.parentNode = null;
+
+        return node;
+    }
+
+    getAttribute (name)
+    {
+        let attribute = this.attributes.find( item => item.name === name );
+
+        return attribute ? attribute.value : null;
+    }
+
+    hasAttribute (name)
+    {
+        return this.getAttribute(name) !== null;
+    }
+
+    setAttribute (name, value)
+    {
+        let attribute = this.attributes.find( item => item.name === name );
+
+        if (attribute)
+        {
+            attribute.value = String(value);
+        }
+        else
+        {
+            attribute = { name : name, value : String(value) };
+
+            this.attributes.push(attribute);
+
+            // Allow named access (element.attributes.Name.value) like a DOM NamedNodeMap.
+            if (!(name in this.attributes))
+            {
+                this.attributes[name] = attribute;
+            }
+        }
+    }
+
+    getElementsByTagName (name)
+    {
+        let found = [];
+
+        this.children.forEach( function (child)
+        {
+            if (name === '*' || child.tagName === name)
+            {
+                found.push(child);
+            }
+
+            found = found.concat(child.getElementsByTagName(name));
+        });
+
+        return found;
+    }
+
+    /**
+     * Returns the first direct child element with the given tag name (or null).
+     */
+    childElement (name)
+    {
+        return this.children.find( child => child.tagName === name ) || null;
+    }
+}
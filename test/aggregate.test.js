@@ -0,0 +1,62 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+
+// The GUID of the Tickets list.
+const ticketsGuid = '2b9d4e71-5c3a-4f08-b6e2-9a1c7d3f5e84';
+
+describe('aggregate', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList(
+        {
+            title  : 'Tickets',
+            id     : ticketsGuid,
+            fields : [{ internalName : 'Team', type : 'Choice' }, { internalName : 'Hours', type : 'Number' }],
+            items  : [{ Title : 'One', Team : 'Red', Hours : 2 }, { Title : 'Two', Team : 'Blue', Hours : 3 }, { Title : 'Three', Team : 'Red', Hours : 5 }],
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('counts the items of a list given by GUID', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                let result = await dataConnection.aggregate({ listGuid : ticketsGuid });
+
+                assert.deepStrictEqual(result, { count : 3, aggregates : {}, groups : [], source : 'itemCount' });
+            });
+
+            ['server', 'client'].forEach( function (mode)
+            {
+                it(`aggregates a list given by GUID like a list given by title (${mode})`, async function ()
+                {
+                    let dataConnection = connect(site, transport);
+                    let queryDetails   = { groupBy : 'Team', aggregates : { Hours : 'sum' }, mode : mode };
+
+                    let byGuid  = await dataConnection.aggregate(Object.assign({ listGuid : ticketsGuid }, queryDetails));
+                    let byTitle = await dataConnection.aggregate(Object.assign({ listName : 'Tickets' }, queryDetails));
+
+                    assert.deepStrictEqual(byGuid, byTitle);
+                    assert.deepStrictEqual(byGuid.groups.map( group => [group.key.Team, group.count, group.aggregates.Hours.sum] ), [['Blue', 1, 3], ['Red', 2, 7]]);
+                });
+            });
+
+            it('fails without a list', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                await assert.rejects(dataConnection.aggregate({ aggregates : { Hours : 'sum' } }), error => error.code === 'INVALID_ARGUMENT');
+            });
+        });
+    });
+});
@@ -0,0 +1,69 @@
+const assert = require('assert');
+const { transports, createSite, connect, captureUncaught } = require('./helpers');
+
+describe('batch', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList(
+        {
+            title  : 'Tasks',
+            fields : [{ internalName : 'Status', type : 'Text' }],
+            items  : [{ Title : 'First', Status : 'Open' }, { Title : 'Done', Status : 'Closed' }],
+            views  : [{ title : 'Open Tasks', query : "<Where><Eq><FieldRef Name='Status'/><Value Type='Text'>Open</Value></Eq></Where>", fields : ['Title'] }],
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('sends every operation and completes when an operation callback throws', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let batch          = dataConnection.createBatch({ maxOperations : 1 });
+                let userError      = new Error('operation callback failed');
+                let failures       = [];
+
+                batch.addListItem({ listName : 'Tasks', columnData : { Title : { Type : 'Text', Value : 'Second' } } }, () => { throw userError; });
+                batch.addListItem({ listName : 'Tasks', columnData : { Title : { Type : 'Text', Value : 'Third' } } });
+                batch.deleteListItem({ listName : 'Tasks', itemID : 99 }, null, () => { throw new Error('second callback failed'); });
+
+                let uncaught = captureUncaught(['uncaughtException']);
+                let results  = await new Promise( (resolve, reject) => batch.execute(resolve, error => { failures.push(error); reject(error); }) );
+
+                assert.strictEqual(await uncaught, userError);
+                assert.deepStrictEqual(results.map( result => result.success ), [true, true, false]);
+                assert.deepStrictEqual(failures, []);
+
+                let titles = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'] });
+
+                assert.deepStrictEqual(titles.map( row => row.Title ), ['First', 'Done', 'Second', 'Third']);
+            });
+
+            it('reads the views of queries before the batch is sent', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let batch          = dataConnection.createBatch();
+
+                batch.getListData({ listName : 'Tasks', viewName : 'Open Tasks' });
+                batch.getListData({ listName : 'Tasks', viewName : 'Open Tasks', listColumns : ['Status'], where : { column : 'Title', operation : 'Eq', value : 'First' } });
+                batch.getListData({ listName : 'Tasks', viewName : 'Missing' });
+                batch.addListItem({ listName : 'Tasks', columnData : { Title : { Type : 'Text', Value : 'Second' } } });
+
+                let results = await batch.execute();
+
+                assert.deepStrictEqual(results.map( result => result.success ), [true, true, false, true]);
+                assert.deepStrictEqual(results[0].result.map( row => row.Title ), ['First']);
+                assert.deepStrictEqual(results[1].result, [{ Title : 'First', Status : 'Open' }]);
+                assert.strictEqual(results[2].error.code, 'VIEW_NOT_FOUND');
+            });
+        });
+    });
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+
+// Five daily occurrences, from Monday 2 March 2026 09:00 (UTC).
+const dailyFive = "<recurrence><rule><firstDayOfWeek>su</firstDayOfWeek><repeat><daily dayFrequency='1' /></repeat><repeatInstances>5</repeatInstances></rule></recurrence>";
+
+describe('calendar occurrences', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList(
+        {
+            title    : 'Events',
+            template : 106,
+            items    :
+            [
+                { Title : 'Standup', EventDate : '2026-03-02T09:00:00Z', EndDate : '2026-03-06T09:15:00Z', Duration : 900, fRecurrence : true, EventType : 1, RecurrenceData : dailyFive },
+                { Title : 'Deleted: Standup', EventDate : '2026-03-04T09:00:00Z', EndDate : '2026-03-04T09:15:00Z', fRecurrence : true, EventType : 3, MasterSeriesItemID : 1, RecurrenceID : '2026-03-04T09:00:00Z' },
+                { Title : 'Standup (moved)', EventDate : '2026-03-05T11:00:00Z', EndDate : '2026-03-05T11:15:00Z', fRecurrence : true, EventType : 4, MasterSeriesItemID : 1, RecurrenceID : '2026-03-05T09:00:00Z' },
+                { Title : 'Review', EventDate : '2026-03-03T13:00:00Z', EndDate : '2026-03-03T14:00:00Z', EventType : 0 },
+                { Title : 'Planning', EventDate : '2026-04-08T10:00:00Z', EndDate : '2026-04-08T11:00:00Z', EventType : 0 },
+            ],
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('returns the occurrences of a range with the changed occurrences and without the deleted ones', async function ()
+            {
+                let dataConnection = connect(site, transport, { normalizeValues : true });
+
+                let rows = await dataConnection.getListData({ listName : 'Events', listColumns : ['Title'], calendar : { start : '2026-03-01', end : '2026-03-31' } });
+
+                assert.deepStrictEqual(rows.map( row => [row.ID, row.Title, row.EventDate, row.EndDate, row.RecurrenceID, row.MasterSeriesItemID] ),
+                [
+                    [1, 'Standup', '2026-03-02T09:00:00.000Z', '2026-03-02T09:15:00.000Z', '2026-03-02T09:00:00.000Z', 1],
+                    [1, 'Standup', '2026-03-03T09:00:00.000Z', '2026-03-03T09:15:00.000Z', '2026-03-03T09:00:00.000Z', 1],
+                    [4, 'Review', '2026-03-03T13:00:00.000Z', '2026-03-03T14:00:00.000Z', null, null],
+                    [3, 'Standup (moved)', '2026-03-05T11:00:00.000Z', '2026-03-05T11:15:00.000Z', '2026-03-05T09:00:00.000Z', 1],
+                    [1, 'Standup', '2026-03-06T09:00:00.000Z', '2026-03-06T09:15:00.000Z', '2026-03-06T09:00:00.000Z', 1],
+                ]);
+            });
+
+            it('returns the occurrences of the period of a date', async function ()
+            {
+                let dataConnection = connect(site, transport, { normalizeValues : true });
+                let titles         = calendar => dataConnection.getListData({ listName : 'Events', listColumns : ['Title'], calendar : calendar }).then( rows => rows.map( row => row.Title + ' ' + row.EventDate.slice(5, 10) ) );
+
+                assert.deepStrictEqual(await titles({ period : 'Day', date : '2026-03-05' }), ['Standup (moved) 03-05']);
+                assert.deepStrictEqual(await titles({ period : 'Week', date : '2026-03-04' }), ['Standup 03-02', 'Standup 03-03', 'Review 03-03', 'Standup (moved) 03-05', 'Standup 03-06']);
+                assert.deepStrictEqual(await titles({ period : 'Month', date : '2026-04-15' }), ['Planning 04-08']);
+            });
+
+            it('applies where and top to the occurrences', async function ()
+            {
+                let dataConnection = connect(site, transport, { normalizeValues : true });
+
+                let rows = await dataConnection.getListData({ listName : 'Events', listColumns : ['Title'], where : { column : 'Title', operation : 'BeginsWith', value : 'Standup' }, calendar : { start : '2026-03-01', end : '2026-03-31' }, top : 3 });
+
+                assert.deepStrictEqual(rows.map( row => row.EventDate.slice(0, 10) ), ['2026-03-02', '2026-03-03', '2026-03-05']);
+            });
+
+            it('cannot be read in pages or with a full query', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                await assert.rejects(dataConnection.getListData({ listName : 'Events', listColumns : ['Title'], calendar : 'Month', onPage : () => true }), error => error.code === 'INVALID_ARGUMENT');
+                await assert.rejects(dataConnection.getListData({ listName : 'Events', listColumns : ['Title'], calendar : 'Month', query : '<View />' }), error => error.code === 'INVALID_ARGUMENT');
+            });
+        });
+    });
+});
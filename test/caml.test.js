@@ -0,0 +1,112 @@
+const assert = require('assert');
+const { spHelper, transports, createSite, connect } = require('./helpers');
+
+describe('CAML builder', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList(
+        {
+            title  : 'Tasks',
+            fields : [{ internalName : 'Status', type : 'Text' }],
+            items  : ['Open', 'Done', 'Open', 'Open', 'Done', 'Open', 'Open'].map( (status, index) => ({ Title : 'Task ' + (index + 1), Status : status }) ),
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    it('builds the View XML of the conditions, sort order and row limit', function ()
+    {
+        let viewXml = spHelper.caml().where('Status').eq('Open').and('Title').beginsWith('Task').orderBy('Modified', false).orderBy('Title').rowLimit(500).toXml(['Title', 'Status']);
+
+        assert.strictEqual(viewXml, "<View Scope='RecursiveAll'><ViewFields><FieldRef Name='Title' /><FieldRef Name='Status' /></ViewFields><Query>"
+            + "<Where><And><Eq><FieldRef Name='Status' /><Value Type='Text'>Open</Value></Eq><BeginsWith><FieldRef Name='Title' /><Value Type='Text'>Task</Value></BeginsWith></And></Where>"
+            + "<OrderBy><FieldRef Name='Modified' Ascending='FALSE' /><FieldRef Name='Title' Ascending='TRUE' /></OrderBy></Query><RowLimit Paged='TRUE'>500</RowLimit></View>");
+    });
+
+    it('combines the conditions from left to right and groups them by precedence', function ()
+    {
+        let where = query => /<Where>(.*)<\/Where>/.exec(query.toXml())[1].replace(/<FieldRef Name='(\w+)' \/><Value Type='\w+'>(\w+)<\/Value>/g, '$1=$2');
+
+        assert.strictEqual(where(spHelper.caml().where('A').eq('1').or('B').eq('2').and('C').eq('3')), '<And><Or><Eq>A=1</Eq><Eq>B=2</Eq></Or><Eq>C=3</Eq></And>');
+        assert.strictEqual(where(spHelper.caml().where('A').eq('1').and( q => q.where('B').eq('2').or('C').eq('3') )), '<And><Eq>A=1</Eq><Or><Eq>B=2</Eq><Eq>C=3</Eq></Or></And>');
+        assert.throws( () => spHelper.caml().where('A').eq('1').and( () => null ), error => error.code === 'INVALID_ARGUMENT' );
+    });
+
+    it('infers the Value Type from the field metadata or the value', function ()
+    {
+        let listDetails = { columns : [{ internalName : 'Hours', fieldType : 9 }, { internalName : 'Team', fieldType : 7 }, { internalName : 'Due', fieldType : 4 }] };
+        let viewXml     = spHelper.caml(listDetails).where('Hours').gt('8').and('Team').eq(2).and('Team').eq('Red').and('Done').eq(true).and('Count').lt(3).and('Due').before('2024-05-01').toXml();
+
+        assert.ok(viewXml.includes("<Gt><FieldRef Name='Hours' /><Value Type='Number'>8</Value></Gt>"));
+        assert.ok(viewXml.includes("<Eq><FieldRef Name='Team' LookupId='TRUE' /><Value Type='Lookup'>2</Value></Eq>"));
+        assert.ok(viewXml.includes("<Eq><FieldRef Name='Team' /><Value Type='Lookup'>Red</Value></Eq>"));
+        assert.ok(viewXml.includes("<Eq><FieldRef Name='Done' /><Value Type='Boolean'>1</Value></Eq>"));
+        assert.ok(viewXml.includes("<Lt><FieldRef Name='Count' /><Value Type='Number'>3</Value></Lt>"));
+        assert.ok(viewXml.includes("<Lt><FieldRef Name='Due' /><Value Type='DateTime'>2024-05-01</Value></Lt>"));
+        assert.ok(spHelper.caml({ Hours : 'Integer' }).where('Hours').eq(8, 'Currency').toXml().includes("<Value Type='Currency'>8</Value>"));
+    });
+
+    it('accepts the View Scopes only', function ()
+    {
+        ['Default', 'Recursive', 'RecursiveAll', 'filesonly'].forEach( function (scope)
+        {
+            assert.ok(spHelper.caml().scope(scope).toXml().startsWith(`<View Scope='${scope.replace('filesonly', 'FilesOnly')}'>`));
+        });
+
+        ["RecursiveAll'><Query>", 'All', '', null].forEach( function (scope)
+        {
+            assert.throws( () => spHelper.caml().scope(scope), error => error.code === 'CONFIGURATION' );
+        });
+    });
+
+    it('uses the given row limit when the builder sets none', function ()
+    {
+        assert.ok(spHelper.caml().toXml(['Title'], 100).endsWith("<RowLimit Paged='TRUE'>100</RowLimit></View>"));
+        assert.ok(spHelper.caml().rowLimit(10).toXml(['Title'], 100).endsWith("<RowLimit Paged='TRUE'>10</RowLimit></View>"));
+        assert.ok(!spHelper.caml().toXml(['Title']).includes('RowLimit'));
+    });
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('reads the items of a builder query like the where option', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let listDetails    = await dataConnection.getListDetails('Tasks');
+                let query          = spHelper.caml(listDetails).where('Status').eq('Open').and( q => q.where('Title').eq('Task 1').or('Title').eq('Task 7') ).orderBy('ID', false);
+
+                let built = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title', 'Status'], query : query });
+                let where = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title', 'Status'], where : { operation : 'And', values : [{ column : 'Status', operation : 'Eq', value : 'Open' }, { operation : 'Or', values : [{ column : 'Title', operation : 'Eq', value : 'Task 1' }, { column : 'Title', operation : 'Eq', value : 'Task 7' }] }] }, orderBy : { column : 'ID', ascending : false } });
+
+                assert.deepStrictEqual(built, [{ Title : 'Task 7', Status : 'Open' }, { Title : 'Task 1', Status : 'Open' }]);
+                assert.deepStrictEqual(built, where);
+            });
+
+            it('reads a builder without a row limit in pages', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let queryDetails   = { listName : 'Tasks', listColumns : ['Title'], query : spHelper.caml().where('Status').eq('Open'), rowLimit : 2 };
+
+                let page = await dataConnection.getListDataPage(queryDetails);
+
+                assert.deepStrictEqual(page.items.map( item => item.Title ), ['Task 1', 'Task 3']);
+                assert.notStrictEqual(page.pagingInfo, null);
+
+                let pages = [];
+
+                for await (const next of dataConnection.iterateListData(queryDetails))
+                {
+                    pages.push(next.items.map( item => item.Title ));
+                }
+
+                assert.deepStrictEqual(pages, [['Task 1', 'Task 3'], ['Task 4', 'Task 6'], ['Task 7']]);
+            });
+        });
+    });
+});
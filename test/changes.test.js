@@ -0,0 +1,98 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+
+describe('list changes', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList({ title : 'Tasks', fields : [{ internalName : 'Status', type : 'Text' }], items : ['One', 'Two', 'Three', 'Four'].map( title => ({ Title : title, Status : 'Open' }) ) });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            // Sets the status of an item.
+            let update = (dataConnection, itemID, status) => dataConnection.updateListItem({ listName : 'Tasks', itemID : itemID, columnData : { Status : { Type : 'Text', Value : status } } });
+
+            // Adds an item.
+            let add = (dataConnection, title) => dataConnection.addListItem({ listName : 'Tasks', columnData : { Title : { Type : 'Text', Value : title } } });
+
+            it('returns only the change token without a token', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                let changes = await dataConnection.getListChanges('Tasks');
+
+                assert.deepStrictEqual(Object.assign({}, changes, { changeToken : null }), { added : [], updated : [], deleted : [], changeToken : null });
+                assert.strictEqual(typeof changes.changeToken, 'string');
+            });
+
+            it('lists each changed item once by its last change', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let sinceToken     = (await dataConnection.getListChanges('Tasks')).changeToken;
+
+                let fifth = await add(dataConnection, 'Five');
+                let sixth = await add(dataConnection, 'Six');
+
+                await update(dataConnection, fifth, 'Closed');
+                await update(dataConnection, 1, 'Closed');
+                await update(dataConnection, 1, 'Open');
+                await update(dataConnection, 2, 'Closed');
+                await dataConnection.deleteListItem({ listName : 'Tasks', itemID : 2 });
+                await dataConnection.deleteListItem({ listName : 'Tasks', itemID : sixth });
+                await dataConnection.deleteListItem({ listName : 'Tasks', itemID : 3 });
+
+                let changes = await dataConnection.getListChanges('Tasks', sinceToken);
+
+                assert.deepStrictEqual([changes.added, changes.updated, changes.deleted.slice().sort( (a, b) => a - b )], [[fifth], [1], [2, 3, sixth]]);
+                assert.notStrictEqual(changes.changeToken, sinceToken);
+
+                let next = await dataConnection.getListChanges('Tasks', changes.changeToken);
+
+                assert.deepStrictEqual([next.added, next.updated, next.deleted], [[], [], []]);
+            });
+
+            it('reads the changed items again with the requested columns', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let sinceToken     = (await dataConnection.getListChanges('Tasks')).changeToken;
+
+                let fifth = await add(dataConnection, 'Five');
+
+                await update(dataConnection, 4, 'Closed');
+                await update(dataConnection, 1, 'Closed');
+
+                let changes = await dataConnection.getListChanges('Tasks', sinceToken);
+
+                // Deleted after the changes were read.
+                await dataConnection.deleteListItem({ listName : 'Tasks', itemID : 1 });
+
+                let synced = await dataConnection.getChangedListItems('Tasks', changes, ['Title', 'Status']);
+
+                assert.deepStrictEqual(synced.items.sort( (a, b) => a.ID - b.ID ), [{ ID : 4, Title : 'Four', Status : 'Closed' }, { ID : fifth, Title : 'Five', Status : null }]);
+                assert.deepStrictEqual(synced.deleted, [1]);
+                assert.strictEqual(synced.changeToken, changes.changeToken);
+            });
+
+            it('fails for a token older than the change log', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let sinceToken     = (await dataConnection.getListChanges('Tasks')).changeToken;
+
+                await update(dataConnection, 1, 'Closed');
+
+                site.clearChangeLog('Tasks');
+
+                await assert.rejects(dataConnection.getListChanges('Tasks', sinceToken), error => error.code === 'CHANGE_TOKEN_INVALID');
+            });
+        });
+    });
+});
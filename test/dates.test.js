@@ -0,0 +1,80 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+
+// A moment late on 19 October in UTC, which is already 20 October on the site.
+const lateEvening = '2026-10-19T22:30:00Z';
+
+describe('dates', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite({ timeZone : { id : 4, description : '(UTC+01:00) Amsterdam, Berlin, Bern, Rome, Stockholm, Vienna', bias : -60, standardBias : 0, daylightBias : -60, name : 'Europe/Amsterdam' } });
+
+        site.addList(
+        {
+            title  : 'Tasks',
+            fields : [{ internalName : 'DueDate', type : 'DateTime' }],
+            items  : [{ Title : 'Monday', DueDate : '2026-10-19T10:00:00Z' }, { Title : 'Tuesday', DueDate : '2026-10-20T10:00:00Z' }],
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('compares the date of a moment by its day on the site', async function ()
+            {
+                let dataConnection = connect(site, transport, { timeZone : 'Europe/Amsterdam' });
+                let titles         = value => dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'], where : { column : 'DueDate', operation : 'Eq', value : value, type : 'DateTime' } }).then( rows => rows.map( row => row.Title ) );
+
+                assert.deepStrictEqual(await titles(lateEvening), ['Tuesday']);
+                assert.deepStrictEqual(await titles(new Date(lateEvening)), ['Tuesday']);
+                assert.deepStrictEqual(await titles('2026-10-19'), ['Monday']);
+            });
+
+            it('reads the time zone of the site before a batch with such a query is sent', async function ()
+            {
+                let dataConnection = connect(site, transport, { timeZone : 'Europe/Amsterdam' });
+                let results        = await dataConnection.createBatch().getListData({ listName : 'Tasks', listColumns : ['Title'], where : { column : 'DueDate', operation : 'Eq', value : new Date(lateEvening), type : 'DateTime' } }).execute();
+
+                assert.deepStrictEqual(results[0].result.map( row => row.Title ), ['Tuesday']);
+            });
+
+            it('needs the IANA name to convert dates of a time zone with daylight saving time', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let timeZone       = await dataConnection.getSiteTimeZone();
+
+                assert.throws( () => timeZone.toSiteTime(lateEvening), error => error.code === 'CONFIGURATION' );
+
+                await assert.rejects(dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'], where : { column : 'DueDate', operation : 'Eq', value : lateEvening, type : 'DateTime' } }), error => error.code === 'CONFIGURATION');
+            });
+
+            it('converts the dates of a time zone without daylight saving time without its name', async function ()
+            {
+                site.uninstall();
+
+                site = createSite({ timeZone : { id : 20, description : '(UTC+09:00) Osaka, Sapporo, Tokyo', bias : -540, standardBias : 0, daylightBias : 0 } });
+
+                site.addList({ title : 'Tasks', fields : [{ internalName : 'DueDate', type : 'DateTime' }], items : [{ Title : 'Tuesday', DueDate : '2026-10-20T01:00:00Z' }] });
+
+                let dataConnection = connect(site, transport);
+                let rows           = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'], where : { column : 'DueDate', operation : 'Eq', value : '2026-10-19T16:00:00Z', type : 'DateTime' } });
+
+                assert.strictEqual((await dataConnection.getSiteTimeZone()).toSiteTime(lateEvening), '2026-10-20T07:30:00');
+                assert.deepStrictEqual(rows.map( row => row.Title ), ['Tuesday']);
+            });
+
+            it('asks for the time zone of the site when a query is built without it', function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                assert.throws( () => dataConnection.buildListQuery({ listColumns : ['Title'], where : { column : 'DueDate', operation : 'After', value : new Date(lateEvening) } }), error => error.code === 'CONFIGURATION' );
+            });
+        });
+    });
+});
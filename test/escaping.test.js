@@ -0,0 +1,169 @@
+const assert = require('assert');
+const { spHelper, transports, createSite, connect } = require('./helpers');
+const spXml  = require('../src/spXml').default;
+const spCaml = require('../src/spCaml').default;
+
+// Values that break the CAML (or add clauses to it) when they are not escaped.
+const unsafeValues = ['R&D', '<script>', 'Say "hi"', "O'Brien", "x</Value></Eq><Or><Eq><FieldRef Name='ID'/><Value Type='Counter'>1</Value></Eq>"];
+
+/**
+ * Returns the text of the Value elements of a View XML, in document order.
+ *
+ * PARAMETERS
+ *      viewXml - [STRING] : The View XML.
+ */
+function values (viewXml)
+{
+    return spXml.parse(viewXml).getElementsByTagName('Value').map( value => value.textContent );
+}
+
+describe('CAML escaping', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList({ title : 'Tasks', fields : [{ internalName : 'Team', type : 'Lookup', lookupList : 'R&D "Teams"' }], items : unsafeValues.map( value => ({ Title : value }) ) });
+        site.addList({ title : 'R&D "Teams"', items : [{ Title : 'Red' }] });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    describe('generated CAML', function ()
+    {
+        let dataConnection = null;
+
+        beforeEach( () => dataConnection = connect(site, 'rest') );
+
+        it('escapes the value of a where condition', function ()
+        {
+            unsafeValues.forEach( function (value)
+            {
+                let viewXml = dataConnection.buildListQuery({ listName : 'Tasks', listColumns : ['Title'], where : { column : 'Title', operation : 'Eq', value : value } });
+                let where   = spXml.parse(viewXml).getElementsByTagName('Where')[0];
+
+                assert.deepStrictEqual(where.children.map( child => child.tagName ), ['Eq']);
+                assert.deepStrictEqual(values(viewXml), [value]);
+            });
+        });
+
+        it('escapes the values of where groups', function ()
+        {
+            let where   = { operation : 'Or', values : unsafeValues.map( value => ({ column : 'Title', operation : 'Contains', value : value }) ) };
+            let viewXml = dataConnection.buildListQuery({ listName : 'Tasks', listColumns : ['Title'], where : where });
+
+            assert.strictEqual(spXml.parse(viewXml).getElementsByTagName('Contains').length, unsafeValues.length);
+            assert.deepStrictEqual(values(viewXml), unsafeValues);
+        });
+
+        it('escapes the values of the In batches', function ()
+        {
+            let inValues = [];
+
+            for (let i = 0; i < 70; i++)
+            {
+                inValues.push(unsafeValues[i % unsafeValues.length] + i);
+            }
+
+            let viewXml = dataConnection.buildListQuery({ listName : 'Tasks', listColumns : ['Title'], where : { column : 'Title', operation : 'In', value : inValues } });
+
+            assert.strictEqual(spXml.parse(viewXml).getElementsByTagName('In').length, 2);
+            assert.deepStrictEqual(values(viewXml), inValues);
+        });
+
+        it('escapes the list names of Joins and ProjectedFields', function ()
+        {
+            let join    = { list : 'R&D "Teams"', joinColumn : 'Team', fields : [{ field : 'Title', alias : 'TeamTitle' }] };
+            let viewXml = dataConnection.buildListQuery({ listName : 'Tasks', listColumns : ['Title'], join : join });
+            let view    = spXml.parse(viewXml);
+
+            assert.strictEqual(view.getElementsByTagName('Join')[0].getAttribute('ListAlias'), 'R&D "Teams"');
+            assert.strictEqual(view.getElementsByTagName('Field')[0].getAttribute('List'), 'R&D "Teams"');
+            assert.strictEqual(view.getElementsByTagName('Field')[0].getAttribute('Name'), 'TeamTitle');
+        });
+
+        it('rejects column names that are not internal names', function ()
+        {
+            let invalidNames = ["Title' /><Or>", 'Due Date', '', '1Title', 'Title"'];
+
+            invalidNames.forEach( function (name)
+            {
+                let invalid = error => error.code === 'INVALID_ARGUMENT';
+
+                assert.throws( () => spCaml.columnName(name), invalid );
+                assert.throws( () => dataConnection.buildListQuery({ listName : 'Tasks', listColumns : ['Title', name] }), invalid );
+                assert.throws( () => dataConnection.buildListQuery({ listName : 'Tasks', listColumns : ['Title'], where : { column : name, operation : 'Eq', value : 'x' } }), invalid );
+                assert.throws( () => dataConnection.buildListQuery({ listName : 'Tasks', listColumns : ['Title'], orderBy : { column : name } }), invalid );
+                assert.throws( () => dataConnection.buildListQuery({ listName : 'Tasks', listColumns : ['Title'], join : { list : 'Teams', joinColumn : name, fields : ['Title'] } }), invalid );
+                assert.throws( () => dataConnection.buildListQuery({ listName : 'Tasks', listColumns : ['Title'], join : { list : 'Teams', joinColumn : 'Team', fields : [name] } }), invalid );
+            });
+
+            assert.strictEqual(spCaml.columnName('Due_x0020_Date'), 'Due_x0020_Date');
+        });
+
+        it('rejects a join whose list name is not a valid projected field name without an alias', function ()
+        {
+            assert.throws( () => dataConnection.buildListQuery({ listName : 'Tasks', listColumns : ['Title'], join : { list : 'R&D "Teams"', joinColumn : 'Team', fields : ['Title'] } }), error => error.code === 'INVALID_ARGUMENT' );
+        });
+
+        it('rejects operations and value types that are not CAML names', function ()
+        {
+            let invalid = error => error.code === 'INVALID_ARGUMENT';
+
+            assert.throws( () => dataConnection.buildListQuery({ listName : 'Tasks', listColumns : ['Title'], where : { column : 'Title', operation : 'Eq><Or', value : 'x' } }), invalid );
+            assert.throws( () => dataConnection.buildListQuery({ listName : 'Tasks', listColumns : ['Title'], where : { column : 'Title', operation : 'Eq', value : 'x', type : "Text'><Or" } }), invalid );
+        });
+
+        it('escapes the values of the builder', function ()
+        {
+            let viewXml = spHelper.caml().where('Title').eq(unsafeValues[4]).or('Title').contains(unsafeValues[0]).toXml(['Title']);
+
+            assert.deepStrictEqual(values(viewXml), [unsafeValues[4], unsafeValues[0]]);
+        });
+    });
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('finds the items whose value is the typed search text', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                for (let value of unsafeValues)
+                {
+                    let rows = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'], where : { column : 'Title', operation : 'Eq', value : value } });
+
+                    assert.deepStrictEqual(rows.map( row => row.Title ), [value]);
+                }
+            });
+
+            it('does not let search text add clauses to the query', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let typed          = "nothing</Value></Contains><IsNotNull><FieldRef Name='Title'/></IsNotNull><Contains><FieldRef Name='Title'/><Value Type='Text'>";
+
+                let rows = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'], where : { column : 'Title', operation : 'Contains', value : typed } });
+
+                assert.deepStrictEqual(rows, []);
+            });
+
+            it('escapes the values of queries split above the single query limit', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let inValues       = unsafeValues.slice();
+
+                for (let i = 0; i < 600; i++)
+                {
+                    inValues.push(`missing & <${i}>`);
+                }
+
+                let rows = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'], where : { column : 'Title', operation : 'In', value : inValues.reverse() } });
+
+                assert.deepStrictEqual(rows.map( row => row.Title ).sort(), unsafeValues.slice().sort());
+            });
+        });
+    });
+});
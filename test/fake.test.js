@@ -0,0 +1,132 @@
+const assert = require('assert');
+const { createSite, connect } = require('./helpers');
+
+describe('fake SharePoint site', function ()
+{
+    let site           = null;
+    let dataConnection = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addUser({ title : 'Ann Lee', email : 'ann@contoso.com' });
+        site.addList(
+        {
+            title  : 'Tasks',
+            fields : [{ internalName : 'Status', type : 'Choice', choices : ['Open', 'Closed'] }, { internalName : 'Points', type : 'Number' }],
+            items  :
+            [
+                { Title : 'Write report', Status : 'Open', Points : 3 },
+                { Title : 'Review report', Status : 'Closed', Points : 5 },
+                { Title : 'Plan meeting', Status : 'Open', Points : 1 },
+                { Title : 'Book room', Status : 'Open', Points : 2 },
+            ],
+        });
+
+        dataConnection = connect(site, 'jsom');
+    });
+
+    afterEach( () => site.uninstall() );
+
+    // The titles of the items matching a where tree.
+    let titles = (where, details = {}) => dataConnection.getListData(Object.assign({ listName : 'Tasks', listColumns : ['Title'], where : where }, details)).then( rows => rows.map( row => row.Title ) );
+
+    it('installs the SP namespace and restores the global object', function ()
+    {
+        assert.strictEqual(typeof SP.ClientContext, 'function');
+
+        site.uninstall();
+
+        assert.strictEqual(typeof SP, 'undefined');
+
+        site.install();
+    });
+
+    it('evaluates Eq, Neq, In and Contains', async function ()
+    {
+        assert.deepStrictEqual(await titles({ column : 'Status', operation : 'Eq', value : 'Closed', type : 'Choice' }), ['Review report']);
+        assert.deepStrictEqual(await titles({ column : 'Status', operation : 'Neq', value : 'Closed', type : 'Choice' }), ['Write report', 'Plan meeting', 'Book room']);
+        assert.deepStrictEqual(await titles({ column : 'Points', operation : 'In', value : [1, 5], type : 'Number' }), ['Review report', 'Plan meeting']);
+        assert.deepStrictEqual(await titles({ column : 'Title', operation : 'Contains', value : 'report', type : 'Text' }), ['Write report', 'Review report']);
+    });
+
+    it('evaluates nested And and Or groups', async function ()
+    {
+        let where =
+        {
+            operation : 'Or',
+            values    :
+            [
+                { column : 'Status', operation : 'Eq', value : 'Closed', type : 'Choice' },
+                { operation : 'And', values : [{ column : 'Status', operation : 'Eq', value : 'Open', type : 'Choice' }, { column : 'Points', operation : 'Geq', value : 3, type : 'Number' }] },
+            ],
+        };
+
+        assert.deepStrictEqual(await titles(where), ['Write report', 'Review report']);
+    });
+
+    it('sorts, limits and pages the items', async function ()
+    {
+        let first  = await dataConnection.getListDataPage({ listName : 'Tasks', listColumns : ['Title'], orderBy : 'Points', rowLimit : 3 });
+        let second = await dataConnection.getListDataPage({ listName : 'Tasks', listColumns : ['Title'], orderBy : 'Points', rowLimit : 3, pagingInfo : first.pagingInfo });
+
+        assert.deepStrictEqual(first.items.map( row => row.Title ), ['Plan meeting', 'Book room', 'Write report']);
+        assert.deepStrictEqual(second.items.map( row => row.Title ), ['Review report']);
+        assert.strictEqual(second.pagingInfo, null);
+    });
+
+    it('adds, updates and deletes items', async function ()
+    {
+        let itemID = await dataConnection.addListItem({ listName : 'Tasks', columnData : { Title : { Type : 'Text', Value : 'Call Ann' }, Status : { Type : 'Choice', Value : 'Open' } } });
+
+        await dataConnection.updateListItem({ listName : 'Tasks', itemID : itemID, columnData : { Status : { Type : 'Choice', Value : 'Closed' } } });
+        await dataConnection.deleteListItem({ listName : 'Tasks', itemID : 1 });
+
+        let items = site.getItems('Tasks');
+
+        assert.strictEqual(itemID, 5);
+        assert.deepStrictEqual(items.map( item => item.ID ), [2, 3, 4, 5]);
+        assert.deepStrictEqual([items[3].Title, items[3].Status], ['Call Ann', 'Closed']);
+    });
+
+    it('reads the list details', async function ()
+    {
+        let details = await dataConnection.getListDetails('Tasks');
+
+        assert.strictEqual(details.settings.title, 'Tasks');
+        assert.strictEqual(details.settings.itemCount, 4);
+        assert.ok(details.columns.some( column => column.internalName === 'Status' ));
+    });
+
+    it('checks the permissions of the current user', async function ()
+    {
+        site.setPermissions('Tasks', ['viewListItems']);
+
+        assert.strictEqual(await dataConnection.canReadList('Tasks'), true);
+        assert.strictEqual(await dataConnection.canWriteList('Tasks'), false);
+        assert.strictEqual(await dataConnection.hasListAccess('Tasks', 'addListItems'), false);
+
+        await assert.rejects(dataConnection.addListItem({ listName : 'Tasks', columnData : { Title : { Type : 'Text', Value : 'Denied' } } }), error => error.code === 'ACCESS_DENIED');
+    });
+
+    it('rejects a permission check that fails for another reason than a missing permission', async function ()
+    {
+        site.setPermissions('Tasks', []);
+
+        assert.strictEqual(await dataConnection.canReadList('Tasks'), false);
+
+        await assert.rejects(dataConnection.canReadList('Missing'), error => error.code === 'LIST_NOT_FOUND');
+        await assert.rejects(dataConnection.hasListAccess('Tasks', 'readEverything'), error => error.code === 'INVALID_ARGUMENT');
+
+        site.failRequests(1, 'throttled');
+
+        await assert.rejects(dataConnection.canWriteList('Tasks'), error => error.code === 'THROTTLED');
+    });
+
+    it('fails queries on missing lists and columns like SharePoint', async function ()
+    {
+        await assert.rejects(dataConnection.getListData({ listName : 'Missing', listColumns : ['Title'] }), error => error.code === 'LIST_NOT_FOUND');
+        await assert.rejects(titles({ column : 'Missing', operation : 'Eq', value : 1, type : 'Number' }), error => error.code === 'COLUMN_NOT_FOUND');
+    });
+});
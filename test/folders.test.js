@@ -0,0 +1,78 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+
+describe('folders and scopes', function ()
+{
+    let site = null;
+
+    // The server relative URLs of the library and its folders.
+    const library = '/sites/dev/Documents';
+    const reports = library + '/Reports';
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList(
+        {
+            title    : 'Documents',
+            template : 101,
+            items    :
+            [
+                { FSObjType : 1, FileLeafRef : 'Reports' },
+                { FileLeafRef : 'a.docx' },
+                { FSObjType : 1, FileLeafRef : '2024', FileDirRef : reports },
+                { FileLeafRef : 'b.docx', FileDirRef : reports },
+                { FileLeafRef : 'c.docx', FileDirRef : reports + '/2024' },
+            ],
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            // Reads the names of the items of the library with the given query details.
+            let names = (dataConnection, queryDetails) => dataConnection.getListData(Object.assign({ listName : 'Documents', listColumns : ['FileLeafRef'] }, queryDetails)).then( rows => rows.map( row => row.FileLeafRef ) );
+
+            it('reads the items of every level by default', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                assert.deepStrictEqual(await names(dataConnection, {}), ['Reports', 'a.docx', '2024', 'b.docx', 'c.docx']);
+                assert.deepStrictEqual(await names(dataConnection, { scope : 'recursiveall' }), ['Reports', 'a.docx', '2024', 'b.docx', 'c.docx']);
+            });
+
+            it('reads the items of a folder by scope', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                assert.deepStrictEqual(await names(dataConnection, { scope : 'Default' }), ['Reports', 'a.docx']);
+                assert.deepStrictEqual(await names(dataConnection, { scope : 'FilesOnly' }), ['a.docx']);
+                assert.deepStrictEqual(await names(dataConnection, { scope : 'Recursive' }), ['a.docx', 'b.docx', 'c.docx']);
+                assert.deepStrictEqual(await names(dataConnection, { folder : reports, scope : 'Default' }), ['2024', 'b.docx']);
+                assert.deepStrictEqual(await names(dataConnection, { folder : reports, scope : 'Recursive' }), ['b.docx', 'c.docx']);
+                assert.deepStrictEqual(await names(dataConnection, { folder : reports }), ['2024', 'b.docx', 'c.docx']);
+            });
+
+            it('returns the folder details of the items', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let where          = { column : 'FSObjType', operation : 'Eq', value : 1, type : 'Integer' };
+
+                let rows = await dataConnection.getListData({ listName : 'Documents', listColumns : ['FileRef', 'FileDirRef', 'FileLeafRef', 'FSObjType'], where : where });
+
+                assert.deepStrictEqual(rows.map( row => [row.FileRef, row.FileDirRef, row.FileLeafRef, Number(row.FSObjType)] ), [[reports, library, 'Reports', 1], [reports + '/2024', reports, '2024', 1]]);
+            });
+
+            it('rejects a scope that is not a View Scope', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                await assert.rejects(names(dataConnection, { scope : 'Everything' }), error => error.code === 'INVALID_ARGUMENT');
+            });
+        });
+    });
+});
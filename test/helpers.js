@@ -0,0 +1,78 @@
+const spHelper     = require('../src/spHelper').default;
+const spHelperFake = require('../src/spHelperFake').default;
+
+// The URL of the fake sites.
+const siteUrl = 'https://contoso.sharepoint.com/sites/dev';
+
+// The transports every behaviour is checked with.
+const transports = ['jsom', 'rest'];
+
+/**
+ * Creates a fake site with the default test URL.
+ *
+ * PARAMETERS
+ *      options - [OBJECT] : spHelperFake options.
+ */
+function createSite (options = {})
+{
+    return new spHelperFake(Object.assign({ url : siteUrl }, options));
+}
+
+/**
+ * Connects spHelper to a fake site. The JSOM transport needs the fake SP namespace, which is installed until the
+ * site is uninstalled (see afterEach in the tests).
+ *
+ * PARAMETERS
+ *      site      - [spHelperFake] : The fake site.
+ *      transport - [STRING]       : 'jsom' or 'rest'.
+ *      options   - [OBJECT]       : Extra spHelper options.
+ */
+function connect (site, transport, options = {})
+{
+    if (transport === 'rest')
+    {
+        return new spHelper(Object.assign({ transport : 'rest', targetSite : site.url, fetch : site.fetch }, options));
+    }
+
+    site.install();
+
+    return new spHelper(Object.assign({}, options));
+}
+
+/**
+ * Resolves with the first exception that escapes to the process (uncaught exception or unhandled rejection). The
+ * handlers of the test runner are restored afterwards.
+ *
+ * PARAMETERS
+ *      events - [ARRAY] : The process events captured. The test runner keeps handling the others.
+ */
+function captureUncaught (events = ['uncaughtException', 'unhandledRejection'])
+{
+    let previous = {};
+
+    events.forEach( event =>
+    {
+        previous[event] = process.listeners(event);
+
+        process.removeAllListeners(event);
+    });
+
+    return new Promise( resolve =>
+    {
+        let onError = (error) =>
+        {
+            events.forEach( event =>
+            {
+                process.removeAllListeners(event);
+
+                previous[event].forEach( listener => process.on(event, listener) );
+            });
+
+            resolve(error);
+        };
+
+        events.forEach( event => process.once(event, onError) );
+    });
+}
+
+module.exports = { spHelper, spHelperFake, siteUrl, transports, createSite, connect, captureUncaught };
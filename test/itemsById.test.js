@@ -0,0 +1,99 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+
+// The GUID of the Tasks list.
+const tasksGuid = '6f0c2a3e-1b7d-4c55-9a1e-2d3c4b5a6f70';
+
+describe('items by ID', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addUser({ title : 'Ann Lee', email : 'ann@contoso.com' });
+        site.addList({ title : 'Teams', items : [{ Title : 'Red' }] });
+        site.addList(
+        {
+            title  : 'Tasks',
+            id     : tasksGuid,
+            fields : [{ internalName : 'Team', type : 'Lookup', lookupList : 'Teams' }, { internalName : 'Owner', type : 'User' }],
+            items  : [{ Title : 'First', Team : 1, Owner : 'ann@contoso.com' }, { Title : 'Second' }],
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('normalizes the items of a list given by GUID like getListData', async function ()
+            {
+                let dataConnection = connect(site, transport, { normalizeValues : true });
+                let columns        = ['Title', 'Team', 'Owner'];
+
+                let byId   = await dataConnection.getListItemById(tasksGuid, 1, columns);
+                let byIds  = await dataConnection.getListItemsByIds(tasksGuid, [1, 2, 3], columns);
+                let listed = await dataConnection.getListData({ listGuid : tasksGuid, listColumns : columns, where : { column : 'ID', operation : 'Eq', value : 1, type : 'Counter' } });
+
+                assert.deepStrictEqual(byId, { Title : 'First', Team : { id : 1, title : 'Red' }, Owner : { id : 2, title : 'Ann Lee', email : 'ann@contoso.com' } });
+                assert.deepStrictEqual(byId, listed[0]);
+                assert.deepStrictEqual(byIds, [byId, { Title : 'Second', Team : null, Owner : null }, null]);
+            });
+
+            it('reads more IDs than a single query holds in parallel slices in the order of the IDs', async function ()
+            {
+                let items = [];
+
+                for (let i = 1; i <= 1100; i++)
+                {
+                    items.push({ Title : 'Item ' + i });
+                }
+
+                site.addList({ title : 'Items', items : items });
+
+                let dataConnection = connect(site, transport);
+                let ids            = [];
+
+                // Missing IDs and duplicates between the existing ones, in descending order.
+                for (let id = 1200; id > 0; id--)
+                {
+                    ids.push(id);
+
+                    if (id % 100 === 0)
+                    {
+                        ids.push(id);
+                    }
+                }
+
+                // Loads the list metadata (and the form digest) of the REST transport first.
+                await dataConnection.getListItemsByIds('Items', [1], ['Title']);
+
+                let requests = site.requestCount;
+                let rows     = await dataConnection.getListItemsByIds('Items', ids, ['Title']);
+
+                assert.strictEqual(site.requestCount - requests, 3);
+                assert.deepStrictEqual(rows, ids.map( id => (id <= 1100) ? { Title : 'Item ' + id } : null ));
+            });
+
+            it('accepts the callbacks in place of the columns', function (done)
+            {
+                let dataConnection = connect(site, transport);
+
+                dataConnection.getListItemById('Tasks', 2, function (row)
+                {
+                    assert.strictEqual(row.Title, 'Second');
+
+                    dataConnection.getListItemsByIds('Tasks', [2], rows =>
+                    {
+                        assert.strictEqual(rows[0].Title, 'Second');
+
+                        done();
+                    }, done);
+                }, done);
+            });
+        });
+    });
+});
@@ -0,0 +1,117 @@
+const assert = require('assert');
+const { createSite, connect } = require('./helpers');
+const spXml = require('../src/spXml').default;
+
+describe('joins', function ()
+{
+    let site = null;
+
+    // Orders joined to their customer, and through the customer to its city and billing city.
+    const join =
+    {
+        list       : 'Customers',
+        joinColumn : 'Customer',
+        fields     : ['Title'],
+        joins      :
+        [
+            { list : 'Cities', joinColumn : 'City', type : 'inner', fields : [{ field : 'Title', alias : 'City' }] },
+            { list : 'Cities', alias : 'Billing', joinColumn : 'BillCity', fields : [{ field : 'Title', alias : 'BillingCity' }] },
+        ],
+    };
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList({ title : 'Cities', items : [{ Title : 'Oslo' }, { Title : 'Lima' }] });
+        site.addList(
+        {
+            title  : 'Customers',
+            fields : [{ internalName : 'City', type : 'Lookup', lookupList : 'Cities' }, { internalName : 'BillCity', type : 'Lookup', lookupList : 'Cities' }],
+            items  : [{ Title : 'Contoso', City : 1, BillCity : 2 }, { Title : 'Fabrikam', BillCity : 1 }],
+        });
+        site.addList(
+        {
+            title  : 'Orders',
+            fields : [{ internalName : 'Customer', type : 'Lookup', lookupList : 'Customers' }],
+            items  : [{ Title : 'Order 1', Customer : 1 }, { Title : 'Order 2', Customer : 2 }, { Title : 'Order 3' }],
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    describe('generated CAML', function ()
+    {
+        let dataConnection = null;
+
+        beforeEach( () => dataConnection = connect(site, 'rest') );
+
+        it('chains the joins through the lookup columns of their parent join', function ()
+        {
+            let view = spXml.parse(dataConnection.buildListQuery({ listName : 'Orders', listColumns : ['Title'], join : join }));
+
+            let joins = view.getElementsByTagName('Join').map( function (element)
+            {
+                let lookup = element.getElementsByTagName('FieldRef')[0];
+
+                return [element.getAttribute('Type'), element.getAttribute('ListAlias'), lookup.getAttribute('List'), lookup.getAttribute('Name')];
+            });
+
+            let fields = view.getElementsByTagName('Field').map( field => [field.getAttribute('Name'), field.getAttribute('List'), field.getAttribute('ShowField')] );
+
+            assert.deepStrictEqual(joins, [['LEFT', 'Customers', null, 'Customer'], ['INNER', 'Cities', 'Customers', 'City'], ['LEFT', 'Billing', 'Customers', 'BillCity']]);
+            assert.deepStrictEqual(fields, [['Customers_Title', 'Customers', 'Title'], ['City', 'Cities', 'Title'], ['BillingCity', 'Billing', 'Title']]);
+            assert.deepStrictEqual(view.getElementsByTagName('ViewFields')[0].children.map( fieldRef => fieldRef.getAttribute('Name') ), ['Title', 'Customers_Title', 'City', 'BillingCity']);
+        });
+
+        it('chains a join to an earlier join given as its parent', function ()
+        {
+            let flat    = [{ list : 'Customers', joinColumn : 'Customer', fields : ['Title'] }, { list : 'Cities', parent : 'Customers', joinColumn : 'City', fields : ['Title'] }];
+            let viewXml = dataConnection.buildListQuery({ listName : 'Orders', listColumns : ['Title'], join : flat });
+
+            assert.ok(viewXml.includes('<FieldRef List="Customers" Name="City" RefType="Id" />'));
+            assert.ok(viewXml.includes('<Field ShowField="Title" Type="Lookup" Name="Cities_Title" List="Cities" />'));
+        });
+
+        it('rejects joins that cannot be told apart or chained', function ()
+        {
+            let invalid = error => error.code === 'INVALID_ARGUMENT';
+            let build   = joins => () => dataConnection.buildListQuery({ listName : 'Orders', listColumns : ['Title'], join : joins });
+
+            assert.throws( build([{ list : 'Cities', joinColumn : 'City', fields : ['Title'] }, { list : 'Cities', joinColumn : 'BillCity', fields : ['Title'] }]), invalid );
+            assert.throws( build([{ list : 'Cities', joinColumn : 'City', fields : ['Title'] }, { list : 'Cities', alias : 'Billing', joinColumn : 'BillCity', fields : [{ field : 'Title', alias : 'Cities_Title' }] }]), invalid );
+            assert.throws( build([{ list : 'Cities', parent : 'Customers', joinColumn : 'City', fields : ['Title'] }]), invalid );
+            assert.throws( build([{ list : 'Customers', joinColumn : 'Customer', type : 'right', fields : ['Title'] }]), invalid );
+        });
+    });
+
+    describe('jsom', function ()
+    {
+        it('returns the projected values under their aliases', async function ()
+        {
+            let dataConnection = connect(site, 'jsom', { normalizeValues : true });
+
+            let rows = await dataConnection.getListData({ listName : 'Orders', listColumns : ['Title'], join : join });
+
+            assert.deepStrictEqual(rows, [{ Title : 'Order 1', Customers_Title : { id : 1, title : 'Contoso' }, City : { id : 1, title : 'Oslo' }, BillingCity : { id : 2, title : 'Lima' } }]);
+        });
+
+        it('keeps the items without a joined item in a left join', async function ()
+        {
+            let dataConnection = connect(site, 'jsom', { normalizeValues : true });
+            let leftJoin       = Object.assign({}, join, { joins : join.joins.slice(1) });
+
+            let rows = await dataConnection.getListData({ listName : 'Orders', listColumns : ['Title'], join : leftJoin });
+
+            assert.deepStrictEqual(rows.map( row => [row.Title, row.Customers_Title && row.Customers_Title.title, row.BillingCity && row.BillingCity.title] ), [['Order 1', 'Contoso', 'Lima'], ['Order 2', 'Fabrikam', 'Oslo'], ['Order 3', null, null]]);
+        });
+    });
+
+    describe('rest', function ()
+    {
+        it('fails joins with a CONFIGURATION error', async function ()
+        {
+            await assert.rejects(connect(site, 'rest').getListData({ listName : 'Orders', listColumns : ['Title'], join : join }), error => error.code === 'CONFIGURATION');
+        });
+    });
+});
@@ -0,0 +1,146 @@
+const assert = require('assert');
+const { IDBFactory } = require('fake-indexeddb');
+const { transports, createSite, connect, captureUncaught } = require('./helpers');
+
+// The query details of the mirrored reads.
+const tasksQuery = { listName : 'Tasks', listColumns : ['Title'] };
+
+describe('list mirror', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList({ title : 'Tasks', items : [{ Title : 'First' }, { Title : 'Second' }] });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('reads a query from SharePoint once and serves it from the mirror', async function ()
+            {
+                let mirror = connect(site, transport).createMirror({ indexedDB : new IDBFactory() });
+
+                let first    = await mirror.getListData(tasksQuery);
+                let requests = site.requestCount;
+                let second   = await mirror.getListData(tasksQuery);
+
+                assert.deepStrictEqual(first, [{ Title : 'First', ID : 1 }, { Title : 'Second', ID : 2 }]);
+                assert.deepStrictEqual(second, first);
+                assert.strictEqual(site.requestCount, requests);
+            });
+
+            ['changes', 'modified'].forEach( function (delta)
+            {
+                it(`merges the added, updated and deleted items into the mirror (${delta})`, async function ()
+                {
+                    let dataConnection = connect(site, transport);
+                    let mirror         = dataConnection.createMirror({ indexedDB : new IDBFactory(), delta : delta });
+
+                    await mirror.getListData(tasksQuery);
+
+                    await dataConnection.addListItem({ listName : 'Tasks', columnData : { Title : { Type : 'Text', Value : 'Third' } } });
+                    await dataConnection.updateListItem({ listName : 'Tasks', itemID : 1, columnData : { Title : { Type : 'Text', Value : 'Changed' } } });
+                    await dataConnection.deleteListItem({ listName : 'Tasks', itemID : 2 });
+
+                    let rows      = await mirror.refresh(tasksQuery);
+                    let freshness = await mirror.getFreshness(tasksQuery);
+
+                    assert.deepStrictEqual(rows, [{ Title : 'Changed', ID : 1 }, { Title : 'Third', ID : 3 }]);
+                    assert.deepStrictEqual(await mirror.getListData(tasksQuery), rows);
+                    assert.deepStrictEqual([freshness.mirrored, freshness.refreshMode, freshness.itemCount, freshness.stale, freshness.lastError], [true, delta, 2, false, null]);
+                });
+            });
+
+            it('reads the query again when the change log no longer covers the last refresh', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let mirror         = dataConnection.createMirror({ indexedDB : new IDBFactory() });
+
+                await mirror.getListData(tasksQuery);
+                await dataConnection.deleteListItem({ listName : 'Tasks', itemID : 1 });
+
+                site.clearChangeLog('Tasks');
+
+                assert.deepStrictEqual(await mirror.refresh(tasksQuery), [{ Title : 'Second', ID : 2 }]);
+                assert.strictEqual((await mirror.getFreshness(tasksQuery)).refreshMode, 'full');
+            });
+
+            it('returns stale rows at once and refreshes them in the background', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let refreshed      = null;
+                let onRefresh      = new Promise( resolve => refreshed = resolve );
+                let mirror         = dataConnection.createMirror({ indexedDB : new IDBFactory(), maxAge : 0, onRefresh : refresh => refreshed(refresh) });
+
+                await mirror.getListData(tasksQuery);
+                await dataConnection.addListItem({ listName : 'Tasks', columnData : { Title : { Type : 'Text', Value : 'Third' } } });
+
+                let stale   = await mirror.getListData(tasksQuery);
+                let refresh = await onRefresh;
+
+                assert.deepStrictEqual(stale.map( row => row.ID ), [1, 2]);
+                assert.deepStrictEqual(refresh.items.map( row => row.ID ), [1, 2, 3]);
+                assert.strictEqual(refresh.freshness.refreshing, false);
+            });
+
+            it('keeps serving the mirrored rows when a refresh fails', async function ()
+            {
+                let mirror = connect(site, transport).createMirror({ indexedDB : new IDBFactory() });
+
+                await mirror.getListData(tasksQuery);
+
+                site.failRequests(1, 'throttled');
+
+                await assert.rejects(mirror.refresh(tasksQuery), error => error.code === 'THROTTLED');
+
+                assert.strictEqual((await mirror.getListData(tasksQuery)).length, 2);
+                assert.strictEqual((await mirror.getFreshness(tasksQuery)).lastError.code, 'THROTTLED');
+            });
+
+            it('clears a mirrored query', async function ()
+            {
+                let mirror = connect(site, transport).createMirror({ indexedDB : new IDBFactory() });
+
+                await mirror.getListData(tasksQuery);
+                await mirror.clear(tasksQuery);
+
+                assert.strictEqual((await mirror.getFreshness(tasksQuery)).mirrored, false);
+            });
+
+            it('rethrows an exception of the success callback instead of rejecting a promise', async function ()
+            {
+                let mirror    = connect(site, transport).createMirror({ indexedDB : new IDBFactory() });
+                let uncaught  = captureUncaught(['uncaughtException']);
+                let failures  = [];
+                let userError = new Error('user code failed');
+
+                mirror.getListData(tasksQuery, () => { throw userError; }, error => failures.push(error));
+
+                assert.strictEqual(await uncaught, userError);
+                assert.deepStrictEqual(failures, []);
+            });
+
+            it('rethrows an exception of onRefresh', async function ()
+            {
+                let userError = new Error('render failed');
+                let failures  = [];
+                let mirror    = connect(site, transport).createMirror({ indexedDB : new IDBFactory(), maxAge : 0, onRefresh : () => { throw userError; }, onRefreshError : error => failures.push(error) });
+
+                await mirror.getListData(tasksQuery);
+
+                let uncaught = captureUncaught(['uncaughtException']);
+
+                await mirror.getListData(tasksQuery);
+
+                assert.strictEqual(await uncaught, userError);
+                assert.deepStrictEqual(failures, []);
+            });
+        });
+    });
+});
@@ -0,0 +1,106 @@
+const assert = require('assert');
+const { spHelper, transports, createSite, connect } = require('./helpers');
+
+describe('normalized values', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addUser({ title : 'Ann Lee', email : 'ann@contoso.com' });
+        site.addUser({ title : 'Bo Chan', email : 'bo@contoso.com' });
+        site.addList({ title : 'Teams', items : [{ Title : 'Red' }, { Title : 'Blue' }] });
+        site.addList(
+        {
+            title  : 'Tasks',
+            fields :
+            [
+                { internalName : 'Team', type : 'Lookup', lookupList : 'Teams' },
+                { internalName : 'Teams', type : 'LookupMulti', lookupList : 'Teams' },
+                { internalName : 'Owner', type : 'User' },
+                { internalName : 'Reviewers', type : 'UserMulti' },
+                { internalName : 'Link', type : 'URL' },
+                { internalName : 'Due', type : 'DateTime' },
+                { internalName : 'Hours', type : 'Number' },
+                { internalName : 'Done', type : 'Boolean' },
+                { internalName : 'Tags', type : 'MultiChoice', choices : ['A', 'B', 'C'] },
+            ],
+            items :
+            [
+                { Title : 'First', Team : 2, Teams : [1, 2], Owner : 'ann@contoso.com', Reviewers : ['ann@contoso.com', 'bo@contoso.com'], Link : { url : 'https://contoso.com/a', description : 'Spec' }, Due : '2024-03-01T09:30:00Z', Hours : 2.5, Done : true, Tags : ['A', 'C'] },
+                { Title : 'Second', Done : false },
+            ],
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    // The columns of the Tasks list.
+    const columns = ['Title', 'Team', 'Teams', 'Owner', 'Reviewers', 'Link', 'Due', 'Hours', 'Done', 'Tags'];
+
+    it('converts managed metadata values', function ()
+    {
+        let term       = { get_termGuid : () => 'a1b2', get_label : () => 'Finance', get_wssId : () => 7 };
+        let collection = { getEnumerator : () => { let index = -1; return { moveNext : () => ++index < 1, get_current : () => term }; } };
+
+        assert.deepStrictEqual(spHelper.normalizeValue(term), { id : 'a1b2', label : 'Finance', wssId : 7 });
+        assert.deepStrictEqual(spHelper.normalizeValue(collection), [{ id : 'a1b2', label : 'Finance', wssId : 7 }]);
+        assert.deepStrictEqual(spHelper.normalizeValue({ TermGuid : 'a1b2', Label : 'Finance' }), { id : 'a1b2', label : 'Finance', wssId : null });
+    });
+
+    it('converts values by the field type when it is known', function ()
+    {
+        let lookup = { get_lookupId : () => 3, get_lookupValue : () => 'Ann Lee' };
+
+        assert.deepStrictEqual(spHelper.normalizeValue(lookup), { id : 3, title : 'Ann Lee' });
+        assert.deepStrictEqual(spHelper.normalizeValue(lookup, { fieldType : 20 }), { id : 3, title : 'Ann Lee', email : null });
+        assert.strictEqual(spHelper.normalizeValue('2024-03-01T10:30:00+01:00', { fieldType : 4 }), '2024-03-01T09:30:00.000Z');
+        assert.strictEqual(spHelper.normalizeValue('2024-03-01T10:30:00+01:00', { fieldType : 2 }), '2024-03-01T10:30:00+01:00');
+        assert.strictEqual(spHelper.normalizeValue(undefined), null);
+    });
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('returns plain JSON values', async function ()
+            {
+                let dataConnection = connect(site, transport, { normalizeValues : true });
+
+                let rows  = await dataConnection.getListData({ listName : 'Tasks', listColumns : columns });
+                let empty = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title', 'Team', 'Owner', 'Link', 'Due', 'Hours', 'Done'], where : { column : 'Title', operation : 'Eq', value : 'Second' } });
+
+                assert.deepStrictEqual(rows[0],
+                {
+                    Title     : 'First',
+                    Team      : { id : 2, title : 'Blue' },
+                    Teams     : [{ id : 1, title : 'Red' }, { id : 2, title : 'Blue' }],
+                    Owner     : { id : 2, title : 'Ann Lee', email : 'ann@contoso.com' },
+                    Reviewers : [{ id : 2, title : 'Ann Lee', email : 'ann@contoso.com' }, { id : 3, title : 'Bo Chan', email : 'bo@contoso.com' }],
+                    Link      : { url : 'https://contoso.com/a', description : 'Spec' },
+                    Due       : '2024-03-01T09:30:00.000Z',
+                    Hours     : 2.5,
+                    Done      : true,
+                    Tags      : ['A', 'C'],
+                });
+                assert.deepStrictEqual(empty, [{ Title : 'Second', Team : null, Owner : null, Link : null, Due : null, Hours : null, Done : false }]);
+                assert.deepStrictEqual(JSON.parse(JSON.stringify(rows)), rows);
+            });
+
+            it('normalizes the values of a single request', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let queryDetails   = { listName : 'Tasks', listColumns : ['Team', 'Due'], where : { column : 'Title', operation : 'Eq', value : 'First' } };
+
+                let raw        = await dataConnection.getListData(queryDetails);
+                let normalized = await dataConnection.getListData(Object.assign({ normalizeValues : true }, queryDetails));
+
+                assert.strictEqual(raw[0].Team.get_lookupId(), 2);
+                assert.ok(raw[0].Due instanceof Date);
+                assert.deepStrictEqual(normalized, [{ Team : { id : 2, title : 'Blue' }, Due : '2024-03-01T09:30:00.000Z' }]);
+            });
+        });
+    });
+});
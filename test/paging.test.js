@@ -0,0 +1,112 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+
+describe('paging', function ()
+{
+    let site = null;
+
+    // The titles of the items, in ID order.
+    const titles = ['Kiwi', 'Apple', 'Fig', 'Lime', 'Date', 'Plum', 'Pear', 'Mango', 'Cherry', 'Grape', 'Banana', 'Lemon'];
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList({ title : 'Fruit', fields : [{ internalName : 'Ripe', type : 'Boolean' }], items : titles.map( (title, index) => ({ Title : title, Ripe : index % 3 !== 0 }) ) });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    /**
+     * Reads every page of a query with getListDataPage, passing on the paging position of each page.
+     *
+     * PARAMETERS
+     *      dataConnection - [OBJECT] : The spHelper object.
+     *      queryDetails   - [OBJECT] : The query details.
+     */
+    async function readPages (dataConnection, queryDetails)
+    {
+        let pages      = [];
+        let pagingInfo = '';
+
+        do
+        {
+            let page = await dataConnection.getListDataPage(Object.assign({}, queryDetails, { pagingInfo : pagingInfo }));
+
+            pages.push(page.items.map( item => item.Title ));
+
+            pagingInfo = page.pagingInfo;
+        }
+        while (pagingInfo !== null);
+
+        return pages;
+    }
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('reads every item once when items were deleted', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                for (let itemID of [1, 2, 5, 6, 7])
+                {
+                    await dataConnection.deleteListItem({ listName : 'Fruit', itemID : itemID });
+                }
+
+                let rows = await dataConnection.getListData({ listName : 'Fruit', listColumns : ['Title'], rowLimit : 2 });
+
+                assert.deepStrictEqual(rows.map( row => row.Title ), ['Fig', 'Lime', 'Mango', 'Cherry', 'Grape', 'Banana', 'Lemon']);
+            });
+
+            it('reads every item of a sorted and filtered query once', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let queryDetails   = { listName : 'Fruit', listColumns : ['Title'], where : { column : 'Ripe', operation : 'Eq', value : 1, type : 'Boolean' }, orderBy : { column : 'Title', ascending : false }, rowLimit : 3 };
+
+                let rows  = await dataConnection.getListData(queryDetails);
+                let pages = await readPages(dataConnection, queryDetails);
+
+                assert.deepStrictEqual(rows.map( row => row.Title ), ['Plum', 'Mango', 'Lemon', 'Fig', 'Date', 'Cherry', 'Banana', 'Apple']);
+                assert.deepStrictEqual(pages, [['Plum', 'Mango', 'Lemon'], ['Fig', 'Date', 'Cherry'], ['Banana', 'Apple']]);
+            });
+
+            it('resumes from a paging position after the items before it were deleted', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let queryDetails   = { listName : 'Fruit', listColumns : ['Title'], orderBy : 'Title', rowLimit : 4 };
+
+                let first = await dataConnection.getListDataPage(queryDetails);
+
+                assert.deepStrictEqual(first.items.map( item => item.Title ), ['Apple', 'Banana', 'Cherry', 'Date']);
+                assert.strictEqual(typeof first.pagingInfo, 'string');
+
+                // Deleting the items of the first page does not move the position of the next page.
+                for (let title of ['Apple', 'Cherry', 'Date'])
+                {
+                    await dataConnection.deleteListItem({ listName : 'Fruit', itemID : titles.indexOf(title) + 1 });
+                }
+
+                let next = await dataConnection.getListDataPage(Object.assign({}, queryDetails, { pagingInfo : first.pagingInfo }));
+
+                assert.deepStrictEqual(next.items.map( item => item.Title ), ['Fig', 'Grape', 'Kiwi', 'Lemon']);
+            });
+
+            it('hands the paging position of each page to onPage', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let queryDetails   = { listName : 'Fruit', listColumns : ['Title'], orderBy : 'Title', rowLimit : 5 };
+                let positions      = [];
+
+                await dataConnection.getListData(Object.assign({}, queryDetails, { onPage : page => positions.push(page.pagingInfo) }));
+
+                let second = await dataConnection.getListDataPage(Object.assign({}, queryDetails, { pagingInfo : positions[0] }));
+
+                assert.strictEqual(positions.length, 3);
+                assert.strictEqual(positions[2], null);
+                assert.deepStrictEqual(second.items.map( item => item.Title ), ['Grape', 'Kiwi', 'Lemon', 'Lime', 'Mango']);
+            });
+        });
+    });
+});
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+const spXml = require('../src/spXml').default;
+
+describe('large In conditions', function ()
+{
+    let site = null;
+    let ids  = [];
+
+    beforeEach( function ()
+    {
+        let items = [];
+
+        for (let i = 1; i <= 1300; i++)
+        {
+            items.push({ Title : 'T' + String(i).padStart(5, '0'), Group : (i % 2 === 0) ? 'Even' : 'Odd' });
+        }
+
+        site = createSite();
+
+        site.addList({ title : 'Items', fields : [{ internalName : 'Group', type : 'Text' }], items : items });
+
+        ids = items.slice(0, 1200).map( (item, index) => index + 1 );
+    });
+
+    afterEach( () => site.uninstall() );
+
+    it('splits the values of an In condition into In elements of 60 values in nested Or elements', function ()
+    {
+        let dataConnection = connect(site, 'rest');
+        let where          = (count) =>
+        {
+            let viewXml = dataConnection.buildListQuery({ listName : 'Items', listColumns : ['Title'], where : { column : 'ID', operation : 'In', value : ids.slice(0, count), type : 'Counter' } });
+
+            return spXml.parse(viewXml).getElementsByTagName('Where')[0];
+        };
+
+        let shape = element => (element.tagName === 'Or') ? `Or(${element.children.map(shape).join(',')})` : `In${element.getElementsByTagName('Value').length}`;
+
+        assert.strictEqual(shape(where(60).children[0]), 'In60');
+        assert.strictEqual(shape(where(61).children[0]), 'Or(In60,In1)');
+        assert.strictEqual(shape(where(130).children[0]), 'Or(In60,Or(In60,In10))');
+        assert.deepStrictEqual(where(130).getElementsByTagName('Value').map( value => parseInt(value.textContent) ), ids.slice(0, 130));
+    });
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('reads more values than a single query holds with a query per 500 values', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                // Loads the list metadata (and the form digest) of the REST transport first.
+                await dataConnection.getListData({ listName : 'Items', listColumns : ['Title'], where : { column : 'ID', operation : 'Eq', value : 1, type : 'Counter' } });
+
+                let requests = site.requestCount;
+                let rows     = await dataConnection.getListData({ listName : 'Items', listColumns : ['ID'], where : { column : 'ID', operation : 'In', value : ids.concat(ids.slice(0, 100)), type : 'Counter' } });
+
+                assert.strictEqual(site.requestCount - requests, 3);
+                assert.deepStrictEqual(rows.map( row => row.ID ).sort( (a, b) => a - b ), ids);
+            });
+
+            it('merges the items of the split queries of a where tree without duplicates', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let inIds          = { column : 'ID', operation : 'In', value : ids, type : 'Counter' };
+
+                let even = await dataConnection.getListData({ listName : 'Items', listColumns : ['ID'], where : { operation : 'And', values : [{ column : 'Group', operation : 'Eq', value : 'Even' }, inIds] } });
+                let any  = await dataConnection.getListData({ listName : 'Items', listColumns : ['ID'], where : { operation : 'Or', values : [inIds, { column : 'Title', operation : 'Eq', value : 'T01300' }] } });
+
+                assert.deepStrictEqual(even.map( row => row.ID ).sort( (a, b) => a - b ), ids.filter( id => id % 2 === 0 ));
+                assert.deepStrictEqual(any.map( row => row.ID ).sort( (a, b) => a - b ), ids.concat([1300]));
+            });
+
+            it('applies orderBy and top to the merged items of the split queries', async function ()
+            {
+                let rows = await connect(site, transport).getListData(
+                {
+                    listName    : 'Items',
+                    listColumns : ['Title'],
+                    where       : { column : 'ID', operation : 'In', value : ids, type : 'Counter' },
+                    orderBy     : { column : 'Title', ascending : false },
+                    top         : 3,
+                });
+
+                assert.deepStrictEqual(rows, [{ Title : 'T01200' }, { Title : 'T01199' }, { Title : 'T01198' }]);
+            });
+
+            it('sorts by the groupBy columns, then orderBy, then ID', async function ()
+            {
+                let rows = await connect(site, transport).getListData(
+                {
+                    listName    : 'Items',
+                    listColumns : ['ID'],
+                    where       : { column : 'ID', operation : 'In', value : ids.slice().reverse(), type : 'Counter' },
+                    groupBy     : 'Group',
+                });
+
+                assert.strictEqual(rows.length, 1200);
+                assert.deepStrictEqual(rows.slice(0, 2).concat(rows.slice(600, 602)), [{ ID : 2 }, { ID : 4 }, { ID : 1 }, { ID : 3 }]);
+            });
+        });
+    });
+});
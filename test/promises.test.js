@@ -0,0 +1,93 @@
+const assert = require('assert');
+const { transports, createSite, connect, captureUncaught } = require('./helpers');
+
+describe('callbacks and promises', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList({ title : 'Tasks', fields : [{ internalName : 'Status', type : 'Text' }], items : [{ Title : 'First', Status : 'Open' }] });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('returns a Promise when no callbacks are supplied', async function ()
+            {
+                let rows = await connect(site, transport).getListData({ listName : 'Tasks', listColumns : ['Title'] });
+
+                assert.deepStrictEqual(rows.map( row => row.Title ), ['First']);
+            });
+
+            it('rejects with a spHelperError', async function ()
+            {
+                await assert.rejects(connect(site, transport).getListData({ listName : 'Missing', listColumns : ['Title'] }), { code : 'LIST_NOT_FOUND' });
+            });
+
+            it('rethrows an exception of the success callback instead of calling the failure callback', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let uncaught       = captureUncaught();
+                let failures       = [];
+                let userError      = new Error('user code failed');
+
+                dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'] }, () => { throw userError; }, error => failures.push(error));
+
+                assert.strictEqual(await uncaught, userError);
+                assert.deepStrictEqual(failures, []);
+            });
+
+            it('rethrows the exception of each request when requests run at once', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let errors         = [new Error('first failed'), new Error('second failed')];
+                let failures       = [];
+                let uncaught       = [];
+
+                let onUncaught = error => uncaught.push(error);
+                let events     = ['uncaughtException', 'unhandledRejection'];
+                let previous   = events.map( event => process.listeners(event) );
+
+                events.forEach( event =>
+                {
+                    process.removeAllListeners(event);
+                    process.on(event, onUncaught);
+                });
+
+                try
+                {
+                    errors.forEach( error => dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'] }, () => { throw error; }, failure => failures.push(failure)) );
+
+                    await new Promise( resolve => setTimeout(resolve, 50) );
+                }
+                finally
+                {
+                    events.forEach( (event, index) =>
+                    {
+                        process.removeListener(event, onUncaught);
+                        previous[index].forEach( listener => process.on(event, listener) );
+                    });
+                }
+
+                assert.deepStrictEqual(uncaught, errors);
+                assert.deepStrictEqual(failures, []);
+            });
+
+            it('still reports failures of the response processing to the failure callback', function (done)
+            {
+                connect(site, transport).getListData({ listName : 'Tasks', listColumns : ['Missing'] }, () => done(new Error('succeeded')), error =>
+                {
+                    assert.strictEqual(error.code, 'COLUMN_NOT_FOUND');
+
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,2 @@
+// Compiles the ES module sources for the tests. The tests themselves are plain CommonJS.
+require('babel-register')({ only : /\/src\// });
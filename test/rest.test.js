@@ -0,0 +1,121 @@
+const assert = require('assert');
+const http   = require('http');
+const { spHelper, siteUrl, createSite, connect } = require('./helpers');
+
+// The normalized columns compared between the transports.
+const columns = ['Title', 'Team', 'Owner', 'Points'];
+
+describe('REST transport', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite({ title : 'Dev' });
+
+        site.addUser({ title : 'Ann Lee', email : 'ann@contoso.com' });
+        site.addList({ title : 'Teams', items : [{ Title : 'Red' }] });
+        site.addList(
+        {
+            title  : 'Tasks',
+            fields : [{ internalName : 'Team', type : 'Lookup', lookupList : 'Teams' }, { internalName : 'Owner', type : 'User' }, { internalName : 'Points', type : 'Number' }],
+            items  : [{ Title : 'First', Team : 1, Owner : 'ann@contoso.com', Points : 3 }, { Title : 'Second', Points : 5 }],
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    it('returns the same results as JSOM', async function ()
+    {
+        let read = (dataConnection) => Promise.all(
+        [
+            dataConnection.getListData({ listName : 'Tasks', listColumns : columns, where : { column : 'Points', operation : 'Gt', value : 1, type : 'Number' } }),
+            dataConnection.getListItemById('Tasks', 1, columns),
+            dataConnection.getSiteProperty(['Title', 'ServerRelativeUrl']),
+            dataConnection.getListDetails('Tasks').then( details => [details.settings.title, details.settings.itemCount, details.columns.map( column => column.internalName ).sort()] ),
+        ]);
+
+        let rest = await read(connect(site, 'rest', { normalizeValues : true }));
+        let jsom = await read(connect(site, 'jsom', { normalizeValues : true }));
+
+        assert.deepStrictEqual(rest, jsom);
+        assert.deepStrictEqual(rest[1], { Title : 'First', Team : { id : 1, title : 'Red' }, Owner : { id : 2, title : 'Ann Lee', email : 'ann@contoso.com' }, Points : 3 });
+    });
+
+    it('returns lookup and user values with the JSOM accessors', async function ()
+    {
+        let row = await connect(site, 'rest').getListItemById('Tasks', 1, ['Team', 'Owner']);
+
+        assert.deepStrictEqual([row.Team.get_lookupId(), row.Team.get_lookupValue()], [1, 'Red']);
+        assert.strictEqual(row.Owner.get_email(), 'ann@contoso.com');
+    });
+
+    it('sends writes with a request digest and refreshes an expired digest once', async function ()
+    {
+        let urls  = [];
+        let fetch = site.fetch;
+
+        site.fetch = (url, init) =>
+        {
+            urls.push(url);
+
+            return fetch(url, init);
+        };
+
+        let dataConnection = connect(site, 'rest');
+
+        await dataConnection.addListItem({ listName : 'Tasks', columnData : { Title : { Type : 'Text', Value : 'Third' } } });
+
+        site.expireRequestDigests();
+
+        await dataConnection.updateListItem({ listName : 'Tasks', itemID : 3, columnData : { Title : { Type : 'Text', Value : 'Changed' } } });
+        await dataConnection.deleteListItem({ listName : 'Tasks', itemID : 1 });
+
+        assert.strictEqual(urls.filter( url => /\/_api\/contextinfo$/.test(url) ).length, 2);
+        assert.deepStrictEqual(site.getItems('Tasks').map( item => item.Title ), ['Second', 'Changed']);
+    });
+
+    it('fails the JSOM only methods with a CONFIGURATION error', async function ()
+    {
+        await assert.rejects(connect(site, 'rest').getCurrentUser(), error => error.code === 'CONFIGURATION');
+    });
+
+    it('works against a local HTTP stand-in', async function ()
+    {
+        // Answers HTTP requests with the REST service of the fake site.
+        let server = http.createServer( function (request, response)
+        {
+            let body = '';
+
+            request.on('data', chunk => body += chunk);
+            request.on('end', function ()
+            {
+                site.fetch(siteUrl.replace(/\/sites\/.*$/, '') + request.url, { method : request.method, headers : request.headers, body : body }).then( (answer) =>
+                {
+                    return answer.text().then( (text) =>
+                    {
+                        response.writeHead(answer.status, answer.headers.values);
+                        response.end(text);
+                    });
+                });
+            });
+        });
+
+        await new Promise( resolve => server.listen(0, '127.0.0.1', resolve) );
+
+        try
+        {
+            let dataConnection = new spHelper({ transport : 'rest', targetSite : `http://127.0.0.1:${server.address().port}/sites/dev`, fetch : fetch });
+
+            let itemID = await dataConnection.addListItem({ listName : 'Tasks', columnData : { Title : { Type : 'Text', Value : 'Over HTTP' } } });
+            let rows   = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'] });
+
+            assert.strictEqual(itemID, 3);
+            assert.deepStrictEqual(rows.map( row => row.Title ), ['First', 'Second', 'Over HTTP']);
+        }
+        finally
+        {
+            await new Promise( resolve => server.close(resolve) );
+        }
+    });
+});
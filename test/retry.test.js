@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+
+// Retries without waiting.
+const retry = { maxAttempts : 3, baseDelay : 1, maxDelay : 1 };
+
+describe('retries', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList({ title : 'Tasks', items : [{ Title : 'First' }] });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('retries reads that timed out', async function ()
+            {
+                let dataConnection = connect(site, transport, { retry : retry });
+
+                site.failRequests(1, 'timeout');
+
+                let rows = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'] });
+
+                assert.deepStrictEqual(rows.map( row => row.Title ), ['First']);
+            });
+
+            it('does not send a write that timed out again', async function ()
+            {
+                let dataConnection = connect(site, transport, { retry : retry });
+
+                site.failRequests(1, 'timeout');
+
+                await assert.rejects(dataConnection.addListItem({ listName : 'Tasks', columnData : { Title : { Type : 'Text', Value : 'Second' } } }), error => error.code === 'TIMEOUT' && error.attempts === 1);
+            });
+
+            it('does not send a batch with changes that timed out again', async function ()
+            {
+                let dataConnection = connect(site, transport, { retry : retry });
+
+                site.failRequests(1, 'timeout');
+
+                let results = await dataConnection.createBatch().updateListItem({ listName : 'Tasks', itemID : 1, columnData : { Title : { Type : 'Text', Value : 'Changed' } } }).execute();
+
+                assert.strictEqual(results[0].success, false);
+                assert.strictEqual(results[0].error.code, 'TIMEOUT');
+            });
+
+            it('retries writes that were throttled', async function ()
+            {
+                let dataConnection = connect(site, transport, { retry : retry });
+
+                site.failRequests(2, 'throttled');
+
+                let itemID = await dataConnection.addListItem({ listName : 'Tasks', columnData : { Title : { Type : 'Text', Value : 'Second' } } });
+                let rows   = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'] });
+
+                assert.strictEqual(itemID, 2);
+                assert.deepStrictEqual(rows.map( row => row.Title ), ['First', 'Second']);
+            });
+        });
+    });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+
+// The Documents result source.
+const documentsSource = 'e7ec8cee-ded8-43c9-beb5-436b54b31e84';
+
+describe('search', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList({ title : 'Documents', template : 101, items : [{ FileLeafRef : 'budget-2024.docx', Title : 'Budget 2024' }, { FileLeafRef : 'budget-2025.xlsx', Title : 'Budget 2025' }, { FileLeafRef : 'notes.docx', Title : 'Meeting notes' }] });
+        site.addList({ title : 'Archive', template : 101, items : [{ FileLeafRef : 'budget-2024.docx', Title : 'Budget 2024' }, { FileLeafRef : 'budget-2023.pdf', Title : 'Budget 2023' }] });
+        site.addList({ title : 'Tasks', items : [{ Title : 'Budget review' }] });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            // The options of a search for the titles and file types, sorted by title.
+            const options = { selectProperties : ['Title', 'FileType'], refiners : ['FileType'], sortList : 'Title' };
+
+            it('returns the rows with the selected properties and the refiners', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                let result = await dataConnection.search('budget', options);
+
+                assert.deepStrictEqual(result.rows.map( row => [row.Title, row.FileType] ), [['Budget 2023', 'pdf'], ['Budget 2024', 'docx'], ['Budget 2025', 'xlsx'], ['Budget review', null]]);
+                assert.deepStrictEqual([result.totalRows, result.totalRowsIncludingDuplicates, result.startRow, result.nextStartRow], [4, 5, 0, null]);
+                assert.deepStrictEqual(result.refiners.FileType.map( refiner => [refiner.value, refiner.count] ), [['docx', 1], ['pdf', 1], ['xlsx', 1]]);
+                assert.ok(result.refiners.FileType.every( refiner => typeof refiner.token === 'string' && refiner.token !== '' ));
+            });
+
+            it('keeps the duplicates when asked', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                let result = await dataConnection.search('budget', Object.assign({ trimDuplicates : false }, options));
+
+                assert.deepStrictEqual(result.rows.map( row => row.Title ), ['Budget 2023', 'Budget 2024', 'Budget 2024', 'Budget 2025', 'Budget review']);
+                assert.strictEqual(result.refiners.FileType.find( refiner => refiner.value === 'docx' ).count, 2);
+            });
+
+            it('reads the results in pages', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                let first  = await dataConnection.search('budget', Object.assign({ rowLimit : 3 }, options));
+                let second = await dataConnection.search('budget', Object.assign({ rowLimit : 3, startRow : first.nextStartRow }, options));
+
+                assert.deepStrictEqual([first.rows.length, first.nextStartRow], [3, 3]);
+                assert.deepStrictEqual([second.rows.map( row => row.Title ), second.startRow, second.nextStartRow], [['Budget review'], 3, null]);
+            });
+
+            it('filters the results by a refinement token and by result source', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let refined        = await dataConnection.search('budget', options);
+                let docx           = refined.refiners.FileType.find( refiner => refiner.value === 'docx' );
+
+                let filtered  = await dataConnection.search('budget', Object.assign({ refinementFilters : ['FileType:' + docx.token] }, options));
+                let documents = await dataConnection.search('budget', Object.assign({}, options, { sourceId : documentsSource, sortList : { property : 'Title', ascending : false } }));
+
+                assert.deepStrictEqual(filtered.rows.map( row => row.Title ), ['Budget 2024']);
+                assert.deepStrictEqual(documents.rows.map( row => row.Title ), ['Budget 2025', 'Budget 2024', 'Budget 2023']);
+            });
+
+            it('fails an invalid query with an INVALID_ARGUMENT error', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                await assert.rejects(dataConnection.search('budget AND (', options), error => error.code === 'INVALID_ARGUMENT');
+            });
+        });
+    });
+});
@@ -0,0 +1,103 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+
+describe('orderBy, groupBy and rowLimit', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList(
+        {
+            title  : 'Tasks',
+            fields : [{ internalName : 'Team', type : 'Text' }, { internalName : 'Hours', type : 'Number' }],
+            items  :
+            [
+                { Title : 'A', Team : 'Red', Hours : 3 },
+                { Title : 'B', Team : 'Blue', Hours : 8 },
+                { Title : 'C', Team : 'Red', Hours : 5 },
+                { Title : 'D', Team : 'Blue', Hours : 1 },
+                { Title : 'E', Team : 'Red', Hours : 13 },
+                { Title : 'F', Team : 'Green', Hours : 2 },
+                { Title : 'G', Team : 'Blue', Hours : 21 },
+            ],
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    describe('generated CAML', function ()
+    {
+        let dataConnection = null;
+
+        // Builds the View XML of the query details of the Tasks list.
+        let build = queryDetails => dataConnection.buildListQuery(Object.assign({ listName : 'Tasks', listColumns : ['Title'] }, queryDetails));
+
+        beforeEach( () => dataConnection = connect(site, 'rest') );
+
+        it('writes the sort order of every column', function ()
+        {
+            assert.ok(build({ orderBy : 'Team' }).includes("<OrderBy><FieldRef Name='Team' Ascending='TRUE' /></OrderBy>"));
+            assert.ok(build({ orderBy : ['Team', { column : 'Hours', ascending : false }] }).includes("<OrderBy><FieldRef Name='Team' Ascending='TRUE' /><FieldRef Name='Hours' Ascending='FALSE' /></OrderBy>"));
+            assert.throws( () => build({ orderBy : [{ ascending : false }] }), error => error.code === 'INVALID_ARGUMENT' );
+        });
+
+        it('writes the grouping with its Collapse attribute', function ()
+        {
+            assert.ok(build({ groupBy : 'Team' }).includes("<GroupBy Collapse='FALSE'><FieldRef Name='Team' /></GroupBy>"));
+            assert.ok(build({ groupBy : { columns : ['Team', 'Hours'], collapse : true }, orderBy : 'Title' }).includes("<Query><GroupBy Collapse='TRUE'><FieldRef Name='Team' /><FieldRef Name='Hours' /></GroupBy><OrderBy><FieldRef Name='Title' Ascending='TRUE' /></OrderBy></Query>"));
+            assert.throws( () => build({ groupBy : ['Team', 'Hours', 'Title'] }), error => error.code === 'INVALID_ARGUMENT' );
+        });
+
+        it('writes the smaller of rowLimit and top as the RowLimit', function ()
+        {
+            let rowLimit = queryDetails => /<RowLimit[^>]*>(\d+)<\/RowLimit>/.exec(build(queryDetails))[1];
+
+            assert.strictEqual(rowLimit({}), '5000');
+            assert.strictEqual(rowLimit({ rowLimit : 100 }), '100');
+            assert.strictEqual(rowLimit({ rowLimit : 100, top : 10 }), '10');
+            assert.strictEqual(rowLimit({ top : 250 }), '250');
+            assert.throws( () => build({ rowLimit : 0 }), error => error.code === 'INVALID_ARGUMENT' );
+        });
+    });
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('keeps the sort order over the pages of a row limit', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let pages          = [];
+
+                let rows = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'], orderBy : ['Team', { column : 'Hours', ascending : false }], rowLimit : 2 });
+
+                await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'], orderBy : ['Team', { column : 'Hours', ascending : false }], rowLimit : 2, onPage : page => pages.push(page.items.map( item => item.Title )) });
+
+                assert.deepStrictEqual(rows.map( row => row.Title ), ['G', 'B', 'D', 'F', 'E', 'C', 'A']);
+                assert.deepStrictEqual(pages, [['G', 'B'], ['D', 'F'], ['E', 'C'], ['A']]);
+            });
+
+            it('returns the top items of a sorted and filtered query read in pages', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let where          = { column : 'Hours', operation : 'Geq', value : 3, type : 'Number' };
+
+                let rows = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'], where : where, orderBy : { column : 'Hours', ascending : false }, rowLimit : 2, top : 3 });
+
+                assert.deepStrictEqual(rows.map( row => row.Title ), ['G', 'E', 'B']);
+            });
+
+            it('reads grouped items in pages', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                let rows = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title', 'Team'], groupBy : 'Team', orderBy : 'Title', rowLimit : 3 });
+
+                assert.deepStrictEqual(rows.map( row => row.Title ), ['B', 'D', 'G', 'F', 'A', 'C', 'E']);
+            });
+        });
+    });
+});
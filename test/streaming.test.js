@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+
+describe('streamed list reads', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList({ title : 'Tasks', items : [{ Title : 'First' }, { Title : 'Second' }, { Title : 'Third' }] });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('reads one page per step of the iterator', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let pages          = [];
+
+                for await (const page of dataConnection.iterateListData({ listName : 'Tasks', listColumns : ['Title'], rowLimit : 2 }))
+                {
+                    pages.push({ titles : page.items.map( row => row.Title ), pageNumber : page.pageNumber, total : page.total });
+                }
+
+                assert.deepStrictEqual(pages, [{ titles : ['First', 'Second'], pageNumber : 1, total : 2 }, { titles : ['Third'], pageNumber : 2, total : 3 }]);
+            });
+
+            it('streams the pages to onPage and stops when it returns false', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let progress       = [];
+
+                let total = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'], rowLimit : 1, onPage : page => page.pageNumber < 2, onProgress : entry => progress.push(entry.total) });
+
+                assert.strictEqual(total, 2);
+                assert.deepStrictEqual(progress, [1, 2]);
+            });
+
+            [false, true].forEach( function (thresholdSafe)
+            {
+                it(`rejects the read when the page callback throws${thresholdSafe ? ' (threshold safe)' : ''}`, async function ()
+                {
+                    let dataConnection = connect(site, transport);
+                    let userError      = new Error('render failed');
+
+                    let onPage = () =>
+                    {
+                        throw userError;
+                    };
+
+                    await assert.rejects(dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'], rowLimit : 1, thresholdSafe : thresholdSafe, onPage : onPage }), error => error.code === 'UNKNOWN' && error.innerError === userError);
+
+                    let iterate = async function ()
+                    {
+                        for await (const page of dataConnection.iterateListData({ listName : 'Tasks', listColumns : ['Title'], rowLimit : 1, thresholdSafe : thresholdSafe }))
+                        {
+                            onPage(page);
+                        }
+                    };
+
+                    // An exception that escapes as an unhandled rejection fails the test run.
+                    await assert.rejects(iterate(), error => error === userError);
+                    await new Promise( resolve => setTimeout(resolve, 20) );
+                });
+            });
+        });
+    });
+});
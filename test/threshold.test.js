@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+
+describe('list view threshold', function ()
+{
+    let site = null;
+
+    // Filters on the Status column, which is not indexed.
+    const openTasks = { listName : 'Tasks', listColumns : ['Title'], where : { column : 'Status', operation : 'Eq', value : 'Open', type : 'Text' }, thresholdSafe : true };
+
+    beforeEach( function ()
+    {
+        site = createSite({ listViewThreshold : 3 });
+
+        site.addList(
+        {
+            title  : 'Tasks',
+            fields : [{ internalName : 'Status', type : 'Text' }],
+            items  : ['Open', 'Done', 'Open', 'Done', 'Open', 'Done', 'Open'].map( (status, index) => ({ Title : 'Task ' + (index + 1), Status : status }) ),
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('plans with the threshold of the site', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                let plan = await dataConnection.planListQuery(openTasks);
+
+                assert.deepStrictEqual(plan, { mode : 'windows', threshold : 3, itemCount : 7, maxID : 7 });
+            });
+
+            it('plans with a given threshold', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                let plan = await dataConnection.planListQuery(Object.assign({}, openTasks, { thresholdSafe : { threshold : 10 } }));
+
+                assert.deepStrictEqual(plan, { mode : 'query', threshold : 10, itemCount : 7 });
+            });
+
+            it('reads the list in windows of the threshold of the site', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                let items = await dataConnection.getListData(openTasks);
+
+                assert.deepStrictEqual(items.map( item => item.Title ), ['Task 1', 'Task 3', 'Task 5', 'Task 7']);
+            });
+
+            it('returns no paging position for the pages of ID windows', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let pages          = [];
+
+                await dataConnection.getListData(Object.assign({}, openTasks, { rowLimit : 1, onPage : page => pages.push(page) }));
+
+                let iterated = [];
+
+                for await (const page of dataConnection.iterateListData(Object.assign({}, openTasks, { rowLimit : 1 })))
+                {
+                    iterated.push(page);
+                }
+
+                assert.ok(pages.length > 1);
+                assert.deepStrictEqual(pages.map( page => page.pagingInfo ), pages.map( () => null ));
+                assert.deepStrictEqual(iterated.map( page => page.pagingInfo ), iterated.map( () => null ));
+                assert.deepStrictEqual([].concat(...iterated.map( page => page.items )).map( item => item.Title ), ['Task 1', 'Task 3', 'Task 5', 'Task 7']);
+            });
+        });
+    });
+});
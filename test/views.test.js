@@ -0,0 +1,111 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+
+// The GUID of the Open Tasks view.
+const openTasksId = '3c6e1f0a-9d24-4b7e-8a51-2f9c0d7e6b13';
+
+describe('list views', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList(
+        {
+            title  : 'Tasks',
+            fields : [{ internalName : 'Status', type : 'Text' }, { internalName : 'Priority', type : 'Text' }, { internalName : 'Hours', type : 'Number' }],
+            items  :
+            [
+                { Title : 'A', Status : 'Open', Priority : 'High', Hours : 3 },
+                { Title : 'B', Status : 'Done', Priority : 'High', Hours : 8 },
+                { Title : 'C', Status : 'Open', Priority : 'Low', Hours : 5 },
+                { Title : 'D', Status : 'Open', Priority : 'High', Hours : 1 },
+                { Title : 'E', Status : 'Open', Priority : 'Low', Hours : 13 },
+            ],
+            views  :
+            [
+                {
+                    title    : 'Open Tasks',
+                    id       : openTasksId,
+                    query    : "<Where><Eq><FieldRef Name='Status' /><Value Type='Text'>Open</Value></Eq></Where><OrderBy><FieldRef Name='Hours' Ascending='FALSE' /></OrderBy>",
+                    fields   : ['Title', 'Hours'],
+                    rowLimit : 2,
+                },
+            ],
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('reads the view', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                let view = await dataConnection.getListView({ listName : 'Tasks', viewName : 'Open Tasks' });
+
+                assert.deepStrictEqual(view, { query : "<Where><Eq><FieldRef Name='Status' /><Value Type='Text'>Open</Value></Eq></Where><OrderBy><FieldRef Name='Hours' Ascending='FALSE' /></OrderBy>", fields : ['Title', 'Hours'], rowLimit : 2, scope : 'Default' });
+            });
+
+            it('returns the items of the view by name or ID, read in pages of its RowLimit', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let pages          = [];
+
+                let byName = await dataConnection.getListData({ listName : 'Tasks', viewName : 'Open Tasks' });
+                let byId   = await dataConnection.getListData({ listName : 'Tasks', viewId : `{${openTasksId.toUpperCase()}}` });
+
+                await dataConnection.getListData({ listName : 'Tasks', viewName : 'Open Tasks', onPage : page => pages.push(page.items.length) });
+
+                assert.deepStrictEqual(byName, [{ Title : 'E', Hours : 13 }, { Title : 'C', Hours : 5 }, { Title : 'A', Hours : 3 }, { Title : 'D', Hours : 1 }]);
+                assert.deepStrictEqual(byId, byName);
+                assert.ok(pages.length >= 2 && pages.every( count => count <= 2 ));
+            });
+
+            it('adds the where conditions and columns of the request to the view', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                let rows = await dataConnection.getListData({ listName : 'Tasks', viewName : 'Open Tasks', listColumns : ['Priority', 'Title'], where : { column : 'Priority', operation : 'Eq', value : 'High' } });
+
+                assert.deepStrictEqual(rows, [{ Title : 'A', Hours : 3, Priority : 'High' }, { Title : 'D', Hours : 1, Priority : 'High' }]);
+                assert.deepStrictEqual(Object.keys(rows[0]), ['Title', 'Hours', 'Priority']);
+            });
+
+            it('replaces the sort order and row limit of the view', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                let rows = await dataConnection.getListData({ listName : 'Tasks', viewName : 'Open Tasks', orderBy : 'Title', top : 3 });
+
+                assert.deepStrictEqual(rows.map( row => row.Title ), ['A', 'C', 'D']);
+            });
+
+            it('reads the view once', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                await dataConnection.getListData({ listName : 'Tasks', viewName : 'Open Tasks' });
+
+                let requests = site.requestCount;
+
+                await dataConnection.getListData({ listName : 'Tasks', viewName : 'Open Tasks', where : { column : 'Title', operation : 'Eq', value : 'A' } });
+
+                assert.strictEqual(site.requestCount - requests, 1);
+            });
+
+            it('fails for a missing view or a view with a full query', async function ()
+            {
+                let dataConnection = connect(site, transport);
+
+                await assert.rejects(dataConnection.getListData({ listName : 'Tasks', viewName : 'Missing' }), error => error.code === 'VIEW_NOT_FOUND');
+                await assert.rejects(dataConnection.getListData({ listName : 'Tasks', viewName : 'Open Tasks', query : '<View />' }), error => error.code === 'INVALID_ARGUMENT');
+            });
+        });
+    });
+});
@@ -0,0 +1,132 @@
+const assert = require('assert');
+const { transports, createSite, connect } = require('./helpers');
+const spXml = require('../src/spXml').default;
+
+/**
+ * Returns the structure of the Where element of a View XML: And/Or as 'And(left,right)', conditions as 'Operation:Column'.
+ *
+ * PARAMETERS
+ *      viewXml - [STRING] : The View XML.
+ */
+function structure (viewXml)
+{
+    let shape = function (element)
+    {
+        if (element.tagName === 'And' || element.tagName === 'Or')
+        {
+            assert.strictEqual(element.children.length, 2, `${element.tagName} must have two conditions`);
+
+            return `${element.tagName}(${element.children.map(shape).join(',')})`;
+        }
+
+        return `${element.tagName}:${element.getElementsByTagName('FieldRef')[0].getAttribute('Name')}`;
+    };
+
+    return shape(spXml.parse(viewXml).getElementsByTagName('Where')[0].children[0]);
+}
+
+// Returns a condition on the Title column.
+const title = (operation, value) => ({ column : 'Title', operation : operation, value : value });
+
+describe('where trees', function ()
+{
+    let site = null;
+
+    beforeEach( function ()
+    {
+        site = createSite();
+
+        site.addList({ title : 'Teams', items : [{ Title : 'Red' }, { Title : 'Blue' }] });
+        site.addList(
+        {
+            title  : 'Tasks',
+            fields : [{ internalName : 'Team', type : 'Lookup', lookupList : 'Teams' }, { internalName : 'Hours', type : 'Number' }, { internalName : 'Due', type : 'DateTime' }],
+            items  :
+            [
+                { Title : 'Alpha', Team : 1, Hours : 2, Due : '2024-03-01T00:00:00Z' },
+                { Title : 'Beta', Team : 2, Hours : 5, Due : '2024-03-10T00:00:00Z' },
+                { Title : 'Gamma', Team : 1, Hours : 8 },
+                { Title : 'Delta', Hours : 13, Due : '2024-04-01T00:00:00Z' },
+                { Title : 'Epsilon', Team : 2, Hours : 21, Due : '2024-05-01T00:00:00Z' },
+            ],
+        });
+    });
+
+    afterEach( () => site.uninstall() );
+
+    describe('generated CAML', function ()
+    {
+        let dataConnection = null;
+
+        // Builds the View XML of a where tree.
+        let build = where => dataConnection.buildListQuery({ listName : 'Tasks', listColumns : ['Title'], where : where });
+
+        beforeEach( () => dataConnection = connect(site, 'rest') );
+
+        it('folds the conditions of a group into nested binary elements', function ()
+        {
+            assert.strictEqual(structure(build({ operation : 'And', values : [title('Eq', 'a')] })), 'Eq:Title');
+            assert.strictEqual(structure(build({ operation : 'And', values : [title('Eq', 'a'), title('Neq', 'b')] })), 'And(Eq:Title,Neq:Title)');
+            assert.strictEqual(structure(build({ operation : 'or', values : [title('Eq', 'a'), title('Neq', 'b'), title('Contains', 'c'), title('BeginsWith', 'd')] })), 'Or(Eq:Title,Or(Neq:Title,Or(Contains:Title,BeginsWith:Title)))');
+        });
+
+        it('folds groups nested at any depth', function ()
+        {
+            let where =
+            {
+                operation : 'And',
+                values    :
+                [
+                    title('Neq', 'a'),
+                    { operation : 'Or', values : [title('Eq', 'b'), { operation : 'And', values : [{ column : 'Hours', operation : 'Geq', value : 1, type : 'Number' }, { column : 'Hours', operation : 'Leq', value : 9, type : 'Number' }, { column : 'Due', operation : 'IsNotNull' }] }] },
+                    { column : 'Team', operation : 'IsNull' },
+                ],
+            };
+
+            assert.strictEqual(structure(build(where)), 'And(Neq:Title,And(Or(Eq:Title,And(Geq:Hours,And(Leq:Hours,IsNotNull:Due))),IsNull:Team))');
+        });
+
+        it('keeps the leaf conditions of the single condition where', function ()
+        {
+            let condition = where => /<Where>(.*)<\/Where>/.exec(build(where))[1];
+
+            assert.strictEqual(condition({ column : 'Team', operation : 'Eq', value : 2, type : 'Lookup' }), "<Eq><FieldRef Name='Team' LookupId='TRUE'/> <Value Type='Lookup'>2</Value></Eq>");
+            assert.strictEqual(condition({ column : 'Team', operation : 'Eq', value : 'Red', type : 'Lookup' }), "<Eq><FieldRef Name='Team'/> <Value Type='Lookup'>Red</Value></Eq>");
+            assert.strictEqual(condition({ column : 'Editor', operation : 'Eq', value : 7, type : 'User' }), "<Eq><FieldRef Name='Editor' LookupId='TRUE'/> <Value Type='Integer'>7</Value></Eq>");
+            assert.strictEqual(condition({ column : 'Due', operation : 'IsNull' }), "<IsNull><FieldRef Name='Due'/></IsNull>");
+            assert.strictEqual(condition({ column : 'Hours', operation : 'Geq', value : 5, type : 'Number' }), "<Geq><FieldRef Name='Hours'/> <Value Type='Number'>5</Value></Geq>");
+            assert.strictEqual(condition({ column : 'EventDate', operation : 'DateRangesOverlap', value : 'Month' }), "<DateRangesOverlap><FieldRef Name='EventDate' /><FieldRef Name='EndDate' /><FieldRef Name='RecurrenceID' /><Value Type='DateTime'><Month /></Value></DateRangesOverlap>");
+        });
+
+        it('rejects an empty group', function ()
+        {
+            assert.throws( () => build({ operation : 'And', values : [title('Eq', 'a'), { operation : 'Or', values : [] }] }), error => error.code === 'INVALID_ARGUMENT' );
+        });
+    });
+
+    transports.forEach( function (transport)
+    {
+        describe(transport, function ()
+        {
+            it('reads the items of a nested where tree', async function ()
+            {
+                let dataConnection = connect(site, transport);
+                let where          =
+                {
+                    operation : 'Or',
+                    values    :
+                    [
+                        { operation : 'And', values : [{ column : 'Team', operation : 'Eq', value : 1, type : 'Lookup' }, { column : 'Hours', operation : 'Geq', value : 5, type : 'Number' }, { column : 'Due', operation : 'IsNull' }] },
+                        { operation : 'And', values : [{ column : 'Title', operation : 'BeginsWith', value : 'E' }, { column : 'Hours', operation : 'Leq', value : 21, type : 'Number' }] },
+                        { column : 'Title', operation : 'Contains', value : 'elt' },
+                        { column : 'Team', operation : 'Eq', value : 'Blue', type : 'Lookup' },
+                    ],
+                };
+
+                let rows = await dataConnection.getListData({ listName : 'Tasks', listColumns : ['Title'], where : where });
+
+                assert.deepStrictEqual(rows.map( row => row.Title ), ['Beta', 'Gamma', 'Delta', 'Epsilon']);
+            });
+        });
+    });
+});